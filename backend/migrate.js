@@ -0,0 +1,50 @@
+require('dotenv').config();
+const Database = require('./services/database');
+const MigrationService = require('./services/migrationService');
+
+// Schema migrations from the command line:
+//   node backend/migrate.js status   List applied and pending migrations (default)
+//   node backend/migrate.js up       Apply pending migrations without starting the server
+// status exits with code 1 when migrations are pending, so deploy scripts can check it.
+async function main(command = 'status') {
+  const database = new Database();
+  await database.open();
+
+  try {
+    const migrations = new MigrationService(database);
+
+    if (command === 'up') {
+      const applied = await migrations.migrate();
+      console.log(applied.length > 0 ? `Applied ${applied.length} migration(s)` : 'Database is up to date');
+      return 0;
+    }
+
+    if (command !== 'status') {
+      console.error(`Unknown command: ${command}. Use "status" or "up".`);
+      return 2;
+    }
+
+    const status = await migrations.getStatus();
+    console.log(`Database: ${database.dbPath}`);
+    console.log(`Schema version ${status.currentVersion} of ${status.latestVersion}`);
+    for (const row of status.applied) {
+      console.log(`  applied  ${row.version}_${row.name} (${row.applied_at})`);
+    }
+    for (const migration of status.pending) {
+      console.log(`  pending  ${migration.file}`);
+    }
+    for (const row of status.unknown) {
+      console.log(`  unknown  ${row.version}_${row.name} - applied by a newer server`);
+    }
+    return status.pending.length > 0 || status.unknown.length > 0 ? 1 : 0;
+  } finally {
+    await database.close();
+  }
+}
+
+main(process.argv[2])
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error(error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,272 @@
+// Baseline: the schema as it stood when versioned migrations were introduced.
+// Databases created before then already have some of it, so tables are only created
+// when missing and columns that older versions added on startup are filled in.
+
+// Columns added to existing tables over time, before migrations existed
+const LEGACY_COLUMNS = {
+  games: [
+    ['played_questions', "TEXT DEFAULT '[]'"],
+    ['time_based_scoring', 'BOOLEAN DEFAULT 0'],
+    ['virtual_buzzers_enabled', 'BOOLEAN DEFAULT 0'],
+    ['buzzer_offline_threshold', 'INTEGER DEFAULT 120'],
+    ['allow_negative_scores', 'BOOLEAN DEFAULT 0'],
+    ['display_font_size', 'INTEGER DEFAULT 100'],
+    ['game_mode', "TEXT DEFAULT 'classic'"],
+    ['board_picker_group_id', 'TEXT'],
+    ['penalty_mode', "TEXT DEFAULT 'percentage'"],
+    ['penalty_value', 'REAL DEFAULT 50'],
+    ['scoring_curve', "TEXT DEFAULT 'linear'"],
+    ['scoring_curve_options', 'TEXT'],
+    ['reading_time', 'INTEGER DEFAULT 0'],
+    ['false_start_lockout', 'INTEGER DEFAULT 0'],
+    ['tie_break_positions', 'INTEGER DEFAULT 1'],
+    ['current_session_id', 'TEXT'],
+    ['logo_url', 'TEXT'],
+    ['logo_position', "TEXT DEFAULT 'top-right'"],
+    ['logo_size', "TEXT DEFAULT 'medium'"],
+    ['primary_color', "TEXT DEFAULT '#667eea'"],
+    ['secondary_color', "TEXT DEFAULT '#764ba2'"],
+    ['accent_color', "TEXT DEFAULT '#FFD700'"],
+    ['background_style', "TEXT DEFAULT 'gradient'"],
+    ['font_family', "TEXT DEFAULT 'Segoe UI'"],
+    ['game_description', "TEXT DEFAULT ''"]
+  ],
+  groups: [
+    ['wrong_answers', 'INTEGER DEFAULT 0'],
+    ['tiebreak_place', 'INTEGER']
+  ],
+  questions: [
+    ['question_type', "TEXT DEFAULT 'buzzer'"],
+    ['options', 'TEXT'],
+    ['correct_option', 'INTEGER'],
+    ['round_id', 'TEXT'],
+    ['penalty_mode', 'TEXT'],
+    ['penalty_value', 'REAL'],
+    ['bank_question_id', 'TEXT'],
+    ['difficulty', 'TEXT'],
+    ['category', 'TEXT'],
+    ['tags', "TEXT DEFAULT '[]'"],
+    ['explanation', 'TEXT'],
+    ['source', 'TEXT'],
+    ['is_tiebreaker', 'BOOLEAN DEFAULT 0']
+  ],
+  buzzer_events: [
+    ['false_start', 'BOOLEAN DEFAULT 0'],
+    ['session_id', 'TEXT'],
+    ['buzzer_id', 'TEXT'],
+    ['is_correct', 'BOOLEAN'],
+    ['points_awarded', 'INTEGER']
+  ],
+  score_ledger: [
+    ['session_id', 'TEXT']
+  ]
+};
+
+module.exports = {
+  async up(db) {
+    const tables = [
+      `CREATE TABLE IF NOT EXISTS games (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        status TEXT DEFAULT 'setup',
+        current_question_index INTEGER DEFAULT 0,
+        played_questions TEXT DEFAULT '[]',
+        logo_url TEXT,
+        logo_position TEXT DEFAULT 'top-right',
+        logo_size TEXT DEFAULT 'medium',
+        primary_color TEXT DEFAULT '#667eea',
+        secondary_color TEXT DEFAULT '#764ba2',
+        accent_color TEXT DEFAULT '#FFD700',
+        background_style TEXT DEFAULT 'gradient',
+        font_family TEXT DEFAULT 'Segoe UI',
+        default_question_time INTEGER DEFAULT 30,
+        max_groups INTEGER DEFAULT 8,
+        show_timer BOOLEAN DEFAULT 1,
+        show_scores BOOLEAN DEFAULT 1,
+        auto_advance BOOLEAN DEFAULT 0,
+        game_description TEXT DEFAULT '',
+        time_based_scoring BOOLEAN DEFAULT 0,
+        virtual_buzzers_enabled BOOLEAN DEFAULT 0,
+        buzzer_offline_threshold INTEGER DEFAULT 120,
+        allow_negative_scores BOOLEAN DEFAULT 0,
+        game_mode TEXT DEFAULT 'classic',
+        penalty_mode TEXT DEFAULT 'percentage',
+        penalty_value REAL DEFAULT 50,
+        scoring_curve TEXT DEFAULT 'linear',
+        scoring_curve_options TEXT,
+        reading_time INTEGER DEFAULT 0,
+        false_start_lockout INTEGER DEFAULT 0,
+        board_picker_group_id TEXT,
+        tie_break_positions INTEGER DEFAULT 1,
+        current_session_id TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+    
+      `CREATE TABLE IF NOT EXISTS groups (
+        id TEXT PRIMARY KEY,
+        game_id TEXT,
+        name TEXT NOT NULL,
+        color TEXT,
+        score INTEGER DEFAULT 0,
+        wrong_answers INTEGER DEFAULT 0,
+        tiebreak_place INTEGER,
+        position INTEGER,
+        buzzer_id TEXT,
+        FOREIGN KEY (game_id) REFERENCES games (id)
+      )`,
+    
+      `CREATE TABLE IF NOT EXISTS questions (
+        id TEXT PRIMARY KEY,
+        game_id TEXT,
+        text TEXT NOT NULL,
+        media_url TEXT,
+        correct_answer TEXT,
+        time_limit INTEGER DEFAULT 30,
+        points INTEGER DEFAULT 100,
+        question_order INTEGER,
+        question_type TEXT DEFAULT 'buzzer',
+        options TEXT,
+        correct_option INTEGER,
+        round_id TEXT,
+        penalty_mode TEXT,
+        penalty_value REAL,
+        bank_question_id TEXT,
+        difficulty TEXT,
+        category TEXT,
+        tags TEXT DEFAULT '[]',
+        explanation TEXT,
+        source TEXT,
+        is_tiebreaker BOOLEAN DEFAULT 0,
+        FOREIGN KEY (game_id) REFERENCES games (id),
+        FOREIGN KEY (round_id) REFERENCES rounds (id),
+        FOREIGN KEY (bank_question_id) REFERENCES question_bank (id)
+      )`,
+
+      `CREATE TABLE IF NOT EXISTS question_bank (
+        id TEXT PRIMARY KEY,
+        text TEXT NOT NULL,
+        media_url TEXT,
+        correct_answer TEXT,
+        time_limit INTEGER DEFAULT 30,
+        points INTEGER DEFAULT 100,
+        question_type TEXT DEFAULT 'buzzer',
+        options TEXT,
+        correct_option INTEGER,
+        difficulty TEXT,
+        category TEXT,
+        tags TEXT DEFAULT '[]',
+        explanation TEXT,
+        source TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`,
+
+      `CREATE TABLE IF NOT EXISTS rounds (
+        id TEXT PRIMARY KEY,
+        game_id TEXT,
+        name TEXT NOT NULL,
+        description TEXT DEFAULT '',
+        round_order INTEGER,
+        default_time_limit INTEGER DEFAULT 30,
+        point_multiplier REAL DEFAULT 1,
+        scoring_mode TEXT DEFAULT 'game',
+        FOREIGN KEY (game_id) REFERENCES games (id)
+      )`,
+    
+      `CREATE TABLE IF NOT EXISTS buzzer_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        game_id TEXT,
+        question_id TEXT,
+        group_id TEXT,
+        timestamp INTEGER,
+        delta_ms INTEGER,
+        false_start BOOLEAN DEFAULT 0,
+        session_id TEXT,
+        buzzer_id TEXT,
+        is_correct BOOLEAN,
+        points_awarded INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (game_id) REFERENCES games (id),
+        FOREIGN KEY (question_id) REFERENCES questions (id),
+        FOREIGN KEY (group_id) REFERENCES groups (id)
+      )`,
+    
+      `CREATE TABLE IF NOT EXISTS live_question_state (
+        game_id TEXT PRIMARY KEY,
+        question_id TEXT,
+        state TEXT NOT NULL,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (game_id) REFERENCES games (id)
+      )`,
+      `CREATE TABLE IF NOT EXISTS wagers (
+        id TEXT PRIMARY KEY,
+        game_id TEXT,
+        question_id TEXT,
+        group_id TEXT,
+        amount INTEGER DEFAULT 0,
+        locked BOOLEAN DEFAULT 0,
+        is_correct BOOLEAN,
+        points_awarded INTEGER,
+        revealed BOOLEAN DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (game_id, question_id, group_id),
+        FOREIGN KEY (game_id) REFERENCES games (id),
+        FOREIGN KEY (question_id) REFERENCES questions (id),
+        FOREIGN KEY (group_id) REFERENCES groups (id)
+      )`,
+
+      `CREATE TABLE IF NOT EXISTS score_ledger (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        game_id TEXT,
+        group_id TEXT,
+        question_id TEXT,
+        delta INTEGER NOT NULL,
+        previous_score INTEGER,
+        new_score INTEGER,
+        reason TEXT NOT NULL,
+        actor TEXT,
+        buzzer_state TEXT,
+        undone BOOLEAN DEFAULT 0,
+        undone_by TEXT,
+        undone_at DATETIME,
+        session_id TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (game_id) REFERENCES games (id),
+        FOREIGN KEY (group_id) REFERENCES groups (id)
+      )`,
+
+      `CREATE TABLE IF NOT EXISTS game_sessions (
+        id TEXT PRIMARY KEY,
+        game_id TEXT,
+        session_number INTEGER NOT NULL,
+        status TEXT DEFAULT 'active',
+        final_standings TEXT,
+        started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        ended_at DATETIME,
+        FOREIGN KEY (game_id) REFERENCES games (id)
+      )`,
+
+      `CREATE TABLE IF NOT EXISTS game_settings (
+        id TEXT PRIMARY KEY,
+        game_id TEXT,
+        setting_key TEXT NOT NULL,
+        setting_value TEXT,
+        FOREIGN KEY (game_id) REFERENCES games (id)
+      )`
+    ];
+
+    for (const table of tables) {
+      await db.run(table);
+    }
+
+    for (const [tableName, columns] of Object.entries(LEGACY_COLUMNS)) {
+      const existing = (await db.all(`PRAGMA table_info(${tableName})`)).map(column => column.name);
+      for (const [columnName, columnDef] of columns) {
+        if (!existing.includes(columnName)) {
+          await db.run(`ALTER TABLE ${tableName} ADD COLUMN ${columnName} ${columnDef}`);
+        }
+      }
+    }
+  }
+};
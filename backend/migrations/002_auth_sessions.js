@@ -0,0 +1,12 @@
+// Login sessions for role-based access. Only a hash of each token is stored, so a
+// copy of the database (or a backup) can't be used to log in.
+module.exports = {
+  async up(db) {
+    await db.run(`CREATE TABLE auth_sessions (
+      token_hash TEXT PRIMARY KEY,
+      role TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      expires_at DATETIME NOT NULL
+    )`);
+  }
+};
@@ -0,0 +1,14 @@
+// Per-team join codes for virtual buzzers, kept out of the groups table so they never
+// travel with the team list that every screen receives
+module.exports = {
+  async up(db) {
+    await db.run(`CREATE TABLE team_join_codes (
+      group_id TEXT PRIMARY KEY,
+      game_id TEXT NOT NULL,
+      code TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await db.run('CREATE INDEX idx_team_join_codes_game ON team_join_codes (game_id)');
+    await db.run('ALTER TABLE games ADD COLUMN virtual_buzzers_per_team INTEGER DEFAULT 1');
+  }
+};
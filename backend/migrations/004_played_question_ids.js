@@ -0,0 +1,26 @@
+// played_questions held positions in the game's question list, which move whenever
+// rounds or questions are reordered. Store the played questions' IDs instead, read
+// against the order the list has now.
+module.exports = {
+  async up(db) {
+    const games = await db.all("SELECT id, played_questions FROM games WHERE played_questions IS NOT NULL AND played_questions != '[]'");
+
+    for (const game of games) {
+      let played = [];
+      try {
+        played = JSON.parse(game.played_questions);
+      } catch (error) {
+        played = [];
+      }
+
+      const questions = await db.all(
+        `SELECT q.id FROM questions q LEFT JOIN rounds r ON q.round_id = r.id
+         WHERE q.game_id = ? ORDER BY COALESCE(q.is_tiebreaker, 0), COALESCE(r.round_order, 0), q.question_order`,
+        [game.id]
+      );
+      const questionIds = [...new Set(played.map(index => questions[index]?.id).filter(Boolean))];
+
+      await db.run('UPDATE games SET played_questions = ? WHERE id = ?', [JSON.stringify(questionIds), game.id]);
+    }
+  }
+};
@@ -0,0 +1,7 @@
+// Resetting scores also clears each team's misses and tie-break place. Reset entries
+// keep those values so undoing the reset puts them back too.
+module.exports = {
+  async up(db) {
+    await db.run('ALTER TABLE score_ledger ADD COLUMN reset_state TEXT');
+  }
+};
@@ -0,0 +1,45 @@
+// Which questions each session played. games.played_questions only covers the current
+// run and is cleared on reset, so past runs keep their list here. Bank questions carry
+// their bank ID so the record outlives the game's own question rows.
+module.exports = {
+  async up(db) {
+    await db.run(`CREATE TABLE session_questions (
+      session_id TEXT NOT NULL,
+      game_id TEXT NOT NULL,
+      question_id TEXT NOT NULL,
+      bank_question_id TEXT,
+      played_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (session_id, question_id)
+    )`);
+    await db.run('CREATE INDEX idx_session_questions_played_at ON session_questions (played_at)');
+
+    // Earlier runs only left their buzzer events behind
+    await db.run(
+      `INSERT OR IGNORE INTO session_questions (session_id, game_id, question_id, bank_question_id, played_at)
+       SELECT e.session_id, e.game_id, e.question_id, q.bank_question_id, MIN(e.created_at)
+       FROM buzzer_events e LEFT JOIN questions q ON q.id = e.question_id
+       WHERE e.session_id IS NOT NULL AND e.question_id IS NOT NULL
+       GROUP BY e.session_id, e.question_id`
+    );
+
+    const games = await db.all("SELECT id, current_session_id, played_questions, updated_at FROM games WHERE current_session_id IS NOT NULL AND played_questions != '[]'");
+    for (const game of games) {
+      let played = [];
+      try {
+        played = JSON.parse(game.played_questions);
+      } catch (error) {
+        played = [];
+      }
+
+      for (const questionId of played) {
+        const question = await db.get('SELECT bank_question_id FROM questions WHERE id = ?', [questionId]);
+        if (!question) continue;
+        await db.run(
+          `INSERT OR IGNORE INTO session_questions (session_id, game_id, question_id, bank_question_id, played_at)
+           VALUES (?, ?, ?, ?, ?)`,
+          [game.current_session_id, game.id, questionId, question.bank_question_id, game.updated_at]
+        );
+      }
+    }
+  }
+};
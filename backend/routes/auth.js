@@ -0,0 +1,39 @@
+const express = require('express');
+
+module.exports = (authService) => {
+  const router = express.Router();
+
+  // Whether login is needed, who this client is logged in as, and which roles can log in
+  router.get('/status', async (req, res) => {
+    try {
+      const session = await authService.authenticate(req);
+      res.json(authService.getStatus(session));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Body: { role, secret } where secret is the admin password or the role's PIN
+  router.post('/login', async (req, res) => {
+    try {
+      const { role, secret } = req.body || {};
+      const session = await authService.login(role, secret, req.ip);
+      authService.setSessionCookie(res, session);
+      res.json(session);
+    } catch (error) {
+      res.status(error.status || 401).json({ error: error.message });
+    }
+  });
+
+  router.post('/logout', async (req, res) => {
+    try {
+      await authService.logout(authService.getToken(req.headers));
+      authService.clearSessionCookie(res);
+      res.json({ success: true });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+};
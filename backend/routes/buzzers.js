@@ -1,6 +1,6 @@
 const express = require('express');
 
-module.exports = (esp32Service) => {
+module.exports = (esp32Service, gameService) => {
   const router = express.Router();
 
   router.get('/status', async (req, res) => {
@@ -21,9 +21,10 @@ module.exports = (esp32Service) => {
     }
   });
 
+  // { gameId } limits the disarm to that game's buzzers
   router.post('/disarm', async (req, res) => {
     try {
-      const result = await esp32Service.disarmBuzzers();
+      const result = await esp32Service.disarmBuzzers(req.body?.gameId || null);
       res.json(result);
     } catch (error) {
       res.status(400).json({ error: error.message });
@@ -39,9 +40,10 @@ module.exports = (esp32Service) => {
     }
   });
 
+  // Buzzer presses of the game's current session, or of ?sessionId=
   router.get('/history/:gameId', async (req, res) => {
     try {
-      const history = await esp32Service.getBuzzerHistory(req.params.gameId);
+      const history = await gameService.getBuzzerHistory(req.params.gameId, req.query.sessionId || null);
       res.json(history);
     } catch (error) {
       res.status(500).json({ error: error.message });
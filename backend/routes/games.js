@@ -2,8 +2,15 @@ const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
+const os = require('os');
 
-module.exports = (gameService) => {
+// Who a score change is recorded against in the ledger: the caller's login role, or
+// 'host' while authentication is off and nobody is logged in
+function getLedgerActor(req) {
+  return req.auth && !req.auth.anonymous ? req.auth.role : 'host';
+}
+
+module.exports = (gameService, questionBankService, analyticsService, bundleService, virtualBuzzerService) => {
   const router = express.Router();
 
   // Configure multer for file uploads
@@ -115,9 +122,56 @@ module.exports = (gameService) => {
     }
   });
 
+  // Games currently open on this server, with the buzzer devices each one owns
+  router.get('/running', async (req, res) => {
+    try {
+      res.json(await gameService.getRunningGames());
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Recreate a game from an exported bundle (multipart field "bundle", optional "name")
+  const bundleUpload = multer({
+    dest: os.tmpdir(),
+    limits: { fileSize: (parseInt(process.env.BUNDLE_MAX_FILE_SIZE_MB) || 1024) * 1024 * 1024 }
+  });
+
+  router.post('/import', bundleUpload.single('bundle'), async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({ error: 'No bundle uploaded' });
+      }
+
+      const game = await bundleService.importGame(req.file.path, { name: req.body.name });
+      res.status(201).json(game);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    } finally {
+      if (req.file) await fs.unlink(req.file.path).catch(() => {});
+    }
+  });
+
+  // Download the game as a bundle: settings, branding, teams, rounds, questions and media
+  router.get('/:id/export', async (req, res) => {
+    let bundle;
+    try {
+      bundle = await bundleService.exportGame(req.params.id);
+    } catch (error) {
+      return res.status(404).json({ error: error.message });
+    }
+
+    res.download(bundle.archivePath, bundle.filename, () => bundle.cleanup());
+  });
+
   router.get('/:id', async (req, res) => {
     try {
       const game = await gameService.getGame(req.params.id);
+      // Players only need the teams; the questions would give the answers away
+      if (req.auth?.role === 'player') {
+        const { id, name, status, groups } = game;
+        return res.json({ id, name, status, groups });
+      }
       res.json(game);
     } catch (error) {
       res.status(404).json({ error: error.message });
@@ -133,6 +187,16 @@ module.exports = (gameService) => {
     }
   });
 
+  // Build a game from the question bank by difficulty, category and recent use
+  router.post('/generate', async (req, res) => {
+    try {
+      const game = await questionBankService.generateGame(req.body);
+      res.status(201).json(game);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
   router.patch('/:id', async (req, res) => {
     try {
       const game = await gameService.updateGame(req.params.id, req.body);
@@ -162,6 +226,118 @@ module.exports = (gameService) => {
     }
   });
 
+  router.post('/:id/start-round/:roundId', async (req, res) => {
+    try {
+      const result = await gameService.startRound(req.params.id, req.params.roundId);
+      res.json(result);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  router.put('/:id/game-mode', async (req, res) => {
+    try {
+      const game = await gameService.setGameMode(req.params.id, req.body.gameMode);
+      res.json(game);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  router.get('/:id/board', async (req, res) => {
+    try {
+      const game = await gameService.getGame(req.params.id);
+      res.json(gameService.getBoard(game));
+    } catch (error) {
+      res.status(404).json({ error: error.message });
+    }
+  });
+
+  router.post('/:id/board/show', async (req, res) => {
+    try {
+      const board = await gameService.showBoard(req.params.id);
+      res.json(board || { remaining: 0 });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  router.post('/:id/board/pick', async (req, res) => {
+    try {
+      const { questionId, groupId } = req.body;
+      const question = await gameService.pickBoardCell(req.params.id, questionId, { groupId });
+      res.json(question);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  // Final-round wagering
+  router.get('/:id/wagers', async (req, res) => {
+    try {
+      const wagers = await gameService.getWagers(req.params.id);
+      res.json(wagers);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  router.post('/:id/wagers/open', async (req, res) => {
+    try {
+      const result = await gameService.openWagers(req.params.id);
+      res.json(result);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  router.post('/:id/wagers', async (req, res) => {
+    try {
+      const { groupId, amount } = req.body;
+      const result = await gameService.submitWager(req.params.id, groupId, amount);
+      res.json(result);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  router.post('/:id/wagers/:groupId/mark', async (req, res) => {
+    try {
+      const result = await gameService.markWager(req.params.id, req.params.groupId, Boolean(req.body.isCorrect));
+      res.json(result);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  router.post('/:id/wagers/reveal-next', async (req, res) => {
+    try {
+      const result = await gameService.revealNextWager(req.params.id);
+      res.json(result);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  // Sudden death between the teams tied for the highest position, or end the game tied
+  router.post('/:id/tiebreaker/start', async (req, res) => {
+    try {
+      const question = await gameService.startSuddenDeath(req.params.id);
+      res.json({ success: true, question });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  router.post('/:id/tiebreaker/decline', async (req, res) => {
+    try {
+      const result = await gameService.declineTieBreak(req.params.id);
+      res.json(result);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
   router.post('/:id/navigate-to-question/:questionIndex', async (req, res) => {
     try {
       const questionIndex = parseInt(req.params.questionIndex);
@@ -172,6 +348,16 @@ module.exports = (gameService) => {
     }
   });
 
+  // Arm buzzers before the reading phase runs out
+  router.post('/:id/end-reading', async (req, res) => {
+    try {
+      const result = await gameService.endReadingPhase(req.params.id);
+      res.json(result);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
   router.post('/:id/end-question', async (req, res) => {
     try {
       await gameService.endQuestion(req.params.id);
@@ -184,13 +370,61 @@ module.exports = (gameService) => {
   router.post('/:id/award-points', async (req, res) => {
     try {
       const { groupId, points } = req.body;
-      const group = await gameService.awardPoints(req.params.id, groupId, points);
+      const group = await gameService.awardPoints(req.params.id, groupId, points, { reason: 'manual', actor: getLedgerActor(req) });
       res.json(group);
     } catch (error) {
       res.status(400).json({ error: error.message });
     }
   });
 
+  router.get('/:id/score-ledger', async (req, res) => {
+    try {
+      const ledger = await gameService.getScoreLedger(req.params.id);
+      res.json(ledger);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  router.post('/:id/score-ledger/undo', async (req, res) => {
+    try {
+      const { count = 1 } = req.body;
+      const result = await gameService.undoScoreEntries(req.params.id, count, getLedgerActor(req));
+      res.json(result);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  // Past and current runs of the game
+  router.get('/:id/sessions', async (req, res) => {
+    try {
+      const sessions = await gameService.getSessions(req.params.id);
+      res.json(sessions);
+    } catch (error) {
+      res.status(404).json({ error: error.message });
+    }
+  });
+
+  router.get('/:id/sessions/:sessionId', async (req, res) => {
+    try {
+      const session = await gameService.getSession(req.params.id, req.params.sessionId);
+      res.json(session);
+    } catch (error) {
+      res.status(404).json({ error: error.message });
+    }
+  });
+
+  // Buzz order, reaction times and correct/wrong rates for the current session, or ?sessionId=
+  router.get('/:id/analytics', async (req, res) => {
+    try {
+      const analytics = await analyticsService.getGameAnalytics(req.params.id, req.query.sessionId || null);
+      res.json(analytics);
+    } catch (error) {
+      res.status(404).json({ error: error.message });
+    }
+  });
+
   router.get('/:id/state', async (req, res) => {
     try {
       const state = await gameService.getGameState(req.params.id);
@@ -220,7 +454,7 @@ module.exports = (gameService) => {
 
   router.post('/:id/reset-scores', async (req, res) => {
     try {
-      const game = await gameService.resetScores(req.params.id);
+      const game = await gameService.resetScores(req.params.id, getLedgerActor(req));
       res.json(game);
     } catch (error) {
       res.status(400).json({ error: error.message });
@@ -262,19 +496,23 @@ module.exports = (gameService) => {
     try {
       const gameId = req.params.id;
       
-      // Check if this is the current global game
-      const currentGlobalGame = gameService.getCurrentGlobalGame();
+      // Release the game's buzzers before its data goes
+      await gameService.closeGame(gameId);
       
       // Delete all related data
       await gameService.db.run('DELETE FROM buzzer_events WHERE game_id = ?', [gameId]);
+      await gameService.db.run('DELETE FROM wagers WHERE game_id = ?', [gameId]);
+      await gameService.db.run('DELETE FROM score_ledger WHERE game_id = ?', [gameId]);
+      await gameService.db.run('DELETE FROM game_sessions WHERE game_id = ?', [gameId]);
+      gameService.currentSessions.delete(gameId);
+      await gameService.removeActiveGame(gameId);
       await gameService.db.run('DELETE FROM questions WHERE game_id = ?', [gameId]);
+      await gameService.db.run('DELETE FROM rounds WHERE game_id = ?', [gameId]);
+      await gameService.db.run('DELETE FROM team_join_codes WHERE game_id = ?', [gameId]);
       await gameService.db.run('DELETE FROM groups WHERE game_id = ?', [gameId]);
       await gameService.db.run('DELETE FROM games WHERE id = ?', [gameId]);
-      
-      // If this was the current global game, clear it
-      if (currentGlobalGame === gameId) {
-        await gameService.setCurrentGlobalGame(null);
-      }
+
+      gameService.io.emit('game-deleted', { gameId });
       
       res.json({ success: true, message: 'Game deleted successfully' });
     } catch (error) {
@@ -283,35 +521,23 @@ module.exports = (gameService) => {
     }
   });
 
-  // Global Game Management Routes
-  
-  // Get current global game status
-  router.get('/global/current', async (req, res) => {
-    try {
-      const globalStatus = await gameService.getGlobalGameStatus();
-      res.json(globalStatus);
-    } catch (error) {
-      res.status(500).json({ error: error.message });
-    }
-  });
-
-  // Set current global game
-  router.post('/global/set/:id', async (req, res) => {
+  // Open a game so clients can bind to it and its teams' buzzers reach it
+  router.post('/:id/open', async (req, res) => {
     try {
-      const game = await gameService.setCurrentGlobalGame(req.params.id);
+      const game = await gameService.openGame(req.params.id);
       res.json({ success: true, game });
     } catch (error) {
-      res.status(404).json({ error: error.message });
+      res.status(400).json({ error: error.message });
     }
   });
 
-  // Clear current global game
-  router.post('/global/clear', async (req, res) => {
+  // Close a running game and release its buzzers
+  router.post('/:id/close', async (req, res) => {
     try {
-      await gameService.setCurrentGlobalGame(null);
-      res.json({ success: true, game: null });
+      await gameService.closeGame(req.params.id);
+      res.json({ success: true });
     } catch (error) {
-      res.status(500).json({ error: error.message });
+      res.status(400).json({ error: error.message });
     }
   });
 
@@ -367,6 +593,24 @@ module.exports = (gameService) => {
     }
   });
 
+  // Each team's virtual buzzer join code and how many phones hold the team
+  router.get('/:id/join-codes', async (req, res) => {
+    try {
+      res.json(await virtualBuzzerService.getJoinCodes(req.params.id));
+    } catch (error) {
+      res.status(404).json({ error: error.message });
+    }
+  });
+
+  // Issue a new code for a team; phones holding it have to join again
+  router.post('/:id/join-codes/:groupId/reset', async (req, res) => {
+    try {
+      res.json(await virtualBuzzerService.resetJoinCode(req.params.id, req.params.groupId));
+    } catch (error) {
+      res.status(404).json({ error: error.message });
+    }
+  });
+
   // Show correct answer
   router.post('/:id/show-answer', async (req, res) => {
     try {
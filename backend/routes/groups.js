@@ -29,11 +29,15 @@ module.exports = (gameService) => {
       const { v4: uuidv4 } = require('uuid');
       const groupId = uuidv4();
       const { name, color, buzzer_id } = req.body;
+      if (buzzer_id) {
+        gameService.checkBuzzerAvailable(req.params.gameId, buzzer_id);
+      }
       
       const result = await gameService.db.run(
         'INSERT INTO groups (id, game_id, name, color, buzzer_id, position) VALUES (?, ?, ?, ?, ?, ?)',
         [groupId, req.params.gameId, name, color, buzzer_id, Date.now()]
       );
+      await gameService.refreshGameBuzzers(req.params.gameId);
       
       const group = await gameService.db.get('SELECT * FROM groups WHERE id = ?', [groupId]);
       res.status(201).json(group);
@@ -45,10 +49,18 @@ module.exports = (gameService) => {
   router.put('/:id', async (req, res) => {
     try {
       const { name, color, buzzer_id } = req.body;
+      const existing = await gameService.db.get('SELECT game_id FROM groups WHERE id = ?', [req.params.id]);
+      if (existing && buzzer_id) {
+        gameService.checkBuzzerAvailable(existing.game_id, buzzer_id);
+      }
+
       await gameService.db.run(
         'UPDATE groups SET name = ?, color = ?, buzzer_id = ? WHERE id = ?',
         [name, color, buzzer_id, req.params.id]
       );
+      if (existing) {
+        await gameService.refreshGameBuzzers(existing.game_id);
+      }
       
       const group = await gameService.db.get('SELECT * FROM groups WHERE id = ?', [req.params.id]);
       res.json(group);
@@ -59,7 +71,12 @@ module.exports = (gameService) => {
 
   router.delete('/:id', async (req, res) => {
     try {
+      const existing = await gameService.db.get('SELECT game_id FROM groups WHERE id = ?', [req.params.id]);
+      await gameService.db.run('DELETE FROM team_join_codes WHERE group_id = ?', [req.params.id]);
       await gameService.db.run('DELETE FROM groups WHERE id = ?', [req.params.id]);
+      if (existing) {
+        await gameService.refreshGameBuzzers(existing.game_id);
+      }
       res.json({ success: true });
     } catch (error) {
       res.status(400).json({ error: error.message });
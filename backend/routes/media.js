@@ -0,0 +1,107 @@
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs').promises;
+
+module.exports = (mediaService) => {
+  const router = express.Router();
+
+  const maxFileSizeMb = parseInt(process.env.MEDIA_MAX_FILE_SIZE_MB) || 100;
+  const allowedExtensions = Object.values(mediaService.constructor.MEDIA_TYPES).flat();
+
+  // Uploads land in the folder resolved for the request (req.mediaFolder)
+  const storage = multer.diskStorage({
+    destination: async (req, file, cb) => {
+      try {
+        const dir = path.join(mediaService.uploadRoot, req.mediaFolder);
+        await fs.mkdir(dir, { recursive: true });
+        cb(null, dir);
+      } catch (error) {
+        cb(error);
+      }
+    },
+    filename: (req, file, cb) => {
+      cb(null, mediaService.buildFilename(file.originalname));
+    }
+  });
+
+  const upload = multer({
+    storage,
+    limits: { fileSize: maxFileSizeMb * 1024 * 1024 },
+    fileFilter: (req, file, cb) => {
+      const ext = path.extname(file.originalname).toLowerCase();
+      if (!/^(image|audio|video)\//.test(file.mimetype) || !allowedExtensions.includes(ext)) {
+        return cb(new Error('Only image, audio and video files are allowed'), false);
+      }
+      cb(null, true);
+    }
+  });
+
+  // List the library; ?gameId= limits it to one game's folder ('bank' for bank media)
+  router.get('/', async (req, res) => {
+    try {
+      const media = await mediaService.listMedia({ gameId: req.query.gameId || null });
+      res.json(media);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Files no question, bank question or logo points at
+  router.get('/unused', async (req, res) => {
+    try {
+      const media = await mediaService.getUnusedMedia({ gameId: req.query.gameId || null });
+      res.json(media);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.delete('/unused', async (req, res) => {
+    try {
+      const result = await mediaService.deleteUnusedMedia({ gameId: req.query.gameId || null });
+      res.json(result);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Upload one file (field "file") into ?gameId='s folder, or the bank folder without one
+  router.post('/upload', async (req, res) => {
+    try {
+      req.mediaFolder = await mediaService.resolveFolder(req.query.gameId);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    upload.single('file')(req, res, async (uploadError) => {
+      try {
+        if (uploadError) {
+          const message = uploadError.code === 'LIMIT_FILE_SIZE'
+            ? `File is larger than ${maxFileSizeMb}MB`
+            : uploadError.message;
+          return res.status(400).json({ error: message });
+        }
+        if (!req.file) {
+          return res.status(400).json({ error: 'No file uploaded' });
+        }
+
+        const media = await mediaService.describeUpload(req.mediaFolder, req.file);
+        res.status(201).json(media);
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+  });
+
+  router.delete('/:folder/:filename', async (req, res) => {
+    try {
+      const result = await mediaService.deleteMedia(req.params.folder, req.params.filename);
+      res.json(result);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,58 @@
+const express = require('express');
+
+module.exports = (questionBankService) => {
+  const router = express.Router();
+
+  // ?search=text&tags=a,b&type=buzzer
+  router.get('/', async (req, res) => {
+    try {
+      const { search = '', tags = '', type = null } = req.query;
+      res.json(await questionBankService.listQuestions({ search, tags, type }));
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  router.get('/tags', async (req, res) => {
+    try {
+      res.json(await questionBankService.getTags());
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  router.get('/:id', async (req, res) => {
+    try {
+      res.json(await questionBankService.getQuestion(req.params.id));
+    } catch (error) {
+      res.status(404).json({ error: error.message });
+    }
+  });
+
+  router.post('/', async (req, res) => {
+    try {
+      const question = await questionBankService.createQuestion(req.body);
+      res.status(201).json(question);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  router.put('/:id', async (req, res) => {
+    try {
+      res.json(await questionBankService.updateQuestion(req.params.id, req.body));
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  router.delete('/:id', async (req, res) => {
+    try {
+      res.json(await questionBankService.deleteQuestion(req.params.id));
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  return router;
+};
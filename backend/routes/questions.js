@@ -1,8 +1,14 @@
 const express = require('express');
+const multer = require('multer');
 
-module.exports = (gameService) => {
+module.exports = (gameService, questionBankService, questionImportService) => {
   const router = express.Router();
 
+  const importUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 10 * 1024 * 1024 }
+  });
+
   router.get('/game/:gameId', async (req, res) => {
     try {
       const game = await gameService.getGame(req.params.gameId);
@@ -14,7 +20,7 @@ module.exports = (gameService) => {
 
   router.get('/:id', async (req, res) => {
     try {
-      const question = await gameService.db.get('SELECT * FROM questions WHERE id = ?', [req.params.id]);
+      const question = await gameService.getQuestion(req.params.id);
       if (!question) {
         return res.status(404).json({ error: 'Question not found' });
       }
@@ -28,7 +34,18 @@ module.exports = (gameService) => {
     try {
       const { v4: uuidv4 } = require('uuid');
       const questionId = uuidv4();
-      const { text, correct_answer, time_limit = 30, points = 100, media_url } = req.body;
+      const { text, points = 100, media_url, round_id = null } = req.body;
+      const typeFields = gameService.normalizeQuestionType(req.body);
+      const penaltyFields = gameService.normalizePenaltyOverride(req.body);
+      const metadata = gameService.normalizeQuestionMetadata(req.body);
+      const isTiebreaker = gameService.normalizeTiebreakerFlag(req.body, typeFields.question_type);
+
+      // New questions in a round take the round's default time limit
+      let { time_limit } = req.body;
+      if (time_limit === undefined || time_limit === null) {
+        const round = round_id ? await gameService.db.get('SELECT default_time_limit FROM rounds WHERE id = ?', [round_id]) : null;
+        time_limit = round?.default_time_limit || 30;
+      }
       
       const maxOrder = await gameService.db.get(
         'SELECT MAX(question_order) as max_order FROM questions WHERE game_id = ?',
@@ -37,12 +54,56 @@ module.exports = (gameService) => {
       const questionOrder = (maxOrder?.max_order || 0) + 1;
       
       await gameService.db.run(
-        'INSERT INTO questions (id, game_id, text, correct_answer, time_limit, points, media_url, question_order) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
-        [questionId, req.params.gameId, text, correct_answer, time_limit, points, media_url, questionOrder]
+        `INSERT INTO questions (id, game_id, text, correct_answer, time_limit, points, media_url, question_order, question_type, options, correct_option, round_id, penalty_mode, penalty_value,
+         difficulty, category, tags, explanation, source, is_tiebreaker) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [questionId, req.params.gameId, text, typeFields.correct_answer, time_limit, points, media_url, questionOrder,
+          typeFields.question_type, typeFields.options, typeFields.correct_option, round_id,
+          penaltyFields.penalty_mode, penaltyFields.penalty_value,
+          metadata.difficulty, metadata.category, metadata.tags, metadata.explanation, metadata.source, isTiebreaker]
       );
       
-      const question = await gameService.db.get('SELECT * FROM questions WHERE id = ?', [questionId]);
-      res.status(201).json(question);
+      res.status(201).json(await gameService.getQuestion(questionId));
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  // Import a question file (multipart field "file", or the text in "content") into a game.
+  // format is csv, json, opentdb or gift (guessed when left out); dryRun=true only
+  // validates and reports; skipDuplicates=false also imports repeated questions.
+  router.post('/game/:gameId/import', importUpload.single('file'), async (req, res) => {
+    const options = { ...req.query, ...req.body };
+    try {
+      const content = req.file ? req.file.buffer.toString('utf8') : options.content;
+      const report = await questionImportService.importQuestions(req.params.gameId, content, {
+        format: options.format || null,
+        filename: req.file?.originalname || null,
+        dryRun: options.dryRun === true || options.dryRun === 'true',
+        skipDuplicates: !(options.skipDuplicates === false || options.skipDuplicates === 'false'),
+        roundId: options.round_id || null
+      });
+      res.status(report.dryRun ? 200 : 201).json(report);
+    } catch (error) {
+      res.status(400).json({ error: error.message, report: error.report });
+    }
+  });
+
+  // Add bank questions to a game as linked questions ({ bankQuestionIds, round_id })
+  router.post('/game/:gameId/from-bank', async (req, res) => {
+    try {
+      const { bankQuestionIds, round_id = null } = req.body;
+      const result = await questionBankService.addToGame(req.params.gameId, bankQuestionIds, { roundId: round_id });
+      res.status(201).json(result);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  // Move a game's own question into the bank ({ tags }); the game keeps it as a linked question
+  router.post('/:id/save-to-bank', async (req, res) => {
+    try {
+      const bankQuestion = await questionBankService.saveToBank(req.params.id, { tags: req.body.tags });
+      res.status(201).json(bankQuestion);
     } catch (error) {
       res.status(400).json({ error: error.message });
     }
@@ -50,14 +111,40 @@ module.exports = (gameService) => {
 
   router.put('/:id', async (req, res) => {
     try {
-      const { text, correct_answer, time_limit, points, media_url } = req.body;
+      const existing = await gameService.getQuestion(req.params.id);
+      if (!existing) {
+        return res.status(404).json({ error: 'Question not found' });
+      }
+
+      // Linked questions get their content from the bank; only the game's own settings change here
+      if (existing.bank_question_id) {
+        const bankQuestion = await questionBankService.getQuestion(existing.bank_question_id);
+        const overrides = questionBankService.resolveOverrides(bankQuestion, req.body);
+        const penaltyFields = gameService.normalizePenaltyOverride(req.body);
+        const isTiebreaker = gameService.normalizeTiebreakerFlag(req.body, bankQuestion.question_type);
+        await gameService.db.run(
+          'UPDATE questions SET time_limit = ?, points = ?, round_id = ?, penalty_mode = ?, penalty_value = ?, is_tiebreaker = ? WHERE id = ?',
+          [overrides.time_limit, overrides.points, req.body.round_id || null,
+            penaltyFields.penalty_mode, penaltyFields.penalty_value, isTiebreaker, req.params.id]
+        );
+        return res.json(await gameService.getQuestion(req.params.id));
+      }
+
+      const { text, time_limit, points, media_url, round_id = null } = req.body;
+      const typeFields = gameService.normalizeQuestionType(req.body);
+      const penaltyFields = gameService.normalizePenaltyOverride(req.body);
+      const metadata = gameService.normalizeQuestionMetadata(req.body);
+      const isTiebreaker = gameService.normalizeTiebreakerFlag(req.body, typeFields.question_type);
       await gameService.db.run(
-        'UPDATE questions SET text = ?, correct_answer = ?, time_limit = ?, points = ?, media_url = ? WHERE id = ?',
-        [text, correct_answer, time_limit, points, media_url, req.params.id]
+        `UPDATE questions SET text = ?, correct_answer = ?, time_limit = ?, points = ?, media_url = ?, question_type = ?, options = ?, correct_option = ?, round_id = ?, penalty_mode = ?, penalty_value = ?,
+         difficulty = ?, category = ?, tags = ?, explanation = ?, source = ?, is_tiebreaker = ? WHERE id = ?`,
+        [text, typeFields.correct_answer, time_limit, points, media_url,
+          typeFields.question_type, typeFields.options, typeFields.correct_option, round_id || null,
+          penaltyFields.penalty_mode, penaltyFields.penalty_value,
+          metadata.difficulty, metadata.category, metadata.tags, metadata.explanation, metadata.source, isTiebreaker, req.params.id]
       );
       
-      const question = await gameService.db.get('SELECT * FROM questions WHERE id = ?', [req.params.id]);
-      res.json(question);
+      res.json(await gameService.getQuestion(req.params.id));
     } catch (error) {
       res.status(400).json({ error: error.message });
     }
@@ -0,0 +1,136 @@
+const express = require('express');
+
+const SCORING_MODES = ['game', 'flat', 'time_based'];
+const ROUND_FIELDS = ['name', 'description', 'default_time_limit', 'point_multiplier', 'scoring_mode'];
+
+// Check the fields a request sends; fields it leaves out keep their current value
+function validateRoundFields(fields) {
+  if ('name' in fields && !fields.name) {
+    return 'Round name is required';
+  }
+  if ('default_time_limit' in fields && !(Number(fields.default_time_limit) > 0)) {
+    return 'Default time limit must be greater than 0';
+  }
+  if ('point_multiplier' in fields && !(Number(fields.point_multiplier) > 0)) {
+    return 'Point multiplier must be greater than 0';
+  }
+  if ('scoring_mode' in fields && !SCORING_MODES.includes(fields.scoring_mode)) {
+    return `Invalid scoring mode: ${fields.scoring_mode}`;
+  }
+  return null;
+}
+
+function pickRoundFields(body) {
+  return Object.fromEntries(ROUND_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]]));
+}
+
+module.exports = (gameService) => {
+  const router = express.Router();
+
+  router.get('/game/:gameId', async (req, res) => {
+    try {
+      const game = await gameService.getGame(req.params.gameId);
+      res.json(game.rounds);
+    } catch (error) {
+      res.status(404).json({ error: error.message });
+    }
+  });
+
+  router.get('/:id', async (req, res) => {
+    try {
+      const round = await gameService.db.get('SELECT * FROM rounds WHERE id = ?', [req.params.id]);
+      if (!round) {
+        return res.status(404).json({ error: 'Round not found' });
+      }
+      res.json(round);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  router.post('/game/:gameId', async (req, res) => {
+    try {
+      const { v4: uuidv4 } = require('uuid');
+      const roundId = uuidv4();
+      const fields = { name: '', ...pickRoundFields(req.body) };
+      const validationError = validateRoundFields(fields);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+      const { name, description = '', default_time_limit = 30, point_multiplier = 1, scoring_mode = 'game' } = fields;
+
+      const maxOrder = await gameService.db.get(
+        'SELECT MAX(round_order) as max_order FROM rounds WHERE game_id = ?',
+        [req.params.gameId]
+      );
+      const roundOrder = (maxOrder?.max_order || 0) + 1;
+
+      await gameService.db.run(
+        'INSERT INTO rounds (id, game_id, name, description, round_order, default_time_limit, point_multiplier, scoring_mode) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+        [roundId, req.params.gameId, name, description, roundOrder, default_time_limit, point_multiplier, scoring_mode]
+      );
+
+      const round = await gameService.db.get('SELECT * FROM rounds WHERE id = ?', [roundId]);
+      res.status(201).json(round);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  router.put('/:id', async (req, res) => {
+    try {
+      const existing = await gameService.db.get('SELECT * FROM rounds WHERE id = ?', [req.params.id]);
+      if (!existing) {
+        return res.status(404).json({ error: 'Round not found' });
+      }
+
+      const fields = pickRoundFields(req.body);
+      const validationError = validateRoundFields(fields);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+      const { name, description, default_time_limit, point_multiplier, scoring_mode } = { ...existing, ...fields };
+
+      await gameService.db.run(
+        'UPDATE rounds SET name = ?, description = ?, default_time_limit = ?, point_multiplier = ?, scoring_mode = ? WHERE id = ?',
+        [name, description, default_time_limit, point_multiplier, scoring_mode, req.params.id]
+      );
+
+      const round = await gameService.db.get('SELECT * FROM rounds WHERE id = ?', [req.params.id]);
+      res.json(round);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  // Deleting a round keeps its questions; they just stop belonging to a round
+  router.delete('/:id', async (req, res) => {
+    try {
+      await gameService.db.run('UPDATE questions SET round_id = NULL WHERE round_id = ?', [req.params.id]);
+      await gameService.db.run('DELETE FROM rounds WHERE id = ?', [req.params.id]);
+      res.json({ success: true });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  router.put('/game/:gameId/reorder', async (req, res) => {
+    try {
+      const { roundIds } = req.body;
+
+      for (let i = 0; i < roundIds.length; i++) {
+        await gameService.db.run(
+          'UPDATE rounds SET round_order = ? WHERE id = ? AND game_id = ?',
+          [i + 1, roundIds[i], req.params.gameId]
+        );
+      }
+
+      const game = await gameService.getGame(req.params.gameId);
+      res.json(game.rounds);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  return router;
+};
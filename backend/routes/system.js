@@ -1,11 +1,19 @@
 const express = require('express');
+const multer = require('multer');
+const os = require('os');
+const fs = require('fs').promises;
 const { exec } = require('child_process');
 const util = require('util');
 const execAsync = util.promisify(exec);
 
-module.exports = (io, esp32Service, gameService) => {
+module.exports = (io, esp32Service, gameService, backupService) => {
   const router = express.Router();
 
+  const backupUpload = multer({
+    dest: os.tmpdir(),
+    limits: { fileSize: (parseInt(process.env.BUNDLE_MAX_FILE_SIZE_MB) || 1024) * 1024 * 1024 }
+  });
+
   // Get system status
   router.get('/status', async (req, res) => {
     try {
@@ -134,5 +142,74 @@ module.exports = (io, esp32Service, gameService) => {
     }
   });
 
+  // Backups: database snapshot plus uploads, newest first
+  router.get('/backups', async (req, res) => {
+    try {
+      res.json({
+        backups: await backupService.listBackups(),
+        schedule: backupService.getSchedule()
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.post('/backup', async (req, res) => {
+    try {
+      const backup = await backupService.createBackup('manual');
+      res.status(201).json(backup);
+    } catch (error) {
+      console.error('Error creating backup:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Add a backup downloaded from this or another server (multipart field "backup")
+  router.post('/backups/upload', backupUpload.single('backup'), async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({ error: 'No backup uploaded' });
+      }
+
+      const backup = await backupService.addUploadedBackup(req.file.path);
+      res.status(201).json(backup);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    } finally {
+      if (req.file) await fs.unlink(req.file.path).catch(() => {});
+    }
+  });
+
+  router.get('/backups/:filename/download', async (req, res) => {
+    try {
+      const backupPath = await backupService.getBackupPath(req.params.filename);
+      res.download(backupPath, req.params.filename);
+    } catch (error) {
+      res.status(404).json({ error: error.message });
+    }
+  });
+
+  // Replace the database and uploads with a backup; the current state is backed up first
+  router.post('/backups/:filename/restore', async (req, res) => {
+    try {
+      const result = await backupService.restoreBackup(req.params.filename);
+      res.json(result);
+
+      // Every screen is showing data that no longer exists
+      io.emit('database-restored', { restored: result.restored });
+    } catch (error) {
+      console.error('Error restoring backup:', error);
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  router.delete('/backups/:filename', async (req, res) => {
+    try {
+      res.json(await backupService.deleteBackup(req.params.filename));
+    } catch (error) {
+      res.status(404).json({ error: error.message });
+    }
+  });
+
   return router;
 };
@@ -23,13 +23,25 @@ const Database = require('./services/database');
 const GameService = require('./services/gameService');
 const ESP32Service = require('./services/esp32Service');
 const FirebaseService = require('./services/firebaseService');
+const QuestionBankService = require('./services/questionBankService');
+const AnalyticsService = require('./services/analyticsService');
+const MediaService = require('./services/mediaService');
+const BundleService = require('./services/bundleService');
+const QuestionImportService = require('./services/questionImportService');
+const BackupService = require('./services/backupService');
+const AuthService = require('./services/authService');
+const VirtualBuzzerService = require('./services/virtualBuzzerService');
 
 const gameRoutes = require('./routes/games');
 const groupRoutes = require('./routes/groups');
 const questionRoutes = require('./routes/questions');
+const roundRoutes = require('./routes/rounds');
+const questionBankRoutes = require('./routes/questionBank');
 const buzzerRoutes = require('./routes/buzzers');
+const mediaRoutes = require('./routes/media');
 const wifiRoutes = require('./routes/wifi');
 const systemRoutes = require('./routes/system');
+const authRoutes = require('./routes/auth');
 
 const app = express();
 const server = http.createServer(app);
@@ -128,16 +140,31 @@ const db = new Database();
 const esp32Service = new ESP32Service(io);
 const gameService = new GameService(db, io, esp32Service);
 const firebaseService = new FirebaseService();
+const questionBankService = new QuestionBankService(db, gameService);
+const analyticsService = new AnalyticsService(gameService);
+const mediaService = new MediaService(db);
+const bundleService = new BundleService(db, gameService, mediaService);
+const questionImportService = new QuestionImportService(db, gameService);
+const backupService = new BackupService(db, gameService, mediaService);
+const authService = new AuthService(db, io);
+const virtualBuzzerService = new VirtualBuzzerService(db, gameService, io);
 
 // Set gameService reference in ESP32Service to enable direct calls
 esp32Service.gameService = gameService;
 
-app.use('/api/games', gameRoutes(gameService));
+// Login comes first; every other API route needs a session with a high enough role
+app.use('/api/auth', authRoutes(authService));
+app.use('/api', authService.apiMiddleware());
+
+app.use('/api/games', gameRoutes(gameService, questionBankService, analyticsService, bundleService, virtualBuzzerService));
 app.use('/api/groups', groupRoutes(gameService));
-app.use('/api/questions', questionRoutes(gameService));
-app.use('/api/buzzers', buzzerRoutes(esp32Service));
+app.use('/api/questions', questionRoutes(gameService, questionBankService, questionImportService));
+app.use('/api/question-bank', questionBankRoutes(questionBankService));
+app.use('/api/rounds', roundRoutes(gameService));
+app.use('/api/buzzers', buzzerRoutes(esp32Service, gameService));
+app.use('/api/media', mediaRoutes(mediaService));
 app.use('/api/wifi', wifiRoutes(esp32Service));
-app.use('/api/system', systemRoutes(io, esp32Service, gameService));
+app.use('/api/system', systemRoutes(io, esp32Service, gameService, backupService));
 
 app.get('/health', (req, res) => {
   res.json({
@@ -167,23 +194,65 @@ app.get('/admin', (req, res) => {
   res.sendFile(path.join(__dirname, '../frontend/admin-config/index.html'));
 });
 
+// Each client follows one game at a time. Its game room carries game events; host
+// controls and displays also get that game's control-/display- room.
+function bindSocketToGame(socket, gameId) {
+  for (const room of socket.rooms) {
+    if (/^(game|control|display)-/.test(room) && room !== `game-${gameId}`) {
+      socket.leave(room);
+    }
+  }
+
+  socket.gameId = gameId;
+  socket.join(`game-${gameId}`);
+  if (socket.isControl) socket.join(`control-${gameId}`);
+  if (socket.isDisplay) socket.join(`display-${gameId}`);
+}
+
+// What host screens are told about a claimed phone (never its claim token)
+function describeVirtualBuzzer({ gameId, groupId, teamName, buzzerId }) {
+  return { gameId, groupId, teamName, buzzerId };
+}
+
+io.use(authService.socketMiddleware());
+
 io.on('connection', (socket) => {
   console.log('Client connected:', socket.id);
+
+  // A buzz arrived when it reached the socket, before any other middleware ran
+  socket.use((packet, next) => {
+    if (packet[0] === 'buzzer-press' && packet[1] && typeof packet[1] === 'object') {
+      packet[1].receivedAt = Date.now();
+    }
+    next();
+  });
+
+  // Room joins and host-only events are checked against the socket's role
+  socket.use(authService.socketEventGuard(socket));
+  socket.on('error', (error) => {
+    socket.emit('auth-error', { error: error.message });
+  });
   
-  // Send current global game status when client connects
-  gameService.getGlobalGameStatus().then(globalStatus => {
-    socket.emit('global-game-status', globalStatus);
+  // Let the client pick from the games that are running
+  gameService.getRunningGames().then(games => {
+    socket.emit('running-games-changed', { games });
   });
   
   socket.on('join-game', (gameId) => {
-    socket.join(`game-${gameId}`);
+    if (!gameId) return;
+    bindSocketToGame(socket, gameId);
     gameService.getGameState(gameId).then(state => {
-      socket.emit('game-state', state);
+      // Players get the game without its answers, as from GET /api/games/:id
+      socket.emit('game-state', authService.hasRole(socket.data.role, 'display') ? state : gameService.getPlayerGameState(state));
+    }).catch(error => {
+      console.error(`Error getting game state for ${gameId}:`, error.message);
     });
   });
   
   socket.on('join-control', () => {
+    socket.isControl = true;
     socket.join('control-panel');
+    if (socket.gameId) socket.join(`control-${socket.gameId}`);
   });
   
   socket.on('join-admin', () => {
@@ -191,46 +260,109 @@ io.on('connection', (socket) => {
   });
   
   socket.on('join-display', () => {
-    socket.join('game-display');
+    socket.isDisplay = true;
+    if (socket.gameId) socket.join(`display-${socket.gameId}`);
   });
   
+  // Team events from a phone must be for the team it claimed; hosts may press for any team
+  const authorizeTeamEvent = (data) =>
+    virtualBuzzerService.authorizeTeamEvent(socket, data, authService.hasRole(socket.data.role, 'host'));
+
   socket.on('buzzer-press', async (data) => {
+    const receivedAt = data?.receivedAt || Date.now();
+    try {
+      data = authorizeTeamEvent(data);
+    } catch (error) {
+      console.warn(`[VIRTUAL] Rejected buzzer press from ${socket.id}: ${error.message}`);
+      socket.emit('buzzer-press-rejected', { error: error.message });
+      return;
+    }
+    // The server decides when the press happened: the phone's own press time on the
+    // server clock, bounded by its measured latency, or else when the press arrived
+    data = { ...data, ...virtualBuzzerService.correctPressTime(socket, data.clientTimestamp, receivedAt) };
     console.log('Buzzer press received:', data);
 
     // Handle the buzzer press through game service
     console.log('Calling gameService.handleBuzzerPress...');
     try {
-      await gameService.handleBuzzerPress(data);
+      const result = await gameService.handleBuzzerPress(data);
       console.log('gameService.handleBuzzerPress completed successfully');
+
+      // False starts and locked-out teams never reach the buzzer order
+      if (result && result.rejected) {
+        return;
+      }
     } catch (error) {
       console.error('Error in gameService.handleBuzzerPress:', error);
     }
+    // The game service announces the press once its place in the buzzer order is known
+  });
+
+  // Multiple-choice pick from a virtual buzzer
+  socket.on('submit-choice', async (data) => {
+    try {
+      data = authorizeTeamEvent(data);
+      const result = await gameService.submitChoice(data.gameId, data.groupId, data.optionIndex, {
+        buzzerId: data.buzzerId
+      });
+      socket.emit('choice-submit-result', result);
+    } catch (error) {
+      console.error('Error submitting choice:', error.message);
+      socket.emit('choice-submit-result', { success: false, error: error.message });
+    }
+  });
 
-    // Broadcast buzzer press to both control panel and display clients
-    console.log('Broadcasting buzzer press to control panel and display clients');
-    console.log('Control panel room size:', io.sockets.adapter.rooms.get('control-panel')?.size || 0);
-    console.log('Display room size:', io.sockets.adapter.rooms.get('game-display')?.size || 0);
+  // Final-round wager from a virtual buzzer
+  socket.on('submit-wager', async (data) => {
+    try {
+      data = authorizeTeamEvent(data);
+      const result = await gameService.submitWager(data.gameId, data.groupId, data.amount);
+      socket.emit('wager-submit-result', result);
+    } catch (error) {
+      console.error('Error submitting wager:', error.message);
+      socket.emit('wager-submit-result', { success: false, error: error.message });
+    }
+  });
 
-    io.to('control-panel').emit('buzzer-pressed', data);
-    io.to('game-display').emit('buzzer-pressed', data);
-    console.log('Buzzer press broadcast sent to all clients');
+  // Board mode cell pick from the team whose turn it is
+  socket.on('pick-board-cell', async (data) => {
+    try {
+      data = authorizeTeamEvent(data);
+      await gameService.pickBoardCell(data.gameId, data.questionId, { groupId: data.groupId });
+      socket.emit('board-pick-result', { success: true, questionId: data.questionId });
+    } catch (error) {
+      console.error('Error picking board cell:', error.message);
+      socket.emit('board-pick-result', { success: false, error: error.message });
+    }
   });
 
   // Virtual buzzer events
-  socket.on('virtual-buzzer-register', (data) => {
-    console.log('Virtual buzzer registered:', data);
-    // Track virtual buzzer registration
-    socket.virtualBuzzerId = data.buzzerId;
-    socket.virtualGroupId = data.groupId;
-    socket.virtualTeamName = data.teamName;
-    
-    // Join game rooms for real-time updates
-    if (gameService.getCurrentGlobalGame()) {
-      socket.join(`game-${gameService.getCurrentGlobalGame()}`);
+  // A phone claims a team with the team's join code: { gameId, groupId, code, claimToken }
+  socket.on('virtual-buzzer-register', async (data) => {
+    const previous = socket.data.virtualBuzzer;
+    try {
+      const binding = await virtualBuzzerService.claimTeam(socket, data);
+      if (previous && previous.buzzerId !== binding.buzzerId) {
+        io.to(`control-${previous.gameId}`).emit('virtual-buzzer-disconnect', describeVirtualBuzzer(previous));
+      }
+
+      // Join the buzzer's game room for real-time updates
+      bindSocketToGame(socket, binding.gameId);
+      socket.emit('virtual-buzzer-registered', { success: true, ...binding });
+
+      // Notify host control about virtual buzzer registration
+      io.to(`control-${binding.gameId}`).emit('virtual-buzzer-register', describeVirtualBuzzer(binding));
+    } catch (error) {
+      console.warn(`[VIRTUAL] Team claim refused for ${socket.id}: ${error.message}`);
+      socket.emit('virtual-buzzer-registered', { success: false, error: error.message });
+    }
+  });
+
+  socket.on('virtual-buzzer-release', () => {
+    const binding = virtualBuzzerService.releaseSocket(socket);
+    if (binding) {
+      io.to(`control-${binding.gameId}`).emit('virtual-buzzer-disconnect', describeVirtualBuzzer(binding));
     }
-    
-    // Notify host control about virtual buzzer registration
-    io.to('control-panel').emit('virtual-buzzer-register', data);
   });
 
   socket.on('request-buzzer-state', async () => {
@@ -238,13 +370,14 @@ io.on('connection', (socket) => {
     try {
       // Get current buzzer state from ESP32 service
       const buzzerStatus = await esp32Service.getStatus();
-      const currentGame = gameService.getCurrentGlobalGame();
+      const currentGame = socket.gameId && gameService.isGameRunning(socket.gameId) ? socket.gameId : null;
+      const gameDevices = esp32Service.getTargetDevices(socket.gameId);
 
-      // Check if any buzzers are currently armed by examining buzzer states
+      // Check if any of this game's buzzers are currently armed by examining buzzer states
       let isArmed = false;
-      if (buzzerStatus && buzzerStatus.buzzerStates) {
-        // Check if any device is armed
+      if (currentGame && buzzerStatus && buzzerStatus.buzzerStates) {
         for (const [deviceId, state] of Object.entries(buzzerStatus.buzzerStates)) {
+          if (gameDevices && !gameDevices.includes(deviceId)) continue;
           if (state.armed === true) {
             isArmed = true;
             break;
@@ -271,19 +404,10 @@ io.on('connection', (socket) => {
     }
   });
 
-  socket.on('request-global-game', async () => {
-    try {
-      const gameStatus = await gameService.getGlobalGameStatus();
-      socket.emit('global-game-changed', gameStatus);
-    } catch (error) {
-      console.error('Error sending global game status:', error);
-    }
-  });
-
-  socket.on('request-teams', () => {
-    // Send current teams if game is active
-    if (gameService.getCurrentGlobalGame()) {
-      gameService.getCurrentGlobalGameData().then(game => {
+  socket.on('request-teams', (gameId) => {
+    // Send the teams of the requested game
+    if (gameId) {
+      gameService.getGame(gameId).then(game => {
         if (game && game.groups) {
           socket.emit('teams-updated', game.groups);
         }
@@ -303,29 +427,26 @@ io.on('connection', (socket) => {
   });
 
   socket.on('show-leaderboard', (data) => {
-    // Broadcast leaderboard show to all display clients with view parameter
+    // Show the leaderboard on this game's displays with view parameter
     const viewData = data || { view: 'all' };
-    io.to('game-display').emit('show-leaderboard', viewData);
+    io.to(`display-${socket.gameId}`).emit('show-leaderboard', viewData);
     console.log(`Leaderboard show broadcasted to display clients (view: ${viewData.view})`);
   });
 
   socket.on('hide-leaderboard', () => {
-    // Broadcast leaderboard hide to all display clients
-    io.to('game-display').emit('hide-leaderboard');
+    // Hide the leaderboard on this game's displays
+    io.to(`display-${socket.gameId}`).emit('hide-leaderboard');
     // console.log('Leaderboard hide broadcasted to display clients');  // Too verbose
   });
   
   socket.on('disconnect', () => {
     console.log('Client disconnected:', socket.id);
     // Clean up virtual buzzer registration
-    if (socket.virtualBuzzerId) {
-      console.log('Virtual buzzer disconnected:', socket.virtualBuzzerId);
+    const binding = virtualBuzzerService.releaseSocket(socket);
+    if (binding) {
+      console.log('Virtual buzzer disconnected:', binding.buzzerId);
       // Notify host control about virtual buzzer disconnection
-      io.to('control-panel').emit('virtual-buzzer-disconnect', {
-        buzzerId: socket.virtualBuzzerId,
-        groupId: socket.virtualGroupId,
-        teamName: socket.virtualTeamName
-      });
+      io.to(`control-${binding.gameId}`).emit('virtual-buzzer-disconnect', describeVirtualBuzzer(binding));
     }
   });
 });
@@ -349,7 +470,15 @@ async function initialize() {
     await db.initialize();
     await esp32Service.initialize();
     await firebaseService.initialize();
-    
+
+    // Pick up any question that was live when the server last stopped
+    const restoredGames = await gameService.restoreActiveGames();
+    if (restoredGames.length > 0) {
+      console.log(`Restored live question state for ${restoredGames.length} game(s)`);
+    }
+
+    backupService.start();
+
     server.listen(PORT, () => {
       console.log(`Trivia Game Server running on port ${PORT}`);
       console.log(`Game Display: http://localhost:${PORT}/display`);
@@ -365,6 +494,7 @@ async function initialize() {
 
 process.on('SIGTERM', async () => {
   console.log('Shutting down gracefully...');
+  backupService.stop();
   await db.close();
   await esp32Service.close();
   process.exit(0);
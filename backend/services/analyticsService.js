@@ -0,0 +1,110 @@
+const average = (values) => (values.length ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length) : null);
+const rate = (part, whole) => (whole ? Math.round((part / whole) * 1000) / 1000 : null);
+
+// Post-game numbers built from the buzzer events of a session: who buzzed in what
+// order and how fast on each question, and how every team did overall.
+class AnalyticsService {
+  constructor(gameService) {
+    this.gameService = gameService;
+  }
+
+  async getGameAnalytics(gameId, sessionId = null) {
+    const game = await this.gameService.getGame(gameId);
+    sessionId = sessionId || await this.gameService.getCurrentSessionId(gameId);
+    const events = await this.gameService.getBuzzerHistory(gameId, sessionId);
+
+    const questions = game.questions
+      .map((question, index) => this.summarizeQuestion(question, index, events.filter(e => e.question_id === question.id)))
+      .filter(question => question.buzzes.length > 0 || question.falseStarts.length > 0);
+
+    const buzzes = questions.flatMap(question => question.buzzes.map(buzz => ({ ...buzz, questionIndex: question.questionIndex })));
+    const falseStarts = questions.flatMap(question => question.falseStarts);
+    const teams = game.groups.map(group => this.summarizeTeam(
+      group,
+      buzzes.filter(buzz => buzz.groupId === group.id),
+      falseStarts.filter(falseStart => falseStart.groupId === group.id).length
+    ));
+
+    const fastest = buzzes.reduce((best, buzz) => (!best || buzz.reactionMs < best.reactionMs ? buzz : best), null);
+
+    return {
+      gameId,
+      sessionId,
+      summary: {
+        questionsWithBuzzes: questions.filter(question => question.buzzes.length > 0).length,
+        totalBuzzes: buzzes.length,
+        falseStarts: falseStarts.length,
+        averageReactionMs: average(buzzes.map(buzz => buzz.reactionMs)),
+        fastestBuzz: fastest
+      },
+      teams,
+      questions
+    };
+  }
+
+  // Buzz order on one question. A team's first buzz sets its place and reaction time,
+  // ordered from when buzzers armed; its outcome is recorded on its latest buzz.
+  summarizeQuestion(question, questionIndex, events) {
+    const firstByTeam = new Map();
+    const latestByTeam = new Map();
+    for (const event of events.filter(e => !e.false_start)) {
+      if (!firstByTeam.has(event.group_id)) firstByTeam.set(event.group_id, event);
+      latestByTeam.set(event.group_id, event);
+    }
+
+    const buzzes = [...firstByTeam.values()]
+      .sort((a, b) => a.delta_ms - b.delta_ms)
+      .map((event, index) => ({
+        position: index + 1,
+        groupId: event.group_id,
+        teamName: event.team_name,
+        buzzerId: event.buzzer_id,
+        reactionMs: event.delta_ms,
+        isCorrect: latestByTeam.get(event.group_id).is_correct,
+        pointsAwarded: latestByTeam.get(event.group_id).points_awarded
+      }));
+
+    const falseStarts = events.filter(e => e.false_start).map(event => ({
+      groupId: event.group_id,
+      teamName: event.team_name,
+      earlyByMs: -event.delta_ms
+    }));
+
+    const reactionTimes = buzzes.map(buzz => buzz.reactionMs);
+    return {
+      questionId: question.id,
+      questionIndex,
+      text: question.text,
+      questionType: question.question_type,
+      buzzes,
+      falseStarts,
+      fastestMs: reactionTimes.length ? Math.min(...reactionTimes) : null,
+      averageMs: average(reactionTimes)
+    };
+  }
+
+  // Rates count judged buzzes only; a buzz the host never ruled on is neither
+  summarizeTeam(group, buzzes, falseStartCount) {
+    const reactionTimes = buzzes.map(buzz => buzz.reactionMs);
+    const correct = buzzes.filter(buzz => buzz.isCorrect === true).length;
+    const wrong = buzzes.filter(buzz => buzz.isCorrect === false).length;
+
+    return {
+      groupId: group.id,
+      name: group.name,
+      color: group.color,
+      score: group.score,
+      buzzes: buzzes.length,
+      firstBuzzes: buzzes.filter(buzz => buzz.position === 1).length,
+      falseStarts: falseStartCount,
+      averageReactionMs: average(reactionTimes),
+      fastestReactionMs: reactionTimes.length ? Math.min(...reactionTimes) : null,
+      correct,
+      wrong,
+      correctRate: rate(correct, correct + wrong),
+      wrongRate: rate(wrong, correct + wrong)
+    };
+  }
+}
+
+module.exports = AnalyticsService;
@@ -0,0 +1,289 @@
+const crypto = require('crypto');
+
+// Roles form a ladder: each role can do everything the roles below it can
+const ROLE_RANK = { player: 1, display: 2, host: 3, admin: 4 };
+const COOKIE_NAME = 'trivia_session';
+const MAX_FAILED_LOGINS = 5;
+const LOGIN_LOCKOUT_MS = 60 * 1000;
+
+// Lowest role allowed to call an API route, first match wins. Paths are relative to
+// /api. Anything not listed is admin-only, so new routes are closed until opened here.
+const API_RULES = [
+  // Virtual buzzers: find the game, its teams and whether phones may buzz
+  ['GET', /^\/games\/running$/, 'player'],
+  ['GET', /^\/games\/[^/]+$/, 'player'],
+  ['GET', /^\/games\/[^/]+\/(virtual-buzzer-settings|available-teams-virtual)$/, 'player'],
+
+  // Exports carry every question and answer; join codes let a phone buzz for a team
+  ['GET', /^\/games\/[^/]+\/export$/, 'admin'],
+  ['GET', /^\/games\/[^/]+\/join-codes$/, 'host'],
+
+  // Displays read game data and open the game they show
+  ['GET', /^\/(games|groups|questions|rounds|question-bank|buzzers)(\/|$)/, 'display'],
+  ['POST', /^\/games\/[^/]+\/(open|close)$/, 'display'],
+
+  // Hosts run games: questions, scoring, buzzers and the venue radio channel
+  ['POST', /^\/games\/[^/]+\/(start-question|start-round|board|wagers|tiebreaker|navigate-to-question|end-reading|end-question|award-points|score-ledger\/undo|reset|reset-questions|reset-scores|evaluate-answer|show-answer|hide-answer|font-size|join-codes)(\/|$)/, 'host'],
+  ['PUT', /^\/games\/[^/]+\/(status|game-mode|virtual-buzzer-settings)$/, 'host'],
+  ['POST', /^\/buzzers\//, 'host'],
+  ['*', /^\/wifi\//, 'host']
+];
+
+// Socket events that need more than a logged-in player
+const SOCKET_EVENT_ROLES = {
+  'join-admin': 'admin',
+  'join-control': 'host',
+  'join-display': 'display',
+  'get-game-state': 'display',
+  'show-leaderboard': 'host',
+  'hide-leaderboard': 'host'
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Role-based access. Admins log in with ADMIN_PASSWORD; hosts, displays and players
+// with HOST_PIN, DISPLAY_PIN and PLAYER_PIN. A role without a PIN can't be logged into
+// directly (admins can still do its job), except players, who need no PIN when
+// PLAYER_PIN is unset. Authentication is off until ADMIN_PASSWORD is set.
+//
+// A login creates a session token, sent back as an HttpOnly cookie for browsers and in
+// the response body for scripts (as "Authorization: Bearer <token>"). Sessions are kept
+// in the database, so they survive restarts, and last AUTH_SESSION_HOURS.
+class AuthService {
+  constructor(database, io = null) {
+    this.db = database;
+    this.io = io;
+    this.secrets = {
+      admin: process.env.ADMIN_PASSWORD || null,
+      host: process.env.HOST_PIN || null,
+      display: process.env.DISPLAY_PIN || null,
+      player: process.env.PLAYER_PIN || null
+    };
+    this.enabled = Boolean(this.secrets.admin);
+    this.sessionHours = parseFloat(process.env.AUTH_SESSION_HOURS) || 168;
+    this.failedLogins = new Map(); // ip -> { count, lockedUntil }
+
+    if (!this.enabled) {
+      console.warn('[AUTH] ADMIN_PASSWORD is not set - authentication is off and every client has admin access');
+    }
+  }
+
+  hasRole(role, requiredRole) {
+    return (ROLE_RANK[role] || 0) >= ROLE_RANK[requiredRole];
+  }
+
+  // What the login screen needs to know
+  getStatus(session) {
+    return {
+      enabled: this.enabled,
+      role: session?.role || null,
+      roles: {
+        admin: true,
+        host: Boolean(this.secrets.host),
+        display: Boolean(this.secrets.display),
+        player: true
+      },
+      playerPinRequired: Boolean(this.secrets.player)
+    };
+  }
+
+  checkSecret(role, secret) {
+    const expected = this.secrets[role];
+    if (role === 'player' && !expected) return true;
+    if (!expected) return false;
+
+    // Compare digests so the comparison takes the same time whatever was typed
+    const given = crypto.createHash('sha256').update(String(secret ?? '')).digest();
+    return crypto.timingSafeEqual(given, crypto.createHash('sha256').update(expected).digest());
+  }
+
+  async login(role, secret, ip = 'unknown') {
+    let problem = null;
+    if (!ROLE_RANK[role]) {
+      problem = `Unknown role: ${role}`;
+    } else if (!this.enabled) {
+      problem = 'Authentication is off - set ADMIN_PASSWORD to turn it on';
+    } else if (role !== 'admin' && role !== 'player' && !this.secrets[role]) {
+      problem = `No ${role} PIN is set up - log in as admin instead`;
+    }
+    if (problem) {
+      const error = new Error(problem);
+      error.status = 400;
+      throw error;
+    }
+
+    const attempts = this.failedLogins.get(ip);
+    if (attempts?.lockedUntil > Date.now()) {
+      const seconds = Math.ceil((attempts.lockedUntil - Date.now()) / 1000);
+      const error = new Error(`Too many failed logins - try again in ${seconds}s`);
+      error.status = 429;
+      throw error;
+    }
+
+    if (!this.checkSecret(role, secret)) {
+      const count = (attempts?.count || 0) + 1;
+      this.failedLogins.set(ip, {
+        count: count >= MAX_FAILED_LOGINS ? 0 : count,
+        lockedUntil: count >= MAX_FAILED_LOGINS ? Date.now() + LOGIN_LOCKOUT_MS : 0
+      });
+      console.warn(`[AUTH] Failed ${role} login from ${ip}`);
+      throw new Error(role === 'admin' ? 'Wrong password' : 'Wrong PIN');
+    }
+    this.failedLogins.delete(ip);
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + this.sessionHours * 60 * 60 * 1000);
+    await this.db.run('DELETE FROM auth_sessions WHERE expires_at <= ?', [new Date().toISOString()]);
+    await this.db.run(
+      'INSERT INTO auth_sessions (token_hash, role, expires_at) VALUES (?, ?, ?)',
+      [hashToken(token), role, expiresAt.toISOString()]
+    );
+
+    console.log(`[AUTH] ${role} logged in from ${ip}`);
+    return { token, role, expiresAt: expiresAt.toISOString() };
+  }
+
+  async logout(token) {
+    if (token) {
+      await this.db.run('DELETE FROM auth_sessions WHERE token_hash = ?', [hashToken(token)]);
+      this.endSocketSessions(token);
+    }
+  }
+
+  // Disconnect the sockets that logged in with a session that has just ended
+  endSocketSessions(token) {
+    if (!this.io) return;
+    for (const socket of this.io.sockets.sockets.values()) {
+      if (socket.data.token === token) {
+        this.endSocketSession(socket);
+      }
+    }
+  }
+
+  endSocketSession(socket) {
+    socket.emit('auth-expired');
+    socket.disconnect(true);
+  }
+
+  // The session behind a token, or null when it is missing, unknown or expired
+  async verify(token) {
+    if (!token) return null;
+
+    const session = await this.db.get(
+      'SELECT role, expires_at FROM auth_sessions WHERE token_hash = ? AND expires_at > ?',
+      [hashToken(token), new Date().toISOString()]
+    );
+    return session ? { role: session.role, expiresAt: session.expires_at } : null;
+  }
+
+  // Bearer header first, then the session cookie
+  getToken(headers = {}, handshakeAuth = null) {
+    const bearer = (headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+    if (bearer) return bearer[1].trim();
+    if (handshakeAuth?.token) return handshakeAuth.token;
+
+    for (const part of (headers.cookie || '').split(';')) {
+      const [name, ...value] = part.trim().split('=');
+      if (name === COOKIE_NAME) return decodeURIComponent(value.join('='));
+    }
+    return null;
+  }
+
+  async authenticate(req) {
+    // With authentication off every caller is an anonymous admin
+    if (!this.enabled) return { role: 'admin', anonymous: true };
+    return this.verify(this.getToken(req.headers));
+  }
+
+  setSessionCookie(res, { token, expiresAt }) {
+    res.cookie(COOKIE_NAME, token, {
+      httpOnly: true,
+      sameSite: 'strict',
+      expires: new Date(expiresAt),
+      path: '/'
+    });
+  }
+
+  clearSessionCookie(res) {
+    res.clearCookie(COOKIE_NAME, { httpOnly: true, sameSite: 'strict', path: '/' });
+  }
+
+  getRequiredRole(method, apiPath) {
+    const rule = API_RULES.find(([ruleMethod, pattern]) =>
+      (ruleMethod === '*' || ruleMethod === method) && pattern.test(apiPath));
+    return rule ? rule[2] : 'admin';
+  }
+
+  // Express middleware for /api: 401 without a valid session, 403 when the role is too low
+  apiMiddleware() {
+    return async (req, res, next) => {
+      try {
+        const session = await this.authenticate(req);
+        if (!session) {
+          return res.status(401).json({ error: 'Please log in' });
+        }
+
+        const requiredRole = this.getRequiredRole(req.method, req.path);
+        if (!this.hasRole(session.role, requiredRole)) {
+          return res.status(403).json({ error: `This needs ${requiredRole} access; you are logged in as ${session.role}` });
+        }
+
+        req.auth = session;
+        next();
+      } catch (error) {
+        next(error);
+      }
+    };
+  }
+
+  // Socket.IO middleware: every connection needs a session. It is looked up once here;
+  // after that the socket keeps its expiry, and a logout ends its sockets directly.
+  socketMiddleware() {
+    return async (socket, next) => {
+      try {
+        if (!this.enabled) {
+          socket.data.role = 'admin';
+          return next();
+        }
+
+        const token = this.getToken(socket.handshake.headers, socket.handshake.auth);
+        const session = await this.verify(token);
+        if (!session) {
+          return next(new Error('Authentication required'));
+        }
+
+        socket.data.role = session.role;
+        socket.data.token = token;
+        socket.data.sessionExpiresAt = Date.parse(session.expiresAt);
+        next();
+      } catch (error) {
+        next(error);
+      }
+    };
+  }
+
+  // Per-socket event check, for socket.use(). Uses the session cached at handshake, so
+  // events never wait on the database.
+  socketEventGuard(socket) {
+    return ([event], next) => {
+      if (!this.enabled) return next();
+
+      if (!(socket.data.sessionExpiresAt > Date.now())) {
+        this.endSocketSession(socket);
+        return;
+      }
+
+      const role = socket.data.role;
+      const requiredRole = SOCKET_EVENT_ROLES[event] || 'player';
+      if (!this.hasRole(role, requiredRole)) {
+        console.warn(`[AUTH] Refused ${event} from ${role} socket ${socket.id}`);
+        return next(new Error(`${event} needs ${requiredRole} access`));
+      }
+      next();
+    };
+  }
+}
+
+AuthService.ROLE_RANK = ROLE_RANK;
+
+module.exports = AuthService;
@@ -0,0 +1,338 @@
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+const tar = require('tar');
+const sqlite3 = require('sqlite3');
+const MigrationService = require('./migrationService');
+
+const BACKUP_FORMAT = 'waze-trivia-game-backup';
+const BACKUP_VERSION = 1;
+const MANIFEST_FILE = 'backup.json';
+const DATABASE_FILE = 'trivia.db';
+const UPLOADS_FOLDER = 'uploads';
+const BACKUP_NAME = /^trivia-(\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z)-(manual|scheduled|pre-restore|uploaded)\.tar\.gz$/;
+const SCHEDULE_CHECK_MS = 10 * 60 * 1000;
+
+// Whole-server backups: a consistent snapshot of the SQLite database plus the uploads
+// folder, packed into one .tar.gz in the backup folder. Scheduled backups run every
+// BACKUP_INTERVAL_HOURS and only the newest BACKUP_RETENTION of them are kept; manual,
+// uploaded and pre-restore backups stay until deleted. Restoring first takes a
+// pre-restore backup of the current state, so a restore can itself be undone.
+class BackupService {
+  constructor(database, gameService, mediaService) {
+    this.db = database;
+    this.gameService = gameService;
+    this.mediaService = mediaService;
+    this.backupDir = process.env.BACKUP_DIR || path.join(path.dirname(database.dbPath), 'backups');
+    this.intervalHours = parseFloat(process.env.BACKUP_INTERVAL_HOURS ?? 24) || 0;
+    this.retention = Math.max(parseInt(process.env.BACKUP_RETENTION) || 7, 1);
+    this.scheduleTimer = null;
+    this.queue = Promise.resolve(); // Backups and restores run one at a time
+  }
+
+  // Check every few minutes whether a scheduled backup is due, so one still runs soon
+  // after a server that was switched off comes back
+  start() {
+    if (!this.intervalHours || this.scheduleTimer) return;
+
+    this.scheduleTimer = setInterval(() => this.runScheduledBackup(), SCHEDULE_CHECK_MS);
+    this.scheduleTimer.unref();
+    this.runScheduledBackup();
+    console.log(`[BACKUP] Scheduled backups every ${this.intervalHours}h, keeping ${this.retention}, in ${this.backupDir}`);
+  }
+
+  stop() {
+    clearInterval(this.scheduleTimer);
+    this.scheduleTimer = null;
+  }
+
+  enqueue(task) {
+    const result = this.queue.then(task);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  async runScheduledBackup() {
+    try {
+      const latest = (await this.listBackups()).find(backup => backup.reason === 'scheduled');
+      if (latest && Date.now() - Date.parse(latest.created_at) < this.intervalHours * 60 * 60 * 1000) return;
+
+      await this.createBackup('scheduled');
+      await this.pruneScheduledBackups();
+    } catch (error) {
+      console.error('[BACKUP] Scheduled backup failed:', error.message);
+    }
+  }
+
+  async pruneScheduledBackups() {
+    const scheduled = (await this.listBackups()).filter(backup => backup.reason === 'scheduled');
+    for (const backup of scheduled.slice(this.retention)) {
+      await fs.rm(path.join(this.backupDir, backup.filename), { force: true });
+      console.log(`[BACKUP] Removed old scheduled backup ${backup.filename}`);
+    }
+  }
+
+  getSchedule() {
+    return {
+      intervalHours: this.intervalHours,
+      retention: this.retention,
+      enabled: Boolean(this.scheduleTimer)
+    };
+  }
+
+  // Newest first
+  async listBackups() {
+    let files;
+    try {
+      files = await fs.readdir(this.backupDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const backups = [];
+    for (const filename of files) {
+      const match = filename.match(BACKUP_NAME);
+      if (!match) continue;
+
+      const [date, time] = match[1].split('T');
+      const [hours, minutes, seconds, millis] = time.replace('Z', '').split('-');
+      const stats = await fs.stat(path.join(this.backupDir, filename));
+      backups.push({
+        filename,
+        reason: match[2],
+        created_at: `${date}T${hours}:${minutes}:${seconds}.${millis}Z`,
+        size: stats.size
+      });
+    }
+    return backups.sort((a, b) => b.created_at.localeCompare(a.created_at));
+  }
+
+  // Reject anything that isn't a backup in the backup folder
+  resolveBackupPath(filename) {
+    if (!BACKUP_NAME.test(filename || '')) {
+      throw new Error('Invalid backup name');
+    }
+    return path.join(this.backupDir, filename);
+  }
+
+  async getBackupPath(filename) {
+    const backupPath = this.resolveBackupPath(filename);
+    try {
+      await fs.access(backupPath);
+    } catch (error) {
+      throw new Error('Backup not found');
+    }
+    return backupPath;
+  }
+
+  buildFilename(reason) {
+    return `trivia-${new Date().toISOString().replace(/[:.]/g, '-')}-${reason}.tar.gz`;
+  }
+
+  createBackup(reason = 'manual') {
+    return this.enqueue(() => this.writeBackup(reason));
+  }
+
+  async writeBackup(reason) {
+    await fs.mkdir(this.backupDir, { recursive: true });
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'trivia-backup-'));
+
+    try {
+      await this.db.snapshot(path.join(workDir, DATABASE_FILE));
+
+      // Uploads are packed straight from public/uploads through a link, not copied first
+      const sources = [MANIFEST_FILE, DATABASE_FILE];
+      await fs.mkdir(this.mediaService.uploadRoot, { recursive: true });
+      await fs.symlink(this.mediaService.uploadRoot, path.join(workDir, UPLOADS_FOLDER), 'dir');
+      sources.push(UPLOADS_FOLDER);
+
+      await fs.writeFile(path.join(workDir, MANIFEST_FILE), JSON.stringify({
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        reason,
+        created_at: new Date().toISOString()
+      }, null, 2));
+
+      const filename = this.buildFilename(reason);
+      const backupPath = path.join(this.backupDir, filename);
+      await tar.c({ gzip: true, cwd: workDir, file: `${backupPath}.partial`, follow: true, portable: true }, sources);
+      await fs.rename(`${backupPath}.partial`, backupPath);
+
+      const backup = (await this.listBackups()).find(item => item.filename === filename);
+      console.log(`[BACKUP] Created ${reason} backup ${filename} (${backup.size} bytes)`);
+      return backup;
+    } finally {
+      await fs.rm(workDir, { recursive: true, force: true });
+    }
+  }
+
+  async deleteBackup(filename) {
+    const backupPath = await this.getBackupPath(filename);
+    await fs.rm(backupPath);
+    console.log(`[BACKUP] Deleted ${filename}`);
+    return { success: true };
+  }
+
+  // Add a backup file made elsewhere (e.g. another server) to the list
+  async addUploadedBackup(filePath) {
+    const extractDir = await fs.mkdtemp(path.join(os.tmpdir(), 'trivia-restore-'));
+    try {
+      await this.extractBackup(filePath, extractDir);
+    } finally {
+      await fs.rm(extractDir, { recursive: true, force: true });
+    }
+
+    await fs.mkdir(this.backupDir, { recursive: true });
+    const filename = this.buildFilename('uploaded');
+    await fs.copyFile(filePath, path.join(this.backupDir, filename));
+    console.log(`[BACKUP] Added uploaded backup ${filename}`);
+    return (await this.listBackups()).find(item => item.filename === filename);
+  }
+
+  // Unpack a backup and check it holds a readable trivia database
+  async extractBackup(backupPath, extractDir) {
+    try {
+      await tar.x({
+        file: backupPath,
+        cwd: extractDir,
+        strict: true,
+        filter: (entryPath, entry) => entry.type === 'File' || entry.type === 'Directory'
+      });
+    } catch (error) {
+      throw new Error(`Not a backup: ${error.message}`);
+    }
+
+    let manifest;
+    try {
+      manifest = JSON.parse(await fs.readFile(path.join(extractDir, MANIFEST_FILE), 'utf8'));
+    } catch (error) {
+      throw new Error('Not a backup: backup.json is missing or invalid');
+    }
+    if (manifest.format !== BACKUP_FORMAT) {
+      throw new Error('Not a backup');
+    }
+    if (manifest.version > BACKUP_VERSION) {
+      throw new Error(`Backup version ${manifest.version} is newer than this server supports`);
+    }
+
+    await this.checkDatabaseFile(path.join(extractDir, DATABASE_FILE));
+    return manifest;
+  }
+
+  // Run queries against a backup's database file, read-only
+  readDatabaseFile(filePath, read) {
+    return new Promise((resolve, reject) => {
+      const file = new sqlite3.Database(filePath, sqlite3.OPEN_READONLY, (openError) => {
+        if (openError) return reject(new Error('Backup database is missing or unreadable'));
+
+        const all = (sql) => new Promise((resolveRows, rejectRows) => {
+          file.all(sql, (error, rows) => {
+            if (error) rejectRows(new Error('Backup database is missing or unreadable'));
+            else resolveRows(rows);
+          });
+        });
+        read(all).then(resolve, reject).finally(() => file.close());
+      });
+    });
+  }
+
+  // A database migrated by a newer server would stop this one from starting, so it is
+  // turned away here, before anything is replaced
+  checkDatabaseFile(filePath) {
+    return this.readDatabaseFile(filePath, async (all) => {
+      const tables = (await all("SELECT name FROM sqlite_master WHERE type = 'table'")).map(row => row.name);
+      if (!tables.includes('games')) {
+        throw new Error('Backup database has no games table');
+      }
+      if (!tables.includes('schema_migrations')) return;
+
+      const knownVersions = new Set(new MigrationService(null).loadMigrations().map(migration => migration.version));
+      const unknown = (await all('SELECT version, name FROM schema_migrations ORDER BY version'))
+        .filter(migration => !knownVersions.has(migration.version));
+      if (unknown.length > 0) {
+        const names = unknown.map(migration => `${migration.version}_${migration.name}`).join(', ');
+        throw new Error(`Backup was made by a newer version of the server (${names}); update the server before restoring it`);
+      }
+    });
+  }
+
+  // Replace the database and uploads with a backup's. Running games are stopped and
+  // the current state is saved as a pre-restore backup first.
+  restoreBackup(filename) {
+    return this.enqueue(async () => {
+      const backupPath = await this.getBackupPath(filename);
+      const extractDir = await fs.mkdtemp(path.join(os.tmpdir(), 'trivia-restore-'));
+
+      try {
+        const manifest = await this.extractBackup(backupPath, extractDir);
+        const safetyBackup = await this.writeBackup('pre-restore');
+
+        // Logins carry over, so whoever ran the restore isn't locked out by it
+        const sessions = await this.db.all('SELECT token_hash, role, created_at, expires_at FROM auth_sessions');
+
+        await this.gameService.stopAllGames();
+        try {
+          await this.applyBackup(extractDir, sessions);
+        } catch (error) {
+          console.error(`[BACKUP] Restoring ${filename} failed, putting back ${safetyBackup.filename}:`, error.message);
+          await this.rollbackRestore(safetyBackup.filename);
+          throw error;
+        }
+
+        console.log(`[BACKUP] Restored ${filename} (taken ${manifest.created_at}); previous state saved as ${safetyBackup.filename}`);
+        return { restored: filename, safetyBackup };
+      } finally {
+        await fs.rm(extractDir, { recursive: true, force: true });
+      }
+    });
+  }
+
+  async applyBackup(extractDir, sessions = []) {
+    await this.db.replaceWith(path.join(extractDir, DATABASE_FILE));
+    // Questions that were live in the backup can't resume, their timers are long gone
+    await this.db.run('DELETE FROM live_question_state');
+    for (const session of sessions) {
+      await this.db.run(
+        'INSERT OR REPLACE INTO auth_sessions (token_hash, role, created_at, expires_at) VALUES (?, ?, ?, ?)',
+        [session.token_hash, session.role, session.created_at, session.expires_at]
+      );
+    }
+    await this.restoreUploads(path.join(extractDir, UPLOADS_FOLDER));
+  }
+
+  // Put the pre-restore backup back after a restore failed part way
+  async rollbackRestore(filename) {
+    const extractDir = await fs.mkdtemp(path.join(os.tmpdir(), 'trivia-restore-'));
+    try {
+      await tar.x({ file: path.join(this.backupDir, filename), cwd: extractDir, strict: true });
+      await this.applyBackup(extractDir);
+    } finally {
+      await fs.rm(extractDir, { recursive: true, force: true });
+    }
+  }
+
+  // Media folders the backup doesn't have are removed; its files replace the current ones
+  async restoreUploads(sourceDir) {
+    const uploadRoot = this.mediaService.uploadRoot;
+    let backupEntries = [];
+    try {
+      backupEntries = await fs.readdir(sourceDir);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    await fs.mkdir(uploadRoot, { recursive: true });
+    for (const entry of await fs.readdir(uploadRoot, { withFileTypes: true })) {
+      if (entry.isDirectory() && !backupEntries.includes(entry.name)) {
+        await fs.rm(path.join(uploadRoot, entry.name), { recursive: true, force: true });
+      }
+    }
+
+    if (backupEntries.length > 0) {
+      await fs.cp(sourceDir, uploadRoot, { recursive: true, force: true });
+    }
+  }
+}
+
+module.exports = BackupService;
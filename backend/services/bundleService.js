@@ -0,0 +1,275 @@
+const path = require('path');
+const os = require('os');
+const fs = require('fs').promises;
+const tar = require('tar');
+const { v4: uuidv4 } = require('uuid');
+
+const BUNDLE_FORMAT = 'waze-trivia-game-bundle';
+const BUNDLE_VERSION = 1;
+const MANIFEST_FILE = 'game.json';
+
+// Game columns that travel with a bundle: settings and branding, not play progress
+const GAME_FIELDS = [
+  'name', 'game_description', 'logo_url', 'logo_position', 'logo_size', 'primary_color', 'secondary_color',
+  'accent_color', 'background_style', 'font_family', 'display_font_size', 'default_question_time', 'max_groups',
+  'show_timer', 'show_scores', 'auto_advance', 'time_based_scoring', 'virtual_buzzers_enabled',
+  'buzzer_offline_threshold', 'virtual_buzzers_per_team', 'allow_negative_scores', 'game_mode', 'penalty_mode',
+  'penalty_value', 'scoring_curve', 'scoring_curve_options', 'reading_time', 'false_start_lockout',
+  'tie_break_positions'
+];
+
+const ROUND_FIELDS = ['name', 'description', 'round_order', 'default_time_limit', 'point_multiplier', 'scoring_mode'];
+
+// A game packed into one .tar.gz: game.json holds settings, branding, teams, rounds and
+// questions; media/ holds every uploaded file they point at. Importing recreates the
+// game with fresh IDs and moves its media into the new game's upload folder.
+class BundleService {
+  constructor(database, gameService, mediaService) {
+    this.db = database;
+    this.gameService = gameService;
+    this.mediaService = mediaService;
+  }
+
+  // Local file behind an /uploads/ URL, or null for external and missing media
+  async resolveUploadPath(url) {
+    if (!url || !url.startsWith('/uploads/')) return null;
+
+    const filePath = path.join(this.mediaService.uploadRoot, url.slice('/uploads/'.length));
+    if (!filePath.startsWith(this.mediaService.uploadRoot + path.sep)) return null;
+
+    try {
+      return (await fs.stat(filePath)).isFile() ? filePath : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async buildManifest(gameId, workDir) {
+    const game = await this.gameService.getGame(gameId);
+    const gameRow = await this.db.get('SELECT * FROM games WHERE id = ?', [gameId]);
+
+    // Copy each referenced upload once; the manifest maps its URL to the file in the bundle
+    const media = [];
+    const addMedia = async (url) => {
+      if (media.some(item => item.url === url)) return;
+      const filePath = await this.resolveUploadPath(url);
+      if (!filePath) return;
+
+      const file = `media/${media.length + 1}_${path.basename(filePath)}`;
+      await fs.copyFile(filePath, path.join(workDir, file));
+      media.push({ url, file });
+    };
+
+    await addMedia(gameRow.logo_url);
+    for (const question of game.questions) {
+      await addMedia(question.media_url);
+    }
+
+    const settings = {};
+    for (const field of GAME_FIELDS) {
+      if (field in gameRow) settings[field] = gameRow[field];
+    }
+
+    return {
+      format: BUNDLE_FORMAT,
+      version: BUNDLE_VERSION,
+      exported_at: new Date().toISOString(),
+      game: settings,
+      rounds: game.rounds.map(round => ({
+        id: round.id,
+        ...Object.fromEntries(ROUND_FIELDS.map(field => [field, round[field]]))
+      })),
+      teams: game.groups.map(group => ({
+        name: group.name,
+        color: group.color,
+        position: group.position,
+        buzzer_id: group.buzzer_id
+      })),
+      // Bank questions are exported with their content, as the bank isn't part of the bundle
+      questions: game.questions.map((question, index) => ({
+        text: question.text,
+        media_url: question.media_url,
+        correct_answer: question.correct_answer,
+        time_limit: question.time_limit,
+        points: question.points,
+        question_order: index + 1,
+        question_type: question.question_type,
+        options: question.options,
+        correct_option: question.correct_option,
+        round_id: question.round_id,
+        penalty_mode: question.penalty_mode,
+        penalty_value: question.penalty_value,
+        difficulty: question.difficulty,
+        category: question.category,
+        tags: question.tags,
+        explanation: question.explanation,
+        source: question.source,
+        is_tiebreaker: question.is_tiebreaker
+      })),
+      media
+    };
+  }
+
+  // Write the game's bundle to a temporary file. Call cleanup() once it has been sent.
+  async exportGame(gameId) {
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'trivia-export-'));
+    const cleanup = () => fs.rm(workDir, { recursive: true, force: true });
+
+    try {
+      await fs.mkdir(path.join(workDir, 'media'));
+      const manifest = await this.buildManifest(gameId, workDir);
+      await fs.writeFile(path.join(workDir, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+
+      const archivePath = path.join(workDir, 'bundle.tar.gz');
+      await tar.c({ gzip: true, cwd: workDir, file: archivePath, portable: true }, [MANIFEST_FILE, 'media']);
+
+      const safeName = manifest.game.name.replace(/[^a-zA-Z0-9_-]+/g, '_').replace(/^_+|_+$/g, '') || 'game';
+      console.log(`[BUNDLE] Exported game ${gameId} with ${manifest.questions.length} question(s) and ${manifest.media.length} media file(s)`);
+      return { archivePath, filename: `${safeName}.trivia.tar.gz`, cleanup };
+    } catch (error) {
+      await cleanup();
+      throw error;
+    }
+  }
+
+  async readManifest(extractDir) {
+    let manifest;
+    try {
+      manifest = JSON.parse(await fs.readFile(path.join(extractDir, MANIFEST_FILE), 'utf8'));
+    } catch (error) {
+      throw new Error('Not a game bundle: game.json is missing or invalid');
+    }
+
+    if (manifest.format !== BUNDLE_FORMAT) {
+      throw new Error('Not a game bundle');
+    }
+    if (manifest.version > BUNDLE_VERSION) {
+      throw new Error(`Bundle version ${manifest.version} is newer than this server supports`);
+    }
+    if (!manifest.game?.name || !Array.isArray(manifest.questions)) {
+      throw new Error('Bundle is missing the game or its questions');
+    }
+    return manifest;
+  }
+
+  // Recreate a game from a bundle file. name overrides the bundled game name.
+  async importGame(archivePath, { name = null } = {}) {
+    const extractDir = await fs.mkdtemp(path.join(os.tmpdir(), 'trivia-import-'));
+
+    try {
+      // Only plain files and folders come out of the archive
+      try {
+        await tar.x({
+          file: archivePath,
+          cwd: extractDir,
+          strict: true,
+          filter: (entryPath, entry) => entry.type === 'File' || entry.type === 'Directory'
+        });
+      } catch (error) {
+        throw new Error(`Not a game bundle: ${error.message}`);
+      }
+      const manifest = await this.readManifest(extractDir);
+
+      // Validate every question before anything is written
+      const questions = (manifest.questions || []).map(question => {
+        const typeFields = this.gameService.normalizeQuestionType(question);
+        return {
+          ...question,
+          ...typeFields,
+          ...this.gameService.normalizeQuestionMetadata(question),
+          ...this.gameService.normalizePenaltyOverride(question),
+          is_tiebreaker: this.gameService.normalizeTiebreakerFlag(question, typeFields.question_type)
+        };
+      });
+
+      const gameId = uuidv4();
+      const mediaDir = path.join(this.mediaService.uploadRoot, gameId);
+      try {
+        const mediaUrls = await this.importMedia(manifest.media || [], extractDir, gameId);
+        const rewrite = (url) => mediaUrls.get(url) || url || null;
+
+        const settings = { ...manifest.game, name: (name && String(name).trim()) || manifest.game.name };
+        settings.logo_url = rewrite(settings.logo_url);
+        const fields = GAME_FIELDS.filter(field => field in settings);
+
+        // All rows or none, so a failed insert leaves no half-built game
+        await this.db.transaction(async () => {
+          await this.db.run(
+            `INSERT INTO games (id, status, ${fields.join(', ')}) VALUES (?, 'setup', ${fields.map(() => '?').join(', ')})`,
+            [gameId, ...fields.map(field => settings[field])]
+          );
+
+          const roundIds = new Map();
+          for (const round of manifest.rounds || []) {
+            const roundId = uuidv4();
+            roundIds.set(round.id, roundId);
+            await this.db.run(
+              `INSERT INTO rounds (id, game_id, ${ROUND_FIELDS.join(', ')}) VALUES (?, ?, ${ROUND_FIELDS.map(() => '?').join(', ')})`,
+              [roundId, gameId, ...ROUND_FIELDS.map(field => round[field] ?? null)]
+            );
+          }
+
+          for (const [index, team] of (manifest.teams || []).entries()) {
+            await this.db.run(
+              'INSERT INTO groups (id, game_id, name, color, position, buzzer_id) VALUES (?, ?, ?, ?, ?, ?)',
+              [uuidv4(), gameId, team.name, team.color, team.position || index + 1, team.buzzer_id || `buzzer_${index + 1}`]
+            );
+          }
+
+          for (const [index, question] of questions.entries()) {
+            await this.db.run(
+              `INSERT INTO questions (id, game_id, text, media_url, correct_answer, time_limit, points, question_order, question_type,
+               options, correct_option, round_id, penalty_mode, penalty_value, difficulty, category, tags, explanation, source, is_tiebreaker)
+               VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+              [uuidv4(), gameId, question.text, rewrite(question.media_url), question.correct_answer,
+                question.time_limit || 30, question.points || 100, question.question_order || index + 1, question.question_type,
+                question.options, question.correct_option, roundIds.get(question.round_id) || null,
+                question.penalty_mode, question.penalty_value,
+                question.difficulty, question.category, question.tags, question.explanation, question.source, question.is_tiebreaker]
+            );
+          }
+        });
+
+        console.log(`[BUNDLE] Imported "${settings.name}" as game ${gameId} with ${questions.length} question(s) and ${mediaUrls.size} media file(s)`);
+      } catch (error) {
+        // Nor copied media without a game to use it
+        await fs.rm(mediaDir, { recursive: true, force: true });
+        throw error;
+      }
+
+      return this.gameService.getGame(gameId);
+    } finally {
+      await fs.rm(extractDir, { recursive: true, force: true });
+    }
+  }
+
+  // Copy bundled media into the new game's folder; returns old URL -> new URL
+  async importMedia(media, extractDir, gameId) {
+    const urls = new Map();
+    if (media.length === 0) return urls;
+
+    const targetDir = path.join(this.mediaService.uploadRoot, gameId);
+    await fs.mkdir(targetDir, { recursive: true });
+
+    const usedNames = new Set();
+    for (const item of media) {
+      const source = path.join(extractDir, path.normalize(item.file || ''));
+      if (!source.startsWith(path.join(extractDir, 'media') + path.sep)) continue;
+
+      // Drop the bundle's numbering unless two files share a name
+      let filename = path.basename(source).replace(/^\d+_/, '');
+      if (usedNames.has(filename)) filename = path.basename(source);
+      usedNames.add(filename);
+
+      try {
+        await fs.copyFile(source, path.join(targetDir, filename));
+        urls.set(item.url, `/uploads/${gameId}/${filename}`);
+      } catch (error) {
+        console.warn(`[BUNDLE] Media file ${item.file} missing from bundle:`, error.message);
+      }
+    }
+    return urls;
+  }
+}
+
+module.exports = BundleService;
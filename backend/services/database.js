@@ -1,25 +1,24 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs').promises;
+const { AsyncLocalStorage } = require('async_hooks');
+const MigrationService = require('./migrationService');
 
 class Database {
   constructor() {
     this.db = null;
+    this.transactionQueue = Promise.resolve();
+    this.pendingTransactions = 0;
+    this.transactionScope = new AsyncLocalStorage(); // set while a transaction's own statements run
     this.dbPath = process.env.DB_PATH || path.join(__dirname, '../database/trivia.db');
   }
 
+  // Open the database, bring its schema up to date and seed a first game. A migration
+  // that fails stops here, so the server never runs on a half-migrated database.
   async initialize() {
     try {
-      await fs.mkdir(path.dirname(this.dbPath), { recursive: true });
-      
-      this.db = new sqlite3.Database(this.dbPath, (err) => {
-        if (err) {
-          throw new Error(`Database connection failed: ${err.message}`);
-        }
-        console.log('Connected to SQLite database');
-      });
-
-      await this.createTables();
+      await this.open();
+      await new MigrationService(this).migrate();
       await this.seedDefaultData();
     } catch (error) {
       console.error('Database initialization failed:', error);
@@ -27,167 +26,18 @@ class Database {
     }
   }
 
-  async createTables() {
-    // Safely add played_questions column to existing tables if it doesn't exist
-    try {
-      const tableInfo = await this.all("PRAGMA table_info(games)");
-      const hasPlayedQuestions = tableInfo.some(column => column.name === 'played_questions');
-      
-      if (!hasPlayedQuestions) {
-        await this.run('ALTER TABLE games ADD COLUMN played_questions TEXT DEFAULT "[]"');
-        console.log('Added played_questions column to existing games table');
-      } else {
-        console.log('played_questions column already exists, skipping migration');
-      }
-    } catch (e) {
-      console.log('Migration check error (likely first run):', e.message);
-    }
-
-    const tables = [
-      `CREATE TABLE IF NOT EXISTS games (
-        id TEXT PRIMARY KEY,
-        name TEXT NOT NULL,
-        status TEXT DEFAULT 'setup',
-        current_question_index INTEGER DEFAULT 0,
-        played_questions TEXT DEFAULT '[]',
-        logo_url TEXT,
-        logo_position TEXT DEFAULT 'top-right',
-        logo_size TEXT DEFAULT 'medium',
-        primary_color TEXT DEFAULT '#667eea',
-        secondary_color TEXT DEFAULT '#764ba2',
-        accent_color TEXT DEFAULT '#FFD700',
-        background_style TEXT DEFAULT 'gradient',
-        font_family TEXT DEFAULT 'Segoe UI',
-        default_question_time INTEGER DEFAULT 30,
-        max_groups INTEGER DEFAULT 8,
-        show_timer BOOLEAN DEFAULT 1,
-        show_scores BOOLEAN DEFAULT 1,
-        auto_advance BOOLEAN DEFAULT 0,
-        game_description TEXT DEFAULT '',
-        time_based_scoring BOOLEAN DEFAULT 0,
-        virtual_buzzers_enabled BOOLEAN DEFAULT 0,
-        buzzer_offline_threshold INTEGER DEFAULT 120,
-        allow_negative_scores BOOLEAN DEFAULT 0,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )`,
-      
-      `CREATE TABLE IF NOT EXISTS groups (
-        id TEXT PRIMARY KEY,
-        game_id TEXT,
-        name TEXT NOT NULL,
-        color TEXT,
-        score INTEGER DEFAULT 0,
-        position INTEGER,
-        buzzer_id TEXT,
-        FOREIGN KEY (game_id) REFERENCES games (id)
-      )`,
-      
-      `CREATE TABLE IF NOT EXISTS questions (
-        id TEXT PRIMARY KEY,
-        game_id TEXT,
-        text TEXT NOT NULL,
-        media_url TEXT,
-        correct_answer TEXT,
-        time_limit INTEGER DEFAULT 30,
-        points INTEGER DEFAULT 100,
-        question_order INTEGER,
-        FOREIGN KEY (game_id) REFERENCES games (id)
-      )`,
-      
-      `CREATE TABLE IF NOT EXISTS buzzer_events (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        game_id TEXT,
-        question_id TEXT,
-        group_id TEXT,
-        timestamp INTEGER,
-        delta_ms INTEGER,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (game_id) REFERENCES games (id),
-        FOREIGN KEY (question_id) REFERENCES questions (id),
-        FOREIGN KEY (group_id) REFERENCES groups (id)
-      )`,
-      
-      `CREATE TABLE IF NOT EXISTS game_settings (
-        id TEXT PRIMARY KEY,
-        game_id TEXT,
-        setting_key TEXT NOT NULL,
-        setting_value TEXT,
-        FOREIGN KEY (game_id) REFERENCES games (id)
-      )`
-    ];
-
-    for (const table of tables) {
-      await this.run(table);
-    }
-    
-    // Add time_based_scoring column to existing games if it doesn't exist
-    try {
-      await this.run('ALTER TABLE games ADD COLUMN time_based_scoring BOOLEAN DEFAULT 0');
-    } catch (error) {
-      // Column probably already exists, which is fine
-      if (!error.message.includes('duplicate column name')) {
-        console.error('Error adding time_based_scoring column:', error.message);
-      }
-    }
-    
-    // Add virtual buzzer columns to existing games if they don't exist
-    try {
-      await this.run('ALTER TABLE games ADD COLUMN virtual_buzzers_enabled BOOLEAN DEFAULT 0');
-    } catch (error) {
-      if (!error.message.includes('duplicate column name')) {
-        console.error('Error adding virtual_buzzers_enabled column:', error.message);
-      }
-    }
-    
-    try {
-      await this.run('ALTER TABLE games ADD COLUMN buzzer_offline_threshold INTEGER DEFAULT 120');
-    } catch (error) {
-      if (!error.message.includes('duplicate column name')) {
-        console.error('Error adding buzzer_offline_threshold column:', error.message);
-      }
-    }
-    
-    // Add allow_negative_scores column to existing games if it doesn't exist
-    try {
-      await this.run('ALTER TABLE games ADD COLUMN allow_negative_scores BOOLEAN DEFAULT 0');
-    } catch (error) {
-      if (!error.message.includes('duplicate column name')) {
-        console.error('Error adding allow_negative_scores column:', error.message);
-      }
-    }
+  async open() {
+    await fs.mkdir(path.dirname(this.dbPath), { recursive: true });
 
-    // Add display_font_size column to existing games if it doesn't exist
-    try {
-      await this.run('ALTER TABLE games ADD COLUMN display_font_size INTEGER DEFAULT 100');
-    } catch (error) {
-      if (!error.message.includes('duplicate column name')) {
-        console.error('Error adding display_font_size column:', error.message);
-      }
-    }
-
-    // Add branding columns to existing games if they don't exist
-    const brandingColumns = [
-      ['logo_url', 'TEXT'],
-      ['logo_position', 'TEXT DEFAULT \'top-right\''],
-      ['logo_size', 'TEXT DEFAULT \'medium\''],
-      ['primary_color', 'TEXT DEFAULT \'#667eea\''],
-      ['secondary_color', 'TEXT DEFAULT \'#764ba2\''],
-      ['accent_color', 'TEXT DEFAULT \'#FFD700\''],
-      ['background_style', 'TEXT DEFAULT \'gradient\''],
-      ['font_family', 'TEXT DEFAULT \'Segoe UI\''],
-      ['game_description', 'TEXT DEFAULT \'\'']
-    ];
-    
-    for (const [columnName, columnDef] of brandingColumns) {
-      try {
-        await this.run(`ALTER TABLE games ADD COLUMN ${columnName} ${columnDef}`);
-      } catch (error) {
-        if (!error.message.includes('duplicate column name')) {
-          console.error(`Error adding ${columnName} column:`, error.message);
+    await new Promise((resolve, reject) => {
+      this.db = new sqlite3.Database(this.dbPath, (err) => {
+        if (err) {
+          return reject(new Error(`Database connection failed: ${err.message}`));
         }
-      }
-    }
+        console.log('Connected to SQLite database');
+        resolve();
+      });
+    });
   }
 
   async seedDefaultData() {
@@ -232,7 +82,18 @@ class Database {
     }
   }
 
-  run(sql, params = []) {
+  // Statements from outside a transaction wait until no transaction is queued, so they
+  // never land between BEGIN and COMMIT and get rolled back with it. One queued while
+  // this statement waited would start on the same tick, so check again after each.
+  async waitForTransactions() {
+    if (this.transactionScope.getStore()) return;
+    while (this.pendingTransactions > 0) {
+      await this.transactionQueue;
+    }
+  }
+
+  async run(sql, params = []) {
+    await this.waitForTransactions();
     return new Promise((resolve, reject) => {
       this.db.run(sql, params, function(err) {
         if (err) reject(err);
@@ -241,7 +102,8 @@ class Database {
     });
   }
 
-  get(sql, params = []) {
+  async get(sql, params = []) {
+    await this.waitForTransactions();
     return new Promise((resolve, reject) => {
       this.db.get(sql, params, (err, row) => {
         if (err) reject(err);
@@ -250,7 +112,8 @@ class Database {
     });
   }
 
-  all(sql, params = []) {
+  async all(sql, params = []) {
+    await this.waitForTransactions();
     return new Promise((resolve, reject) => {
       this.db.all(sql, params, (err, rows) => {
         if (err) reject(err);
@@ -259,6 +122,59 @@ class Database {
     });
   }
 
+  // Run fn between BEGIN and COMMIT, rolling everything back if it throws. Transactions
+  // are queued so two of them never overlap on the shared connection, and other
+  // statements wait for them (see waitForTransactions).
+  transaction(fn) {
+    const run = async () => {
+      await this.run('BEGIN IMMEDIATE');
+      try {
+        const result = await fn();
+        await this.run('COMMIT');
+        return result;
+      } catch (error) {
+        await this.run('ROLLBACK');
+        throw error;
+      }
+    };
+
+    // Migrations run during a swap, which already holds the queue
+    if (this.transactionScope.getStore() === 'swap') {
+      return this.transactionScope.run('transaction', run);
+    }
+    return this.runExclusive('transaction', run);
+  }
+
+  // Queue fn behind every earlier transaction; everything else waits until it is done
+  runExclusive(scope, fn) {
+    this.pendingTransactions++;
+    const result = this.transactionQueue
+      .then(() => this.transactionScope.run(scope, fn))
+      .finally(() => { this.pendingTransactions--; });
+    this.transactionQueue = result.catch(() => {});
+    return result;
+  }
+
+  // Write a consistent copy of the whole database to targetPath while it stays in use
+  snapshot(targetPath) {
+    return this.run('VACUUM INTO ?', [targetPath]);
+  }
+
+  // Swap the database file for another SQLite file (a restored backup) and reopen it,
+  // bringing its tables up to date. Statements that arrive meanwhile wait for the swap.
+  replaceWith(sourcePath) {
+    return this.runExclusive('swap', async () => {
+      await this.close();
+      this.db = null;
+
+      await fs.copyFile(sourcePath, this.dbPath);
+      for (const suffix of ['-wal', '-shm', '-journal']) {
+        await fs.rm(this.dbPath + suffix, { force: true });
+      }
+      await this.initialize();
+    });
+  }
+
   isConnected() {
     return this.db !== null;
   }
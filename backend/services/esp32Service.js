@@ -19,7 +19,7 @@ class ESP32Service extends EventEmitter {
     this.parser = null;
     this.isConnectedFlag = false;
     this.buzzerStates = new Map();
-    this.currentGameId = null;
+    this.deviceGames = new Map(); // Physical buzzer device ID -> running game that owns it
     this.channelScanResults = []; // Store WiFi channel scan results
 
     this.serialPortPath = process.env.ESP32_SERIAL_PORT || '/dev/ttyUSB0';
@@ -54,7 +54,9 @@ class ESP32Service extends EventEmitter {
       CORRECT_ANSWER: 0x05,
       WRONG_ANSWER: 0x06,
       END_ROUND: 0x07,
-      ARM_SPECIFIC: 0x08
+      ARM_SPECIFIC: 0x08,
+      READING: 0x0B,
+      LOCKOUT: 0x0C
     };
 
     this.MESSAGE_SIZES = {
@@ -371,9 +373,9 @@ class ESP32Service extends EventEmitter {
   }
 
   handleBuzzerPress(buzzerId, timestamp, deltaMs, position) {
-    if (!this.currentGameId) {
-      console.warn('Buzzer pressed but no active game');
-      return;
+    const gameId = this.getGameForPress(buzzerId);
+    if (!gameId) {
+      console.warn(`Buzzer ${buzzerId} pressed but no running game uses it`);
     }
 
     // Convert ESP32 timestamp to JavaScript timestamp for gameService compatibility
@@ -381,7 +383,7 @@ class ESP32Service extends EventEmitter {
     const jsTimestamp = Date.now();
 
     const buzzerData = {
-      gameId: this.currentGameId,
+      gameId,
       buzzer_id: buzzerId,
       timestamp: jsTimestamp,
       deltaMs: deltaMs || 0,
@@ -393,11 +395,11 @@ class ESP32Service extends EventEmitter {
     console.log('Physical buzzer press detected:', buzzerData);
 
     // Call gameService directly instead of emitting Socket.IO event
-    if (this.gameService) {
+    if (gameId && this.gameService) {
       console.log('Calling gameService.handleBuzzerPress() directly for physical buzzer');
       console.log('Data being sent to gameService:', JSON.stringify(buzzerData, null, 2));
       this.gameService.handleBuzzerPress(buzzerData);
-    } else {
+    } else if (gameId) {
       console.warn('GameService not available, cannot handle physical buzzer press');
     }
 
@@ -405,6 +407,64 @@ class ESP32Service extends EventEmitter {
     this.io.emit('buzzer-press', buzzerData);
   }
 
+  // Buzzers are partitioned between running games: each game owns the devices its
+  // teams use. Throws without changing anything if another game owns one of them.
+  assignDevices(gameId, deviceIds) {
+    const ids = deviceIds.map(id => id.toString());
+    const taken = ids.find(id => this.deviceGames.has(id) && this.deviceGames.get(id) !== gameId);
+    if (taken) {
+      throw new Error(`Buzzer ${taken} is already used by another running game`);
+    }
+
+    this.releaseDevices(gameId);
+    ids.forEach(id => this.deviceGames.set(id, gameId));
+  }
+
+  releaseDevices(gameId) {
+    for (const [deviceId, ownerId] of this.deviceGames) {
+      if (ownerId === gameId) this.deviceGames.delete(deviceId);
+    }
+  }
+
+  getGameForDevice(deviceId) {
+    return this.deviceGames.get(deviceId?.toString()) || null;
+  }
+
+  getGameDevices(gameId) {
+    return [...this.deviceGames].filter(([, ownerId]) => ownerId === gameId).map(([deviceId]) => deviceId);
+  }
+
+  // The game a press belongs to: the device's owner, or the only running game for a
+  // buzzer no game has claimed
+  getGameForPress(deviceId) {
+    const ownerId = this.getGameForDevice(deviceId);
+    if (ownerId) return ownerId;
+
+    const runningGames = this.gameService?.runningGames;
+    return runningGames?.size === 1 ? [...runningGames][0] : null;
+  }
+
+  // Devices a game's commands go to: its own, or null (every device) while no game
+  // has claimed any; presses from unclaimed buzzers then go to the only running game
+  getTargetDevices(gameId) {
+    if (this.deviceGames.size === 0) return null;
+    return this.getGameDevices(gameId);
+  }
+
+  // Send a command to each of a game's devices, or broadcast it while buzzers aren't partitioned
+  sendToGameDevices(gameId, command) {
+    const devices = this.getTargetDevices(gameId);
+    if (!devices) {
+      return this.sendBinaryCommand(command, 0, 0);
+    }
+
+    let success = devices.length > 0;
+    for (const deviceId of devices) {
+      if (!this.sendBinaryCommand(command, parseInt(deviceId), 0)) success = false;
+    }
+    return success;
+  }
+
   getGroupIdByBuzzerId(buzzerId) {
     // ESP32Service doesn't have database access, so we return the buzzerId
     // GameService will handle the mapping from buzzer_id to actual group.id
@@ -459,7 +519,7 @@ class ESP32Service extends EventEmitter {
   sendBinaryCommandFromText(command) {
     // Convert text commands to binary protocol
     if (command === 'ARM') {
-      return this.sendBinaryCommand(this.COMMAND_TYPES.ARM, 0, parseInt(this.currentGameId) || 0);
+      return this.sendBinaryCommand(this.COMMAND_TYPES.ARM, 0, 0);
     } else if (command === 'DISARM') {
       return this.sendBinaryCommand(this.COMMAND_TYPES.DISARM, 0, 0);
     } else if (command === 'STATUS') {
@@ -481,7 +541,7 @@ class ESP32Service extends EventEmitter {
       console.log(`[ARM_SPECIFIC] Arming devices: [${deviceIds.join(', ')}]`);
       console.log(`[ARM_SPECIFIC] Bitmask: 0x${bitmask.toString(16).padStart(4, '0')}`);
 
-      return this.sendBinaryArmSpecific(bitmask, parseInt(this.currentGameId) || 0);
+      return this.sendBinaryArmSpecific(bitmask, 0);
     } else {
       console.warn('Unknown command for binary protocol:', command);
       return false;
@@ -560,10 +620,15 @@ class ESP32Service extends EventEmitter {
   }
 
   async armBuzzers(gameId) {
-    this.currentGameId = gameId;
-    const success = this.sendCommand('ARM');
+    const devices = this.getTargetDevices(gameId);
+    let success = false;
+    if (!devices) {
+      success = this.sendCommand('ARM');
+    } else if (devices.length > 0) {
+      success = this.sendCommand(`ARM_SPECIFIC:${devices.join(',')}`);
+    }
 
-    this.io.emit('buzzers-armed', { gameId });
+    this.io.to(`game-${gameId}`).emit('buzzers-armed', { gameId });
 
     return {
       success: true,
@@ -575,7 +640,6 @@ class ESP32Service extends EventEmitter {
   }
 
   async armSpecificBuzzers(gameId, buzzerIds = []) {
-    this.currentGameId = gameId;
     let success = true;
 
     if (buzzerIds.length === 0) {
@@ -597,7 +661,7 @@ class ESP32Service extends EventEmitter {
     const commandSuccess = this.sendCommand(`ARM_SPECIFIC:${deviceList}`);
     if (!commandSuccess) success = false;
 
-    this.io.emit('buzzers-armed', { gameId, buzzerIds });
+    this.io.to(`game-${gameId}`).emit('buzzers-armed', { gameId, buzzerIds });
 
     return {
       success: true,
@@ -610,7 +674,6 @@ class ESP32Service extends EventEmitter {
   }
 
   async disarmSpecificBuzzers(gameId, buzzerIds = []) {
-    this.currentGameId = gameId;
     let success = true;
 
     if (buzzerIds.length === 0) {
@@ -629,7 +692,7 @@ class ESP32Service extends EventEmitter {
     // Send disarm command to each buzzer individually
     console.log(`[ESP32] Disarming specific buzzers: [${buzzerIds.join(', ')}]`);
     for (const buzzerId of buzzerIds) {
-      const commandSuccess = this.sendBinaryCommand(this.COMMAND_TYPES.DISARM, buzzerId, parseInt(gameId) || 0);
+      const commandSuccess = this.sendBinaryCommand(this.COMMAND_TYPES.DISARM, buzzerId, 0);
       if (!commandSuccess) {
         success = false;
       }
@@ -653,11 +716,17 @@ class ESP32Service extends EventEmitter {
     };
   }
 
-  async disarmBuzzers() {
-    const success = this.sendCommand('DISARM');
-    this.currentGameId = null;
+  // Without a game every buzzer is disarmed
+  async disarmBuzzers(gameId = null) {
+    const success = gameId
+      ? this.sendToGameDevices(gameId, this.COMMAND_TYPES.DISARM)
+      : this.sendCommand('DISARM');
 
-    this.io.emit('buzzers-disarmed');
+    if (gameId) {
+      this.io.to(`game-${gameId}`).emit('buzzers-disarmed', { gameId });
+    } else {
+      this.io.emit('buzzers-disarmed');
+    }
 
     return {
       success: true,
@@ -679,7 +748,7 @@ class ESP32Service extends EventEmitter {
 
   async sendCorrectAnswerFeedback(buzzerId) {
     console.log(`[ESP32] Sending correct answer feedback to buzzer ${buzzerId}`);
-    const success = this.sendBinaryCommand(this.COMMAND_TYPES.CORRECT_ANSWER, buzzerId, parseInt(this.currentGameId) || 0);
+    const success = this.sendBinaryCommand(this.COMMAND_TYPES.CORRECT_ANSWER, buzzerId, 0);
 
     if (success) {
       console.log(`[ESP32] CORRECT_ANSWER command sent successfully to buzzer ${buzzerId} (hardware connected)`);
@@ -699,7 +768,7 @@ class ESP32Service extends EventEmitter {
 
   async sendWrongAnswerFeedback(buzzerId) {
     console.log(`[ESP32] Sending wrong answer feedback to buzzer ${buzzerId}`);
-    const success = this.sendBinaryCommand(this.COMMAND_TYPES.WRONG_ANSWER, buzzerId, parseInt(this.currentGameId) || 0);
+    const success = this.sendBinaryCommand(this.COMMAND_TYPES.WRONG_ANSWER, buzzerId, 0);
 
     // Add a delay to ensure command is processed before sending more
     if (success) {
@@ -714,9 +783,12 @@ class ESP32Service extends EventEmitter {
     };
   }
 
-  async endRound(targetDevice = 0) {
+  // targetDevice 0 means every device of gameId (or every device at all without a game)
+  async endRound(targetDevice = 0, gameId = null) {
     console.log(`[ESP32] Ending round for device ${targetDevice === 0 ? 'all' : targetDevice}`);
-    const success = this.sendBinaryCommand(this.COMMAND_TYPES.END_ROUND, targetDevice, parseInt(this.currentGameId) || 0);
+    const success = targetDevice === 0 && gameId
+      ? this.sendToGameDevices(gameId, this.COMMAND_TYPES.END_ROUND)
+      : this.sendBinaryCommand(this.COMMAND_TYPES.END_ROUND, targetDevice, 0);
 
     // Add a delay to ensure command is processed before sending more
     if (success) {
@@ -731,6 +803,34 @@ class ESP32Service extends EventEmitter {
     };
   }
 
+  // Buzzers stay unarmed but report presses, which the server counts as false starts
+  async startReadingPhase(targetDevice = 0, gameId = null) {
+    console.log(`[ESP32] Starting reading phase for device ${targetDevice === 0 ? 'all' : targetDevice}`);
+    const success = targetDevice === 0 && gameId
+      ? this.sendToGameDevices(gameId, this.COMMAND_TYPES.READING)
+      : this.sendBinaryCommand(this.COMMAND_TYPES.READING, targetDevice, 0);
+
+    return {
+      success: true,
+      targetDevice,
+      hardwareConnected: success,
+      message: success ? 'Reading phase command sent' : 'Reading phase command simulated (no hardware)'
+    };
+  }
+
+  // Show the locked-out LED state on a buzzer that false-started
+  async lockoutBuzzer(buzzerId) {
+    console.log(`[ESP32] Locking out buzzer ${buzzerId} after a false start`);
+    const success = this.sendBinaryCommand(this.COMMAND_TYPES.LOCKOUT, buzzerId, 0);
+
+    return {
+      success: true,
+      buzzerId,
+      hardwareConnected: success,
+      message: success ? 'Lockout command sent' : 'Lockout command simulated (no hardware)'
+    };
+  }
+
   async getStatus() {
     this.sendCommand('STATUS');
 
@@ -738,17 +838,13 @@ class ESP32Service extends EventEmitter {
       connected: this.isConnectedFlag,
       port: this.serialPortPath,
       baudRate: this.baudRate,
-      currentGame: this.currentGameId,
+      deviceGames: Object.fromEntries(this.deviceGames),
       buzzerStates: Object.fromEntries(this.buzzerStates),
       circuitBreaker: this.getCircuitBreakerStatus(),
       lastUpdate: Date.now()
     };
   }
 
-  async getBuzzerHistory(gameId) {
-    return [];
-  }
-
   async getDevices() {
     // Return array of buzzer devices with their actual status from ESP32 data
     const devices = [];
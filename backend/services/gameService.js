@@ -1,4 +1,5 @@
 const { v4: uuidv4 } = require('uuid');
+const { normalizeCurveOptions, resolveCurvePoints } = require('./scoringCurves');
 
 // Centralized timing utility for consistent timestamps across all components
 class TimingService {
@@ -24,16 +25,62 @@ class TimingService {
   }
 }
 
+// Wrong-answer penalty policies. The penalty value is a flat number of points for
+// 'fixed' and a percentage of the question's points for the others.
+const PENALTY_MODES = ['none', 'fixed', 'percentage', 'after_first', 'escalating'];
+
+// Question difficulty levels, easiest first
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+// Top positions that can be settled by sudden death: 1st only, or the podium
+const TIE_BREAK_POSITIONS = [1, 3];
+
+// How often the resolved point value is re-checked while a question runs
+const POINTS_TICK_MS = 250;
+
+// How often the question clock is broadcast so every screen counts down in step
+const TIMER_TICK_MS = 1000;
+
+// Game questions either own their content or point at a shared question bank entry.
+// Linked rows take their content from the bank and only keep their own order, round,
+// penalty and any points / time limit override (NULL follows the bank).
+const QUESTION_SELECT = `SELECT q.id, q.game_id, q.question_order, q.round_id, q.penalty_mode, q.penalty_value,
+    q.bank_question_id, q.is_tiebreaker,
+    COALESCE(b.text, q.text) AS text,
+    COALESCE(b.media_url, q.media_url) AS media_url,
+    COALESCE(b.correct_answer, q.correct_answer) AS correct_answer,
+    COALESCE(b.question_type, q.question_type) AS question_type,
+    COALESCE(b.options, q.options) AS options,
+    COALESCE(b.correct_option, q.correct_option) AS correct_option,
+    COALESCE(b.difficulty, q.difficulty) AS difficulty,
+    COALESCE(b.category, q.category) AS category,
+    COALESCE(b.tags, q.tags) AS tags,
+    COALESCE(b.explanation, q.explanation) AS explanation,
+    COALESCE(b.source, q.source) AS source,
+    COALESCE(q.time_limit, b.time_limit) AS time_limit,
+    COALESCE(q.points, b.points) AS points,
+    CASE WHEN q.bank_question_id IS NOT NULL THEN q.time_limit END AS time_limit_override,
+    CASE WHEN q.bank_question_id IS NOT NULL THEN q.points END AS points_override
+  FROM questions q LEFT JOIN question_bank b ON q.bank_question_id = b.id`;
+
 class GameService {
   constructor(database, io, esp32Service = null) {
     this.db = database;
     this.io = io;
     this.esp32Service = esp32Service;
     this.activeGames = new Map();
-    this.currentGlobalGame = null; // Global current game for all frontend apps
+    this.runningGames = new Set(); // Games open on this server; each owns its teams' physical buzzers
     this.buzzerActivity = new Map(); // Track last activity for each buzzer
     this.onlineBuzzers = new Set(); // Track which buzzer IDs are currently online
     this.timerOperationLock = new Set(); // Prevent concurrent timer operations
+    this.currentSessions = new Map(); // gameId -> promise of the game's current session ID
+    // Physical buzzers pick a multiple-choice option by pressing N times; the pick
+    // locks in once the buzzer has been quiet for this long
+    this.choicePressWindowMs = parseInt(process.env.CHOICE_PRESS_WINDOW_MS) || 1500;
+    // Buzzes are collected for this long after the first one arrives, then ordered by
+    // when they were pressed. 0 announces every buzz in arrival order.
+    const buzzWindowMs = parseInt(process.env.BUZZ_WINDOW_MS);
+    this.buzzWindowMs = Number.isNaN(buzzWindowMs) ? 200 : Math.max(0, buzzWindowMs);
   }
 
   async createGame(gameData) {
@@ -58,9 +105,15 @@ class GameService {
       for (let i = 0; i < gameData.questions.length; i++) {
         const questionId = uuidv4();
         const question = gameData.questions[i];
+        const typeFields = this.normalizeQuestionType(question);
+        const metadata = this.normalizeQuestionMetadata(question);
         await this.db.run(
-          'INSERT INTO questions (id, game_id, text, correct_answer, time_limit, points, question_order) VALUES (?, ?, ?, ?, ?, ?, ?)',
-          [questionId, gameId, question.text, question.correct_answer, question.time_limit || 30, question.points || 100, i + 1]
+          `INSERT INTO questions (id, game_id, text, correct_answer, time_limit, points, question_order, question_type, options, correct_option,
+           difficulty, category, tags, explanation, source, is_tiebreaker) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [questionId, gameId, question.text, typeFields.correct_answer, question.time_limit || 30, question.points || 100, i + 1,
+            typeFields.question_type, typeFields.options, typeFields.correct_option,
+            metadata.difficulty, metadata.category, metadata.tags, metadata.explanation, metadata.source,
+            this.normalizeTiebreakerFlag(question, typeFields.question_type)]
         );
       }
     }
@@ -101,9 +154,17 @@ class GameService {
     if (!game) throw new Error('Game not found');
 
     const groups = await this.db.all('SELECT * FROM groups WHERE game_id = ? ORDER BY position', [gameId]);
-    const questions = await this.db.all('SELECT * FROM questions WHERE game_id = ? ORDER BY question_order', [gameId]);
+    const rounds = await this.db.all('SELECT * FROM rounds WHERE game_id = ? ORDER BY round_order', [gameId]);
+    // Questions play round by round; questions outside any round come first and
+    // tie-breaker questions wait at the end until sudden death needs them
+    const questionRows = await this.db.all(
+      `${QUESTION_SELECT} LEFT JOIN rounds r ON q.round_id = r.id
+       WHERE q.game_id = ? ORDER BY COALESCE(q.is_tiebreaker, 0), COALESCE(r.round_order, 0), q.question_order`,
+      [gameId]
+    );
+    const questions = questionRows.map(question => this.parseQuestion(question));
 
-    // Parse the played_questions JSON array
+    // IDs of the questions already played, as a JSON array
     let played_questions = [];
     try {
       played_questions = JSON.parse(game.played_questions || '[]');
@@ -111,7 +172,282 @@ class GameService {
       played_questions = [];
     }
 
-    return { ...game, groups, questions, played_questions };
+    return { ...game, groups, questions, rounds, played_questions };
+  }
+
+  getRoundForQuestion(game, question) {
+    if (!question || !question.round_id) return null;
+    return game.rounds.find(round => round.id === question.round_id) || null;
+  }
+
+  // The game's scoring curve with its options filled in from the curve's defaults
+  getScoringCurve(game) {
+    const curve = game.scoring_curve || 'linear';
+    try {
+      const options = game.scoring_curve_options ? JSON.parse(game.scoring_curve_options) : {};
+      return { curve, curveOptions: normalizeCurveOptions(curve, options) };
+    } catch (error) {
+      console.error(`[SCORE] Bad scoring curve settings for game ${game.id}, using linear:`, error.message);
+      return { curve: 'linear', curveOptions: normalizeCurveOptions('linear') };
+    }
+  }
+
+  // Resolve the points a question is worth and whether they follow the scoring curve,
+  // applying the multiplier and scoring mode of the question's round
+  getQuestionScoring(game, question) {
+    const round = this.getRoundForQuestion(game, question);
+    const multiplier = round ? (round.point_multiplier ?? 1) : 1;
+    const scoringMode = round ? round.scoring_mode : 'game';
+
+    let timeBased = Boolean(game.time_based_scoring);
+    if (scoringMode === 'time_based') timeBased = true;
+    if (scoringMode === 'flat') timeBased = false;
+
+    return {
+      basePoints: Math.round((question.points || 0) * multiplier),
+      timeBased,
+      ...this.getScoringCurve(game),
+      multiplier,
+      round
+    };
+  }
+
+  // Round info that is safe to send to every client
+  getRoundSummary(game, round) {
+    if (!round) return null;
+
+    const roundIndex = game.rounds.findIndex(r => r.id === round.id);
+    return {
+      id: round.id,
+      name: round.name,
+      description: round.description,
+      pointMultiplier: round.point_multiplier,
+      scoringMode: round.scoring_mode,
+      roundIndex,
+      totalRounds: game.rounds.length,
+      questionCount: game.questions.filter(q => q.round_id === round.id).length
+    };
+  }
+
+  isWagerQuestion(question) {
+    return Boolean(question) && question.question_type === 'wager';
+  }
+
+  isQuestionPlayed(game, question) {
+    return game.played_questions.includes(question.id);
+  }
+
+  isBoardMode(game) {
+    return game.game_mode === 'board';
+  }
+
+  // Category x value grid for board mode. Each round is a category column; questions
+  // outside any round share a "General" column.
+  getBoard(game) {
+    const categories = [];
+
+    game.questions.forEach((question, questionIndex) => {
+      if (question.is_tiebreaker) return;
+
+      const round = this.getRoundForQuestion(game, question);
+      const categoryId = round ? round.id : null;
+      let category = categories.find(c => c.id === categoryId);
+      if (!category) {
+        category = { id: categoryId, name: round ? round.name : 'General', cells: [] };
+        categories.push(category);
+      }
+
+      category.cells.push({
+        questionId: question.id,
+        questionIndex,
+        value: this.getQuestionScoring(game, question).basePoints,
+        played: this.isQuestionPlayed(game, question)
+      });
+    });
+
+    categories.forEach(category => category.cells.sort((a, b) => a.value - b.value));
+
+    return {
+      categories,
+      pickerGroupId: game.board_picker_group_id || null,
+      remaining: categories.reduce((count, category) => count + category.cells.filter(cell => !cell.played).length, 0)
+    };
+  }
+
+  async getQuestion(questionId) {
+    const question = await this.db.get(`${QUESTION_SELECT} WHERE q.id = ?`, [questionId]);
+    return this.parseQuestion(question);
+  }
+
+  // Decode the JSON options column of a questions row
+  parseQuestion(question) {
+    if (!question) return question;
+
+    let options = null;
+    if (question.options) {
+      try {
+        options = JSON.parse(question.options);
+      } catch (e) {
+        options = null;
+      }
+    }
+
+    let tags = [];
+    try {
+      tags = JSON.parse(question.tags || '[]');
+    } catch (e) {
+      tags = [];
+    }
+
+    return { ...question, question_type: question.question_type || 'buzzer', options, tags, is_tiebreaker: Boolean(question.is_tiebreaker) };
+  }
+
+  // Tags are free-form; stored lowercased and de-duplicated as a JSON array
+  normalizeTags(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+    return [...new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+  }
+
+  // Validate the descriptive fields of a question (difficulty, category, tags,
+  // explanation, source) and shape them for storage. All are optional.
+  normalizeQuestionMetadata(questionData) {
+    const optionalText = (value) => (value === undefined || value === null ? '' : String(value).trim()) || null;
+
+    const difficulty = optionalText(questionData.difficulty)?.toLowerCase() || null;
+    if (difficulty && !DIFFICULTIES.includes(difficulty)) {
+      throw new Error(`Invalid difficulty: ${questionData.difficulty}`);
+    }
+
+    return {
+      difficulty,
+      category: optionalText(questionData.category),
+      tags: JSON.stringify(this.normalizeTags(questionData.tags)),
+      explanation: optionalText(questionData.explanation),
+      source: optionalText(questionData.source)
+    };
+  }
+
+  // Tie-breaker questions are held back for sudden death, where only the tied teams buzz
+  normalizeTiebreakerFlag(questionData, questionType = questionData.question_type) {
+    const isTiebreaker = questionData.is_tiebreaker === true || questionData.is_tiebreaker === 1 ||
+      questionData.is_tiebreaker === '1' || questionData.is_tiebreaker === 'true';
+    if (isTiebreaker && (questionType || 'buzzer') !== 'buzzer') {
+      throw new Error('Tie-breaker questions must be buzzer questions');
+    }
+    return isTiebreaker ? 1 : 0;
+  }
+
+  isMultipleChoice(question) {
+    return question?.question_type === 'multiple_choice';
+  }
+
+  // A question without its answer, for screens players can see before the reveal
+  getPublicQuestion(question) {
+    if (!question) return question;
+    const { correct_answer, correct_option, explanation, ...publicQuestion } = question;
+    return publicQuestion;
+  }
+
+  // Question events: players' phones and displays are in the game room and get the
+  // public question; host control gets the full one
+  emitQuestionEvent(gameId, event, payload) {
+    this.io.to(`game-${gameId}`).except(`control-${gameId}`).emit(event, {
+      ...payload,
+      question: this.getPublicQuestion(payload.question)
+    });
+    this.io.to(`control-${gameId}`).emit(event, payload);
+  }
+
+  // Validate the type-specific fields of a question and shape them for storage.
+  // Multiple-choice questions need 2-6 options and an in-range correct_option; their
+  // correct_answer is always the text of the correct option.
+  normalizeQuestionType(questionData) {
+    const questionType = questionData.question_type || 'buzzer';
+
+    if (questionType === 'buzzer' || questionType === 'wager') {
+      return {
+        question_type: questionType,
+        options: null,
+        correct_option: null,
+        correct_answer: questionData.correct_answer
+      };
+    }
+
+    if (questionType !== 'multiple_choice') {
+      throw new Error(`Unknown question type: ${questionType}`);
+    }
+
+    const options = (Array.isArray(questionData.options) ? questionData.options : [])
+      .map(option => String(option ?? '').trim())
+      .filter(option => option.length > 0);
+
+    if (options.length < 2 || options.length > 6) {
+      throw new Error('Multiple-choice questions need between 2 and 6 options');
+    }
+
+    const correctOption = parseInt(questionData.correct_option);
+    if (isNaN(correctOption) || correctOption < 0 || correctOption >= options.length) {
+      throw new Error('correct_option must point at one of the options');
+    }
+
+    return {
+      question_type: 'multiple_choice',
+      options: JSON.stringify(options),
+      correct_option: correctOption,
+      correct_answer: options[correctOption]
+    };
+  }
+
+  // Validate a per-question penalty override; an empty mode means "use the game's policy"
+  normalizePenaltyOverride(questionData) {
+    const mode = questionData.penalty_mode || null;
+    if (!mode) {
+      return { penalty_mode: null, penalty_value: null };
+    }
+
+    return { penalty_mode: mode, penalty_value: this.validatePenaltyPolicy(mode, questionData.penalty_value) };
+  }
+
+  validatePenaltyPolicy(mode, value) {
+    if (!PENALTY_MODES.includes(mode)) {
+      throw new Error(`Invalid penalty mode: ${mode}`);
+    }
+
+    const penaltyValue = mode === 'none' ? 0 : parseFloat(value);
+    if (isNaN(penaltyValue) || penaltyValue < 0) {
+      throw new Error('Penalty value must be a positive number');
+    }
+    if (mode !== 'fixed' && penaltyValue > 100) {
+      throw new Error('Penalty percentage cannot be more than 100');
+    }
+
+    return penaltyValue;
+  }
+
+  getPenaltyPolicy(game, question) {
+    if (question && question.penalty_mode) {
+      return { mode: question.penalty_mode, value: question.penalty_value ?? 0 };
+    }
+    return { mode: game.penalty_mode || 'percentage', value: game.penalty_value ?? 50 };
+  }
+
+  // missCount is how many wrong answers the team has given in this game, including this one
+  calculatePenalty(policy, questionPoints, missCount) {
+    const percentOf = (percent) => Math.floor(questionPoints * percent / 100);
+
+    switch (policy.mode) {
+      case 'none':
+        return 0;
+      case 'fixed':
+        return Math.floor(policy.value);
+      case 'after_first':
+        return missCount > 1 ? percentOf(policy.value) : 0;
+      case 'escalating':
+        return Math.min(questionPoints, percentOf(policy.value * missCount));
+      case 'percentage':
+      default:
+        return percentOf(policy.value);
+    }
   }
 
   async getAllGames() {
@@ -128,25 +464,35 @@ class GameService {
     return this.getGame(gameId);
   }
 
-  async startQuestion(gameId, questionIndex) {
+  // tiebreak ({ position, groupIds }) plays the question as sudden death between the tied teams
+  async startQuestion(gameId, questionIndex, { tiebreak = null } = {}) {
     const game = await this.getGame(gameId);
     if (questionIndex >= game.questions.length) {
       global.consoleLogger?.error(`Question index ${questionIndex} out of bounds for game ${gameId}`);
       throw new Error('Question index out of bounds');
     }
+    if (game.questions[questionIndex].is_tiebreaker && !tiebreak) {
+      throw new Error('Tie-breaker questions are only played in sudden death');
+    }
+
+    // A game started without being opened still has to claim its buzzers
+    if (!this.runningGames.has(gameId)) {
+      await this.openGame(gameId);
+    }
 
     global.consoleLogger?.game(`Starting question ${questionIndex + 1} for game ${gameId}`);
 
     // Mark as played immediately when started (like before)
     let playedQuestions = [...game.played_questions];
-    if (!playedQuestions.includes(questionIndex)) {
-      playedQuestions.push(questionIndex);
+    if (!playedQuestions.includes(game.questions[questionIndex].id)) {
+      playedQuestions.push(game.questions[questionIndex].id);
     }
 
     await this.db.run(
       'UPDATE games SET current_question_index = ?, status = ?, played_questions = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
       [questionIndex, 'question_active', JSON.stringify(playedQuestions), gameId]
     );
+    await this.recordSessionQuestion(gameId, game.questions[questionIndex]);
 
     const currentQuestion = game.questions[questionIndex];
     // Clear any existing timeout for this game
@@ -160,45 +506,103 @@ class GameService {
       console.log(`[START] FORCE clearing previous answered buzzers: [${existingGameState.answeredBuzzers.map(ab => ab.buzzer_id).join(', ')}]`);
     }
 
+    if (existingGameState) {
+      this.clearChoicePressTimers(existingGameState);
+      this.clearBuzzWindow(existingGameState);
+      this.clearReadingTimers(existingGameState);
+      this.stopPointsTicker(existingGameState);
+      this.stopTimerTicker(existingGameState);
+    }
+
+    const isWager = this.isWagerQuestion(currentQuestion);
+    const scoring = this.getQuestionScoring(game, currentQuestion);
+
+    // During the reading phase the clock has not started yet; it runs once buzzers arm
+    const readingTime = this.getReadingTime(game, currentQuestion);
+
     // Set up the new timeout - notify when time is up, then auto-end after 5 seconds
-    const timeoutId = setTimeout(() => {
-      console.log(`[TIMER] Time expired for game ${gameId} - will auto-end in 5 seconds`);
-      this.io.to(`game-${gameId}`).emit('timer-expired', { gameId });
-      this.io.to('control-panel').emit('timer-expired', { gameId });
-
-      // Auto-end round 5 seconds after timer expiration
-      setTimeout(async () => {
-        console.log(`[TIMER] Auto-ending round for game ${gameId} after 5 second grace period`);
-        await this.endQuestion(gameId);
-        await this.prepareNextQuestion(gameId);
-      }, 5000);
+    const timeoutId = readingTime > 0 ? null : setTimeout(() => {
+      this.handleTimerExpired(gameId);
     }, currentQuestion.time_limit * 1000);
 
+    // Wagers are final once the question is revealed; teams that never wagered play for 0
+    if (isWager) {
+      for (const group of game.groups) {
+        await this.db.run(
+          'INSERT OR IGNORE INTO wagers (id, game_id, question_id, group_id, amount) VALUES (?, ?, ?, ?, 0)',
+          [uuidv4(), gameId, currentQuestion.id, group.id]
+        );
+      }
+      await this.db.run(
+        'UPDATE wagers SET locked = 1 WHERE game_id = ? AND question_id = ?',
+        [gameId, currentQuestion.id]
+      );
+      console.log(`[WAGER] Wagers locked for question ${currentQuestion.id} in game ${gameId}`);
+    }
+
     this.activeGames.set(gameId, {
       questionId: currentQuestion.id,
-      startTime: TimingService.now(),
+      questionType: currentQuestion.question_type,
+      startTime: TimingService.now() + readingTime,
+      phase: readingTime > 0 ? 'reading' : 'live',
+      readingEndsAt: readingTime > 0 ? TimingService.now() + readingTime : null,
+      readingTimeoutId: null,
+      lockouts: new Map(), // groupId -> time the false-start lockout ends, or null for the whole question
+      lockoutTimers: new Map(),
       buzzerOrder: [],
       answeredBuzzers: [], // Track buzzers that have already answered THIS question (correctly or incorrectly)
+      choices: new Map(), // groupId -> locked multiple-choice pick
+      choicePresses: new Map(), // groupId -> in-progress physical press sequence
+      buzzWindow: null, // presses collected before they are placed in the buzzer order
+      choicesGraded: false,
       timeLimit: currentQuestion.time_limit * 1000,
       timeoutId: timeoutId,
       isPaused: false,
       pausedAt: null,
-      totalPausedDuration: 0
+      totalPausedDuration: 0,
+      scoring,
+      pointsTicker: null,
+      timerTicker: null,
+      lastEmittedPoints: null,
+      tiebreak
     });
+    await this.persistActiveGame(gameId);
 
     console.log(`[START] Question ${questionIndex} started - answered buzzers list reset to empty for new question`);
 
-    this.io.to(`game-${gameId}`).emit('question-start', {
+    this.emitQuestionEvent(gameId, 'question-start', {
       gameId,
       question: currentQuestion,
       questionIndex,
-      startTime: Date.now()
+      points: scoring.basePoints,
+      round: this.getRoundSummary(game, scoring.round),
+      startTime: Date.now(),
+      readingTime,
+      tiebreak
     });
+    this.startTimerTicker(gameId);
 
-    // Arm physical buzzers through ESP32 service
+    // Every team answers a wager question and the host marks them, so nobody buzzes in
+    if (isWager) {
+      return currentQuestion;
+    }
+
+    if (readingTime > 0) {
+      await this.startReadingPhase(gameId, readingTime);
+      return currentQuestion;
+    }
+
+    this.startPointsTicker(gameId);
+
+    // Arm physical buzzers through ESP32 service - only the tied teams' in sudden death
     if (this.esp32Service) {
       try {
-        await this.esp32Service.armBuzzers(gameId);
+        if (tiebreak) {
+          const buzzerIds = this.getEligibleGroups(game, this.activeGames.get(gameId)).map(g => g.buzzer_id).filter(id => id);
+          if (buzzerIds.length > 0) await this.esp32Service.armSpecificBuzzers(gameId, buzzerIds);
+        } else {
+          await this.esp32Service.armBuzzers(gameId);
+        }
         console.log(`Physical buzzers armed for game ${gameId}, question ${currentQuestion.id}`);
       } catch (error) {
         console.error('Failed to arm physical buzzers:', error);
@@ -206,7 +610,7 @@ class GameService {
     }
 
     // Arm buzzers for both host control and all game clients (including virtual buzzers)
-    this.io.to('control-panel').emit('buzzers-armed', { gameId, questionId: currentQuestion.id });
+    this.io.to(`control-${gameId}`).emit('buzzers-armed', { gameId, questionId: currentQuestion.id });
     this.io.to(`game-${gameId}`).emit('buzzers-armed', { gameId, questionId: currentQuestion.id });
 
     // Timeout is now handled above in the activeGames setup
@@ -214,461 +618,1139 @@ class GameService {
     return currentQuestion;
   }
 
-  pauseQuestion(gameId) {
-    // Prevent concurrent timer operations
-    if (this.timerOperationLock.has(gameId)) {
-      console.log(`Timer operation already in progress for game ${gameId}, skipping pause`);
-      return;
-    }
+  // Reading phase: the question is up but buzzers stay unarmed. A press now is a false
+  // start and locks that team out for false_start_lockout seconds (0 = the whole question).
+  getReadingTime(game, question) {
+    if (!question || (question.question_type || 'buzzer') !== 'buzzer') return 0;
+    return Math.max(0, game.reading_time || 0) * 1000;
+  }
 
-    this.timerOperationLock.add(gameId);
+  async startReadingPhase(gameId, readingTime) {
+    const gameState = this.activeGames.get(gameId);
+    gameState.readingTimeoutId = setTimeout(() => {
+      if (this.activeGames.get(gameId) !== gameState) return;
+      this.endReadingPhase(gameId).catch(error => {
+        console.error('[READING] Failed to end reading phase:', error);
+      });
+    }, readingTime);
 
-    try {
-      const gameState = this.activeGames.get(gameId);
-      if (!gameState || gameState.isPaused) {
-        return;
+    if (this.esp32Service) {
+      try {
+        await this.esp32Service.startReadingPhase(0, gameId);
+      } catch (error) {
+        console.error('[READING] Failed to put physical buzzers in reading mode:', error);
       }
+    }
 
-      // Clear the timeout
-      if (gameState.timeoutId) {
-        clearTimeout(gameState.timeoutId);
-        gameState.timeoutId = null;
-      }
+    console.log(`[READING] Reading phase for question ${gameState.questionId} - buzzers arm in ${readingTime}ms`);
+  }
 
-    gameState.isPaused = true;
-    gameState.pausedAt = TimingService.now();
+  // Start the clock and arm every team that is not locked out. Also used when the host arms early.
+  async endReadingPhase(gameId) {
+    const gameState = this.activeGames.get(gameId);
+    if (!gameState || gameState.phase !== 'reading') {
+      throw new Error('No reading phase in progress');
+    }
 
-      // Emit pause event to all clients
-      this.io.to(`game-${gameId}`).emit('timer-paused', {
-        gameId,
-        pausedAt: gameState.pausedAt,
-        timeElapsed: gameState.pausedAt - gameState.startTime - gameState.totalPausedDuration
-      });
+    clearTimeout(gameState.readingTimeoutId);
+    gameState.readingTimeoutId = null;
+    gameState.phase = 'live';
+    gameState.readingEndsAt = null;
+    gameState.startTime = TimingService.now();
+    gameState.timeoutId = setTimeout(() => {
+      this.handleTimerExpired(gameId);
+    }, gameState.timeLimit);
+    await this.persistActiveGame(gameId);
 
-      console.log(`Question timer paused for game ${gameId}`);
-    } finally {
-      this.timerOperationLock.delete(gameId);
+    this.startPointsTicker(gameId);
+    this.emitTimerUpdate(gameId, gameState);
+
+    const game = await this.getGame(gameId);
+    const lockedGroups = Array.from(gameState.lockouts.keys());
+    if (this.esp32Service) {
+      try {
+        if (lockedGroups.length === 0 && !gameState.tiebreak) {
+          await this.esp32Service.armBuzzers(gameId);
+        } else {
+          const buzzerIds = this.getEligibleGroups(game, gameState)
+            .filter(g => !lockedGroups.includes(g.id))
+            .map(g => g.buzzer_id)
+            .filter(id => id);
+          await this.esp32Service.armSpecificBuzzers(gameId, buzzerIds);
+        }
+      } catch (error) {
+        console.error('Failed to arm physical buzzers:', error);
+      }
     }
+
+    console.log(`[READING] Reading phase over for game ${gameId} - ${lockedGroups.length} team(s) locked out`);
+
+    const readingEndedEvent = { gameId, questionId: gameState.questionId, startTime: Date.now(), lockedGroups };
+    this.io.to(`game-${gameId}`).emit('reading-ended', readingEndedEvent);
+    this.io.to(`control-${gameId}`).emit('reading-ended', readingEndedEvent);
+    this.io.to(`control-${gameId}`).emit('buzzers-armed', { gameId, questionId: gameState.questionId });
+    this.io.to(`game-${gameId}`).emit('buzzers-armed', { gameId, questionId: gameState.questionId });
+
+    return readingEndedEvent;
   }
 
-  resumeQuestion(gameId) {
-    // Prevent concurrent timer operations
-    if (this.timerOperationLock.has(gameId)) {
-      console.log(`Timer operation already in progress for game ${gameId}, skipping resume`);
+  async handleFalseStart(gameId, groupId, buzzerId, timestamp) {
+    const gameState = this.activeGames.get(gameId);
+    if (gameState.lockouts.has(groupId)) {
+      console.log(`[FALSE START] Group ${groupId} is already locked out - ignoring press`);
       return;
     }
 
-    this.timerOperationLock.add(gameId);
-
-    try {
-      const gameState = this.activeGames.get(gameId);
-      if (!gameState || !gameState.isPaused) {
-        return;
-      }
+    const game = await this.getGame(gameId);
+    const lockoutMs = Math.max(0, game.false_start_lockout || 0) * 1000;
+    const lockedUntil = lockoutMs > 0 ? TimingService.now() + lockoutMs : null;
+    gameState.lockouts.set(groupId, lockedUntil);
+    if (lockedUntil) {
+      this.scheduleLockoutRelease(gameId, gameState, groupId, lockoutMs);
+    }
 
-      // Calculate pause duration and add to total
-      const pauseDuration = TimingService.now() - gameState.pausedAt;
-      gameState.totalPausedDuration += pauseDuration;
-      gameState.isPaused = false;
-      gameState.pausedAt = null;
+    // delta_ms is negative: how long before the buzzers would have armed
+    await this.db.run(
+      'INSERT INTO buzzer_events (game_id, question_id, group_id, timestamp, delta_ms, false_start, session_id, buzzer_id) VALUES (?, ?, ?, ?, ?, 1, ?, ?)',
+      [gameId, gameState.questionId, groupId, timestamp, timestamp - gameState.readingEndsAt, await this.getCurrentSessionId(gameId), buzzerId]
+    );
+    await this.persistActiveGame(gameId);
 
-      // Calculate remaining time and set new timeout
-      const effectiveElapsed = TimingService.now() - gameState.startTime - gameState.totalPausedDuration;
-      const remainingTime = Math.max(0, gameState.timeLimit - effectiveElapsed);
+    if (this.esp32Service && buzzerId && !buzzerId.toString().startsWith('virtual_')) {
+      await this.esp32Service.lockoutBuzzer(parseInt(buzzerId));
+    }
 
-      if (remainingTime > 0) {
-        gameState.timeoutId = setTimeout(() => {
-          console.log(`[TIMER] Time expired for game ${gameId} - will auto-end in 5 seconds`);
-          this.io.to(`game-${gameId}`).emit('timer-expired', { gameId });
-          this.io.to('control-panel').emit('timer-expired', { gameId });
-
-          // Auto-end round 5 seconds after timer expiration
-          setTimeout(async () => {
-            console.log(`[TIMER] Auto-ending round for game ${gameId} after 5 second grace period`);
-            await this.endQuestion(gameId);
-            await this.prepareNextQuestion(gameId);
-          }, 5000);
-        }, remainingTime);
-      } else {
-        // Time already expired, auto-end immediately (no 5 second wait since time already passed)
-        console.log(`[TIMER] Time already expired for game ${gameId} - auto-ending immediately`);
-        this.io.to(`game-${gameId}`).emit('timer-expired', { gameId });
-        this.io.to('control-panel').emit('timer-expired', { gameId });
+    console.log(`[FALSE START] Group ${groupId} pressed during the reading phase - locked out ${lockedUntil ? `for ${lockoutMs}ms` : 'for the whole question'}`);
 
-        setTimeout(async () => {
-          console.log(`[TIMER] Auto-ending round for game ${gameId}`);
-          await this.endQuestion(gameId);
-          await this.prepareNextQuestion(gameId);
-        }, 0);
-        return;
-      }
+    const falseStartEvent = { gameId, questionId: gameState.questionId, groupId, lockedUntil };
+    this.io.to(`game-${gameId}`).emit('false-start', falseStartEvent);
+    this.io.to(`control-${gameId}`).emit('false-start', falseStartEvent);
+  }
 
-      // Emit resume event to all clients
-      this.io.to(`game-${gameId}`).emit('timer-resumed', {
-        gameId,
-        resumedAt: TimingService.now(),
-        timeRemaining: remainingTime,
-        totalPausedDuration: gameState.totalPausedDuration
+  scheduleLockoutRelease(gameId, gameState, groupId, delay) {
+    gameState.lockoutTimers.set(groupId, setTimeout(() => {
+      if (this.activeGames.get(gameId) !== gameState) return;
+      this.releaseLockout(gameId, groupId).catch(error => {
+        console.error('[FALSE START] Failed to release lockout:', error);
       });
-
-      console.log(`Question timer resumed for game ${gameId}, ${remainingTime}ms remaining`);
-    } finally {
-      this.timerOperationLock.delete(gameId);
-    }
+    }, delay));
   }
 
-  async endQuestion(gameId) {
-    global.consoleLogger?.game(`Ending question for game ${gameId}`);
+  // A timed lockout ran out: put the team's buzzer back to where everyone else is
+  async releaseLockout(gameId, groupId) {
+    const gameState = this.activeGames.get(gameId);
+    if (!gameState || !gameState.lockouts.has(groupId)) return;
 
-    // Prevent concurrent timer operations
-    if (this.timerOperationLock.has(gameId)) {
-      global.consoleLogger?.game(`Timer operation already in progress for game ${gameId}, queuing endQuestion`, 'warning');
-      // Queue the endQuestion to run after current operation completes
-      setImmediate(() => this.endQuestion(gameId));
-      return;
-    }
+    gameState.lockouts.delete(groupId);
+    gameState.lockoutTimers.delete(groupId);
+    await this.persistActiveGame(gameId);
 
-    this.timerOperationLock.add(gameId);
+    const group = await this.db.get('SELECT buzzer_id FROM groups WHERE id = ?', [groupId]);
+    const buzzerId = group && group.buzzer_id;
+    const canBuzz = gameState.phase === 'live' && !gameState.isPaused &&
+      !gameState.answeredBuzzers.some(ab => ab.groupId === groupId);
 
-    try {
-      const gameState = this.activeGames.get(gameId);
-      if (!gameState) {
-        global.consoleLogger?.warning(`No active game state found for game ${gameId} in endQuestion`);
-        return;
+    if (this.esp32Service && buzzerId) {
+      try {
+        if (gameState.phase === 'reading') {
+          await this.esp32Service.startReadingPhase(parseInt(buzzerId));
+        } else if (canBuzz) {
+          await this.esp32Service.armSpecificBuzzers(gameId, [buzzerId]);
+        }
+      } catch (error) {
+        console.error('[FALSE START] Failed to reset locked-out buzzer:', error);
       }
+    }
 
-      // Clear the timeout if it exists
-      if (gameState.timeoutId) {
-        clearTimeout(gameState.timeoutId);
-      }
+    console.log(`[FALSE START] Lockout over for group ${groupId}`);
 
-    // Don't modify played_questions here - they're already set when question starts
-    await this.db.run(
-      'UPDATE games SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-      ['question_ended', gameId]
-    );
-
-    this.io.to(`game-${gameId}`).emit('question-end', {
-      gameId,
-      buzzerOrder: gameState.buzzerOrder
-    });
-
-    // Disarm physical buzzers through ESP32 service
-    if (this.esp32Service) {
-      try {
-        await this.esp32Service.disarmBuzzers();
-        console.log(`Physical buzzers disarmed for game ${gameId}`);
+    const lockoutEndedEvent = { gameId, questionId: gameState.questionId, groupId, armed: canBuzz };
+    this.io.to(`game-${gameId}`).emit('lockout-ended', lockoutEndedEvent);
+    this.io.to(`control-${gameId}`).emit('lockout-ended', lockoutEndedEvent);
+  }
 
-        // Send end round command to reset all buzzers to their proper state
-        await this.esp32Service.endRound(0); // 0 = all devices
-      } catch (error) {
-        console.error('Failed to disarm physical buzzers:', error);
-      }
+  clearReadingTimers(gameState) {
+    if (!gameState) return;
+    clearTimeout(gameState.readingTimeoutId);
+    for (const timer of (gameState.lockoutTimers || new Map()).values()) {
+      clearTimeout(timer);
     }
+  }
 
-    // Disarm buzzers for both host control and all game clients (including virtual buzzers)
-    this.io.to('control-panel').emit('buzzers-disarmed', { gameId });
-    this.io.to(`game-${gameId}`).emit('buzzers-disarmed', { gameId });
-
-    // Remove the game state to prevent any lingering timers
-    this.activeGames.delete(gameId);
-    } finally {
-      this.timerOperationLock.delete(gameId);
+  // Final-round wagering: teams wager part of their score before a wager question is
+  // revealed, then the host marks each team and reveals results from lowest score up
+  async getCurrentWagerQuestion(gameId) {
+    const game = await this.getGame(gameId);
+    const question = game.questions[game.current_question_index];
+    if (!this.isWagerQuestion(question)) {
+      throw new Error('Current question is not a wager question');
     }
+    return { game, question };
   }
 
-  async evaluateAnswer(gameId, isCorrect, buzzerPosition = 0) {
-    const evalStartTime = Date.now();
-    console.log(`[EVAL] Starting evaluation - gameId: ${gameId}, buzzerPosition: ${buzzerPosition}, isCorrect: ${isCorrect}`);
+  async getWagers(gameId) {
+    const { question } = await this.getCurrentWagerQuestion(gameId);
+    return this.db.all(
+      `SELECT w.*, g.name AS team_name, g.color AS team_color, g.score
+       FROM wagers w JOIN groups g ON w.group_id = g.id
+       WHERE w.game_id = ? AND w.question_id = ? ORDER BY g.position`,
+      [gameId, question.id]
+    );
+  }
 
-    const gameState = this.activeGames.get(gameId);
+  // Wager state that is safe to send to every client - amounts stay secret until revealed
+  async getPublicWagerState(game) {
+    const question = game.questions[game.current_question_index];
+    if (!this.isWagerQuestion(question)) return null;
 
-    if (!gameState || !gameState.buzzerOrder.length) {
-      throw new Error('No active question or buzzer presses found');
+    const wagers = await this.db.all(
+      'SELECT * FROM wagers WHERE game_id = ? AND question_id = ?',
+      [game.id, question.id]
+    );
+
+    return {
+      questionId: question.id,
+      open: game.status === 'wagering',
+      submittedGroups: wagers.map(w => w.group_id),
+      revealed: wagers.filter(w => w.revealed).map(w => ({
+        groupId: w.group_id,
+        amount: w.amount,
+        isCorrect: Boolean(w.is_correct),
+        pointsAwarded: w.points_awarded
+      }))
+    };
+  }
+
+  async openWagers(gameId) {
+    const { game, question } = await this.getCurrentWagerQuestion(gameId);
+    if (this.isQuestionPlayed(game, question)) {
+      throw new Error('This wager question has already been played');
     }
 
-    console.log(`[EVAL] BuzzerOrder: ${JSON.stringify(gameState.buzzerOrder.map(b => ({groupId: b.groupId, position: b.position, evaluated: b.evaluated})))}`);
+    await this.db.run(
+      'UPDATE games SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      ['wagering', gameId]
+    );
 
-    const game = await this.getGame(gameId);
-    const currentQuestion = game.questions[game.current_question_index];
+    const submitted = await this.db.all(
+      'SELECT group_id FROM wagers WHERE game_id = ? AND question_id = ?',
+      [gameId, question.id]
+    );
 
-    if (!currentQuestion) {
-      throw new Error('Current question not found');
+    const wagersOpenEvent = {
+      gameId,
+      questionId: question.id,
+      limits: game.groups.map(group => ({ groupId: group.id, maxWager: Math.max(0, group.score) })),
+      submittedGroups: submitted.map(w => w.group_id)
+    };
+
+    console.log(`[WAGER] Wagers open for question ${question.id} in game ${gameId}`);
+
+    this.io.to(`game-${gameId}`).emit('wagers-open', wagersOpenEvent);
+    this.io.to(`control-${gameId}`).emit('wagers-open', wagersOpenEvent);
+
+    return wagersOpenEvent;
+  }
+
+  async submitWager(gameId, groupId, amount) {
+    const { game, question } = await this.getCurrentWagerQuestion(gameId);
+    if (game.status !== 'wagering') {
+      throw new Error('Wagers are not open');
     }
 
-    // Get the buzzer entry at the specified position
-    const buzzerEntry = gameState.buzzerOrder[buzzerPosition];
-    if (!buzzerEntry) {
-      throw new Error('Buzzer entry not found at position ' + buzzerPosition);
+    const group = game.groups.find(g => g.id === groupId);
+    if (!group) {
+      throw new Error('Team not found');
     }
 
-    console.log(`[EVAL] Found buzzer entry at position ${buzzerPosition}: groupId=${buzzerEntry.groupId}, deltaMs=${buzzerEntry.deltaMs}`);
+    const wager = parseInt(amount);
+    const maxWager = Math.max(0, group.score);
+    if (isNaN(wager) || wager < 0 || wager > maxWager) {
+      throw new Error(`Wager must be between 0 and ${maxWager}`);
+    }
 
-    // Get team name for logging
-    const t1 = Date.now();
-    const teams = await this.db.all('SELECT id, name FROM groups WHERE game_id = ?', [gameId]);
-    const currentTeam = teams.find(t => t.id === buzzerEntry.groupId);
-    console.log(`[EVAL] Evaluating team: ${currentTeam?.name || 'Unknown'} (${buzzerEntry.groupId})`);
-    console.log(`[EVAL TIMING] DB query for team name: ${Date.now() - t1}ms`);
+    await this.db.run(
+      `INSERT INTO wagers (id, game_id, question_id, group_id, amount) VALUES (?, ?, ?, ?, ?)
+       ON CONFLICT (game_id, question_id, group_id) DO UPDATE SET amount = excluded.amount WHERE locked = 0`,
+      [uuidv4(), gameId, question.id, groupId, wager]
+    );
 
-    // Calculate points based on time-based scoring setting
-    let pointsToAward;
-    if (isCorrect) {
-      if (game.time_based_scoring) {
-        // Calculate time remaining when buzzer was pressed
-        const timeElapsed = buzzerEntry.deltaMs;
-        const questionTimeLimit = currentQuestion.time_limit || 30; // Default to 30s if not set
-        const totalTime = questionTimeLimit * 1000;
-        const timeRemaining = Math.max(0, totalTime - timeElapsed);
+    console.log(`[WAGER] ${group.name} wagered ${wager} in game ${gameId}`);
 
+    // Only the host sees the amount
+    this.io.to(`game-${gameId}`).emit('wager-submitted', { gameId, groupId });
+    this.io.to(`control-${gameId}`).emit('wager-submitted', { gameId, groupId, amount: wager });
 
-        pointsToAward = this.calculateTimeBasedPoints(currentQuestion.points, timeRemaining, totalTime);
-      } else {
-        pointsToAward = currentQuestion.points;
-      }
-    } else {
-      // Incorrect answers - apply time-based scoring to negative points too
-      if (game.time_based_scoring) {
-        // Calculate time remaining when buzzer was pressed
-        const timeElapsed = buzzerEntry.deltaMs;
-        const questionTimeLimit = currentQuestion.time_limit || 30; // Default to 30s if not set
-        const totalTime = questionTimeLimit * 1000;
-        const timeRemaining = Math.max(0, totalTime - timeElapsed);
-
-        // Calculate time-based points, then make negative and apply half penalty
-        const timeBasedPoints = this.calculateTimeBasedPoints(currentQuestion.points, timeRemaining, totalTime);
-        pointsToAward = -Math.floor(timeBasedPoints * 0.5);
-      } else {
-        // Non time-based: lose half of base points
-        pointsToAward = -Math.floor(currentQuestion.points * 0.5);
-      }
-    }
-    console.log(`[EVAL] Calculated points: ${pointsToAward} for team ${currentTeam?.name} (${buzzerEntry.groupId})`);
+    return { success: true, groupId, amount: wager };
+  }
 
-    // Award or deduct points
-    console.log(`[EVAL] About to award ${pointsToAward} points to groupId: ${buzzerEntry.groupId}`);
-    const t2 = Date.now();
-    await this.awardPoints(gameId, buzzerEntry.groupId, pointsToAward);
-    console.log(`[EVAL TIMING] Award points: ${Date.now() - t2}ms`);
-    
-    // Mark this buzzer entry as evaluated
-    buzzerEntry.evaluated = true;
-    buzzerEntry.isCorrect = isCorrect;
-    buzzerEntry.pointsAwarded = pointsToAward;
+  async markWager(gameId, groupId, isCorrect) {
+    const { question } = await this.getCurrentWagerQuestion(gameId);
+    const wager = await this.db.get(
+      'SELECT * FROM wagers WHERE game_id = ? AND question_id = ? AND group_id = ?',
+      [gameId, question.id, groupId]
+    );
 
-    // Check for duplicate evaluation first to prevent duplicate feedback commands
-    const alreadyAnswered = gameState.answeredBuzzers.some(ab => ab.buzzer_id === buzzerEntry.buzzer_id);
-    if (alreadyAnswered) {
-      console.log(`[EVAL] WARNING: Buzzer ${buzzerEntry.buzzer_id} already evaluated - ignoring duplicate evaluation call`);
-      return {
-        success: false,
-        isCorrect: false,
-        pointsAwarded: 0,
-        nextInLine: false,
-        questionComplete: false,
-        error: 'Buzzer already evaluated'
-      };
+    if (!wager || !wager.locked) {
+      throw new Error('Wagers are marked after the question has been revealed');
+    }
+    if (wager.revealed) {
+      throw new Error('This wager has already been revealed');
     }
 
-    // Send LED feedback to the buzzer (only for physical buzzers)
-    if (this.esp32Service) {
-      // Check if this is a virtual buzzer (starts with 'virtual_')
-      const isVirtualBuzzer = buzzerEntry.buzzer_id && buzzerEntry.buzzer_id.toString().startsWith('virtual_');
+    await this.db.run(
+      'UPDATE wagers SET is_correct = ? WHERE id = ?',
+      [isCorrect ? 1 : 0, wager.id]
+    );
 
-      if (isVirtualBuzzer) {
-        console.log(`[EVAL] Skipping hardware feedback for virtual buzzer ${buzzerEntry.buzzer_id}`);
-      } else {
-        // Use the actual buzzer device ID from the buzzer press event
-        const buzzerDeviceId = parseInt(buzzerEntry.buzzer_id);
+    this.io.to(`control-${gameId}`).emit('wager-marked', { gameId, groupId, isCorrect });
 
-        if (isNaN(buzzerDeviceId)) {
-          console.log(`[EVAL] WARNING: Cannot parse buzzer ID '${buzzerEntry.buzzer_id}' as a number - skipping hardware feedback`);
-        } else {
-          console.log(`[EVAL] Sending LED feedback to buzzer ${buzzerDeviceId} (correct: ${isCorrect})`);
+    return { success: true, groupId, isCorrect };
+  }
 
-          if (isCorrect) {
-            console.log(`[EVAL] Calling sendCorrectAnswerFeedback for buzzer ${buzzerDeviceId}`);
-            await this.esp32Service.sendCorrectAnswerFeedback(buzzerDeviceId);
-            console.log(`[EVAL] sendCorrectAnswerFeedback completed for buzzer ${buzzerDeviceId}`);
-          } else {
-            const t3 = Date.now();
-            console.log(`[EVAL] Calling sendWrongAnswerFeedback for buzzer ${buzzerDeviceId}`);
-            await this.esp32Service.sendWrongAnswerFeedback(buzzerDeviceId);
-            console.log(`[EVAL] sendWrongAnswerFeedback completed for buzzer ${buzzerDeviceId}`);
-            console.log(`[EVAL TIMING] Send wrong answer feedback: ${Date.now() - t3}ms`);
-            // Wait briefly to ensure wrong answer feedback reaches and is processed by the buzzer
-            // before sending re-arm commands to other buzzers
-            const t4 = Date.now();
-            await new Promise(resolve => setTimeout(resolve, 100));
-            console.log(`[EVAL TIMING] 100ms safety delay: ${Date.now() - t4}ms`);
-          }
-        }
-      }
-    } else {
-      console.log(`[EVAL] WARNING: esp32Service not available, cannot send LED feedback!`);
+  // Settle the unrevealed wager of the team with the lowest score
+  async revealNextWager(gameId) {
+    const wagers = (await this.getWagers(gameId)).filter(w => w.locked && !w.revealed);
+    if (wagers.length === 0) {
+      throw new Error('All wagers have been revealed');
     }
 
-    // Track that this buzzer has answered (correctly or incorrectly)
-    const answeredBuzzer = {
-      buzzer_id: buzzerEntry.buzzer_id,
-      groupId: buzzerEntry.groupId,
-      isCorrect: isCorrect,
-      timestamp: TimingService.now()
-    };
-    gameState.answeredBuzzers.push(answeredBuzzer);
-    console.log(`[EVAL] Added buzzer ${buzzerEntry.buzzer_id} to answered list (${isCorrect ? 'correct' : 'wrong'})`);
+    const next = [...wagers].sort((a, b) => a.score - b.score)[0];
+    if (next.is_correct === null) {
+      throw new Error(`Mark ${next.team_name} right or wrong before revealing`);
+    }
 
-    // Emit answer evaluation event
-    this.io.to(`game-${gameId}`).emit('answer-evaluated', {
-      gameId,
-      groupId: buzzerEntry.groupId,
-      isCorrect,
-      pointsAwarded: pointsToAward,
-      buzzerPosition,
-      nextInLine: gameState.buzzerOrder.length > buzzerPosition + 1 ? gameState.buzzerOrder[buzzerPosition + 1] : null
+    const pointsToAward = next.is_correct ? next.amount : -next.amount;
+    const updatedGroup = await this.awardPoints(gameId, next.group_id, pointsToAward, {
+      reason: 'evaluation',
+      questionId: next.question_id
     });
 
-    this.io.to('control-panel').emit('answer-evaluated', {
+    await this.db.run(
+      'UPDATE wagers SET revealed = 1, points_awarded = ? WHERE id = ?',
+      [pointsToAward, next.id]
+    );
+
+    const remaining = wagers.length - 1;
+    const revealedEvent = {
       gameId,
-      groupId: buzzerEntry.groupId,
-      isCorrect,
+      groupId: next.group_id,
+      teamName: next.team_name,
+      teamColor: next.team_color,
+      amount: next.amount,
+      isCorrect: Boolean(next.is_correct),
       pointsAwarded: pointsToAward,
-      buzzerPosition,
-      remainingBuzzers: gameState.buzzerOrder.slice(buzzerPosition + 1).filter(b => !b.evaluated),
-      questionComplete: isCorrect || gameState.buzzerOrder.slice(buzzerPosition + 1).filter(b => !b.evaluated).length === 0
-    });
-
-    // Handle timer logic based on answer correctness
-    if (isCorrect) {
-      // Correct answer - wait 3 seconds for green LED decay to complete before ending
-      console.log(`[EVAL] Correct answer - waiting 3 seconds for LED feedback before ending round`);
-
-      // Use Promise-based delay instead of setTimeout for better async handling
-      const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
-      delay(3000).then(async () => {
-        console.log(`[EVAL] 3-second delay completed, now ending question (END_ROUND will be sent by endQuestion)`);
+      previousScore: next.score,
+      newScore: updatedGroup.score,
+      remaining
+    };
 
-        // Now end the question and prepare next (endQuestion will send END_ROUND)
-        await this.endQuestion(gameId);
-        await this.prepareNextQuestion(gameId);
-      }).catch(error => {
-        console.error('[EVAL] Error in delay for question ending:', error);
-      });
+    if (remaining === 0) {
+      const game = await this.getGame(gameId);
+      revealedEvent.standings = [...game.groups].sort((a, b) => b.score - a.score);
+    }
 
-      // Return immediately after setting up the delay
-      return {
-        success: true,
-        isCorrect,
-        pointsAwarded: pointsToAward,
-        nextInLine: false,
-        questionComplete: isCorrect
-      };
-    } else {
-      // Wrong answer - keep buzzer RED until round ends (don't send END_ROUND yet)
-      console.log(`[EVAL] Wrong answer - buzzer ${buzzerEntry.buzzer_id} stays RED until round ends`);
+    console.log(`[WAGER] Revealed ${next.team_name}: ${pointsToAward >= 0 ? '+' : ''}${pointsToAward} (${remaining} left)`);
 
-      // Clear buzzer order and resume timer for fresh attempts
-      console.log(`[EVAL] Clearing buzzer order and resuming timer for remaining buzzers`);
-      gameState.buzzerOrder = [];
+    this.io.to(`game-${gameId}`).emit('wager-revealed', revealedEvent);
+    this.io.to(`control-${gameId}`).emit('wager-revealed', revealedEvent);
 
-      // Resume timer for remaining time
-      if (gameState.isPaused) {
-        this.resumeQuestion(gameId);
-      }
+    return revealedEvent;
+  }
 
-      // RE-ARM ONLY BUZZERS that haven't answered yet (exclude buzzers that already answered wrong)
-      if (this.esp32Service) {
-        const t5 = Date.now();
-        // Get all groups for this game to find their buzzer IDs
-        const allGroups = await this.db.all('SELECT buzzer_id FROM groups WHERE game_id = ?', [gameId]);
-        console.log(`[EVAL TIMING] DB query for buzzer IDs: ${Date.now() - t5}ms`);
+  async setGameMode(gameId, gameMode) {
+    if (!['classic', 'board'].includes(gameMode)) {
+      throw new Error(`Invalid game mode: ${gameMode}`);
+    }
 
-        const allBuzzerIds = allGroups.map(g => g.buzzer_id).filter(id => id); // Remove null/empty buzzer IDs
+    await this.db.run(
+      'UPDATE games SET game_mode = ?, board_picker_group_id = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [gameMode, gameId]
+    );
 
-        // Filter out buzzers that have already answered - convert to strings for comparison
-        const answeredBuzzerIds = gameState.answeredBuzzers.map(ab => String(ab.buzzer_id));
-        const availableBuzzerIds = allBuzzerIds.filter(buzzerId => !answeredBuzzerIds.includes(String(buzzerId)));
+    const game = await this.getGame(gameId);
+    this.io.to(`game-${gameId}`).emit('game-mode-changed', { gameId, gameMode, board: this.isBoardMode(game) ? this.getBoard(game) : null });
+    this.io.to(`control-${gameId}`).emit('game-mode-changed', { gameId, gameMode, board: this.isBoardMode(game) ? this.getBoard(game) : null });
 
-        console.log(`[EVAL] Re-arming only available buzzers after wrong answer:`);
-        console.log(`[EVAL] All buzzers: [${allBuzzerIds.join(', ')}]`);
-        console.log(`[EVAL] Already answered: [${answeredBuzzerIds.join(', ')}]`);
-        console.log(`[EVAL] Available to arm: [${availableBuzzerIds.join(', ')}]`);
+    return game;
+  }
 
-        if (availableBuzzerIds.length > 0) {
-          const t6 = Date.now();
-          await this.esp32Service.armSpecificBuzzers(gameId, availableBuzzerIds);
-          console.log(`[EVAL TIMING] ARM_SPECIFIC command: ${Date.now() - t6}ms`);
-        } else {
-          console.log(`[EVAL] No buzzers available to re-arm - all have already answered`);
-        }
-      }
+  // Board mode: the host, or the team that last answered correctly, picks the next cell
+  async pickBoardCell(gameId, questionId, { groupId = null } = {}) {
+    const game = await this.getGame(gameId);
+    if (!this.isBoardMode(game)) {
+      throw new Error('Game is not in board mode');
+    }
+    if (game.status === 'question_active') {
+      throw new Error('A question is already in progress');
+    }
 
-      console.log(`[EVAL TIMING] Total evaluation time: ${Date.now() - evalStartTime}ms`);
+    const questionIndex = game.questions.findIndex(q => q.id === questionId);
+    if (questionIndex === -1) {
+      throw new Error('Question not found');
+    }
+    if (game.played_questions.includes(questionId)) {
+      throw new Error('That cell has already been played');
+    }
+    if (groupId && groupId !== game.board_picker_group_id) {
+      throw new Error('It is not this team\'s turn to pick');
     }
 
-    return {
-      success: true,
-      isCorrect,
-      pointsAwarded: pointsToAward,
-      nextInLine: false, // No queue system - buzzers re-arm after wrong answers
-      questionComplete: isCorrect // Question only complete when answered correctly
+    const question = game.questions[questionIndex];
+    const round = this.getRoundForQuestion(game, question);
+    const pickedEvent = {
+      gameId,
+      questionId,
+      questionIndex,
+      category: round ? round.name : 'General',
+      value: this.getQuestionScoring(game, question).basePoints,
+      pickedBy: groupId
     };
+
+    console.log(`[BOARD] ${groupId ? `Team ${groupId}` : 'Host'} picked ${pickedEvent.category} for ${pickedEvent.value} in game ${gameId}`);
+
+    this.io.to(`game-${gameId}`).emit('board-cell-picked', pickedEvent);
+    this.io.to(`control-${gameId}`).emit('board-cell-picked', pickedEvent);
+
+    return this.startQuestion(gameId, questionIndex);
   }
 
-  async prepareNextQuestion(gameId) {
-    // Clear answered buzzers list to prevent it from carrying over to next question
-    const gameState = this.activeGames.get(gameId);
-    if (gameState) {
-      console.log(`[PREP] Clearing answered buzzers list for next question: was [${gameState.answeredBuzzers.map(ab => ab.buzzer_id).join(', ')}]`);
-      gameState.answeredBuzzers = [];
+  async showBoard(gameId, game = null) {
+    game = game || await this.getGame(gameId);
+    if (!this.isBoardMode(game)) {
+      throw new Error('Game is not in board mode');
     }
 
-    const game = await this.getGame(gameId);
-    const nextQuestionIndex = game.current_question_index + 1;
+    const board = this.getBoard(game);
+    if (board.remaining === 0) {
+      return this.finishGame(gameId, game);
+    }
 
-    if (nextQuestionIndex < game.questions.length) {
-      // Update current question index but don't start yet (host controls when to start)
-      await this.db.run(
-        'UPDATE games SET current_question_index = ?, status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-        [nextQuestionIndex, 'waiting_for_next', gameId]
-      );
-      
-      this.io.to(`game-${gameId}`).emit('question-prepared', {
+    await this.db.run(
+      'UPDATE games SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      ['board', gameId]
+    );
+
+    this.io.to(`game-${gameId}`).emit('board-updated', { gameId, board });
+    this.io.to(`control-${gameId}`).emit('board-updated', { gameId, board });
+
+    return board;
+  }
+
+  async setBoardPicker(gameId, groupId) {
+    await this.db.run(
+      'UPDATE games SET board_picker_group_id = ? WHERE id = ?',
+      [groupId, gameId]
+    );
+  }
+
+  // Jump to the first unplayed question of a round and show its title slide
+  async startRound(gameId, roundId) {
+    const game = await this.getGame(gameId);
+    const round = game.rounds.find(r => r.id === roundId);
+    if (!round) throw new Error('Round not found');
+
+    const roundQuestionIndexes = game.questions
+      .map((question, index) => (question.round_id === roundId ? index : -1))
+      .filter(index => index !== -1);
+
+    if (roundQuestionIndexes.length === 0) {
+      throw new Error('Round has no questions');
+    }
+
+    const firstQuestionIndex = roundQuestionIndexes.find(index => !this.isQuestionPlayed(game, game.questions[index]))
+      ?? roundQuestionIndexes[0];
+
+    await this.db.run(
+      'UPDATE games SET current_question_index = ?, status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [firstQuestionIndex, 'round_intro', gameId]
+    );
+
+    const roundStartedEvent = {
+      gameId,
+      round: this.getRoundSummary(game, round),
+      firstQuestionIndex
+    };
+
+    console.log(`[ROUND] Starting round "${round.name}" for game ${gameId} at question ${firstQuestionIndex + 1}`);
+
+    this.io.to(`game-${gameId}`).emit('round-started', roundStartedEvent);
+    this.io.to(`control-${gameId}`).emit('round-started', roundStartedEvent);
+
+    return roundStartedEvent;
+  }
+
+  // Notify clients that time is up, grade multiple-choice picks, then auto-end after 5 seconds
+  handleTimerExpired(gameId) {
+    console.log(`[TIMER] Time expired for game ${gameId} - will auto-end in 5 seconds`);
+    this.io.to(`game-${gameId}`).emit('timer-expired', { gameId });
+    this.io.to(`control-${gameId}`).emit('timer-expired', { gameId });
+
+    const gameState = this.activeGames.get(gameId);
+    this.stopPointsTicker(gameState);
+    this.stopTimerTicker(gameState);
+    this.clearReadingTimers(gameState);
+    if (gameState && gameState.questionType === 'multiple_choice') {
+      this.gradeMultipleChoice(gameId).catch(error => {
+        console.error('[CHOICE] Failed to grade multiple-choice question:', error);
+      });
+    }
+
+    // Wager questions stay put so the host can mark every team and run the reveal
+    const isWager = gameState && gameState.questionType === 'wager';
+
+    // Auto-end round 5 seconds after timer expiration
+    setTimeout(async () => {
+      console.log(`[TIMER] Auto-ending round for game ${gameId} after 5 second grace period`);
+      await this.endQuestion(gameId);
+      if (!isWager) {
+        await this.prepareNextQuestion(gameId);
+      }
+    }, 5000);
+  }
+
+  pauseQuestion(gameId) {
+    // Prevent concurrent timer operations
+    if (this.timerOperationLock.has(gameId)) {
+      console.log(`Timer operation already in progress for game ${gameId}, skipping pause`);
+      return;
+    }
+
+    this.timerOperationLock.add(gameId);
+
+    try {
+      const gameState = this.activeGames.get(gameId);
+      if (!gameState || gameState.isPaused) {
+        return;
+      }
+
+      // Clear the timeout
+      if (gameState.timeoutId) {
+        clearTimeout(gameState.timeoutId);
+        gameState.timeoutId = null;
+      }
+
+    gameState.isPaused = true;
+    gameState.pausedAt = TimingService.now();
+
+      // Emit pause event to all clients
+      this.io.to(`game-${gameId}`).emit('timer-paused', {
         gameId,
-        nextQuestionIndex,
-        question: game.questions[nextQuestionIndex],
-        totalQuestions: game.questions.length
+        pausedAt: gameState.pausedAt,
+        timeElapsed: gameState.pausedAt - gameState.startTime - gameState.totalPausedDuration
       });
-      
-      this.io.to('control-panel').emit('question-prepared', {
+      this.emitTimerUpdate(gameId, gameState);
+
+      this.persistActiveGame(gameId);
+      console.log(`Question timer paused for game ${gameId}`);
+    } finally {
+      this.timerOperationLock.delete(gameId);
+    }
+  }
+
+  resumeQuestion(gameId) {
+    // Prevent concurrent timer operations
+    if (this.timerOperationLock.has(gameId)) {
+      console.log(`Timer operation already in progress for game ${gameId}, skipping resume`);
+      return;
+    }
+
+    this.timerOperationLock.add(gameId);
+
+    try {
+      const gameState = this.activeGames.get(gameId);
+      if (!gameState || !gameState.isPaused) {
+        return;
+      }
+
+      // Calculate pause duration and add to total
+      const pauseDuration = TimingService.now() - gameState.pausedAt;
+      gameState.totalPausedDuration += pauseDuration;
+      gameState.isPaused = false;
+      gameState.pausedAt = null;
+      this.persistActiveGame(gameId);
+
+      // Calculate remaining time and set new timeout
+      const effectiveElapsed = TimingService.now() - gameState.startTime - gameState.totalPausedDuration;
+      const remainingTime = Math.max(0, gameState.timeLimit - effectiveElapsed);
+
+      if (remainingTime > 0) {
+        gameState.timeoutId = setTimeout(() => {
+          this.handleTimerExpired(gameId);
+        }, remainingTime);
+      } else {
+        // Time already expired, auto-end immediately (no 5 second wait since time already passed)
+        console.log(`[TIMER] Time already expired for game ${gameId} - auto-ending immediately`);
+        this.io.to(`game-${gameId}`).emit('timer-expired', { gameId });
+        this.io.to(`control-${gameId}`).emit('timer-expired', { gameId });
+
+        const isWager = gameState.questionType === 'wager';
+        setTimeout(async () => {
+          console.log(`[TIMER] Auto-ending round for game ${gameId}`);
+          await this.endQuestion(gameId);
+          if (!isWager) {
+            await this.prepareNextQuestion(gameId);
+          }
+        }, 0);
+        return;
+      }
+
+      // Emit resume event to all clients
+      this.io.to(`game-${gameId}`).emit('timer-resumed', {
         gameId,
-        nextQuestionIndex,
-        question: game.questions[nextQuestionIndex],
-        totalQuestions: game.questions.length
+        resumedAt: TimingService.now(),
+        timeRemaining: remainingTime,
+        totalPausedDuration: gameState.totalPausedDuration
       });
+      this.emitTimerUpdate(gameId, gameState);
+
+      console.log(`Question timer resumed for game ${gameId}, ${remainingTime}ms remaining`);
+    } finally {
+      this.timerOperationLock.delete(gameId);
+    }
+  }
+
+  async endQuestion(gameId) {
+    global.consoleLogger?.game(`Ending question for game ${gameId}`);
+
+    // Prevent concurrent timer operations
+    if (this.timerOperationLock.has(gameId)) {
+      global.consoleLogger?.game(`Timer operation already in progress for game ${gameId}, queuing endQuestion`, 'warning');
+      // Queue the endQuestion to run after current operation completes
+      setImmediate(() => this.endQuestion(gameId));
+      return;
+    }
+
+    this.timerOperationLock.add(gameId);
+
+    try {
+      const gameState = this.activeGames.get(gameId);
+      if (!gameState) {
+        global.consoleLogger?.warning(`No active game state found for game ${gameId} in endQuestion`);
+        return;
+      }
+
+      // Clear the timeout if it exists
+      if (gameState.timeoutId) {
+        clearTimeout(gameState.timeoutId);
+      }
+      this.stopPointsTicker(gameState);
+      this.stopTimerTicker(gameState);
+
+      // Host ended a multiple-choice question before the timer ran out - grade what is locked in
+      if (gameState.questionType === 'multiple_choice' && !gameState.choicesGraded) {
+        await this.gradeMultipleChoice(gameId);
+      }
+      this.clearChoicePressTimers(gameState);
+      this.clearBuzzWindow(gameState);
+      this.clearReadingTimers(gameState);
+
+    // Don't modify played_questions here - they're already set when question starts
+    await this.db.run(
+      'UPDATE games SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      ['question_ended', gameId]
+    );
+
+    this.io.to(`game-${gameId}`).emit('question-end', {
+      gameId,
+      buzzerOrder: gameState.buzzerOrder
+    });
+
+    // Disarm physical buzzers through ESP32 service
+    if (this.esp32Service) {
+      try {
+        await this.esp32Service.disarmBuzzers(gameId);
+        console.log(`Physical buzzers disarmed for game ${gameId}`);
+
+        // Send end round command to reset all buzzers to their proper state
+        await this.esp32Service.endRound(0, gameId); // 0 = all of this game's devices
+      } catch (error) {
+        console.error('Failed to disarm physical buzzers:', error);
+      }
+    }
+
+    // Disarm buzzers for both host control and all game clients (including virtual buzzers)
+    this.io.to(`control-${gameId}`).emit('buzzers-disarmed', { gameId });
+    this.io.to(`game-${gameId}`).emit('buzzers-disarmed', { gameId });
+
+    // Remove the game state to prevent any lingering timers
+    await this.removeActiveGame(gameId);
+    } finally {
+      this.timerOperationLock.delete(gameId);
+    }
+  }
+
+  async evaluateAnswer(gameId, isCorrect, buzzerPosition = 0) {
+    const evalStartTime = Date.now();
+    console.log(`[EVAL] Starting evaluation - gameId: ${gameId}, buzzerPosition: ${buzzerPosition}, isCorrect: ${isCorrect}`);
+
+    const gameState = this.activeGames.get(gameId);
+
+    if (gameState && gameState.questionType === 'multiple_choice') {
+      throw new Error('Multiple-choice questions are graded automatically when the timer ends');
+    }
+
+    if (gameState && gameState.questionType === 'wager') {
+      throw new Error('Wager questions are marked team by team');
+    }
+
+    if (!gameState || !gameState.buzzerOrder.length) {
+      throw new Error('No active question or buzzer presses found');
+    }
+
+    console.log(`[EVAL] BuzzerOrder: ${JSON.stringify(gameState.buzzerOrder.map(b => ({groupId: b.groupId, position: b.position, evaluated: b.evaluated})))}`);
+
+    const game = await this.getGame(gameId);
+    const currentQuestion = game.questions[game.current_question_index];
+
+    if (!currentQuestion) {
+      throw new Error('Current question not found');
+    }
+
+    // Get the buzzer entry at the specified position
+    const buzzerEntry = gameState.buzzerOrder[buzzerPosition];
+    if (!buzzerEntry) {
+      throw new Error('Buzzer entry not found at position ' + buzzerPosition);
+    }
+
+    console.log(`[EVAL] Found buzzer entry at position ${buzzerPosition}: groupId=${buzzerEntry.groupId}, deltaMs=${buzzerEntry.deltaMs}`);
+
+    // Check for duplicate evaluation before anything is written, so a double-click
+    // can't count a second miss, penalty or tie-break win
+    const alreadyAnswered = gameState.answeredBuzzers.some(ab => ab.buzzer_id === buzzerEntry.buzzer_id);
+    if (buzzerEntry.evaluated || alreadyAnswered) {
+      console.log(`[EVAL] WARNING: Buzzer ${buzzerEntry.buzzer_id} already evaluated - ignoring duplicate evaluation call`);
+      return {
+        success: false,
+        isCorrect: false,
+        pointsAwarded: 0,
+        nextInLine: false,
+        questionComplete: false,
+        error: 'Buzzer already evaluated'
+      };
+    }
+    // Mark this buzzer entry as evaluated right away; a second call arriving while this
+    // one waits on the database sees it
+    buzzerEntry.evaluated = true;
+
+    // Get team name for logging
+    const t1 = Date.now();
+    const teams = await this.db.all('SELECT id, name FROM groups WHERE game_id = ?', [gameId]);
+    const currentTeam = teams.find(t => t.id === buzzerEntry.groupId);
+    console.log(`[EVAL] Evaluating team: ${currentTeam?.name || 'Unknown'} (${buzzerEntry.groupId})`);
+    console.log(`[EVAL TIMING] DB query for team name: ${Date.now() - t1}ms`);
+
+    // The buzz was worth buzzerEntry.points on the scoring curve when it was pressed
+    const scoring = this.getQuestionScoring(game, currentQuestion);
+    const questionPoints = buzzerEntry.points ?? scoring.basePoints;
+    let pointsToAward;
+    if (gameState.tiebreak) {
+      // Sudden death only settles the tie - scores stay as they are
+      pointsToAward = 0;
+    } else if (isCorrect) {
+      pointsToAward = questionPoints;
     } else {
-      // Game completed
+      // Incorrect answers - the penalty policy works from the same resolved question points
+
       await this.db.run(
-        'UPDATE games SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-        ['game_over', gameId]
+        'UPDATE groups SET wrong_answers = wrong_answers + 1 WHERE id = ? AND game_id = ?',
+        [buzzerEntry.groupId, gameId]
       );
-      
-      this.io.to(`game-${gameId}`).emit('game-completed', {
-        gameId,
-        finalScores: game.groups.sort((a, b) => b.score - a.score)
+      const { wrong_answers: missCount } = await this.db.get('SELECT wrong_answers FROM groups WHERE id = ?', [buzzerEntry.groupId]);
+
+      const policy = this.getPenaltyPolicy(game, currentQuestion);
+      pointsToAward = -this.calculatePenalty(policy, questionPoints, missCount);
+      console.log(`[EVAL] Penalty policy ${policy.mode} (${policy.value}), miss #${missCount} for this team`);
+    }
+    console.log(`[EVAL] Calculated points: ${pointsToAward} for team ${currentTeam?.name} (${buzzerEntry.groupId})`);
+
+    // Award or deduct points; the ledger keeps the queue as it was so an undo can put it back
+    console.log(`[EVAL] About to award ${pointsToAward} points to groupId: ${buzzerEntry.groupId}`);
+    const t2 = Date.now();
+    if (!gameState.tiebreak) {
+      await this.awardPoints(gameId, buzzerEntry.groupId, pointsToAward, {
+        reason: isCorrect ? 'evaluation' : 'penalty',
+        questionId: gameState.questionId,
+        buzzerState: {
+          buzzerOrder: gameState.buzzerOrder,
+          answeredBuzzers: gameState.answeredBuzzers
+        }
+      });
+    } else if (isCorrect) {
+      await this.recordTiebreakWin(gameId, buzzerEntry.groupId, gameState.tiebreak.position);
+    }
+    console.log(`[EVAL TIMING] Award points: ${Date.now() - t2}ms`);
+    
+    buzzerEntry.isCorrect = isCorrect;
+    buzzerEntry.pointsAwarded = pointsToAward;
+
+    // Send LED feedback to the buzzer (only for physical buzzers)
+    if (this.esp32Service) {
+      // Check if this is a virtual buzzer (starts with 'virtual_')
+      const isVirtualBuzzer = buzzerEntry.buzzer_id && buzzerEntry.buzzer_id.toString().startsWith('virtual_');
+
+      if (isVirtualBuzzer) {
+        console.log(`[EVAL] Skipping hardware feedback for virtual buzzer ${buzzerEntry.buzzer_id}`);
+      } else {
+        // Use the actual buzzer device ID from the buzzer press event
+        const buzzerDeviceId = parseInt(buzzerEntry.buzzer_id);
+
+        if (isNaN(buzzerDeviceId)) {
+          console.log(`[EVAL] WARNING: Cannot parse buzzer ID '${buzzerEntry.buzzer_id}' as a number - skipping hardware feedback`);
+        } else {
+          console.log(`[EVAL] Sending LED feedback to buzzer ${buzzerDeviceId} (correct: ${isCorrect})`);
+
+          if (isCorrect) {
+            console.log(`[EVAL] Calling sendCorrectAnswerFeedback for buzzer ${buzzerDeviceId}`);
+            await this.esp32Service.sendCorrectAnswerFeedback(buzzerDeviceId);
+            console.log(`[EVAL] sendCorrectAnswerFeedback completed for buzzer ${buzzerDeviceId}`);
+          } else {
+            const t3 = Date.now();
+            console.log(`[EVAL] Calling sendWrongAnswerFeedback for buzzer ${buzzerDeviceId}`);
+            await this.esp32Service.sendWrongAnswerFeedback(buzzerDeviceId);
+            console.log(`[EVAL] sendWrongAnswerFeedback completed for buzzer ${buzzerDeviceId}`);
+            console.log(`[EVAL TIMING] Send wrong answer feedback: ${Date.now() - t3}ms`);
+            // Wait briefly to ensure wrong answer feedback reaches and is processed by the buzzer
+            // before sending re-arm commands to other buzzers
+            const t4 = Date.now();
+            await new Promise(resolve => setTimeout(resolve, 100));
+            console.log(`[EVAL TIMING] 100ms safety delay: ${Date.now() - t4}ms`);
+          }
+        }
+      }
+    } else {
+      console.log(`[EVAL] WARNING: esp32Service not available, cannot send LED feedback!`);
+    }
+
+    // Track that this buzzer has answered (correctly or incorrectly)
+    const answeredBuzzer = {
+      buzzer_id: buzzerEntry.buzzer_id,
+      groupId: buzzerEntry.groupId,
+      isCorrect: isCorrect,
+      timestamp: TimingService.now()
+    };
+    gameState.answeredBuzzers.push(answeredBuzzer);
+    console.log(`[EVAL] Added buzzer ${buzzerEntry.buzzer_id} to answered list (${isCorrect ? 'correct' : 'wrong'})`);
+    await this.recordBuzzOutcome(gameId, gameState.questionId, buzzerEntry.groupId, isCorrect, pointsToAward);
+
+    // Emit answer evaluation event
+    this.io.to(`game-${gameId}`).emit('answer-evaluated', {
+      gameId,
+      groupId: buzzerEntry.groupId,
+      isCorrect,
+      pointsAwarded: pointsToAward,
+      buzzerPosition,
+      nextInLine: gameState.buzzerOrder.length > buzzerPosition + 1 ? gameState.buzzerOrder[buzzerPosition + 1] : null
+    });
+
+    this.io.to(`control-${gameId}`).emit('answer-evaluated', {
+      gameId,
+      groupId: buzzerEntry.groupId,
+      isCorrect,
+      pointsAwarded: pointsToAward,
+      buzzerPosition,
+      remainingBuzzers: gameState.buzzerOrder.slice(buzzerPosition + 1).filter(b => !b.evaluated),
+      questionComplete: isCorrect || gameState.buzzerOrder.slice(buzzerPosition + 1).filter(b => !b.evaluated).length === 0
+    });
+
+    // Handle timer logic based on answer correctness
+    if (isCorrect) {
+      if (this.isBoardMode(game)) {
+        await this.setBoardPicker(gameId, buzzerEntry.groupId);
+      }
+
+      // Correct answer - wait 3 seconds for green LED decay to complete before ending
+      console.log(`[EVAL] Correct answer - waiting 3 seconds for LED feedback before ending round`);
+
+      // Use Promise-based delay instead of setTimeout for better async handling
+      const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+      gameState.pendingCompletion = true;
+      await this.persistActiveGame(gameId);
+      delay(3000).then(async () => {
+        if (!gameState.pendingCompletion) {
+          console.log(`[EVAL] Question end cancelled - the evaluation was undone`);
+          return;
+        }
+        gameState.pendingCompletion = false;
+        console.log(`[EVAL] 3-second delay completed, now ending question (END_ROUND will be sent by endQuestion)`);
+
+        // Now end the question and prepare next (endQuestion will send END_ROUND)
+        await this.endQuestion(gameId);
+        await this.prepareNextQuestion(gameId);
+      }).catch(error => {
+        console.error('[EVAL] Error in delay for question ending:', error);
       });
+
+      // Return immediately after setting up the delay
+      return {
+        success: true,
+        isCorrect,
+        pointsAwarded: pointsToAward,
+        nextInLine: false,
+        questionComplete: isCorrect
+      };
+    } else {
+      // Wrong answer - keep buzzer RED until round ends (don't send END_ROUND yet)
+      console.log(`[EVAL] Wrong answer - buzzer ${buzzerEntry.buzzer_id} stays RED until round ends`);
+
+      // Clear buzzer order and resume timer for fresh attempts
+      console.log(`[EVAL] Clearing buzzer order and resuming timer for remaining buzzers`);
+      gameState.buzzerOrder = [];
+
+      // Resume timer for remaining time
+      if (gameState.isPaused) {
+        this.resumeQuestion(gameId);
+      }
+
+      // RE-ARM ONLY BUZZERS that haven't answered yet (exclude buzzers that already answered wrong)
+      if (this.esp32Service) {
+        const t5 = Date.now();
+        // Get all groups for this game to find their buzzer IDs
+        const allGroups = await this.db.all('SELECT id, buzzer_id FROM groups WHERE game_id = ?', [gameId]);
+        console.log(`[EVAL TIMING] DB query for buzzer IDs: ${Date.now() - t5}ms`);
+
+        const allBuzzerIds = allGroups
+          .filter(g => !gameState.tiebreak || gameState.tiebreak.groupIds.includes(g.id))
+          .map(g => g.buzzer_id).filter(id => id); // Remove null/empty buzzer IDs
+
+        // Filter out buzzers that have already answered or are locked out after a false start
+        const answeredBuzzerIds = gameState.answeredBuzzers.map(ab => String(ab.buzzer_id));
+        const lockedOutBuzzerIds = allGroups
+          .filter(g => gameState.lockouts.has(g.id))
+          .map(g => String(g.buzzer_id));
+        const availableBuzzerIds = allBuzzerIds.filter(buzzerId =>
+          !answeredBuzzerIds.includes(String(buzzerId)) && !lockedOutBuzzerIds.includes(String(buzzerId))
+        );
+
+        console.log(`[EVAL] Re-arming only available buzzers after wrong answer:`);
+        console.log(`[EVAL] All buzzers: [${allBuzzerIds.join(', ')}]`);
+        console.log(`[EVAL] Already answered: [${answeredBuzzerIds.join(', ')}]`);
+        console.log(`[EVAL] Available to arm: [${availableBuzzerIds.join(', ')}]`);
+
+        if (availableBuzzerIds.length > 0) {
+          const t6 = Date.now();
+          await this.esp32Service.armSpecificBuzzers(gameId, availableBuzzerIds);
+          console.log(`[EVAL TIMING] ARM_SPECIFIC command: ${Date.now() - t6}ms`);
+        } else {
+          console.log(`[EVAL] No buzzers available to re-arm - all have already answered`);
+        }
+      }
+
+      console.log(`[EVAL TIMING] Total evaluation time: ${Date.now() - evalStartTime}ms`);
+    }
+
+    await this.persistActiveGame(gameId);
+
+    return {
+      success: true,
+      isCorrect,
+      pointsAwarded: pointsToAward,
+      nextInLine: false, // No queue system - buzzers re-arm after wrong answers
+      questionComplete: isCorrect // Question only complete when answered correctly
+    };
+  }
+
+  async prepareNextQuestion(gameId) {
+    // Clear answered buzzers list to prevent it from carrying over to next question
+    const gameState = this.activeGames.get(gameId);
+    if (gameState) {
+      console.log(`[PREP] Clearing answered buzzers list for next question: was [${gameState.answeredBuzzers.map(ab => ab.buzzer_id).join(', ')}]`);
+      gameState.answeredBuzzers = [];
+    }
+
+    const game = await this.getGame(gameId);
+
+    // Board mode has no fixed order - go back to the board until every cell is played
+    if (this.isBoardMode(game)) {
+      return this.showBoard(gameId, game);
+    }
+
+    const currentQuestion = game.questions[game.current_question_index];
+    const nextQuestionIndex = game.current_question_index + 1;
+    // Tie-breaker questions sit after the regular ones and are only played in sudden death
+    const hasNextQuestion = nextQuestionIndex < game.questions.length && !game.questions[nextQuestionIndex].is_tiebreaker;
+
+    // Leaving the last question of a round - show the round interstitial and standings
+    const currentRound = currentQuestion?.is_tiebreaker ? null : this.getRoundForQuestion(game, currentQuestion);
+    const nextRound = hasNextQuestion ? this.getRoundForQuestion(game, game.questions[nextQuestionIndex]) : null;
+    if (currentRound && currentRound.id !== nextRound?.id) {
+      const roundCompletedEvent = {
+        gameId,
+        round: this.getRoundSummary(game, currentRound),
+        nextRound: this.getRoundSummary(game, nextRound),
+        standings: [...game.groups].sort((a, b) => b.score - a.score)
+      };
+
+      console.log(`[ROUND] Round "${currentRound.name}" complete for game ${gameId}`);
+
+      this.io.to(`game-${gameId}`).emit('round-completed', roundCompletedEvent);
+      this.io.to(`control-${gameId}`).emit('round-completed', roundCompletedEvent);
+    }
+
+    if (hasNextQuestion) {
+      // Update current question index but don't start yet (host controls when to start)
+      await this.db.run(
+        'UPDATE games SET current_question_index = ?, status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [nextQuestionIndex, 'waiting_for_next', gameId]
+      );
       
-      this.io.to('control-panel').emit('game-completed', {
+      this.emitQuestionEvent(gameId, 'question-prepared', {
         gameId,
-        finalScores: game.groups.sort((a, b) => b.score - a.score)
+        nextQuestionIndex,
+        question: game.questions[nextQuestionIndex],
+        round: this.getRoundSummary(game, nextRound),
+        totalQuestions: game.questions.length
       });
-      
-      // Clear the active game state only when game is completed
-      this.activeGames.delete(gameId);
+    } else {
+      await this.finishGame(gameId, game);
+    }
+    
+    // Don't clear active game state here for normal question preparation
+    // Game state should only be cleared when game is completed or question ends
+  }
+
+  // Regular play is over. A tie in the top positions is offered to the host as sudden
+  // death while tie-breaker questions are left; otherwise the game ends as it stands.
+  async finishGame(gameId, game) {
+    const ties = this.findTies(game);
+    const tiebreakersLeft = this.getUnplayedTiebreakerIndexes(game).length;
+
+    if (ties.length === 0 || tiebreakersLeft === 0) {
+      if (ties.length > 0) {
+        console.log(`[TIEBREAK] Game ${gameId} ends with a tie - no tie-breaker questions left`);
+      }
+      return this.completeGame(gameId, game);
+    }
+
+    await this.db.run(
+      'UPDATE games SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      ['tie_detected', gameId]
+    );
+
+    console.log(`[TIEBREAK] Tie for position ${ties.map(tie => tie.position).join(', ')} in game ${gameId} - ${tiebreakersLeft} tie-breaker question(s) left`);
+
+    const tieDetectedEvent = { gameId, ties, standings: this.getStandings(game), tiebreakersLeft };
+    this.io.to(`game-${gameId}`).emit('tie-detected', tieDetectedEvent);
+    this.io.to(`control-${gameId}`).emit('tie-detected', tieDetectedEvent);
+
+    await this.removeActiveGame(gameId);
+  }
+
+  async completeGame(gameId, game) {
+    await this.db.run(
+      'UPDATE games SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      ['game_over', gameId]
+    );
+    await this.endSession(gameId, game, 'completed');
+
+    // Final standings include sudden-death results; ties nobody broke are listed too
+    const gameCompletedEvent = {
+      gameId,
+      finalScores: this.getStandings(game),
+      unresolvedTies: this.findTies(game)
+    };
+    this.io.to(`game-${gameId}`).emit('game-completed', gameCompletedEvent);
+    this.io.to(`control-${gameId}`).emit('game-completed', gameCompletedEvent);
+    
+    // Clear the active game state only when game is completed
+    await this.removeActiveGame(gameId);
+  }
+
+  // Teams by score, then by the place they won in sudden death. rank is shared by teams
+  // that are still level.
+  getStandings(game) {
+    const place = (group) => group.tiebreak_place ?? Infinity;
+    const sorted = [...game.groups].sort((a, b) => (b.score - a.score) || (place(a) - place(b)));
+
+    return sorted.map(group => ({
+      ...group,
+      rank: 1 + sorted.filter(other => other.score > group.score ||
+        (other.score === group.score && place(other) < place(group))).length
+    }));
+  }
+
+  // Positions within the game's tie-break range that more than one team shares
+  findTies(game) {
+    const positions = game.tie_break_positions || 1;
+    const ties = [];
+
+    for (const group of this.getStandings(game)) {
+      if (group.rank > positions) break;
+      let tie = ties.find(t => t.position === group.rank);
+      if (!tie) {
+        tie = { position: group.rank, groups: [] };
+        ties.push(tie);
+      }
+      tie.groups.push({ id: group.id, name: group.name, color: group.color, score: group.score });
+    }
+
+    return ties.filter(tie => tie.groups.length > 1);
+  }
+
+  getUnplayedTiebreakerIndexes(game) {
+    return game.questions
+      .map((question, index) => (question.is_tiebreaker && !this.isQuestionPlayed(game, question) ? index : -1))
+      .filter(index => index !== -1);
+  }
+
+  // Teams that may buzz on the live question - only the tied teams during sudden death
+  getEligibleGroups(game, gameState) {
+    if (!gameState?.tiebreak) return game.groups;
+    return game.groups.filter(g => gameState.tiebreak.groupIds.includes(g.id));
+  }
+
+  // Play the next tie-breaker question between the teams tied for the highest position
+  async startSuddenDeath(gameId) {
+    const game = await this.getGame(gameId);
+    const [tie] = this.findTies(game);
+    if (game.status !== 'tie_detected' || !tie) {
+      throw new Error('There is no tie to break');
+    }
+
+    const [questionIndex] = this.getUnplayedTiebreakerIndexes(game);
+    if (questionIndex === undefined) {
+      throw new Error('No tie-breaker questions left');
+    }
+
+    console.log(`[TIEBREAK] Sudden death for position ${tie.position} in game ${gameId}: ${tie.groups.map(g => g.name).join(' vs ')}`);
+
+    return this.startQuestion(gameId, questionIndex, {
+      tiebreak: { position: tie.position, groupIds: tie.groups.map(g => g.id) }
+    });
+  }
+
+  // Host passes on sudden death; the game ends with the tie standing
+  async declineTieBreak(gameId) {
+    const game = await this.getGame(gameId);
+    if (game.status !== 'tie_detected') {
+      throw new Error('There is no tie to break');
     }
-    
-    // Don't clear active game state here for normal question preparation
-    // Game state should only be cleared when game is completed or question ends
+
+    await this.completeGame(gameId, game);
+    return { success: true, finalScores: this.getStandings(game) };
+  }
+
+  async recordTiebreakWin(gameId, groupId, position) {
+    await this.db.run(
+      'UPDATE groups SET tiebreak_place = ? WHERE id = ? AND game_id = ?',
+      [position, groupId, gameId]
+    );
+
+    console.log(`[TIEBREAK] Group ${groupId} wins the tie for position ${position} in game ${gameId}`);
+
+    this.io.to(`game-${gameId}`).emit('tiebreak-won', { gameId, groupId, position });
+    this.io.to(`control-${gameId}`).emit('tiebreak-won', { gameId, groupId, position });
+  }
+
+  // Store how a team's latest buzz on a question was judged. isCorrect null clears it
+  // again when the evaluation is undone.
+  async recordBuzzOutcome(gameId, questionId, groupId, isCorrect, pointsAwarded) {
+    await this.db.run(
+      `UPDATE buzzer_events SET is_correct = ?, points_awarded = ?
+       WHERE id = (SELECT MAX(id) FROM buzzer_events
+                   WHERE session_id = ? AND question_id = ? AND group_id = ? AND false_start = 0)`,
+      [isCorrect === null ? null : (isCorrect ? 1 : 0), pointsAwarded, await this.getCurrentSessionId(gameId), questionId, groupId]
+    );
   }
 
   async getNextInLineBuzzer(gameId) {
@@ -695,122 +1777,715 @@ class GameService {
       };
     }
 
-    const currentQuestion = game.questions[game.current_question_index];
-    const nextInLine = this.getNextInLineBuzzer(gameId);
-    
-    return {
-      hasActiveQuestion: true,
-      currentQuestion,
+    const currentQuestion = game.questions[game.current_question_index];
+    const nextInLine = this.getNextInLineBuzzer(gameId);
+    
+    return {
+      hasActiveQuestion: true,
+      currentQuestion,
+      buzzerOrder: gameState.buzzerOrder,
+      nextInLine: await nextInLine,
+      timeRemaining: this.getTimerState(gameState).timeRemaining
+    };
+  }
+
+  async handleBuzzerPress(data) {
+    const { gameId, groupId, timestamp, buzzer_id, buzzerId, compensationMs = 0 } = data;
+    const buzzerIdStr = buzzerId || buzzer_id;
+    global.consoleLogger?.game(`Buzzer press - gameId: ${gameId}, groupId: ${groupId}, buzzer: ${buzzerIdStr}`);
+
+    const gameState = this.activeGames.get(gameId);
+    if (!gameState) {
+      global.consoleLogger?.game(`No active game state for game ${gameId}`, 'warning');
+      return;
+    }
+
+    // Resolve the actual group ID using simplified mapping logic
+    const actualGroupId = await this.resolveGroupId(gameId, groupId, buzzer_id || buzzerId);
+
+    if (!actualGroupId) {
+      global.consoleLogger?.error(`Could not resolve group ID for buzzer press: gameId=${gameId}, groupId=${groupId}, buzzer=${buzzerIdStr}`);
+      return;
+    }
+
+    // Track buzzer activity for virtual buzzer availability
+    const actualBuzzerId = buzzerId || buzzer_id || `physical_${actualGroupId}`;
+    this.updateBuzzerActivity(actualBuzzerId, actualGroupId);
+
+    // Check if this buzzer has already answered this question
+    const alreadyAnswered = gameState.answeredBuzzers.some(ab => ab.buzzer_id === buzzerIdStr);
+    if (alreadyAnswered) {
+      console.log(`[BUZZ] Rejecting press from buzzer ${buzzerIdStr} - already answered this question`);
+      return;
+    }
+
+    if (gameState.tiebreak && !gameState.tiebreak.groupIds.includes(actualGroupId)) {
+      console.log(`[TIEBREAK] Ignoring press from buzzer ${buzzerIdStr} - team is not in sudden death`);
+      return { rejected: 'not_in_tiebreak' };
+    }
+
+    if (gameState.questionType === 'wager') {
+      console.log(`[WAGER] Ignoring buzz from ${buzzerIdStr} on wager question`);
+      return;
+    }
+
+    if (gameState.questionType === 'multiple_choice') {
+      // Virtual buzzers submit their pick directly; presses only count for physical buzzers
+      if (buzzerIdStr && buzzerIdStr.toString().startsWith('virtual_')) {
+        console.log(`[CHOICE] Ignoring buzz from virtual buzzer ${buzzerIdStr} on multiple-choice question`);
+        return;
+      }
+      await this.handleChoicePress(gameId, actualGroupId, buzzerIdStr, timestamp);
+      return;
+    }
+
+    if (gameState.phase === 'reading') {
+      await this.handleFalseStart(gameId, actualGroupId, buzzerIdStr, timestamp);
+      return { rejected: 'false_start' };
+    }
+
+    if (gameState.lockouts.has(actualGroupId)) {
+      console.log(`[BUZZ] Rejecting press from buzzer ${buzzerIdStr} - team is locked out after a false start`);
+      return { rejected: 'locked_out' };
+    }
+
+    // Timestamps are server time: physical presses when the coordinator reported them,
+    // virtual presses corrected for the phone's clock and latency. A correction can't
+    // move a press to before the question opened.
+    const press = {
+      groupId: actualGroupId,
+      buzzer_id: buzzer_id || buzzerId,
+      timestamp: Math.max(timestamp, gameState.startTime),
+      compensationMs
+    };
+
+    if (!gameState.buzzWindow) {
+      // The timer stops as soon as the first buzz arrives; the winner is announced
+      // once the window closes
+      if (gameState.buzzerOrder.length === 0 && !gameState.isPaused) {
+        this.pauseQuestion(gameId);
+      }
+      gameState.buzzWindow = { presses: [], timeoutId: null };
+      gameState.buzzWindow.timeoutId = setTimeout(() => {
+        this.closeBuzzWindow(gameId, gameState).catch(error => {
+          console.error(`[BUZZ] Failed to place buzzes for game ${gameId}:`, error);
+        });
+      }, this.buzzWindowMs);
+    }
+
+    // A team with several phones buzzes once, at its earliest press
+    const presses = gameState.buzzWindow.presses;
+    const sameTeam = presses.findIndex(p => p.groupId === actualGroupId);
+    if (sameTeam === -1) {
+      presses.push(press);
+    } else if (press.timestamp < presses[sameTeam].timestamp) {
+      presses[sameTeam] = press;
+    }
+  }
+
+  // Place the collected buzzes in the order they were pressed and announce them. When
+  // they are the first of the question, every other buzzer is disarmed.
+  async closeBuzzWindow(gameId, gameState) {
+    const buzzWindow = gameState.buzzWindow;
+    if (!buzzWindow || this.activeGames.get(gameId) !== gameState) return;
+    gameState.buzzWindow = null;
+
+    const presses = buzzWindow.presses.sort((a, b) => a.timestamp - b.timestamp);
+    const isFirstBuzz = gameState.buzzerOrder.length === 0;
+
+    // Get team names for logging
+    const teams = await this.db.all('SELECT id, name FROM groups WHERE game_id = ?', [gameId]);
+
+    const entries = presses.map(press => {
+      const buzzerEntry = {
+        ...press,
+        deltaMs: press.timestamp - gameState.startTime,
+        position: gameState.buzzerOrder.length + 1
+      };
+      buzzerEntry.points = gameState.scoring
+        ? this.resolveQuestionPoints(gameState.scoring, gameState.timeLimit, this.getEffectiveElapsed(gameState, press.timestamp), this.getNextBuzzRank(gameState))
+        : null;
+
+      const team = teams.find(t => t.id === press.groupId);
+      console.log(`[BUZZ] Adding to buzzer order: ${team?.name || 'Unknown'} (${press.groupId}) at position ${buzzerEntry.position}, deltaMs: ${buzzerEntry.deltaMs}, compensated: ${press.compensationMs}ms`);
+
+      gameState.buzzerOrder.push(buzzerEntry);
+      return buzzerEntry;
+    });
+
+    // DISARM ALL OTHER BUZZERS when the first team buzzes in
+    if (isFirstBuzz && entries.length > 0) {
+      console.log(`[BUZZ] Disarming all other buzzers - only the winning buzzer stays armed`);
+      if (this.esp32Service) {
+        // Get all groups for this game to find their buzzer IDs
+        const allGroups = await this.db.all('SELECT buzzer_id FROM groups WHERE game_id = ?', [gameId]);
+        const allBuzzerIds = allGroups.map(g => g.buzzer_id).filter(id => id); // Remove null/empty buzzer IDs
+
+        // Filter out:
+        // 1. The buzzer that won (it stays armed for evaluation)
+        // 2. Buzzers that already answered (they're in RED state and should stay RED until END_ROUND)
+        const buzzingBuzzerId = entries[0].buzzer_id;
+        const alreadyAnsweredBuzzerIds = (gameState.answeredBuzzers || []).map(ab => ab.buzzer_id);
+        const buzzersToDisarm = allBuzzerIds.filter(buzzerId =>
+          buzzerId !== buzzingBuzzerId && !alreadyAnsweredBuzzerIds.includes(buzzerId)
+        );
+
+        console.log(`[BUZZ] Disarming buzzers: [${buzzersToDisarm.join(', ')}], keeping armed/answered: ${buzzingBuzzerId}, already answered: [${alreadyAnsweredBuzzerIds.join(', ')}]`);
+
+        if (buzzersToDisarm.length > 0) {
+          await this.esp32Service.disarmSpecificBuzzers(gameId, buzzersToDisarm);
+        }
+      }
+    }
+
+    const sessionId = await this.getCurrentSessionId(gameId);
+    for (const entry of entries) {
+      await this.db.run(
+        'INSERT INTO buzzer_events (game_id, question_id, group_id, timestamp, delta_ms, session_id, buzzer_id) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        [gameId, gameState.questionId, entry.groupId, entry.timestamp, entry.deltaMs, sessionId, entry.buzzer_id]
+      );
+    }
+    await this.persistActiveGame(gameId);
+
+    for (const entry of entries) {
+      this.io.to(`game-${gameId}`).emit('buzzer-pressed', entry);
+      this.io.to(`control-${gameId}`).emit('buzzer-pressed', entry);
+    }
+  }
+
+  clearBuzzWindow(gameState) {
+    if (gameState.buzzWindow) {
+      clearTimeout(gameState.buzzWindow.timeoutId);
+      gameState.buzzWindow = null;
+    }
+  }
+
+  // Count presses from a physical buzzer; N presses within the window selects option N
+  async handleChoicePress(gameId, groupId, buzzerId, timestamp) {
+    const gameState = this.activeGames.get(gameId);
+    if (!gameState || gameState.choicesGraded || gameState.choices.has(groupId)) {
+      return;
+    }
+
+    const sequence = gameState.choicePresses.get(groupId) || { count: 0, timeoutId: null };
+    if (sequence.timeoutId) {
+      clearTimeout(sequence.timeoutId);
+    }
+    sequence.count++;
+    sequence.buzzerId = buzzerId;
+    sequence.timestamp = timestamp;
+    gameState.choicePresses.set(groupId, sequence);
+
+    console.log(`[CHOICE] Buzzer ${buzzerId} press ${sequence.count} for group ${groupId}`);
+
+    this.io.to(`control-${gameId}`).emit('choice-press', { gameId, groupId, buzzerId, pressCount: sequence.count });
+
+    // The coordinator ignores repeat presses until a buzzer is re-armed
+    if (this.esp32Service) {
+      try {
+        await this.esp32Service.armSpecificBuzzers(gameId, [buzzerId]);
+      } catch (error) {
+        console.error('[CHOICE] Failed to re-arm buzzer for press sequence:', error);
+      }
+    }
+
+    sequence.timeoutId = setTimeout(async () => {
+      gameState.choicePresses.delete(groupId);
+      try {
+        await this.submitChoice(gameId, groupId, sequence.count - 1, {
+          buzzerId: sequence.buzzerId,
+          timestamp: sequence.timestamp
+        });
+      } catch (error) {
+        // Too many presses for the number of options - let the team try again
+        console.log(`[CHOICE] Discarding press sequence from buzzer ${sequence.buzzerId}: ${error.message}`);
+      }
+    }, this.choicePressWindowMs);
+  }
+
+  clearChoicePressTimers(gameState) {
+    if (!gameState.choicePresses) return;
+
+    for (const sequence of gameState.choicePresses.values()) {
+      if (sequence.timeoutId) {
+        clearTimeout(sequence.timeoutId);
+      }
+    }
+    gameState.choicePresses.clear();
+  }
+
+  // Lock in a team's multiple-choice pick. The first pick is final.
+  async submitChoice(gameId, groupId, optionIndex, { buzzerId = null, timestamp = TimingService.now() } = {}) {
+    const gameState = this.activeGames.get(gameId);
+    if (!gameState || gameState.questionType !== 'multiple_choice') {
+      throw new Error('No active multiple-choice question');
+    }
+
+    if (gameState.choicesGraded) {
+      throw new Error('Answers are already locked');
+    }
+
+    const { options } = await this.getQuestion(gameState.questionId);
+
+    const index = parseInt(optionIndex);
+    if (isNaN(index) || index < 0 || index >= options.length) {
+      throw new Error('Invalid option');
+    }
+
+    const group = await this.db.get('SELECT id, name FROM groups WHERE id = ? AND game_id = ?', [groupId, gameId]);
+    if (!group) {
+      throw new Error('Team not found');
+    }
+
+    if (gameState.choices.has(groupId)) {
+      throw new Error('Team has already locked in an answer');
+    }
+
+    const deltaMs = timestamp - gameState.startTime - gameState.totalPausedDuration;
+    const choice = { groupId, optionIndex: index, buzzer_id: buzzerId, timestamp, deltaMs };
+    gameState.choices.set(groupId, choice);
+    await this.persistActiveGame(gameId);
+
+    console.log(`[CHOICE] ${group.name} (${groupId}) locked in option ${index}, deltaMs: ${deltaMs}`);
+
+    await this.db.run(
+      'INSERT INTO buzzer_events (game_id, question_id, group_id, timestamp, delta_ms, session_id, buzzer_id) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [gameId, gameState.questionId, groupId, timestamp, deltaMs, await this.getCurrentSessionId(gameId), buzzerId]
+    );
+
+    // Keep a physical buzzer dark once its pick is in
+    if (this.esp32Service && buzzerId && !buzzerId.toString().startsWith('virtual_')) {
+      try {
+        await this.esp32Service.disarmSpecificBuzzers(gameId, [buzzerId]);
+      } catch (error) {
+        console.error('[CHOICE] Failed to disarm buzzer after lock-in:', error);
+      }
+    }
+
+    // Players only learn that a team locked in; the host also sees the pick
+    this.io.to(`game-${gameId}`).emit('choice-locked', {
+      gameId,
+      groupId,
+      deltaMs,
+      lockedCount: gameState.choices.size
+    });
+
+    this.io.to(`control-${gameId}`).emit('choice-locked', {
+      gameId,
+      groupId,
+      optionIndex: index,
+      deltaMs,
+      lockedCount: gameState.choices.size
+    });
+
+    return { success: true, groupId, optionIndex: index };
+  }
+
+  // Grade every locked-in pick at once and award points to the teams that got it right
+  async gradeMultipleChoice(gameId) {
+    const gameState = this.activeGames.get(gameId);
+    if (!gameState || gameState.choicesGraded) {
+      return null;
+    }
+    gameState.choicesGraded = true;
+    this.clearChoicePressTimers(gameState);
+
+    const game = await this.getGame(gameId);
+    const question = game.questions.find(q => q.id === gameState.questionId);
+    if (!question) {
+      throw new Error('Current question not found');
+    }
+
+    const totalTime = (question.time_limit || 30) * 1000;
+    const scoring = this.getQuestionScoring(game, question);
+    const results = [];
+
+    // Buzz-order curves rank teams by how fast they locked in their pick
+    const pickOrder = Array.from(gameState.choices.values()).sort((a, b) => a.deltaMs - b.deltaMs);
+
+    for (const group of game.groups) {
+      const choice = gameState.choices.get(group.id);
+      if (!choice) {
+        results.push({ groupId: group.id, optionIndex: null, isCorrect: false, pointsAwarded: 0 });
+        continue;
+      }
+
+      const isCorrect = choice.optionIndex === question.correct_option;
+      let pointsToAward = 0;
+      if (isCorrect) {
+        pointsToAward = this.resolveQuestionPoints(scoring, totalTime, choice.deltaMs, pickOrder.indexOf(choice) + 1);
+        await this.awardPoints(gameId, group.id, pointsToAward, {
+          reason: 'evaluation',
+          questionId: gameState.questionId,
+          actor: 'system'
+        });
+      }
+
+      gameState.answeredBuzzers.push({
+        buzzer_id: choice.buzzer_id,
+        groupId: group.id,
+        isCorrect,
+        timestamp: TimingService.now()
+      });
+      await this.recordBuzzOutcome(gameId, gameState.questionId, group.id, isCorrect, pointsToAward);
+
+      if (this.esp32Service && choice.buzzer_id && !choice.buzzer_id.toString().startsWith('virtual_')) {
+        const buzzerDeviceId = parseInt(choice.buzzer_id);
+        if (!isNaN(buzzerDeviceId)) {
+          if (isCorrect) {
+            await this.esp32Service.sendCorrectAnswerFeedback(buzzerDeviceId);
+          } else {
+            await this.esp32Service.sendWrongAnswerFeedback(buzzerDeviceId);
+          }
+        }
+      }
+
+      results.push({ groupId: group.id, optionIndex: choice.optionIndex, isCorrect, pointsAwarded: pointsToAward });
+    }
+
+    // Board mode: the fastest correct pick chooses the next cell
+    if (this.isBoardMode(game)) {
+      const fastestCorrect = Array.from(gameState.choices.entries())
+        .filter(([, choice]) => choice.optionIndex === question.correct_option)
+        .sort(([, a], [, b]) => a.deltaMs - b.deltaMs)[0];
+      if (fastestCorrect) {
+        await this.setBoardPicker(gameId, fastestCorrect[0]);
+      }
+    }
+
+    console.log(`[CHOICE] Graded ${gameState.choices.size} picks for game ${gameId}, correct option ${question.correct_option}`);
+
+    const gradedEvent = {
+      gameId,
+      questionId: question.id,
+      correctOption: question.correct_option,
+      correctAnswer: question.correct_answer,
+      results
+    };
+    gameState.choiceResults = gradedEvent;
+    await this.persistActiveGame(gameId);
+
+    this.io.to(`game-${gameId}`).emit('choices-graded', gradedEvent);
+    this.io.to(`control-${gameId}`).emit('choices-graded', gradedEvent);
+
+    return gradedEvent;
+  }
+
+  // Points a correct answer is worth, given how long into the question (not counting
+  // pauses) the team buzzed and its place in the buzz order
+  resolveQuestionPoints(scoring, totalTime, elapsedMs, position) {
+    if (!scoring.timeBased) {
+      return scoring.basePoints;
+    }
+    return resolveCurvePoints(scoring.curve, scoring.curveOptions, scoring.basePoints, {
+      elapsedMs: Math.max(0, elapsedMs),
+      totalTime,
+      position
+    });
+  }
+
+  getEffectiveElapsed(gameState, at = TimingService.now()) {
+    const pausedFor = gameState.isPaused && gameState.pausedAt ? Math.max(0, at - gameState.pausedAt) : 0;
+    return at - gameState.startTime - gameState.totalPausedDuration - pausedFor;
+  }
+
+  // Place of the next buzz for buzz-order curves. The buzzer order is cleared after a
+  // wrong answer, so teams that already answered still count.
+  getNextBuzzRank(gameState) {
+    return gameState.answeredBuzzers.length + gameState.buzzerOrder.length + 1;
+  }
+
+  // What the next team to buzz would score right now
+  getCurrentQuestionPoints(gameState) {
+    if (!gameState.scoring) return null;
+    return this.resolveQuestionPoints(
+      gameState.scoring,
+      gameState.timeLimit,
+      this.getEffectiveElapsed(gameState),
+      this.getNextBuzzRank(gameState)
+    );
+  }
+
+  // Push the resolved point value to clients whenever it changes. The ticker stops
+  // itself once this question's state is gone or replaced.
+  startPointsTicker(gameId) {
+    const gameState = this.activeGames.get(gameId);
+    if (!gameState || !gameState.scoring) return;
+
+    const tick = () => {
+      if (this.activeGames.get(gameId) !== gameState) {
+        clearInterval(gameState.pointsTicker);
+        return;
+      }
+      const points = this.getCurrentQuestionPoints(gameState);
+      if (points !== gameState.lastEmittedPoints) {
+        gameState.lastEmittedPoints = points;
+        this.io.to(`game-${gameId}`).emit('question-points', { gameId, questionId: gameState.questionId, points });
+      }
+    };
+
+    tick();
+    gameState.pointsTicker = setInterval(tick, POINTS_TICK_MS);
+  }
+
+  stopPointsTicker(gameState) {
+    if (gameState && gameState.pointsTicker) {
+      clearInterval(gameState.pointsTicker);
+      gameState.pointsTicker = null;
+    }
+  }
+
+  // Where the question clock stands on the server. During reading the clock has not
+  // started, so the whole time limit remains.
+  getTimerState(gameState, now = TimingService.now()) {
+    return {
+      questionId: gameState.questionId,
+      serverTime: now,
+      timeLimit: gameState.timeLimit,
+      timeRemaining: Math.max(0, Math.min(gameState.timeLimit, gameState.timeLimit - this.getEffectiveElapsed(gameState, now))),
+      isPaused: gameState.isPaused,
+      phase: gameState.phase,
+      readingRemaining: gameState.phase === 'reading' ? Math.max(0, gameState.readingEndsAt - now) : 0
+    };
+  }
+
+  emitTimerUpdate(gameId, gameState) {
+    this.io.to(`game-${gameId}`).emit('timer-update', { gameId, ...this.getTimerState(gameState) });
+  }
+
+  // Broadcast the authoritative clock every second so screens that drifted, e.g.
+  // across pauses, count down from the server's remaining time again. The ticker
+  // stops itself once this question's state is gone or replaced.
+  startTimerTicker(gameId) {
+    const gameState = this.activeGames.get(gameId);
+    if (!gameState) return;
+    this.stopTimerTicker(gameState);
+
+    const tick = () => {
+      if (this.activeGames.get(gameId) !== gameState) {
+        this.stopTimerTicker(gameState);
+        return;
+      }
+      this.emitTimerUpdate(gameId, gameState);
+    };
+
+    tick();
+    gameState.timerTicker = setInterval(tick, TIMER_TICK_MS);
+  }
+
+  stopTimerTicker(gameState) {
+    if (gameState && gameState.timerTicker) {
+      clearInterval(gameState.timerTicker);
+      gameState.timerTicker = null;
+    }
+  }
+
+  // Live question state is written through to the database so a restart mid-question
+  // can pick up where it left off. Timers are not saved; they are rebuilt on restore.
+  async persistActiveGame(gameId) {
+    const gameState = this.activeGames.get(gameId);
+    if (!gameState) return;
+
+    const snapshot = {
+      questionId: gameState.questionId,
+      questionType: gameState.questionType,
+      startTime: gameState.startTime,
+      phase: gameState.phase,
+      readingEndsAt: gameState.readingEndsAt,
+      lockouts: Array.from(gameState.lockouts.entries()),
+      timeLimit: gameState.timeLimit,
       buzzerOrder: gameState.buzzerOrder,
-      nextInLine: await nextInLine,
-      timeRemaining: Math.max(0, gameState.timeLimit - (TimingService.now() - gameState.startTime))
+      answeredBuzzers: gameState.answeredBuzzers,
+      choices: Array.from(gameState.choices.entries()),
+      choicesGraded: gameState.choicesGraded,
+      choiceResults: gameState.choiceResults || null,
+      isPaused: gameState.isPaused,
+      pausedAt: gameState.pausedAt,
+      totalPausedDuration: gameState.totalPausedDuration,
+      pendingCompletion: Boolean(gameState.pendingCompletion),
+      tiebreak: gameState.tiebreak || null
     };
-  }
 
-  async handleBuzzerPress(data) {
-    const { gameId, groupId, timestamp, buzzer_id, buzzerId, deltaMs: providedDeltaMs } = data;
-    const buzzerIdStr = buzzerId || buzzer_id;
-    global.consoleLogger?.game(`Buzzer press - gameId: ${gameId}, groupId: ${groupId}, buzzer: ${buzzerIdStr}`);
+    try {
+      await this.db.run(
+        `INSERT INTO live_question_state (game_id, question_id, state, updated_at) VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+         ON CONFLICT(game_id) DO UPDATE SET question_id = excluded.question_id, state = excluded.state, updated_at = CURRENT_TIMESTAMP`,
+        [gameId, gameState.questionId, JSON.stringify(snapshot)]
+      );
+    } catch (error) {
+      console.error(`[RESTORE] Failed to persist live state for game ${gameId}:`, error.message);
+    }
+  }
 
-    const gameState = this.activeGames.get(gameId);
-    if (!gameState) {
-      global.consoleLogger?.game(`No active game state for game ${gameId}`, 'warning');
-      return;
+  async removeActiveGame(gameId) {
+    this.activeGames.delete(gameId);
+    try {
+      await this.db.run('DELETE FROM live_question_state WHERE game_id = ?', [gameId]);
+    } catch (error) {
+      console.error(`[RESTORE] Failed to clear live state for game ${gameId}:`, error.message);
     }
+  }
 
-    // Resolve the actual group ID using simplified mapping logic
-    const actualGroupId = await this.resolveGroupId(gameId, groupId, buzzer_id || buzzerId);
+  // Called once on boot: bring back every question that was live when the server stopped
+  async restoreActiveGames() {
+    const rows = await this.db.all('SELECT * FROM live_question_state ORDER BY updated_at');
+    const restored = [];
 
-    if (!actualGroupId) {
-      global.consoleLogger?.error(`Could not resolve group ID for buzzer press: gameId=${gameId}, groupId=${groupId}, buzzer=${buzzerIdStr}`);
-      return;
+    for (const row of rows) {
+      try {
+        const gameId = await this.restoreActiveGame(row);
+        if (gameId) restored.push(gameId);
+      } catch (error) {
+        console.error(`[RESTORE] Could not restore game ${row.game_id}:`, error);
+        await this.removeActiveGame(row.game_id);
+      }
     }
 
-    // Track buzzer activity for virtual buzzer availability
-    const actualBuzzerId = buzzerId || buzzer_id || `physical_${actualGroupId}`;
-    this.updateBuzzerActivity(actualBuzzerId, actualGroupId);
+    return restored;
+  }
 
-    // Check if this buzzer has already answered this question
-    const alreadyAnswered = gameState.answeredBuzzers.some(ab => ab.buzzer_id === buzzerIdStr);
-    if (alreadyAnswered) {
-      console.log(`[BUZZ] Rejecting press from buzzer ${buzzerIdStr} - already answered this question`);
-      return;
+  async restoreActiveGame(row) {
+    const gameId = row.game_id;
+    const game = await this.getGame(gameId).catch(() => null);
+    const question = game && game.questions.find(q => q.id === row.question_id);
+
+    // Only a question that was still running needs restoring
+    if (!game || !question || game.status !== 'question_active') {
+      await this.removeActiveGame(gameId);
+      return null;
     }
 
-    // Always use JavaScript timing for physical buzzers (ESP32 deltaMs is unreliable)
-    // Calculate actual elapsed time from when question started
-    const deltaMs = timestamp - gameState.startTime;
+    // Running games are only kept in memory, so reopen this one to claim its buzzers
+    // before any of them are armed again
+    await this.openGame(gameId).catch(error => console.error(`[RESTORE] Could not reopen game ${gameId}:`, error.message));
+
+    const snapshot = JSON.parse(row.state);
+    const gameState = {
+      ...snapshot,
+      choices: new Map(snapshot.choices || []),
+      choicePresses: new Map(),
+      buzzWindow: null,
+      phase: snapshot.phase || 'live',
+      readingTimeoutId: null,
+      lockouts: new Map(snapshot.lockouts || []),
+      lockoutTimers: new Map(),
+      timeoutId: null,
+      scoring: this.getQuestionScoring(game, question),
+      pointsTicker: null,
+      timerTicker: null,
+      lastEmittedPoints: null
+    };
+    this.activeGames.set(gameId, gameState);
 
-    // Get team name for logging
-    const teams = await this.db.all('SELECT id, name FROM groups WHERE game_id = ?', [gameId]);
-    const team = teams.find(t => t.id === actualGroupId);
+    // Timed lockouts keep running on the wall clock like the question timer
+    for (const [groupId, lockedUntil] of gameState.lockouts) {
+      if (lockedUntil === null) continue;
+      if (lockedUntil <= TimingService.now()) {
+        gameState.lockouts.delete(groupId);
+      } else {
+        this.scheduleLockoutRelease(gameId, gameState, groupId, lockedUntil - TimingService.now());
+      }
+    }
 
-    const buzzerEntry = {
-      groupId: actualGroupId,
-      buzzer_id: buzzer_id || buzzerId,
-      timestamp,
-      deltaMs,
-      position: gameState.buzzerOrder.length + 1
-    };
+    // A correct answer had been given and the question was about to end
+    if (gameState.pendingCompletion) {
+      console.log(`[RESTORE] Question ${question.id} for game ${gameId} was answered; ending it now`);
+      gameState.pendingCompletion = false;
+      await this.endQuestion(gameId);
+      await this.prepareNextQuestion(gameId);
+      return gameId;
+    }
 
-    console.log(`[BUZZ] Adding to buzzer order: ${team?.name || 'Unknown'} (${actualGroupId}) at position ${buzzerEntry.position}, deltaMs: ${deltaMs}`);
+    if (gameState.phase === 'reading') {
+      await this.restoreReadingPhase(gameId, game, gameState);
+      this.startTimerTicker(gameId);
+      await this.resyncClients(gameId);
+      return gameId;
+    }
 
-    gameState.buzzerOrder.push(buzzerEntry);
+    const remainingTime = gameState.timeLimit - this.getEffectiveElapsed(gameState);
+    console.log(`[RESTORE] Restored question ${question.id} for game ${gameId}: ${Math.max(0, remainingTime)}ms left${gameState.isPaused ? ' (paused)' : ''}`);
 
-    // PAUSE TIMER and DISARM ALL OTHER BUZZERS when first team buzzes in
-    if (gameState.buzzerOrder.length === 1 && !gameState.isPaused) {
-      this.pauseQuestion(gameId);
+    if (!gameState.isPaused) {
+      if (remainingTime <= 0) {
+        // Time ran out while the server was down
+        this.handleTimerExpired(gameId);
+        await this.resyncClients(gameId);
+        return gameId;
+      }
+      gameState.timeoutId = setTimeout(() => {
+        this.handleTimerExpired(gameId);
+      }, remainingTime);
+    }
 
-      // DISARM ALL BUZZERS except the one that just buzzed
-      console.log(`[BUZZ] Timer paused, disarming all other buzzers - only buzzing buzzer stays armed`);
-      if (this.esp32Service) {
-        // Get all groups for this game to find their buzzer IDs
-        const allGroups = await this.db.all('SELECT buzzer_id FROM groups WHERE game_id = ?', [gameId]);
-        const allBuzzerIds = allGroups.map(g => g.buzzer_id).filter(id => id); // Remove null/empty buzzer IDs
+    this.startTimerTicker(gameId);
+    if (gameState.questionType !== 'wager') {
+      this.startPointsTicker(gameId);
+      await this.rearmRestoredBuzzers(gameId, game, gameState);
+    }
 
-        // Filter out:
-        // 1. The buzzer that just pressed (it stays armed for evaluation)
-        // 2. Buzzers that already answered (they're in RED state and should stay RED until END_ROUND)
-        const buzzingBuzzerId = buzzerIdStr;
-        const alreadyAnsweredBuzzerIds = (gameState.answeredBuzzers || []).map(ab => ab.buzzer_id);
-        const buzzersToDisarm = allBuzzerIds.filter(buzzerId =>
-          buzzerId !== buzzingBuzzerId && !alreadyAnsweredBuzzerIds.includes(buzzerId)
-        );
+    await this.resyncClients(gameId);
+    return gameId;
+  }
 
-        console.log(`[BUZZ] Disarming buzzers: [${buzzersToDisarm.join(', ')}], keeping armed/answered: ${buzzingBuzzerId}, already answered: [${alreadyAnsweredBuzzerIds.join(', ')}]`);
+  async restoreReadingPhase(gameId, game, gameState) {
+    const readingLeft = gameState.readingEndsAt - TimingService.now();
+    console.log(`[RESTORE] Restored reading phase for game ${gameId}: ${Math.max(0, readingLeft)}ms left`);
 
-        if (buzzersToDisarm.length > 0) {
-          await this.esp32Service.disarmSpecificBuzzers(gameId, buzzersToDisarm);
-        }
-      }
+    if (readingLeft <= 0) {
+      await this.endReadingPhase(gameId);
+      return;
     }
 
-    await this.db.run(
-      'INSERT INTO buzzer_events (game_id, question_id, group_id, timestamp, delta_ms) VALUES (?, ?, ?, ?, ?)',
-      [gameId, gameState.questionId, actualGroupId, timestamp, deltaMs]
-    );
-
-    this.io.to(`game-${gameId}`).emit('buzzer-pressed', buzzerEntry);
-    this.io.to('control-panel').emit('buzzer-pressed', buzzerEntry);
+    await this.startReadingPhase(gameId, readingLeft);
+    if (this.esp32Service) {
+      for (const group of game.groups.filter(g => gameState.lockouts.has(g.id) && g.buzzer_id)) {
+        await this.esp32Service.lockoutBuzzer(parseInt(group.buzzer_id));
+      }
+    }
   }
 
-  // Calculate time-based points (decreases linearly from max to 0)
-  calculateTimeBasedPoints(originalPoints, timeRemaining, totalTime) {
+  // Arm the buzzers that could press at the moment the server stopped: the team that
+  // is answering if the question was paused on a buzz, otherwise every team still in play
+  async rearmRestoredBuzzers(gameId, game, gameState) {
+    let groups;
+    if (gameState.isPaused && gameState.buzzerOrder.length > 0) {
+      groups = game.groups.filter(g => g.id === gameState.buzzerOrder[0].groupId);
+    } else if (gameState.questionType === 'multiple_choice') {
+      groups = gameState.choicesGraded ? [] : game.groups.filter(g => !gameState.choices.has(g.id));
+    } else {
+      const answeredBuzzerIds = gameState.answeredBuzzers.map(ab => String(ab.buzzer_id));
+      const answeredGroupIds = gameState.answeredBuzzers.map(ab => ab.groupId);
+      groups = this.getEligibleGroups(game, gameState).filter(g => !answeredGroupIds.includes(g.id) && !answeredBuzzerIds.includes(String(g.buzzer_id)) &&
+        !gameState.lockouts.has(g.id));
+    }
 
-    if (timeRemaining <= 0) {
-      return 0;
+    const buzzerIds = groups.map(g => g.buzzer_id).filter(id => id);
+    if (this.esp32Service && buzzerIds.length > 0) {
+      try {
+        await this.esp32Service.armSpecificBuzzers(gameId, buzzerIds);
+      } catch (error) {
+        console.error('[RESTORE] Failed to re-arm physical buzzers:', error);
+      }
     }
-    if (timeRemaining >= totalTime) {
-      return originalPoints;
+
+    if (!gameState.isPaused && groups.length > 0) {
+      this.io.to(`control-${gameId}`).emit('buzzers-armed', { gameId, questionId: gameState.questionId });
+      this.io.to(`game-${gameId}`).emit('buzzers-armed', { gameId, questionId: gameState.questionId });
     }
+  }
 
-    // Linear decrease from original points to 0
-    const ratio = timeRemaining / totalTime;
-    const calculatedPoints = Math.ceil(originalPoints * ratio);
-    return calculatedPoints;
+  // Host controls and displays get the full state; everyone else in the game room
+  // (players' phones) gets the player view
+  async resyncClients(gameId) {
+    const state = await this.getGameState(gameId);
+    this.io.to(`game-${gameId}`).except([`control-${gameId}`, `display-${gameId}`]).emit('game-state', this.getPlayerGameState(state));
+    this.io.to([`control-${gameId}`, `display-${gameId}`]).emit('game-state', state);
   }
 
-  async awardPoints(gameId, groupId, points) {
+  // Every score change goes through here and lands in the score ledger.
+  // reason is 'evaluation', 'penalty', 'manual' or 'reset'; buzzerState is the queue before an evaluation.
+  async awardPoints(gameId, groupId, points, { reason = 'manual', questionId = null, actor = 'host', buzzerState = null } = {}) {
     console.log(`[SCORE] awardPoints called - groupId: ${groupId}, points: ${points}`);
 
     const game = await this.getGame(gameId);
@@ -846,6 +2521,13 @@ class GameService {
       throw new Error(`Group with id "${groupId}" not found after score update`);
     }
 
+    await this.db.run(
+      `INSERT INTO score_ledger (game_id, group_id, question_id, delta, previous_score, new_score, reason, actor, buzzer_state, session_id)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [gameId, groupId, questionId, actualPointsAwarded, currentScore, finalScore, reason, actor,
+        buzzerState ? JSON.stringify(buzzerState) : null, await this.getCurrentSessionId(gameId)]
+    );
+
     this.io.to(`game-${gameId}`).emit('score-update', {
       groupId,
       newScore: updatedGroup.score,
@@ -857,36 +2539,333 @@ class GameService {
     return updatedGroup;
   }
 
+  // A session is one run of a game. Buzzer events and score changes are tagged with
+  // the session they happened in, so a reset starts a new session and the history
+  // of earlier runs is kept. Games from before sessions get theirs on first use.
+  getCurrentSessionId(gameId) {
+    if (!this.currentSessions.has(gameId)) {
+      const lookup = this.db.get('SELECT current_session_id FROM games WHERE id = ?', [gameId]).then(game => {
+        if (!game) throw new Error('Game not found');
+        return game.current_session_id || this.startSession(gameId);
+      });
+      lookup.catch(() => this.currentSessions.delete(gameId));
+      this.currentSessions.set(gameId, lookup);
+    }
+    return this.currentSessions.get(gameId);
+  }
+
+  async startSession(gameId) {
+    const last = await this.db.get('SELECT MAX(session_number) AS number FROM game_sessions WHERE game_id = ?', [gameId]);
+    const sessionNumber = (last?.number || 0) + 1;
+    const sessionId = uuidv4();
+
+    await this.db.run(
+      'INSERT INTO game_sessions (id, game_id, session_number) VALUES (?, ?, ?)',
+      [sessionId, gameId, sessionNumber]
+    );
+    await this.db.run('UPDATE games SET current_session_id = ? WHERE id = ?', [sessionId, gameId]);
+
+    // History recorded before the game had sessions belongs to its first one
+    if (sessionNumber === 1) {
+      await this.db.run('UPDATE buzzer_events SET session_id = ? WHERE game_id = ? AND session_id IS NULL', [sessionId, gameId]);
+      await this.db.run('UPDATE score_ledger SET session_id = ? WHERE game_id = ? AND session_id IS NULL', [sessionId, gameId]);
+    }
+
+    this.currentSessions.set(gameId, Promise.resolve(sessionId));
+    console.log(`[SESSION] Started session ${sessionNumber} of game ${gameId}`);
+    return sessionId;
+  }
+
+  // Each session keeps the questions it played, for the bank's recently-used check
+  async recordSessionQuestion(gameId, question) {
+    await this.db.run(
+      'INSERT OR IGNORE INTO session_questions (session_id, game_id, question_id, bank_question_id) VALUES (?, ?, ?, ?)',
+      [await this.getCurrentSessionId(gameId), gameId, question.id, question.bank_question_id || null]
+    );
+  }
+
+  // Close the current session with a snapshot of the standings. A session that
+  // already ended (a finished game being reset) keeps the standings it ended with.
+  async endSession(gameId, game, status) {
+    const sessionId = await this.getCurrentSessionId(gameId);
+    await this.db.run(
+      `UPDATE game_sessions SET status = ?, final_standings = ?, ended_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND status = 'active'`,
+      [status, JSON.stringify(this.getSessionStandings(game)), sessionId]
+    );
+  }
+
+  // Close the current session and start the next one. A session with nothing
+  // recorded in it yet carries on instead of being kept as an empty run.
+  async startNextSession(gameId, game) {
+    const sessionId = await this.getCurrentSessionId(gameId);
+    const session = await this.db.get(
+      `SELECT status,
+         (SELECT COUNT(*) FROM buzzer_events WHERE session_id = s.id) +
+         (SELECT COUNT(*) FROM score_ledger WHERE session_id = s.id) +
+         (SELECT COUNT(*) FROM session_questions WHERE session_id = s.id) AS activity
+       FROM game_sessions s WHERE id = ?`,
+      [sessionId]
+    );
+    if (session && session.status === 'active' && session.activity === 0) {
+      return sessionId;
+    }
+
+    await this.endSession(gameId, game, 'reset');
+    return this.startSession(gameId);
+  }
+
+  getSessionStandings(game) {
+    return this.getStandings(game).map(group => ({
+      id: group.id,
+      name: group.name,
+      color: group.color,
+      score: group.score,
+      wrong_answers: group.wrong_answers,
+      tiebreak_place: group.tiebreak_place,
+      rank: group.rank
+    }));
+  }
+
+  // Every run of the game, newest first. The current session shows live standings.
+  async getSessions(gameId) {
+    const game = await this.getGame(gameId);
+    const currentSessionId = await this.getCurrentSessionId(gameId);
+
+    const sessions = await this.db.all(
+      `SELECT s.*,
+         (SELECT COUNT(*) FROM buzzer_events e WHERE e.session_id = s.id AND e.false_start = 0) AS buzz_count,
+         (SELECT COUNT(*) FROM score_ledger l WHERE l.session_id = s.id AND l.undone = 0) AS score_changes
+       FROM game_sessions s WHERE s.game_id = ? ORDER BY s.session_number DESC`,
+      [gameId]
+    );
+
+    return sessions.map(session => this.parseSession(session, game, currentSessionId));
+  }
+
+  // One session with its score ledger and buzzer events
+  async getSession(gameId, sessionId) {
+    const game = await this.getGame(gameId);
+    const session = await this.db.get('SELECT * FROM game_sessions WHERE id = ? AND game_id = ?', [sessionId, gameId]);
+    if (!session) throw new Error('Session not found');
+
+    return {
+      ...this.parseSession(session, game, await this.getCurrentSessionId(gameId)),
+      ledger: await this.getScoreLedger(gameId, sessionId),
+      buzzer_events: await this.getBuzzerHistory(gameId, sessionId)
+    };
+  }
+
+  // Every buzz, choice lock-in and false start of the current session (or sessionId)
+  // in the order they happened, with how each was judged
+  async getBuzzerHistory(gameId, sessionId = null) {
+    const events = await this.db.all(
+      `SELECT e.id, e.session_id, e.question_id, e.group_id, e.buzzer_id, e.timestamp, e.delta_ms,
+         e.false_start, e.is_correct, e.points_awarded, e.created_at,
+         g.name AS team_name, COALESCE(b.text, q.text) AS question_text
+       FROM buzzer_events e
+       LEFT JOIN groups g ON e.group_id = g.id
+       LEFT JOIN questions q ON e.question_id = q.id
+       LEFT JOIN question_bank b ON q.bank_question_id = b.id
+       WHERE e.game_id = ? AND e.session_id = ? ORDER BY e.id`,
+      [gameId, sessionId || await this.getCurrentSessionId(gameId)]
+    );
+
+    return events.map(event => ({
+      ...event,
+      false_start: Boolean(event.false_start),
+      is_correct: event.is_correct === null ? null : Boolean(event.is_correct)
+    }));
+  }
+
+  parseSession(session, game, currentSessionId) {
+    const { final_standings: finalStandings, ...fields } = session;
+    const current = session.id === currentSessionId;
+    return {
+      ...fields,
+      current,
+      standings: finalStandings
+        ? JSON.parse(finalStandings)
+        : (current ? this.getSessionStandings(game) : [])
+    };
+  }
+
+  // Ledger of the current session, or of sessionId when given
+  async getScoreLedger(gameId, sessionId = null) {
+    const entries = await this.db.all(
+      `SELECT l.*, g.name AS team_name
+       FROM score_ledger l LEFT JOIN groups g ON l.group_id = g.id
+       WHERE l.game_id = ? AND l.session_id = ? ORDER BY l.id DESC`,
+      [gameId, sessionId || await this.getCurrentSessionId(gameId)]
+    );
+
+    return entries.map(entry => ({
+      ...entry,
+      undone: Boolean(entry.undone),
+      buzzer_state: entry.buzzer_state ? JSON.parse(entry.buzzer_state) : null
+    }));
+  }
+
+  // Reverse the newest `count` ledger entries. If they belong to the live question,
+  // the buzzer queue goes back to how it was before the oldest undone evaluation.
+  async undoScoreEntries(gameId, count = 1, actor = 'host') {
+    count = parseInt(count);
+    if (!(count > 0)) {
+      throw new Error('Undo count must be a positive number');
+    }
+
+    const game = await this.getGame(gameId);
+    const entries = await this.db.all(
+      'SELECT * FROM score_ledger WHERE game_id = ? AND session_id = ? AND undone = 0 ORDER BY id DESC LIMIT ?',
+      [gameId, await this.getCurrentSessionId(gameId), count]
+    );
+    if (entries.length === 0) {
+      throw new Error('No score changes to undo');
+    }
+
+    const allowNegativeScores = Boolean(game.allow_negative_scores);
+    for (const entry of entries) {
+      const group = await this.db.get('SELECT score FROM groups WHERE id = ?', [entry.group_id]);
+      if (group) {
+        const restoredScore = allowNegativeScores ? group.score - entry.delta : Math.max(0, group.score - entry.delta);
+        await this.db.run('UPDATE groups SET score = ? WHERE id = ?', [restoredScore, entry.group_id]);
+      }
+
+      if (entry.reason === 'penalty') {
+        await this.db.run(
+          'UPDATE groups SET wrong_answers = MAX(0, wrong_answers - 1) WHERE id = ?',
+          [entry.group_id]
+        );
+      }
+
+      // Misses counted since the reset stay on top of the ones it cleared
+      if (entry.reason === 'reset' && entry.reset_state) {
+        const resetState = JSON.parse(entry.reset_state);
+        await this.db.run(
+          'UPDATE groups SET wrong_answers = wrong_answers + ?, tiebreak_place = ? WHERE id = ?',
+          [resetState.wrong_answers || 0, resetState.tiebreak_place ?? null, entry.group_id]
+        );
+      }
+
+      if ((entry.reason === 'evaluation' || entry.reason === 'penalty') && entry.question_id) {
+        await this.recordBuzzOutcome(gameId, entry.question_id, entry.group_id, null, null);
+      }
+
+      const question = game.questions.find(q => q.id === entry.question_id);
+      if (entry.reason === 'evaluation' && this.isWagerQuestion(question)) {
+        await this.db.run(
+          'UPDATE wagers SET revealed = 0, points_awarded = NULL WHERE game_id = ? AND question_id = ? AND group_id = ?',
+          [gameId, entry.question_id, entry.group_id]
+        );
+      }
+
+      await this.db.run(
+        'UPDATE score_ledger SET undone = 1, undone_by = ?, undone_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [actor, entry.id]
+      );
+    }
+
+    console.log(`[SCORE] ${actor} undid ${entries.length} score change(s) for game ${gameId}`);
+
+    const gameState = this.activeGames.get(gameId);
+    const snapshotEntry = [...entries].reverse().find(e => e.buzzer_state);
+    if (gameState && snapshotEntry && snapshotEntry.question_id === gameState.questionId) {
+      await this.restoreBuzzerQueue(gameId, game, gameState, JSON.parse(snapshotEntry.buzzer_state));
+    }
+
+    const groups = await this.db.all('SELECT * FROM groups WHERE game_id = ? ORDER BY position', [gameId]);
+    const correction = { gameId, groups, undoneEntries: entries.map(e => e.id) };
+    this.io.to(`game-${gameId}`).emit('scores-corrected', correction);
+    this.io.to(`control-${gameId}`).emit('scores-corrected', correction);
+
+    return { undone: entries.length, groups };
+  }
+
+  // Put the live question's buzzer queue back to a ledger snapshot and wait on its first buzz again
+  async restoreBuzzerQueue(gameId, game, gameState, snapshot) {
+    gameState.pendingCompletion = false;
+    gameState.buzzerOrder = snapshot.buzzerOrder.map(b => ({ ...b, evaluated: false, isCorrect: undefined, pointsAwarded: undefined }));
+    gameState.answeredBuzzers = snapshot.answeredBuzzers;
+
+    if (gameState.buzzerOrder.length > 0) {
+      this.pauseQuestion(gameId);
+
+      const frontBuzzerId = String(gameState.buzzerOrder[0].buzzer_id);
+      const answeredBuzzerIds = gameState.answeredBuzzers.map(ab => String(ab.buzzer_id));
+      const buzzersToDisarm = game.groups
+        .map(g => g.buzzer_id)
+        .filter(id => id && String(id) !== frontBuzzerId && !answeredBuzzerIds.includes(String(id)));
+      if (this.esp32Service && buzzersToDisarm.length > 0) {
+        await this.esp32Service.disarmSpecificBuzzers(gameId, buzzersToDisarm);
+      }
+    }
+    await this.rearmRestoredBuzzers(gameId, game, gameState);
+    await this.persistActiveGame(gameId);
+
+    const restoredEvent = {
+      gameId,
+      questionId: gameState.questionId,
+      buzzerOrder: gameState.buzzerOrder,
+      answeredGroups: gameState.answeredBuzzers.map(ab => ab.groupId),
+      isPaused: gameState.isPaused
+    };
+    this.io.to(`game-${gameId}`).emit('buzzer-queue-restored', restoredEvent);
+    this.io.to(`control-${gameId}`).emit('buzzer-queue-restored', restoredEvent);
+  }
+
   async getGameState(gameId) {
     const game = await this.getGame(gameId);
     const gameState = this.activeGames.get(gameId);
     
     return {
       ...game,
+      currentRound: this.getRoundSummary(game, this.getRoundForQuestion(game, game.questions[game.current_question_index])),
+      board: this.isBoardMode(game) ? this.getBoard(game) : null,
+      wagers: await this.getPublicWagerState(game),
+      ties: game.status === 'tie_detected' ? this.findTies(game) : [],
       activeQuestion: gameState ? {
         questionId: gameState.questionId,
+        questionType: gameState.questionType,
         startTime: gameState.startTime,
         buzzerOrder: gameState.buzzerOrder,
-        timeRemaining: Math.max(0, gameState.timeLimit - (TimingService.now() - gameState.startTime))
+        lockedGroups: gameState.choices ? Array.from(gameState.choices.keys()) : [],
+        choiceResults: gameState.choiceResults || null,
+        answeredGroups: gameState.answeredBuzzers.map(ab => ab.groupId),
+        points: this.getCurrentQuestionPoints(gameState),
+        lockedOutGroups: Array.from(gameState.lockouts.keys()),
+        tiebreak: gameState.tiebreak || null,
+        ...this.getTimerState(gameState)
       } : null
     };
   }
 
+  // Game state for players: the only question they get is the live one, without its answer
+  getPlayerGameState(state) {
+    const liveQuestionId = state.activeQuestion?.questionId;
+    return {
+      ...state,
+      questions: state.questions.filter(q => q.id === liveQuestionId).map(q => this.getPublicQuestion(q))
+    };
+  }
+
   async resetGame(gameId) {
-    console.log(`[RESET] Resetting game ${gameId} - clearing all data and buzzer states`);
+    console.log(`[RESET] Resetting game ${gameId} - starting a new session and clearing buzzer states`);
+
+    // The run being reset keeps its scores, ledger and buzzer events in its session
+    await this.startNextSession(gameId, await this.getGame(gameId));
 
     await this.db.run(
-      'UPDATE games SET status = ?, current_question_index = 0, played_questions = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      'UPDATE games SET status = ?, current_question_index = 0, played_questions = ?, board_picker_group_id = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
       ['setup', JSON.stringify([]), gameId]
     );
 
     await this.db.run(
-      'UPDATE groups SET score = 0 WHERE game_id = ?',
+      'UPDATE groups SET score = 0, wrong_answers = 0, tiebreak_place = NULL WHERE game_id = ?',
       [gameId]
     );
 
     await this.db.run(
-      'DELETE FROM buzzer_events WHERE game_id = ?',
+      'DELETE FROM wagers WHERE game_id = ?',
       [gameId]
     );
 
@@ -895,14 +2874,16 @@ class GameService {
     if (gameState && gameState.timeoutId) {
       clearTimeout(gameState.timeoutId);
     }
+    this.stopPointsTicker(gameState);
+    this.stopTimerTicker(gameState);
 
-    this.activeGames.delete(gameId);
+    await this.removeActiveGame(gameId);
 
     // Reset all buzzer hardware states to black/disarmed
     if (this.esp32Service) {
       console.log(`[RESET] Sending END_ROUND to reset all buzzer hardware states`);
-      await this.esp32Service.disarmBuzzers();
-      await this.esp32Service.endRound(0); // 0 = all buzzers
+      await this.esp32Service.disarmBuzzers(gameId);
+      await this.esp32Service.endRound(0, gameId); // 0 = all of this game's buzzers
     }
 
     this.io.to(`game-${gameId}`).emit('game-reset', { gameId });
@@ -914,12 +2895,18 @@ class GameService {
     console.log(`[RESET] Resetting questions for game ${gameId} - clearing question progress and buzzer states`);
 
     await this.db.run(
-      'UPDATE games SET status = ?, current_question_index = 0, played_questions = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      'UPDATE games SET status = ?, current_question_index = 0, played_questions = ?, board_picker_group_id = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
       ['setup', JSON.stringify([]), gameId]
     );
 
     await this.db.run(
-      'DELETE FROM buzzer_events WHERE game_id = ?',
+      'DELETE FROM wagers WHERE game_id = ?',
+      [gameId]
+    );
+
+    // Tie-breaker questions go back in the pool, so their results go too
+    await this.db.run(
+      'UPDATE groups SET tiebreak_place = NULL WHERE game_id = ?',
       [gameId]
     );
 
@@ -928,13 +2915,15 @@ class GameService {
     if (gameState && gameState.timeoutId) {
       clearTimeout(gameState.timeoutId);
     }
-    this.activeGames.delete(gameId);
+    this.stopPointsTicker(gameState);
+    this.stopTimerTicker(gameState);
+    await this.removeActiveGame(gameId);
 
     // Reset all buzzer hardware states to black/disarmed
     if (this.esp32Service) {
       console.log(`[RESET] Sending END_ROUND to reset all buzzer hardware states`);
-      await this.esp32Service.disarmBuzzers();
-      await this.esp32Service.endRound(0); // 0 = all buzzers
+      await this.esp32Service.disarmBuzzers(gameId);
+      await this.esp32Service.endRound(0, gameId); // 0 = all of this game's buzzers
     }
 
     this.io.to(`game-${gameId}`).emit('questions-reset', { gameId });
@@ -958,9 +2947,11 @@ class GameService {
     if (gameState && gameState.timeoutId) {
       clearTimeout(gameState.timeoutId);
     }
-    this.activeGames.delete(gameId);
+    this.stopPointsTicker(gameState);
+    this.stopTimerTicker(gameState);
+    await this.removeActiveGame(gameId);
 
-    this.io.to(`game-${gameId}`).emit('question-navigation', { 
+    this.emitQuestionEvent(gameId, 'question-navigation', { 
       gameId,
       questionIndex,
       question: game.questions[questionIndex],
@@ -970,19 +2961,35 @@ class GameService {
     return this.getGame(gameId);
   }
 
-  async resetScores(gameId) {
+  async resetScores(gameId, actor = 'host') {
     console.log(`[RESET] Resetting scores for game ${gameId} - clearing all team scores and buzzer states`);
 
+    // Zeroing goes in the ledger like any other score change, so the session's history adds
+    // up; the misses and tie-break place it clears are kept with it for undo
+    const groups = await this.db.all(
+      'SELECT id, score, wrong_answers, tiebreak_place FROM groups WHERE game_id = ? AND (score != 0 OR wrong_answers != 0 OR tiebreak_place IS NOT NULL)',
+      [gameId]
+    );
+    const sessionId = await this.getCurrentSessionId(gameId);
+    for (const group of groups) {
+      const resetState = { wrong_answers: group.wrong_answers, tiebreak_place: group.tiebreak_place };
+      await this.db.run(
+        `INSERT INTO score_ledger (game_id, group_id, delta, previous_score, new_score, reason, actor, reset_state, session_id)
+         VALUES (?, ?, ?, ?, 0, 'reset', ?, ?, ?)`,
+        [gameId, group.id, -group.score, group.score, actor, JSON.stringify(resetState), sessionId]
+      );
+    }
+
     await this.db.run(
-      'UPDATE groups SET score = 0 WHERE game_id = ?',
+      'UPDATE groups SET score = 0, wrong_answers = 0, tiebreak_place = NULL WHERE game_id = ?',
       [gameId]
     );
 
     // Reset all buzzer hardware states to black/disarmed
     if (this.esp32Service) {
       console.log(`[RESET] Sending END_ROUND to reset all buzzer hardware states`);
-      await this.esp32Service.disarmBuzzers();
-      await this.esp32Service.endRound(0); // 0 = all buzzers
+      await this.esp32Service.disarmBuzzers(gameId);
+      await this.esp32Service.endRound(0, gameId); // 0 = all of this game's buzzers
     }
 
     // Get updated game data with reset scores
@@ -990,7 +2997,7 @@ class GameService {
 
     // Notify all clients about score reset
     this.io.to(`game-${gameId}`).emit('teams-updated', game.groups);
-    this.io.to('control-panel').emit('teams-updated', game.groups);
+    this.io.to(`control-${gameId}`).emit('teams-updated', game.groups);
 
     return game;
   }
@@ -1073,6 +3080,38 @@ class GameService {
       updates.push('allow_negative_scores = ?');
       values.push(settings.allowNegativeScores ? 1 : 0);
     }
+
+    if (settings.hasOwnProperty('penaltyMode')) {
+      const penaltyValue = this.validatePenaltyPolicy(settings.penaltyMode, settings.penaltyValue);
+      updates.push('penalty_mode = ?', 'penalty_value = ?');
+      values.push(settings.penaltyMode, penaltyValue);
+    }
+
+    if (settings.hasOwnProperty('scoringCurve')) {
+      const curveOptions = normalizeCurveOptions(settings.scoringCurve, settings.scoringCurveOptions);
+      updates.push('scoring_curve = ?', 'scoring_curve_options = ?');
+      values.push(settings.scoringCurve, JSON.stringify(curveOptions));
+    }
+
+    for (const [key, column] of [['readingTime', 'reading_time'], ['falseStartLockout', 'false_start_lockout']]) {
+      if (settings.hasOwnProperty(key)) {
+        const seconds = Number(settings[key]);
+        if (!Number.isInteger(seconds) || seconds < 0) {
+          throw new Error(`${key} must be a whole number of seconds`);
+        }
+        updates.push(`${column} = ?`);
+        values.push(seconds);
+      }
+    }
+
+    if (settings.hasOwnProperty('tieBreakPositions')) {
+      const positions = Number(settings.tieBreakPositions);
+      if (!TIE_BREAK_POSITIONS.includes(positions)) {
+        throw new Error(`tieBreakPositions must be one of ${TIE_BREAK_POSITIONS.join(', ')}`);
+      }
+      updates.push('tie_break_positions = ?');
+      values.push(positions);
+    }
     
     if (updates.length > 0) {
       updates.push('updated_at = CURRENT_TIMESTAMP');
@@ -1091,9 +3130,17 @@ class GameService {
     const game = await this.getGame(gameId);
     if (!game) throw new Error('Game not found');
 
+    const { curve, curveOptions } = this.getScoringCurve(game);
     return {
       timeBasedScoring: Boolean(game.time_based_scoring),
-      allowNegativeScores: Boolean(game.allow_negative_scores)
+      allowNegativeScores: Boolean(game.allow_negative_scores),
+      penaltyMode: game.penalty_mode || 'percentage',
+      penaltyValue: game.penalty_value ?? 50,
+      scoringCurve: curve,
+      scoringCurveOptions: curveOptions,
+      readingTime: game.reading_time || 0,
+      falseStartLockout: game.false_start_lockout || 0,
+      tieBreakPositions: game.tie_break_positions || 1
     };
   }
 
@@ -1136,9 +3183,14 @@ class GameService {
     const game = await this.getGame(gameId);
     if (!game) throw new Error('Game not found');
 
+    const devicesPerTeam = parseInt(settings.devicesPerTeam ?? game.virtual_buzzers_per_team ?? 1);
+    if (!Number.isInteger(devicesPerTeam) || devicesPerTeam < 1 || devicesPerTeam > 10) {
+      throw new Error('Devices per team must be between 1 and 10');
+    }
+
     await this.db.run(
-      'UPDATE games SET virtual_buzzers_enabled = ?, buzzer_offline_threshold = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-      [settings.virtualBuzzersEnabled ? 1 : 0, settings.buzzerOfflineThreshold || 120, gameId]
+      'UPDATE games SET virtual_buzzers_enabled = ?, buzzer_offline_threshold = ?, virtual_buzzers_per_team = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [settings.virtualBuzzersEnabled ? 1 : 0, settings.buzzerOfflineThreshold || 120, devicesPerTeam, gameId]
     );
 
     return this.getGame(gameId);
@@ -1150,7 +3202,8 @@ class GameService {
 
     return {
       virtualBuzzersEnabled: Boolean(game.virtual_buzzers_enabled),
-      buzzerOfflineThreshold: game.buzzer_offline_threshold || 120
+      buzzerOfflineThreshold: game.buzzer_offline_threshold || 120,
+      devicesPerTeam: game.virtual_buzzers_per_team || 1
     };
   }
 
@@ -1194,48 +3247,94 @@ class GameService {
     });
   }
 
-  // Global Game Management Methods
-  async setCurrentGlobalGame(gameId) {
-    if (gameId) {
-      const game = await this.getGame(gameId);
-      this.currentGlobalGame = gameId;
-      
-      // Notify all connected clients about the new global game
-      this.io.emit('global-game-changed', {
-        gameId: gameId,
-        game: game
-      });
-      
-      return game;
-    } else {
-      this.currentGlobalGame = null;
-      this.io.emit('global-game-changed', {
-        gameId: null,
-        game: null
-      });
-      return null;
+  // Running Games
+  // Several games can run side by side. Each client binds to one game, and a running
+  // game owns the physical buzzers its teams use so presses reach the right game.
+  async openGame(gameId) {
+    const game = await this.getGame(gameId);
+    if (!game) throw new Error('Game not found');
+
+    this.claimGameBuzzers(game);
+    if (!this.runningGames.has(gameId)) {
+      this.runningGames.add(gameId);
+      console.log(`[GAMES] Game ${gameId} is running`);
+      await this.emitRunningGames();
     }
+    return game;
   }
 
-  getCurrentGlobalGame() {
-    return this.currentGlobalGame;
+  async closeGame(gameId) {
+    this.esp32Service?.releaseDevices(gameId);
+    if (this.runningGames.delete(gameId)) {
+      console.log(`[GAMES] Game ${gameId} closed`);
+      await this.emitRunningGames();
+    }
   }
 
-  async getCurrentGlobalGameData() {
-    if (!this.currentGlobalGame) {
-      return null;
+  // Stop every live question and running game, e.g. before the database underneath is
+  // replaced. Only in-memory state and the buzzers are touched.
+  async stopAllGames() {
+    for (const [gameId, gameState] of this.activeGames) {
+      clearTimeout(gameState.timeoutId);
+      this.clearReadingTimers(gameState);
+      this.clearChoicePressTimers(gameState);
+      this.clearBuzzWindow(gameState);
+      this.stopPointsTicker(gameState);
+      this.stopTimerTicker(gameState);
+      await this.esp32Service?.disarmBuzzers(gameId).catch(() => {});
+    }
+    this.activeGames.clear();
+
+    for (const gameId of [...this.runningGames]) {
+      await this.closeGame(gameId);
+    }
+    this.currentSessions.clear();
+  }
+
+  isGameRunning(gameId) {
+    return this.runningGames.has(gameId);
+  }
+
+  // Physical buzzer IDs are numeric; virtual-only teams don't claim a device
+  getGameBuzzerIds(game) {
+    return (game.groups || [])
+      .map(group => group.buzzer_id?.toString())
+      .filter(buzzerId => buzzerId && /^\d+$/.test(buzzerId));
+  }
+
+  // Throws if another running game already uses one of the game's buzzers
+  claimGameBuzzers(game) {
+    this.esp32Service?.assignDevices(game.id, this.getGameBuzzerIds(game));
+  }
+
+  // Call after a running game's teams change so its buzzers follow
+  async refreshGameBuzzers(gameId) {
+    if (!this.runningGames.has(gameId)) return;
+    this.claimGameBuzzers(await this.getGame(gameId));
+    await this.emitRunningGames();
+  }
+
+  // Refuse a team buzzer that another running game owns
+  checkBuzzerAvailable(gameId, buzzerId) {
+    const ownerId = this.esp32Service?.getGameForDevice(buzzerId);
+    if (ownerId && ownerId !== gameId) {
+      throw new Error(`Buzzer ${buzzerId} is already used by another running game`);
     }
-    return await this.getGame(this.currentGlobalGame);
   }
 
-  // This method should be called when a client connects to get the current global game
-  async getGlobalGameStatus() {
-    if (!this.currentGlobalGame) {
-      return { gameId: null, game: null };
+  async getRunningGames() {
+    const games = [];
+    for (const gameId of this.runningGames) {
+      const game = await this.db.get('SELECT id, name, status FROM games WHERE id = ?', [gameId]);
+      if (game) {
+        games.push({ ...game, buzzerIds: this.esp32Service?.getGameDevices(gameId) || [] });
+      }
     }
-    
-    const game = await this.getGame(this.currentGlobalGame);
-    return { gameId: this.currentGlobalGame, game };
+    return games;
+  }
+
+  async emitRunningGames() {
+    this.io.emit('running-games-changed', { games: await this.getRunningGames() });
   }
 
   // Show correct answer on display
@@ -1258,13 +3357,16 @@ class GameService {
       gameId,
       questionId: currentQuestion.id,
       correctAnswer: currentQuestion.correct_answer,
-      questionText: currentQuestion.text
+      questionText: currentQuestion.text,
+      explanation: currentQuestion.explanation,
+      source: currentQuestion.source
     });
 
     return {
       success: true,
       correctAnswer: currentQuestion.correct_answer,
-      questionText: currentQuestion.text
+      questionText: currentQuestion.text,
+      explanation: currentQuestion.explanation
     };
   }
 
@@ -0,0 +1,164 @@
+const path = require('path');
+const fs = require('fs').promises;
+
+const UPLOAD_ROOT = path.join(__dirname, '../../public/uploads');
+const BANK_FOLDER = 'bank';
+
+const MEDIA_TYPES = {
+  image: ['.jpg', '.jpeg', '.png', '.gif', '.webp', '.svg'],
+  audio: ['.mp3', '.wav', '.ogg', '.m4a', '.aac', '.flac'],
+  video: ['.mp4', '.webm', '.mov', '.mkv', '.avi']
+};
+
+// Question media stored on the server so games play without internet. Each game has
+// its own folder under public/uploads; media for bank questions lives in uploads/bank.
+// Files are served from /uploads/<folder>/<filename>, which is what media_url holds.
+class MediaService {
+  constructor(database) {
+    this.db = database;
+    this.uploadRoot = UPLOAD_ROOT;
+  }
+
+  // Folder name for a game's uploads, or the bank folder when there is no game
+  async resolveFolder(gameId) {
+    if (!gameId) return BANK_FOLDER;
+
+    const game = await this.db.get('SELECT id FROM games WHERE id = ?', [gameId]);
+    if (!game) throw new Error('Game not found');
+    return game.id;
+  }
+
+  getMediaType(filename) {
+    const ext = path.extname(filename).toLowerCase();
+    return Object.keys(MEDIA_TYPES).find(type => MEDIA_TYPES[type].includes(ext)) || null;
+  }
+
+  // Keep uploaded names readable but safe on disk, and unique within the folder
+  buildFilename(originalName) {
+    const ext = path.extname(originalName).toLowerCase();
+    const base = path.basename(originalName, path.extname(originalName))
+      .replace(/[^a-zA-Z0-9_-]+/g, '_')
+      .replace(/^_+|_+$/g, '')
+      .slice(0, 60) || 'media';
+    return `${Date.now()}_${base}${ext}`;
+  }
+
+  // Reject anything that would step outside the uploads folder
+  resolvePath(folder, filename) {
+    const isSafe = (part) => part && part === path.basename(part) && !part.startsWith('.');
+    if (!isSafe(folder) || !isSafe(filename)) {
+      throw new Error('Invalid media path');
+    }
+    return path.join(this.uploadRoot, folder, filename);
+  }
+
+  // Media URLs that questions, bank questions and game logos point at, with how often
+  async getUsage() {
+    const rows = await this.db.all(
+      `SELECT media_url AS url FROM questions WHERE media_url LIKE '/uploads/%'
+       UNION ALL SELECT media_url FROM question_bank WHERE media_url LIKE '/uploads/%'
+       UNION ALL SELECT logo_url FROM games WHERE logo_url LIKE '/uploads/%'`
+    );
+
+    const usage = new Map();
+    for (const { url } of rows) {
+      usage.set(url, (usage.get(url) || 0) + 1);
+    }
+    return usage;
+  }
+
+  // Every media file in the library, newest first. gameId limits it to that game's
+  // folder; the bank folder is listed with gameId 'bank'.
+  async listMedia({ gameId = null } = {}) {
+    let folders;
+    try {
+      folders = (await fs.readdir(this.uploadRoot, { withFileTypes: true }))
+        .filter(entry => entry.isDirectory())
+        .map(entry => entry.name);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    if (gameId) {
+      folders = folders.filter(folder => folder === gameId);
+    }
+
+    const usage = await this.getUsage();
+    const media = [];
+    for (const folder of folders) {
+      for (const filename of await fs.readdir(path.join(this.uploadRoot, folder))) {
+        const type = this.getMediaType(filename);
+        if (!type) continue;
+
+        const stats = await fs.stat(path.join(this.uploadRoot, folder, filename));
+        const url = `/uploads/${folder}/${filename}`;
+        media.push({
+          folder,
+          filename,
+          url,
+          type,
+          size: stats.size,
+          uploaded_at: stats.mtime.toISOString(),
+          usage_count: usage.get(url) || 0
+        });
+      }
+    }
+
+    return media.sort((a, b) => b.uploaded_at.localeCompare(a.uploaded_at));
+  }
+
+  async getUnusedMedia(options = {}) {
+    return (await this.listMedia(options)).filter(item => item.usage_count === 0);
+  }
+
+  // Describe a file multer has just stored
+  async describeUpload(folder, file) {
+    const url = `/uploads/${folder}/${file.filename}`;
+    console.log(`[MEDIA] Stored ${file.originalname} as ${url} (${file.size} bytes)`);
+    return {
+      folder,
+      filename: file.filename,
+      url,
+      type: this.getMediaType(file.filename),
+      size: file.size,
+      uploaded_at: new Date().toISOString(),
+      usage_count: 0
+    };
+  }
+
+  // Files still in use can't be deleted - clear them from their questions first
+  async deleteMedia(folder, filename) {
+    const filePath = this.resolvePath(folder, filename);
+    const url = `/uploads/${folder}/${filename}`;
+
+    const usageCount = (await this.getUsage()).get(url) || 0;
+    if (usageCount > 0) {
+      throw new Error(`Media is used by ${usageCount} question(s) or logo(s)`);
+    }
+
+    try {
+      await fs.unlink(filePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') throw new Error('Media file not found');
+      throw error;
+    }
+
+    console.log(`[MEDIA] Deleted ${url}`);
+    return { success: true };
+  }
+
+  // Delete every unused file, optionally only in one game's folder
+  async deleteUnusedMedia(options = {}) {
+    const unused = await this.getUnusedMedia(options);
+    for (const item of unused) {
+      await fs.unlink(this.resolvePath(item.folder, item.filename));
+    }
+
+    console.log(`[MEDIA] Deleted ${unused.length} unused file(s)`);
+    return { deleted: unused.map(item => item.url) };
+  }
+}
+
+MediaService.MEDIA_TYPES = MEDIA_TYPES;
+
+module.exports = MediaService;
@@ -0,0 +1,99 @@
+const path = require('path');
+const fs = require('fs');
+
+const MIGRATIONS_DIR = path.join(__dirname, '../migrations');
+const MIGRATION_FILE = /^(\d+)_([a-z0-9_]+)\.js$/;
+
+// Versioned schema changes. Each file in backend/migrations is one migration, named
+// <version>_<name>.js and exporting async up(db), where db is the Database wrapper.
+// Pending migrations run in version order, each in its own transaction together with
+// its row in schema_migrations, so a migration is either applied and recorded or not
+// at all. A migration can do anything SQL can: add, rename or drop columns, rebuild
+// tables, or rewrite data.
+class MigrationService {
+  constructor(database, migrationsDir = MIGRATIONS_DIR) {
+    this.db = database;
+    this.migrationsDir = migrationsDir;
+  }
+
+  loadMigrations() {
+    const migrations = fs.readdirSync(this.migrationsDir)
+      .filter(file => file.endsWith('.js'))
+      .map(file => {
+        const match = file.match(MIGRATION_FILE);
+        if (!match) {
+          throw new Error(`Migration file ${file} must be named <version>_<name>.js`);
+        }
+
+        const migration = require(path.join(this.migrationsDir, file));
+        if (typeof migration.up !== 'function') {
+          throw new Error(`Migration ${file} has no up() function`);
+        }
+        return { version: parseInt(match[1], 10), name: match[2], file, up: migration.up };
+      })
+      .sort((a, b) => a.version - b.version);
+
+    migrations.forEach((migration, index) => {
+      if (index > 0 && migrations[index - 1].version === migration.version) {
+        throw new Error(`Migrations ${migrations[index - 1].file} and ${migration.file} share version ${migration.version}`);
+      }
+    });
+    return migrations;
+  }
+
+  async ensureMigrationsTable() {
+    await this.db.run(`CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+  }
+
+  // Which migrations have run, which are pending, and any the database has that this
+  // code doesn't (it was migrated by a newer version of the server)
+  async getStatus() {
+    await this.ensureMigrationsTable();
+    const migrations = this.loadMigrations();
+    const applied = await this.db.all('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+
+    const appliedVersions = new Set(applied.map(row => row.version));
+    const knownVersions = new Set(migrations.map(migration => migration.version));
+
+    return {
+      currentVersion: applied.length > 0 ? applied[applied.length - 1].version : 0,
+      latestVersion: migrations.length > 0 ? migrations[migrations.length - 1].version : 0,
+      applied,
+      pending: migrations.filter(migration => !appliedVersions.has(migration.version)),
+      unknown: applied.filter(row => !knownVersions.has(row.version))
+    };
+  }
+
+  // Apply every pending migration. The first failure is rolled back and rethrown, and
+  // nothing after it runs.
+  async migrate() {
+    const status = await this.getStatus();
+    if (status.unknown.length > 0) {
+      const names = status.unknown.map(row => `${row.version}_${row.name}`).join(', ');
+      throw new Error(`Database was migrated by a newer version of the server (${names}); update the server before starting it`);
+    }
+
+    for (const migration of status.pending) {
+      console.log(`[MIGRATE] Applying ${migration.file}`);
+      try {
+        await this.db.transaction(async () => {
+          await migration.up(this.db);
+          await this.db.run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+        });
+      } catch (error) {
+        throw new Error(`Migration ${migration.file} failed and was rolled back: ${error.message}`);
+      }
+    }
+
+    if (status.pending.length > 0) {
+      console.log(`[MIGRATE] Database is at version ${status.latestVersion} (${status.pending.length} migration(s) applied)`);
+    }
+    return status.pending.map(({ version, name }) => ({ version, name }));
+  }
+}
+
+module.exports = MigrationService;
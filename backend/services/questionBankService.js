@@ -0,0 +1,312 @@
+const { v4: uuidv4 } = require('uuid');
+
+const DIFFICULTY_ORDER = ['easy', 'medium', 'hard'];
+
+// Fisher-Yates shuffle into a new array
+function shuffle(items) {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+}
+
+// Shared question bank. Bank questions are reusable across games: a game question
+// that links to one (questions.bank_question_id) takes its content from the bank,
+// so editing the bank entry updates every game that uses it.
+class QuestionBankService {
+  constructor(database, gameService) {
+    this.db = database;
+    this.gameService = gameService;
+  }
+
+  // Validate and shape a bank question for storage; throws on bad input
+  normalizeBankQuestion(questionData) {
+    const text = (questionData.text || '').trim();
+    if (!text) {
+      throw new Error('Question text is required');
+    }
+
+    const timeLimit = parseInt(questionData.time_limit ?? 30);
+    const points = parseInt(questionData.points ?? 100);
+    if (!(timeLimit > 0)) {
+      throw new Error('time_limit must be a positive number of seconds');
+    }
+    if (!(points > 0)) {
+      throw new Error('points must be a positive number');
+    }
+
+    return {
+      text,
+      media_url: questionData.media_url || null,
+      time_limit: timeLimit,
+      points,
+      ...this.gameService.normalizeQuestionType(questionData),
+      ...this.gameService.normalizeQuestionMetadata(questionData)
+    };
+  }
+
+  // Search the bank. search matches text, answer and options; tags (comma-separated
+  // or an array) must all be present; type filters by question_type.
+  async listQuestions({ search = '', tags = [], type = null } = {}) {
+    const conditions = [];
+    const values = [];
+
+    if (search && search.trim()) {
+      const pattern = `%${search.trim()}%`;
+      conditions.push('(b.text LIKE ? OR b.correct_answer LIKE ? OR b.options LIKE ?)');
+      values.push(pattern, pattern, pattern);
+    }
+
+    for (const tag of this.gameService.normalizeTags(tags)) {
+      conditions.push('EXISTS (SELECT 1 FROM json_each(b.tags) WHERE json_each.value = ?)');
+      values.push(tag);
+    }
+
+    if (type) {
+      conditions.push('b.question_type = ?');
+      values.push(type);
+    }
+
+    const rows = await this.db.all(
+      `SELECT b.*, (SELECT COUNT(DISTINCT q.game_id) FROM questions q WHERE q.bank_question_id = b.id) AS usage_count
+       FROM question_bank b
+       ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY b.updated_at DESC, b.created_at DESC`,
+      values
+    );
+
+    return rows.map(row => this.gameService.parseQuestion(row));
+  }
+
+  // Every tag in the bank with how many questions carry it
+  async getTags() {
+    return this.db.all(
+      `SELECT json_each.value AS tag, COUNT(*) AS count
+       FROM question_bank, json_each(question_bank.tags)
+       GROUP BY json_each.value ORDER BY json_each.value`
+    );
+  }
+
+  async getQuestion(bankQuestionId) {
+    const row = await this.db.get(
+      `SELECT b.*, (SELECT COUNT(DISTINCT q.game_id) FROM questions q WHERE q.bank_question_id = b.id) AS usage_count
+       FROM question_bank b WHERE b.id = ?`,
+      [bankQuestionId]
+    );
+    if (!row) throw new Error('Bank question not found');
+    return this.gameService.parseQuestion(row);
+  }
+
+  async createQuestion(questionData) {
+    const id = uuidv4();
+    const fields = this.normalizeBankQuestion(questionData);
+
+    await this.db.run(
+      `INSERT INTO question_bank (id, text, media_url, correct_answer, time_limit, points, question_type, options, correct_option,
+       difficulty, category, tags, explanation, source) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [id, fields.text, fields.media_url, fields.correct_answer, fields.time_limit, fields.points,
+        fields.question_type, fields.options, fields.correct_option,
+        fields.difficulty, fields.category, fields.tags, fields.explanation, fields.source]
+    );
+
+    console.log(`[BANK] Added question ${id} to the bank`);
+    return this.getQuestion(id);
+  }
+
+  async updateQuestion(bankQuestionId, questionData) {
+    const existing = await this.getQuestion(bankQuestionId);
+    const fields = this.normalizeBankQuestion({ ...existing, ...questionData });
+
+    await this.db.run(
+      `UPDATE question_bank SET text = ?, media_url = ?, correct_answer = ?, time_limit = ?, points = ?,
+       question_type = ?, options = ?, correct_option = ?, difficulty = ?, category = ?, tags = ?, explanation = ?, source = ?,
+       updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [fields.text, fields.media_url, fields.correct_answer, fields.time_limit, fields.points,
+        fields.question_type, fields.options, fields.correct_option,
+        fields.difficulty, fields.category, fields.tags, fields.explanation, fields.source, bankQuestionId]
+    );
+
+    return this.getQuestion(bankQuestionId);
+  }
+
+  // A bank question that games still use can't be deleted - remove it from those games first
+  async deleteQuestion(bankQuestionId) {
+    const question = await this.getQuestion(bankQuestionId);
+    if (question.usage_count > 0) {
+      throw new Error(`Bank question is used by ${question.usage_count} game(s)`);
+    }
+
+    await this.db.run('DELETE FROM question_bank WHERE id = ?', [bankQuestionId]);
+    return { success: true };
+  }
+
+  // Append bank questions to a game as linked questions. Questions the game already
+  // links to are skipped.
+  async addToGame(gameId, bankQuestionIds, { roundId = null, points = null, timeLimit = null } = {}) {
+    if (!Array.isArray(bankQuestionIds) || bankQuestionIds.length === 0) {
+      throw new Error('bankQuestionIds must be a non-empty list');
+    }
+
+    const game = await this.db.get('SELECT id FROM games WHERE id = ?', [gameId]);
+    if (!game) throw new Error('Game not found');
+
+    const linked = await this.db.all(
+      'SELECT bank_question_id FROM questions WHERE game_id = ? AND bank_question_id IS NOT NULL',
+      [gameId]
+    );
+    const alreadyLinked = new Set(linked.map(row => row.bank_question_id));
+
+    const maxOrder = await this.db.get('SELECT MAX(question_order) as max_order FROM questions WHERE game_id = ?', [gameId]);
+    let questionOrder = maxOrder?.max_order || 0;
+
+    const added = [];
+    const skipped = [];
+    for (const bankQuestionId of bankQuestionIds) {
+      if (alreadyLinked.has(bankQuestionId)) {
+        skipped.push(bankQuestionId);
+        continue;
+      }
+      await this.getQuestion(bankQuestionId);
+
+      const questionId = uuidv4();
+      questionOrder++;
+      // Content columns stay empty; points and time limit are NULL so they follow the bank
+      await this.db.run(
+        `INSERT INTO questions (id, game_id, text, time_limit, points, question_order, question_type, round_id, bank_question_id)
+         VALUES (?, ?, '', ?, ?, ?, NULL, ?, ?)`,
+        [questionId, gameId, timeLimit, points, questionOrder, roundId, bankQuestionId]
+      );
+      alreadyLinked.add(bankQuestionId);
+      added.push(await this.gameService.getQuestion(questionId));
+    }
+
+    console.log(`[BANK] Added ${added.length} bank question(s) to game ${gameId}, skipped ${skipped.length}`);
+    return { added, skipped };
+  }
+
+  // Copy a game's own question into the bank and link the game question to the new entry.
+  // tags are added to the question's own tags.
+  async saveToBank(questionId, { tags = [] } = {}) {
+    const question = await this.gameService.getQuestion(questionId);
+    if (!question) throw new Error('Question not found');
+    if (question.bank_question_id) {
+      throw new Error('Question is already in the bank');
+    }
+
+    const bankQuestion = await this.createQuestion({
+      ...question,
+      tags: [...question.tags, ...this.gameService.normalizeTags(tags)]
+    });
+
+    await this.db.run(
+      `UPDATE questions SET text = '', media_url = NULL, correct_answer = NULL, time_limit = NULL, points = NULL,
+       question_type = NULL, options = NULL, correct_option = NULL, difficulty = NULL, category = NULL, tags = NULL,
+       explanation = NULL, source = NULL, bank_question_id = ? WHERE id = ?`,
+      [bankQuestion.id, questionId]
+    );
+
+    return this.getQuestion(bankQuestion.id);
+  }
+
+  // Bank questions played in the last eventCount sessions (runs of a game) that played
+  // any question, whether or not anyone buzzed
+  async getRecentlyUsedBankQuestionIds(eventCount) {
+    if (!(eventCount > 0)) return new Set();
+
+    const rows = await this.db.all(
+      `SELECT DISTINCT bank_question_id FROM session_questions
+       WHERE bank_question_id IS NOT NULL AND session_id IN (
+         SELECT session_id FROM session_questions GROUP BY session_id ORDER BY MAX(played_at) DESC, MAX(rowid) DESC LIMIT ?
+       )`,
+      [eventCount]
+    );
+    return new Set(rows.map(row => row.bank_question_id));
+  }
+
+  // Pick count questions from candidates at random, taking from each category in
+  // turn so the game is spread across them
+  pickAcrossCategories(candidates, count) {
+    const byCategory = new Map();
+    for (const question of shuffle(candidates)) {
+      const key = question.category || '';
+      if (!byCategory.has(key)) byCategory.set(key, []);
+      byCategory.get(key).push(question);
+    }
+
+    const queues = shuffle([...byCategory.values()]);
+    const picked = [];
+    while (picked.length < count && queues.some(queue => queue.length > 0)) {
+      for (const queue of queues) {
+        if (picked.length < count && queue.length > 0) picked.push(queue.shift());
+      }
+    }
+    return picked;
+  }
+
+  // Build a new game from the bank. difficultyCounts says how many questions of each
+  // difficulty to take ({ easy: 10, medium: 15, hard: 5 }); categories and tags narrow
+  // the pool; excludeRecentEvents skips questions played in that many recent sessions.
+  // Questions play easy to hard. Throws if the bank can't satisfy a count.
+  async generateGame({ name, groups, difficultyCounts = {}, categories = [], tags = [], type = null, excludeRecentEvents = 0 } = {}) {
+    if (!name || !String(name).trim()) {
+      throw new Error('Game name is required');
+    }
+
+    const counts = Object.entries(difficultyCounts || {}).map(([difficulty, count]) => {
+      const normalized = this.gameService.normalizeQuestionMetadata({ difficulty }).difficulty;
+      const number = parseInt(count);
+      if (!normalized || !(number >= 0)) {
+        throw new Error('difficultyCounts must map easy, medium or hard to a count');
+      }
+      return [normalized, number];
+    }).filter(([, count]) => count > 0);
+    if (counts.length === 0) {
+      throw new Error('Ask for at least one question in difficultyCounts');
+    }
+
+    const wantedCategories = this.gameService.normalizeTags(categories);
+    const recentlyUsed = await this.getRecentlyUsedBankQuestionIds(parseInt(excludeRecentEvents) || 0);
+    const pool = (await this.listQuestions({ tags, type })).filter(question =>
+      !recentlyUsed.has(question.id) &&
+      (wantedCategories.length === 0 || wantedCategories.includes((question.category || '').toLowerCase()))
+    );
+
+    const selected = [];
+    for (const difficulty of DIFFICULTY_ORDER) {
+      const count = counts.find(([d]) => d === difficulty)?.[1];
+      if (!count) continue;
+
+      const candidates = pool.filter(question => question.difficulty === difficulty);
+      if (candidates.length < count) {
+        throw new Error(`Not enough ${difficulty} questions in the bank: need ${count}, found ${candidates.length}`);
+      }
+      selected.push(...this.pickAcrossCategories(candidates, count));
+    }
+
+    const game = await this.gameService.createGame({ name: String(name).trim(), groups });
+    await this.addToGame(game.id, selected.map(question => question.id));
+
+    console.log(`[BANK] Generated game ${game.id} with ${selected.length} question(s), excluding ${recentlyUsed.size} recently used`);
+    return this.gameService.getGame(game.id);
+  }
+
+  // Points and time limit of a linked game question. A value equal to the bank's
+  // (or empty) clears the override so the question follows the bank again.
+  resolveOverrides(bankQuestion, { points, time_limit }) {
+    const override = (value, bankValue) => {
+      if (value === undefined || value === null || value === '') return null;
+      const number = parseInt(value);
+      if (!(number > 0)) throw new Error('Overrides must be positive numbers');
+      return number === bankValue ? null : number;
+    };
+
+    return {
+      points: override(points, bankQuestion.points),
+      time_limit: override(time_limit, bankQuestion.time_limit)
+    };
+  }
+}
+
+module.exports = QuestionBankService;
@@ -0,0 +1,482 @@
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+const FORMATS = ['csv', 'json', 'opentdb', 'gift'];
+
+// CSV header (lowercased) -> question field. Files without a known header are read
+// in the column order of the admin's CSV template.
+const CSV_HEADERS = {
+  'question text': 'text', question: 'text', text: 'text',
+  'correct answer': 'correct_answer', answer: 'correct_answer', correct_answer: 'correct_answer',
+  'time limit (seconds)': 'time_limit', 'time limit': 'time_limit', time_limit: 'time_limit',
+  points: 'points',
+  'media url (optional)': 'media_url', 'media url': 'media_url', media_url: 'media_url',
+  difficulty: 'difficulty', category: 'category', tags: 'tags', explanation: 'explanation', source: 'source',
+  type: 'question_type', 'question type': 'question_type', question_type: 'question_type',
+  options: 'options', 'correct option': 'correct_option', correct_option: 'correct_option'
+};
+const CSV_TEMPLATE_COLUMNS = ['text', 'correct_answer', 'time_limit', 'points', 'media_url', 'difficulty', 'category', 'tags', 'explanation', 'source'];
+
+const HTML_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', shy: '',
+  ldquo: '“', rdquo: '”', lsquo: '‘', rsquo: '’', hellip: '…', ndash: '–', mdash: '—',
+  deg: '°', pi: 'π', eacute: 'é', egrave: 'è', aacute: 'á', iacute: 'í', oacute: 'ó',
+  uacute: 'ú', ntilde: 'ñ', auml: 'ä', ouml: 'ö', uuml: 'ü', szlig: 'ß', ccedil: 'ç'
+};
+
+// GIFT control characters, swapped for private-use placeholders while a question is parsed
+const GIFT_SPECIAL = ['~', '=', '#', '{', '}', ':'];
+
+const decodeHtml = (value) => String(value ?? '')
+  .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(parseInt(code, 10)))
+  .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+  .replace(/&([a-z]+);/gi, (match, name) => HTML_ENTITIES[name.toLowerCase()] ?? match);
+
+// Duplicates are matched on wording only: case, spacing and punctuation are ignored
+const normalizeText = (text) => String(text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+// Bulk question import for a game. Files are parsed into question rows, every row is
+// validated the same way the question API validates a single question, and the result
+// is reported row by row. A dry run stops there; otherwise the valid rows are written
+// in one transaction, so an import lands completely or not at all.
+class QuestionImportService {
+  constructor(database, gameService) {
+    this.db = database;
+    this.gameService = gameService;
+  }
+
+  // Explicit format wins, then the file extension, then a look at the content
+  detectFormat(content, { format = null, filename = null } = {}) {
+    if (format) {
+      const requested = String(format).toLowerCase();
+      if (!FORMATS.includes(requested)) {
+        throw new Error(`Unknown import format: ${format}. Use one of ${FORMATS.join(', ')}`);
+      }
+      return requested;
+    }
+
+    const ext = filename ? path.extname(filename).toLowerCase() : '';
+    if (ext === '.csv') return 'csv';
+    if (ext === '.gift' || ext === '.txt') return 'gift';
+
+    const trimmed = content.trim();
+    if (ext === '.json' || trimmed.startsWith('{') || trimmed.startsWith('[')) {
+      try {
+        const data = JSON.parse(trimmed);
+        return Array.isArray(data?.results) && 'response_code' in data ? 'opentdb' : 'json';
+      } catch (error) {
+        if (ext === '.json') return 'json';
+      }
+    }
+    return /\{[\s\S]*\}/.test(trimmed) ? 'gift' : 'csv';
+  }
+
+  // Parse a file into [{ row, data }]. row is where the question starts in the file
+  // (line for CSV and GIFT, position for JSON) so errors can point back at it.
+  parse(content, format) {
+    switch (format) {
+      case 'csv': return this.parseCsv(content);
+      case 'json': return this.parseJson(content);
+      case 'opentdb': return this.parseOpenTdb(content);
+      case 'gift': return this.parseGift(content);
+      default: throw new Error(`Unknown import format: ${format}`);
+    }
+  }
+
+  // RFC 4180 records: quoted fields may hold commas, doubled quotes and line breaks
+  readCsvRecords(content) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+    let line = 1;
+    let recordLine = 1;
+
+    const text = content.replace(/^\uFEFF/, '');
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (inQuotes) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          if (char === '\n') line++;
+          field += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === ',') {
+        record.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        record.push(field);
+        records.push({ line: recordLine, fields: record });
+        record = [];
+        field = '';
+        line++;
+        recordLine = line;
+      } else {
+        field += char;
+      }
+    }
+
+    record.push(field);
+    records.push({ line: recordLine, fields: record });
+    return records.filter(({ fields }) => fields.some(value => value.trim()));
+  }
+
+  // Multiple-choice CSV rows list their options separated by "|"; the correct one is
+  // given as a letter or 1-based number, or by repeating its text as the answer
+  parseCsv(content) {
+    const records = this.readCsvRecords(content);
+    if (records.length < 2) {
+      throw new Error('CSV file needs a header row and at least one question');
+    }
+
+    const header = records[0].fields.map(name => CSV_HEADERS[name.trim().toLowerCase()] || null);
+    const columns = header.includes('text') ? header : CSV_TEMPLATE_COLUMNS;
+
+    return records.slice(1).map(({ line, fields }) => {
+      const data = {};
+      columns.forEach((field, index) => {
+        const value = (fields[index] ?? '').trim();
+        if (field && value) data[field] = value;
+      });
+
+      if (data.options) {
+        data.options = data.options.split('|').map(option => option.trim()).filter(Boolean);
+        data.question_type = data.question_type || 'multiple_choice';
+        data.correct_option = this.resolveCorrectOption(data.options, data.correct_option, data.correct_answer);
+      }
+      if (data.question_type) data.question_type = data.question_type.toLowerCase();
+      return { row: line, data };
+    });
+  }
+
+  resolveCorrectOption(options, correctOption, correctAnswer) {
+    if (correctOption !== undefined) {
+      const value = String(correctOption).trim();
+      if (/^[a-f]$/i.test(value)) return value.toUpperCase().charCodeAt(0) - 65;
+      const position = parseInt(value);
+      return isNaN(position) ? undefined : position - 1;
+    }
+
+    const answer = String(correctAnswer || '').trim().toLowerCase();
+    const index = options.findIndex(option => option.toLowerCase() === answer);
+    return index === -1 ? undefined : index;
+  }
+
+  // An array of questions using the API's own field names, or { questions: [...] }
+  // (the shape of an exported game bundle's game.json)
+  parseJson(content) {
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Invalid JSON: ${error.message}`);
+    }
+
+    const questions = Array.isArray(data) ? data : data?.questions;
+    if (!Array.isArray(questions)) {
+      throw new Error('JSON must be an array of questions or an object with a "questions" array');
+    }
+    return questions.map((question, index) => ({
+      row: index + 1,
+      data: question && typeof question === 'object' ? question : {}
+    }));
+  }
+
+  // Open Trivia DB API responses, in the default (HTML entity) or url3986 encoding.
+  // Options are listed alphabetically so a dry run and the real import agree.
+  parseOpenTdb(content) {
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Invalid JSON: ${error.message}`);
+    }
+    if (!Array.isArray(data?.results)) {
+      throw new Error('Open Trivia DB file must have a "results" array');
+    }
+
+    const urlEncoded = data.results.some(item => /%[0-9A-F]{2}/.test(item.question || '') && !/\s/.test(item.question || ''));
+    const decode = (value) => {
+      if (!urlEncoded) return decodeHtml(value);
+      try {
+        return decodeURIComponent(String(value ?? ''));
+      } catch (error) {
+        return String(value ?? '');
+      }
+    };
+
+    return data.results.map((item, index) => {
+      const correct = decode(item.correct_answer);
+      const question = {
+        text: decode(item.question),
+        difficulty: decode(item.difficulty),
+        category: decode(item.category),
+        source: 'Open Trivia DB'
+      };
+
+      if (decode(item.type) === 'boolean') {
+        question.question_type = 'multiple_choice';
+        question.options = ['True', 'False'];
+        question.correct_option = correct.toLowerCase() === 'true' ? 0 : 1;
+      } else {
+        const options = [correct, ...(item.incorrect_answers || []).map(decode)]
+          .sort((a, b) => a.localeCompare(b));
+        question.question_type = 'multiple_choice';
+        question.options = options;
+        question.correct_option = options.indexOf(correct);
+      }
+
+      return { row: index + 1, data: question };
+    });
+  }
+
+  // Moodle GIFT: questions separated by blank lines, "//" comments, optional ::title::
+  // and $CATEGORY: lines. True/false and =right ~wrong blocks become multiple choice;
+  // short-answer (=a =b) and numeric (#n) blocks become buzzer questions.
+  parseGift(content) {
+    const items = [];
+    let category = null;
+    let block = [];
+    let startLine = 0;
+
+    const flush = () => {
+      if (block.length === 0) return;
+      const text = block.join('\n').trim();
+      block = [];
+
+      const categoryMatch = text.match(/^\$CATEGORY:\s*(.+)$/i);
+      if (categoryMatch) {
+        category = categoryMatch[1].trim().split('/').pop() || null;
+        return;
+      }
+
+      try {
+        items.push({ row: startLine, data: { ...this.parseGiftQuestion(text), category } });
+      } catch (error) {
+        items.push({ row: startLine, data: { text: text.split('{')[0].replace(/^::[\s\S]*?::/, '').trim() }, error: error.message });
+      }
+    };
+
+    content.replace(/^\uFEFF/, '').split(/\r\n?|\n/).forEach((line, index) => {
+      if (/^\s*\/\//.test(line)) return;
+      if (!line.trim()) return flush();
+      if (block.length === 0) startLine = index + 1;
+      block.push(line);
+    });
+    flush();
+
+    return items;
+  }
+
+  parseGiftQuestion(source) {
+    const escaped = source.replace(/\\([~=#{}:])/g, (match, char) => String.fromCharCode(0xE000 + GIFT_SPECIAL.indexOf(char)));
+    const unescape = (value) => value
+      .replace(/[\uE000-\uE005]/g, (char) => GIFT_SPECIAL[char.charCodeAt(0) - 0xE000])
+      .replace(/\s*\n\s*/g, ' ')
+      .replace(/\\n/g, '\n')
+      .trim();
+
+    const open = escaped.indexOf('{');
+    const close = escaped.indexOf('}', open);
+    if (open === -1 || close === -1) {
+      throw new Error('GIFT question has no {answer} block');
+    }
+
+    const before = escaped.slice(0, open).replace(/^\s*::[\s\S]*?::/, '').replace(/^\s*\[(html|moodle|plain|markdown)\]/i, '');
+    const after = escaped.slice(close + 1).trim();
+    const blank = after ? ` _____${/^[.,;:!?]/.test(after) ? '' : ' '}${after}` : '';
+    const text = unescape(before.trim() + blank);
+
+    const [answerBlock, generalFeedback] = escaped.slice(open + 1, close).split('####');
+    const answer = answerBlock.trim();
+    const question = { text, explanation: generalFeedback ? unescape(generalFeedback) : null };
+
+    const trueFalse = answer.match(/^(T|TRUE|F|FALSE)\b/i);
+    if (trueFalse) {
+      return {
+        ...question,
+        question_type: 'multiple_choice',
+        options: ['True', 'False'],
+        correct_option: trueFalse[1].toUpperCase().startsWith('T') ? 0 : 1
+      };
+    }
+
+    if (!answer) {
+      throw new Error('Essay questions are not supported');
+    }
+
+    if (answer.startsWith('#')) {
+      const value = answer.slice(1).split(/[=~]/).map(part => part.trim()).find(Boolean) || '';
+      return { ...question, correct_answer: unescape(value.split(/[:#]/)[0].replace(/^%-?\d+%/, '').split('..')[0]) };
+    }
+
+    // Each choice: its marker, its weight (=%100% / ~%50%) and its text without feedback
+    const choices = [...answer.matchAll(/([=~])([^=~]*)/g)].map(([, marker, body]) => {
+      const weight = body.match(/^\s*%(-?\d+(?:\.\d+)?)%/);
+      return {
+        correct: marker === '=',
+        weight: weight ? parseFloat(weight[1]) : (marker === '=' ? 100 : 0),
+        text: unescape(body.replace(/^\s*%-?\d+(?:\.\d+)?%/, '').split('#')[0])
+      };
+    }).filter(choice => choice.text);
+
+    if (choices.length === 0) {
+      throw new Error('GIFT answer block has no answers');
+    }
+    if (choices.some(choice => choice.text.includes('->'))) {
+      throw new Error('Matching questions are not supported');
+    }
+
+    if (choices.every(choice => choice.correct)) {
+      return { ...question, correct_answer: choices.map(choice => choice.text).join(' / ') };
+    }
+
+    const best = choices.reduce((top, choice, index) => (choice.weight > choices[top].weight ? index : top), 0);
+    if (!(choices[best].weight > 0)) {
+      throw new Error('Multiple-choice question has no correct answer');
+    }
+    return {
+      ...question,
+      question_type: 'multiple_choice',
+      options: choices.map(choice => choice.text),
+      correct_option: best
+    };
+  }
+
+  // Shape one parsed row into a question row; throws with the reason it can't be imported
+  buildQuestion(data, round) {
+    const text = String(data.text ?? '').trim();
+    if (!text) {
+      throw new Error('Question text is required');
+    }
+
+    const typeFields = this.gameService.normalizeQuestionType(data);
+    if (typeFields.question_type !== 'multiple_choice' && !String(typeFields.correct_answer ?? '').trim()) {
+      throw new Error('Correct answer is required');
+    }
+
+    const timeLimit = parseInt(data.time_limit ?? round?.default_time_limit ?? 30);
+    const points = parseInt(data.points ?? 100);
+    if (!(timeLimit > 0)) {
+      throw new Error('time_limit must be a positive number of seconds');
+    }
+    if (!(points > 0)) {
+      throw new Error('points must be a positive number');
+    }
+
+    return {
+      text,
+      media_url: data.media_url ? String(data.media_url).trim() : null,
+      time_limit: timeLimit,
+      points,
+      ...typeFields,
+      correct_answer: String(typeFields.correct_answer).trim(),
+      ...this.gameService.normalizePenaltyOverride(data),
+      ...this.gameService.normalizeQuestionMetadata(data),
+      is_tiebreaker: this.gameService.normalizeTiebreakerFlag(data, typeFields.question_type)
+    };
+  }
+
+  // Validate a file against a game and, unless dryRun, import it. Rows that repeat a
+  // question already in the game (or earlier in the file) are skipped unless
+  // skipDuplicates is false. Any invalid row blocks the import; the thrown error
+  // carries the report.
+  async importQuestions(gameId, content, { format = null, filename = null, dryRun = false, skipDuplicates = true, roundId = null } = {}) {
+    const game = await this.gameService.getGame(gameId);
+
+    let round = null;
+    if (roundId) {
+      round = game.rounds.find(item => item.id === roundId);
+      if (!round) throw new Error('Round not found in this game');
+    }
+
+    if (!content || !String(content).trim()) {
+      throw new Error('Import file is empty');
+    }
+    const detectedFormat = this.detectFormat(String(content), { format, filename });
+    const rows = this.parse(String(content), detectedFormat);
+
+    const seen = new Map(game.questions.map(question => [normalizeText(question.text), 'existing']));
+    const errors = [];
+    const duplicates = [];
+    const questions = [];
+
+    for (const { row, data, error } of rows) {
+      if (error) {
+        errors.push({ row, text: data.text || null, error });
+        continue;
+      }
+
+      let question;
+      try {
+        question = this.buildQuestion(data, round);
+      } catch (validationError) {
+        errors.push({ row, text: data.text ? String(data.text) : null, error: validationError.message });
+        continue;
+      }
+
+      const key = normalizeText(question.text);
+      if (seen.has(key)) {
+        duplicates.push({ row, text: question.text, duplicateOf: seen.get(key) });
+        if (skipDuplicates) continue;
+      } else {
+        seen.set(key, row);
+      }
+      questions.push({ row, ...question });
+    }
+
+    const report = {
+      format: detectedFormat,
+      dryRun,
+      total: rows.length,
+      valid: rows.length - errors.length,
+      errors,
+      duplicates,
+      toImport: questions.length,
+      imported: 0,
+      questions: questions.map(({ row, text, question_type, correct_answer, options, correct_option }) => ({
+        row, text, question_type, correct_answer, options: options ? JSON.parse(options) : null, correct_option
+      }))
+    };
+
+    if (dryRun) return report;
+
+    if (errors.length > 0) {
+      const error = new Error(`${errors.length} row(s) have errors - nothing was imported`);
+      error.report = report;
+      throw error;
+    }
+
+    await this.db.transaction(async () => {
+      const maxOrder = await this.db.get('SELECT MAX(question_order) AS max_order FROM questions WHERE game_id = ?', [gameId]);
+      let questionOrder = maxOrder?.max_order || 0;
+
+      for (const question of questions) {
+        await this.db.run(
+          `INSERT INTO questions (id, game_id, text, correct_answer, time_limit, points, media_url, question_order, question_type, options, correct_option, round_id, penalty_mode, penalty_value,
+           difficulty, category, tags, explanation, source, is_tiebreaker) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [uuidv4(), gameId, question.text, question.correct_answer, question.time_limit, question.points, question.media_url, ++questionOrder,
+            question.question_type, question.options, question.correct_option, round?.id || null,
+            question.penalty_mode, question.penalty_value,
+            question.difficulty, question.category, question.tags, question.explanation, question.source, question.is_tiebreaker]
+        );
+      }
+    });
+
+    report.imported = questions.length;
+    console.log(`[IMPORT] Imported ${questions.length} ${detectedFormat} question(s) into game ${gameId} (${duplicates.length} duplicate(s)${skipDuplicates ? ' skipped' : ''})`);
+    return report;
+  }
+}
+
+QuestionImportService.FORMATS = FORMATS;
+
+module.exports = QuestionImportService;
@@ -0,0 +1,113 @@
+// Scoring curves decide what a correct answer is worth when points are not flat.
+// Each curve has default options and a resolve function that gets the question's
+// base points plus the buzz context: { elapsedMs, totalTime, position }.
+// Add a curve by adding an entry here; validation and the settings API pick it up.
+const SCORING_CURVES = {
+  // Linear decay from full points to the floor (a percentage of full points) at timeout
+  linear: {
+    defaults: { floorPercent: 0 },
+    resolve(basePoints, { elapsedMs, totalTime }, options) {
+      const floor = Math.ceil(basePoints * options.floorPercent / 100);
+      if (elapsedMs >= totalTime) return floor;
+      if (elapsedMs <= 0) return basePoints;
+
+      const ratio = (totalTime - elapsedMs) / totalTime;
+      return Math.max(floor, Math.ceil(basePoints * ratio));
+    }
+  },
+
+  // Points halve every halfLifeSeconds
+  exponential: {
+    defaults: { halfLifeSeconds: 10 },
+    resolve(basePoints, { elapsedMs }, options) {
+      const halfLives = Math.max(0, elapsedMs) / (options.halfLifeSeconds * 1000);
+      return Math.ceil(basePoints * Math.pow(0.5, halfLives));
+    }
+  },
+
+  // Percent of full points by how fast the buzz was: the first tier whose
+  // seconds haven't passed yet applies, otherwise afterPercent
+  steps: {
+    defaults: { tiers: [{ seconds: 5, percent: 100 }, { seconds: 15, percent: 50 }], afterPercent: 25 },
+    resolve(basePoints, { elapsedMs }, options) {
+      const tier = options.tiers.find(t => elapsedMs <= t.seconds * 1000);
+      const percent = tier ? tier.percent : options.afterPercent;
+      return Math.ceil(basePoints * percent / 100);
+    }
+  },
+
+  // Percent of full points by buzz order: percents[0] for the first team to buzz, and so on
+  buzz_order: {
+    defaults: { percents: [100, 75, 50], afterPercent: 25 },
+    resolve(basePoints, { position }, options) {
+      const percent = options.percents[position - 1] ?? options.afterPercent;
+      return Math.ceil(basePoints * percent / 100);
+    }
+  }
+};
+
+const isPercent = (value) => typeof value === 'number' && value >= 0 && value <= 100;
+
+// Merge options over the curve's defaults and check them; throws on bad input
+function normalizeCurveOptions(curveName, options = {}) {
+  const curve = SCORING_CURVES[curveName];
+  if (!curve) {
+    throw new Error(`Invalid scoring curve: ${curveName}`);
+  }
+
+  const merged = { ...curve.defaults, ...(options || {}) };
+
+  switch (curveName) {
+    case 'linear':
+      merged.floorPercent = Number(merged.floorPercent);
+      if (!isPercent(merged.floorPercent)) {
+        throw new Error('floorPercent must be between 0 and 100');
+      }
+      break;
+    case 'exponential':
+      merged.halfLifeSeconds = Number(merged.halfLifeSeconds);
+      if (!(merged.halfLifeSeconds > 0)) {
+        throw new Error('halfLifeSeconds must be greater than 0');
+      }
+      break;
+    case 'steps':
+      if (!Array.isArray(merged.tiers) || merged.tiers.length === 0) {
+        throw new Error('Step tiers must be a non-empty list');
+      }
+      merged.tiers = merged.tiers
+        .map(t => ({ seconds: Number(t.seconds), percent: Number(t.percent) }))
+        .sort((a, b) => a.seconds - b.seconds);
+      if (merged.tiers.some(t => !(t.seconds > 0) || !isPercent(t.percent))) {
+        throw new Error('Each step tier needs seconds greater than 0 and a percent between 0 and 100');
+      }
+      merged.afterPercent = Number(merged.afterPercent);
+      break;
+    case 'buzz_order':
+      if (!Array.isArray(merged.percents) || merged.percents.length === 0) {
+        throw new Error('Buzz-order percents must be a non-empty list');
+      }
+      merged.percents = merged.percents.map(Number);
+      if (!merged.percents.every(isPercent)) {
+        throw new Error('Buzz-order percents must be between 0 and 100');
+      }
+      merged.afterPercent = Number(merged.afterPercent);
+      break;
+  }
+
+  if (merged.hasOwnProperty('afterPercent') && !isPercent(merged.afterPercent)) {
+    throw new Error('afterPercent must be between 0 and 100');
+  }
+
+  return merged;
+}
+
+function resolveCurvePoints(curveName, options, basePoints, context) {
+  const curve = SCORING_CURVES[curveName] || SCORING_CURVES.linear;
+  return curve.resolve(basePoints, context, options || curve.defaults);
+}
+
+module.exports = {
+  SCORING_CURVES,
+  normalizeCurveOptions,
+  resolveCurvePoints
+};
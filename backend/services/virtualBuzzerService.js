@@ -0,0 +1,263 @@
+const crypto = require('crypto');
+
+// No 0/O or 1/I, so codes read out loud or off a screen can't be mistyped
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+
+// Clock sync: a few quick pings right after a phone claims its team, then one every
+// few seconds. Estimates older than CLOCK_STALE_MS are not trusted.
+const CLOCK_SAMPLES = 8;
+const CLOCK_BURST_MS = 250;
+const CLOCK_INTERVAL_MS = 5000;
+const CLOCK_PING_TIMEOUT_MS = 2000;
+const CLOCK_STALE_MS = 30000;
+
+// Binds phones to teams. Each team has a join code, issued by the server and shown to
+// hosts (also as a QR link). A virtual buzzer claims a team with its code and from then
+// on can only buzz, pick, wager and choose for that team. Each team takes up to the
+// game's virtual_buzzers_per_team devices. A claim token issued with the claim lets the
+// same phone take its place back after a reconnect, even before the server has noticed
+// the old connection is gone. Claims live in memory; phones re-claim after a restart.
+//
+// Claimed phones are also clock-synced, NTP style: the server pings with its time, the
+// phone answers with its own, and the round trip gives the phone's latency and clock
+// offset. Presses carry the phone's press time, which correctPressTime moves onto the
+// server clock so a slow connection doesn't lose a race it won.
+class VirtualBuzzerService {
+  constructor(database, gameService, io) {
+    this.db = database;
+    this.gameService = gameService;
+    this.io = io;
+    this.claims = new Map(); // groupId -> Map(claimToken -> { socketId, gameId, buzzerId })
+  }
+
+  generateCode() {
+    let code = '';
+    for (let i = 0; i < CODE_LENGTH; i++) {
+      code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+    }
+    return code;
+  }
+
+  normalizeCode(code) {
+    return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  }
+
+  // Every team's code (created on first use) with how many devices hold the team
+  async getJoinCodes(gameId) {
+    const game = await this.gameService.getGame(gameId);
+    if (!game) throw new Error('Game not found');
+
+    const rows = await this.db.all('SELECT group_id, code FROM team_join_codes WHERE game_id = ?', [gameId]);
+    const codes = new Map(rows.map(row => [row.group_id, row.code]));
+
+    const teams = [];
+    for (const group of game.groups) {
+      if (!codes.has(group.id)) {
+        codes.set(group.id, await this.saveCode(gameId, group.id));
+      }
+      teams.push({
+        groupId: group.id,
+        name: group.name,
+        color: group.color,
+        code: codes.get(group.id),
+        devices: this.getClaims(group.id).size
+      });
+    }
+
+    return { devicesPerTeam: game.virtual_buzzers_per_team || 1, teams };
+  }
+
+  async saveCode(gameId, groupId) {
+    const code = this.generateCode();
+    await this.db.run(
+      'INSERT OR REPLACE INTO team_join_codes (group_id, game_id, code) VALUES (?, ?, ?)',
+      [groupId, gameId, code]
+    );
+    return code;
+  }
+
+  // New code for a team; phones holding the team are sent back to team selection
+  async resetJoinCode(gameId, groupId) {
+    const game = await this.gameService.getGame(gameId);
+    const group = game?.groups.find(g => g.id === groupId);
+    if (!group) throw new Error('Team not found');
+
+    const code = await this.saveCode(gameId, groupId);
+    this.releaseTeam(groupId, 'The host issued a new code for this team');
+    console.log(`[VIRTUAL] New join code for ${group.name}`);
+    return { groupId, name: group.name, color: group.color, code, devices: 0 };
+  }
+
+  getClaims(groupId) {
+    if (!this.claims.has(groupId)) {
+      this.claims.set(groupId, new Map());
+    }
+    return this.claims.get(groupId);
+  }
+
+  // Claim a team for a socket. Returns the binding; throws when the code is wrong or
+  // the team already has as many devices as the game allows.
+  async claimTeam(socket, { gameId, groupId, code, claimToken } = {}) {
+    const game = gameId ? await this.gameService.getGame(gameId) : null;
+    if (!game) throw new Error('Game not found');
+    if (!game.virtual_buzzers_enabled) throw new Error('Virtual buzzers are turned off for this game');
+
+    const group = game.groups.find(g => g.id === groupId);
+    if (!group) throw new Error('Team not found');
+
+    const row = await this.db.get('SELECT code FROM team_join_codes WHERE group_id = ? AND game_id = ?', [groupId, gameId]);
+    if (!row || this.normalizeCode(code) !== row.code) {
+      throw new Error('Wrong team code');
+    }
+
+    const claims = this.getClaims(groupId);
+    const existing = claimToken && claims.get(claimToken);
+    const limit = game.virtual_buzzers_per_team || 1;
+    if (!existing && claims.size >= limit) {
+      throw new Error(limit === 1
+        ? `${group.name} already has a buzzer connected`
+        : `${group.name} already has ${limit} buzzers connected`);
+    }
+
+    // A phone switching teams gives up its old one
+    const previous = socket.data.virtualBuzzer;
+    if (previous && previous.groupId !== groupId) {
+      this.releaseSocket(socket);
+    }
+
+    // The same phone reconnecting: move the claim to the new connection
+    if (existing && existing.socketId !== socket.id) {
+      const oldSocket = this.io.sockets.sockets.get(existing.socketId);
+      if (oldSocket) {
+        delete oldSocket.data.virtualBuzzer;
+        this.stopClockSync(oldSocket);
+        oldSocket.emit('virtual-buzzer-released', { reason: 'This team was claimed again from this phone' });
+      }
+    }
+
+    const binding = {
+      gameId,
+      groupId,
+      teamName: group.name,
+      buzzerId: existing?.buzzerId || `virtual_${groupId}_${Date.now()}`,
+      claimToken: existing ? claimToken : crypto.randomBytes(16).toString('base64url')
+    };
+    claims.set(binding.claimToken, { socketId: socket.id, gameId, buzzerId: binding.buzzerId });
+    socket.data.virtualBuzzer = binding;
+    this.startClockSync(socket);
+
+    console.log(`[VIRTUAL] ${binding.buzzerId} claimed ${group.name} (${claims.size}/${limit})`);
+    return binding;
+  }
+
+  releaseSocket(socket) {
+    const binding = socket.data.virtualBuzzer;
+    if (!binding) return null;
+
+    const claims = this.getClaims(binding.groupId);
+    if (claims.get(binding.claimToken)?.socketId === socket.id) {
+      claims.delete(binding.claimToken);
+    }
+    delete socket.data.virtualBuzzer;
+    this.stopClockSync(socket);
+    return binding;
+  }
+
+  releaseTeam(groupId, reason) {
+    for (const { socketId } of this.getClaims(groupId).values()) {
+      const socket = this.io.sockets.sockets.get(socketId);
+      if (socket) {
+        delete socket.data.virtualBuzzer;
+        this.stopClockSync(socket);
+        socket.emit('virtual-buzzer-released', { reason });
+      }
+    }
+    this.claims.delete(groupId);
+  }
+
+  // Check a team event (buzz, choice, wager, board pick) from a socket. A claimed phone
+  // may only act for its own team, and its buzzer ID is the one the server issued.
+  // Unclaimed sockets need host access, which host control uses for manual presses.
+  authorizeTeamEvent(socket, data = {}, canActForAnyTeam = false) {
+    const binding = socket.data.virtualBuzzer;
+    if (binding) {
+      if (data.gameId !== binding.gameId || data.groupId !== binding.groupId) {
+        throw new Error(`This buzzer belongs to ${binding.teamName}`);
+      }
+      return { ...data, buzzerId: binding.buzzerId };
+    }
+
+    if (!canActForAnyTeam) {
+      throw new Error('Join a team with its code first');
+    }
+    return data;
+  }
+
+  startClockSync(socket) {
+    if (socket.data.clock) return;
+
+    const clock = { samples: [], offset: 0, rtt: null, maxRtt: null, syncedAt: null, timeoutId: null };
+    socket.data.clock = clock;
+
+    const ping = () => {
+      if (socket.data.clock !== clock || socket.disconnected) return;
+
+      const sentAt = Date.now();
+      socket.timeout(CLOCK_PING_TIMEOUT_MS).emit('clock-sync', { serverTime: sentAt }, (error, reply) => {
+        if (socket.data.clock !== clock) return;
+        if (!error && Number.isFinite(reply?.clientTime)) {
+          this.addClockSample(clock, sentAt, reply.clientTime, Date.now());
+        }
+        clock.timeoutId = setTimeout(ping, clock.samples.length < CLOCK_SAMPLES ? CLOCK_BURST_MS : CLOCK_INTERVAL_MS);
+      });
+    };
+    ping();
+  }
+
+  stopClockSync(socket) {
+    const clock = socket.data.clock;
+    if (!clock) return;
+    clearTimeout(clock.timeoutId);
+    delete socket.data.clock;
+  }
+
+  // The phone answered at clientTime, somewhere between sentAt and receivedAt on the
+  // server clock. The sample with the shortest round trip gives the best offset; the
+  // longest recent round trip bounds how far back a press may be moved.
+  addClockSample(clock, sentAt, clientTime, receivedAt) {
+    clock.samples.push({ rtt: receivedAt - sentAt, offset: clientTime - (sentAt + receivedAt) / 2 });
+    if (clock.samples.length > CLOCK_SAMPLES) {
+      clock.samples.shift();
+    }
+
+    const best = clock.samples.reduce((a, b) => (b.rtt < a.rtt ? b : a));
+    clock.offset = best.offset;
+    clock.rtt = best.rtt;
+    clock.maxRtt = Math.max(...clock.samples.map(sample => sample.rtt));
+    clock.syncedAt = receivedAt;
+  }
+
+  // Server time of a press. A synced phone's own press time is moved onto the server
+  // clock and bounded: no later than the press arrived, and no earlier than the phone's
+  // latency (at most the game service's buzz window) allows. Everything else - physical
+  // buzzers, host presses, phones not synced yet, nonsense timestamps - counts when the
+  // press arrived.
+  correctPressTime(socket, clientTimestamp, receivedAt = Date.now()) {
+    const clock = socket.data.clock;
+    const maxCompensation = Math.min(this.gameService.buzzWindowMs, clock?.maxRtt || 0);
+    if (!clock?.syncedAt || receivedAt - clock.syncedAt > CLOCK_STALE_MS ||
+        !Number.isFinite(clientTimestamp) || maxCompensation <= 0) {
+      return { timestamp: receivedAt, compensationMs: 0 };
+    }
+
+    const pressedAt = Math.round(clientTimestamp - clock.offset);
+    const timestamp = Math.min(receivedAt, Math.max(receivedAt - maxCompensation, pressedAt));
+    if (pressedAt !== timestamp) {
+      console.log(`[VIRTUAL] Press time from ${socket.id} out of bounds by ${pressedAt - timestamp}ms, clamped`);
+    }
+    return { timestamp, compensationMs: receivedAt - timestamp };
+  }
+}
+
+module.exports = VirtualBuzzerService;
@@ -85,6 +85,7 @@ DeviceState devices[MAX_GROUPS];
 int registeredDeviceCount = 0;
 bool systemArmed = false;
 bool gameActive = false;
+bool readingPhase = false;  // Question is being read: presses are reported as false starts
 unsigned long gameStartTime = 0;
 String currentGameId = "";
 
@@ -130,6 +131,8 @@ unsigned long endRoundStartTime = 0;
 #define CMD_WRONG_ANSWER 6
 #define CMD_END_ROUND 7
 #define CMD_CHANGE_CHANNEL 8
+#define CMD_READING 9
+#define CMD_LOCKOUT 10
 
 // Binary protocol command codes (received from backend)
 #define BIN_CMD_ARM 1
@@ -142,6 +145,8 @@ unsigned long endRoundStartTime = 0;
 #define BIN_CMD_ARM_SPECIFIC 8
 #define BIN_CMD_SCAN_CHANNELS 9
 #define BIN_CMD_SET_CHANNEL 10
+#define BIN_CMD_READING 11
+#define BIN_CMD_LOCKOUT 12
 
 // WiFi Channel Management Structures
 
@@ -565,6 +570,16 @@ void handleBinaryCommand(CommandMessage cmd) {
         armSpecificBuzzersByBitmask(bitmask);
       }
       break;
+    case BIN_CMD_READING: // 11 - READING
+      Serial.printf("[COORD] Received READING command for device %d - forwarding to buzzer\n", cmd.targetDevice);
+      startReadingPhase(cmd.targetDevice);
+      break;
+    case BIN_CMD_LOCKOUT: // 12 - LOCKOUT
+      Serial.printf("[COORD] Received LOCKOUT command for device %d - forwarding to buzzer\n", cmd.targetDevice);
+      if (!sendCommandWithAck(cmd.targetDevice, CMD_LOCKOUT)) {
+        Serial.printf("[COORD] ERROR: Failed to lock out device %d\n", cmd.targetDevice);
+      }
+      break;
     case BIN_CMD_SET_CHANNEL: // 10 - SET_CHANNEL
       {
         // Channel is encoded in targetDevice (1-13)
@@ -852,6 +867,21 @@ void handleBuzzerPress(Message msg) {
   // Always send ACK first to stop retry loop
   sendBuzzerPressAck(msg.deviceId);
 
+  // False start: pass it to the Pi without taking a place in the buzzer order
+  if (readingPhase) {
+    Serial.printf("[FALSE_START] Buzzer %d pressed during the reading phase\n", msg.deviceId);
+    if (BINARY_PROTOCOL_ENABLED) {
+      sendBinaryBuzzerPress(msg.deviceId, msg.timestamp, 0, 0);
+    } else {
+      Serial.print("BUZZER:");
+      Serial.print(msg.deviceId);
+      Serial.print(",");
+      Serial.print(msg.timestamp);
+      Serial.println(",0,0");
+    }
+    return;
+  }
+
   if (!gameActive && !systemArmed) {
     Serial.printf("[LATE_PRESS] Buzzer %d pressed after disarm - sending DISARM to sync state\n", msg.deviceId);
     // Send DISARM command to sync buzzer state (it thinks it's armed but game ended)
@@ -1067,7 +1097,8 @@ void updateDeviceHeartbeat(const uint8_t *mac, uint8_t deviceId) {
 bool requiresAck(uint8_t command) {
   return (command == CMD_ARM || command == CMD_DISARM ||
           command == CMD_CORRECT_ANSWER || command == CMD_WRONG_ANSWER ||
-          command == CMD_END_ROUND || command == CMD_CHANGE_CHANNEL);
+          command == CMD_END_ROUND || command == CMD_CHANGE_CHANNEL ||
+          command == CMD_READING || command == CMD_LOCKOUT);
 }
 
 uint16_t generateSequenceId() {
@@ -1342,6 +1373,7 @@ void armAllBuzzers() {
   
   gameStartTime = cmd.timestamp;
   systemArmed = true;
+  readingPhase = false;
   buzzerPressCount = 0;
   
   // Clear previous presses
@@ -1378,6 +1410,7 @@ void armAllBuzzers() {
 void disarmAllBuzzers() {
   systemArmed = false;
   gameActive = false;
+  readingPhase = false;
   currentGameId = "";
 
   // Send to all devices with ACK reliability
@@ -1418,6 +1451,7 @@ void armSpecificBuzzers(String deviceList) {
   Serial.println();
 
   systemArmed = true;
+  readingPhase = false;
   buzzerPressCount = 0;
   gameStartTime = millis();
 
@@ -1498,6 +1532,7 @@ void armSpecificBuzzersByBitmask(uint16_t bitmask) {
   Serial.printf("[ARM_SPECIFIC] Bitmask function called: 0x%04X\n", bitmask);
 
   systemArmed = true;
+  readingPhase = false;
   buzzerPressCount = 0;
   gameStartTime = millis();
 
@@ -1547,6 +1582,29 @@ void armSpecificBuzzersByBitmask(uint16_t bitmask) {
   Serial.printf("Specific buzzers armed with ACK - Success: %d, Failed: %d\n", sent, failed);
 }
 
+// Reading phase: buzzers stay unarmed but report presses so the Pi can lock out false starts.
+// deviceId 0 starts it on every online buzzer; a single device rejoins a running reading phase.
+void startReadingPhase(uint8_t deviceId) {
+  readingPhase = true;
+
+  int sent = 0;
+  int failed = 0;
+  for (int i = 0; i < registeredDeviceCount; i++) {
+    if (devices[i].isOnline && (deviceId == 0 || devices[i].deviceId == deviceId)) {
+      if (sendCommandWithAck(devices[i].deviceId, CMD_READING)) {
+        devices[i].isArmed = false;
+        devices[i].isPressed = false;
+        sent++;
+      } else {
+        failed++;
+      }
+      delay(20);
+    }
+  }
+
+  Serial.printf("[READING] READING sent - Success: %d, Failed: %d\n", sent, failed);
+}
+
 void testBuzzer(uint8_t deviceId) {
   Command cmd;
   cmd.command = 3; // TEST
@@ -1669,6 +1727,8 @@ void endRoundReset(uint8_t deviceId) {
     // End round for all devices - start background retry tracking
     Serial.println("[END_ROUND] Starting END_ROUND broadcast with ACK tracking");
 
+    readingPhase = false;
+
     endRoundInProgress = true;
     endRoundStartTime = millis();
 
@@ -12,10 +12,12 @@
 #define CMD_WRONG_ANSWER 6
 #define CMD_END_ROUND 7
 #define CMD_CHANGE_CHANNEL 8
+#define CMD_READING 9
+#define CMD_LOCKOUT 10
 
 // Pre-define Command struct for forward declarations
 typedef struct {
-  uint8_t command;      // 1=arm, 2=disarm, 3=test, 4=reset, 5=correct_answer, 6=wrong_answer, 7=end_round, 8=change_channel
+  uint8_t command;      // 1=arm, 2=disarm, 3=test, 4=reset, 5=correct_answer, 6=wrong_answer, 7=end_round, 8=change_channel, 9=reading, 10=lockout
   uint8_t targetDevice; // 0=all, or specific device ID (for channel change: channel number)
   uint32_t timestamp;
   uint16_t sequenceId;  // For tracking acknowledgments
@@ -45,7 +47,9 @@ enum BuzzerState {
   STATE_CORRECT_ANSWER,
   STATE_WRONG_ANSWER,
   STATE_TEST,
-  STATE_BATTERY_DISPLAY
+  STATE_BATTERY_DISPLAY,
+  STATE_READING,      // Question being read - presses are reported as false starts
+  STATE_LOCKED_OUT    // False start - locked out until re-armed or END_ROUND
 };
 
 // State validation and consistency functions - MOVED AFTER GLOBAL VARIABLES
@@ -61,6 +65,7 @@ enum BuzzerState {
 #define COLOR_TEST CRGB::Yellow
 #define COLOR_ERROR CRGB::Red
 #define COLOR_STARTUP CRGB::Purple
+#define COLOR_LOCKED_OUT CRGB::Orange
 
 // State management
 bool isArmed = false;
@@ -318,7 +323,8 @@ bool validateCommandForState(Command cmd) {
   switch (cmd.command) {
     case 1: // ARM
       // Can arm from disarmed state only - must wait for END_ROUND if in answer states
-      isValid = (currentState == STATE_DISARMED);
+      // Reading and locked-out buzzers are unarmed too, so the server can arm them when reading ends
+      isValid = (currentState == STATE_DISARMED || currentState == STATE_READING || currentState == STATE_LOCKED_OUT);
       break;
 
     case 2: // DISARM
@@ -356,6 +362,12 @@ bool validateCommandForState(Command cmd) {
       isValid = true;
       break;
 
+    case 9: // READING
+    case 10: // LOCKOUT
+      // Not while an answer is being judged
+      isValid = (currentState != STATE_ANSWERING_NOW && currentState != STATE_CORRECT_ANSWER && currentState != STATE_WRONG_ANSWER);
+      break;
+
     default:
       isValid = false;
       break;
@@ -427,6 +439,12 @@ void OnDataRecv(const esp_now_recv_info_t *recv_info, const uint8_t *incomingDat
       waitingForPressAck = false;
       pressRetryCount = 0;
 
+      // A press during the reading phase is a false start - the server decides the lockout
+      if (currentState == STATE_READING) {
+        Serial.println("[PRESS] Press was during reading phase - waiting for LOCKOUT");
+        return;
+      }
+
       // NOW change state to PRESSED (white flashing) - press is confirmed registered
       buzzerPressed = true;
       setBuzzerState(STATE_ANSWERING_NOW);
@@ -741,6 +759,18 @@ void greenDecay() {
   }
 }
 
+void blinkingOrange() {
+  // Slow orange blink for a buzzer locked out after a false start
+  static unsigned long lastToggle = 0;
+  static bool blinkOn = true;
+
+  if (millis() - lastToggle > 500) {
+    blinkOn = !blinkOn;
+    setAllLeds(blinkOn ? COLOR_LOCKED_OUT : COLOR_OFF);
+    lastToggle = millis();
+  }
+}
+
 void sadRed() {
   // Solid red for wrong answer - stays red until end of round
   setAllLeds(COLOR_WRONG_ANSWER);
@@ -790,6 +820,14 @@ void updateLedState() {
       case STATE_BATTERY_DISPLAY:
         displayBatteryLevel();
         break;
+
+      case STATE_READING:
+        setAllLeds(COLOR_OFF);
+        break;
+
+      case STATE_LOCKED_OUT:
+        setAllLeds(COLOR_LOCKED_OUT);
+        break;
     }
 
     // Only call FastLED.show() when state changes
@@ -817,6 +855,10 @@ void updateLedState() {
       case STATE_TEST:
         rainbowEffect();
         break;
+
+      case STATE_LOCKED_OUT:
+        blinkingOrange();
+        break;
     }
   }
 }
@@ -935,8 +977,14 @@ void checkBuzzerButton() {
     handleBuzzerPress();
   }
 
-  // Battery mode activation detection (only when not armed)
-  if (!isArmed && currentState != STATE_BATTERY_DISPLAY) {
+  // Pressing while the question is read is reported so the server can lock this team out
+  if (currentButtonState == LOW && lastButtonState == HIGH && currentState == STATE_READING && !waitingForPressAck) {
+    handleBuzzerPress();
+  }
+
+  // Battery mode activation detection (only when idle between questions)
+  if (!isArmed && currentState != STATE_BATTERY_DISPLAY &&
+      currentState != STATE_READING && currentState != STATE_LOCKED_OUT) {
     // Button just pressed - start silent timer
     if (currentButtonState == LOW && lastButtonState == HIGH) {
       buttonPressStartTime = millis();
@@ -1165,6 +1213,20 @@ void handleCommand(Command cmd) {
       }
       break;
 
+    case CMD_READING: // 9 - READING
+      Serial.printf("[CMD] Device %d executing READING command - unarmed, reporting presses\n", DEVICE_ID);
+      isArmed = false;
+      buzzerPressed = false;
+      setBuzzerState(STATE_READING);
+      break;
+
+    case CMD_LOCKOUT: // 10 - LOCKOUT
+      Serial.printf("[CMD] Device %d executing LOCKOUT command - false start, blinking ORANGE\n", DEVICE_ID);
+      isArmed = false;
+      buzzerPressed = false;
+      setBuzzerState(STATE_LOCKED_OUT);
+      break;
+
     default:
       Serial.printf("[CMD] Device %d received unknown command: %d\n", DEVICE_ID, cmd.command);
       break;
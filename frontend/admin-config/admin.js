@@ -106,6 +106,7 @@ class AdminConfig {
         this.gameSelector = new GlobalGameSelector({
             socket: this.socket,
             containerSelector: '#game-selector-container',
+            storageKey: 'trivia-game:admin',
             showIfNoGame: true,
             allowGameChange: true,
             showCreateGame: true,
@@ -136,6 +137,9 @@ class AdminConfig {
             console.log('Showing admin interface');
             this.showAdminInterface();
 
+            // Follow this game's control events (virtual buzzer registrations)
+            this.socket?.emit('join-game', game.id);
+
             // Load game-specific data
             this.loadGameData(game);
         } else {
@@ -169,7 +173,7 @@ class AdminConfig {
     }
 
     hideAdminInterface() {
-        // No longer need to show games-selection since we use global game selector
+        // No longer need to show games-selection since we use the game selector
         const gameConfiguration = document.getElementById('game-configuration');
         
         if (gameConfiguration) {
@@ -185,6 +189,9 @@ class AdminConfig {
             // Load teams
             await this.loadTeams(game.id);
             
+            // Load rounds before questions so the editor can offer them
+            await this.loadRounds(game.id);
+
             // Load questions
             await this.loadQuestions(game.id);
             
@@ -218,6 +225,7 @@ class AdminConfig {
             changeGameBtn: document.getElementById('change-game-btn'),
             openDisplayBtn: document.getElementById('open-display-btn'),
             openHostBtn: document.getElementById('open-host-btn'),
+            exportGameBtn: document.getElementById('export-game-btn'),
             saveAllBtn: document.getElementById('save-all-btn'),
             
             // Team elements
@@ -233,6 +241,16 @@ class AdminConfig {
             
             // Question elements
             addQuestionBtn: document.getElementById('add-question-btn'),
+            addRoundBtn: document.getElementById('add-round-btn'),
+
+            // Stats elements
+            statsSessionSelect: document.getElementById('stats-session-select'),
+            refreshStatsBtn: document.getElementById('refresh-stats-btn'),
+            statsSummary: document.getElementById('stats-summary'),
+            statsTeams: document.getElementById('stats-teams'),
+            statsQuestions: document.getElementById('stats-questions'),
+            roundsContainer: document.getElementById('rounds-container'),
+            questionRound: document.getElementById('question-round'),
             questionTabs: document.getElementById('question-tabs'),
             questionEditor: document.getElementById('question-editor'),
             addQuestionTabBtn: document.getElementById('add-question-tab-btn'),
@@ -240,9 +258,20 @@ class AdminConfig {
             questionForm: document.getElementById('question-form'),
             questionText: document.getElementById('question-text'),
             correctAnswer: document.getElementById('correct-answer'),
+            questionType: document.getElementById('question-type'),
+            questionOptions: document.getElementById('question-options'),
+            correctOption: document.getElementById('correct-option'),
             timeLimit: document.getElementById('time-limit'),
             questionPoints: document.getElementById('question-points'),
+            penaltyModeOverride: document.getElementById('penalty-mode-override'),
+            penaltyValueOverride: document.getElementById('penalty-value-override'),
             mediaUrl: document.getElementById('media-url'),
+            questionDifficulty: document.getElementById('question-difficulty'),
+            questionCategory: document.getElementById('question-category'),
+            questionTags: document.getElementById('question-tags'),
+            questionExplanation: document.getElementById('question-explanation'),
+            questionSource: document.getElementById('question-source'),
+            questionTiebreaker: document.getElementById('question-tiebreaker'),
             mediaPreviewContainer: document.getElementById('media-preview-container'),
             mediaPreviewImage: document.getElementById('media-preview-image'),
             mediaPreviewVideo: document.getElementById('media-preview-video'),
@@ -269,7 +298,17 @@ class AdminConfig {
             // Scoring settings elements
             timeBasedScoring: document.getElementById('time-based-scoring'),
             timeBasedDetails: document.getElementById('time-based-details'),
+            scoringCurve: document.getElementById('scoring-curve'),
+            scoringCurveDescription: document.getElementById('scoring-curve-description'),
+            scoringCurveOptions: document.getElementById('scoring-curve-options'),
             allowNegativeScores: document.getElementById('allow-negative-scores'),
+            penaltyMode: document.getElementById('penalty-mode'),
+            penaltyValue: document.getElementById('penalty-value'),
+            penaltyValueSuffix: document.getElementById('penalty-value-suffix'),
+            readingTime: document.getElementById('reading-time'),
+            falseStartLockout: document.getElementById('false-start-lockout'),
+            tieBreakPositions: document.getElementById('tie-break-positions'),
+            boardMode: document.getElementById('board-mode'),
             saveScoringSettingsBtn: document.getElementById('save-scoring-settings-btn'),
             
             // Virtual buzzer settings elements
@@ -277,6 +316,10 @@ class AdminConfig {
             virtualBuzzerDetails: document.getElementById('virtual-buzzer-details'),
             virtualBuzzerQr: document.getElementById('virtual-buzzer-qr'),
             buzzerOfflineThreshold: document.getElementById('buzzer-offline-threshold'),
+            virtualBuzzersPerTeam: document.getElementById('virtual-buzzers-per-team'),
+            virtualBuzzersPerTeamItem: document.getElementById('virtual-buzzers-per-team-item'),
+            teamJoinCodesSection: document.getElementById('team-join-codes-section'),
+            teamJoinCodes: document.getElementById('team-join-codes'),
             qrCodeDisplay: document.getElementById('qr-code-display'),
             virtualBuzzerUrl: document.getElementById('virtual-buzzer-url'),
             copyUrlBtn: document.getElementById('copy-url-btn'),
@@ -289,6 +332,10 @@ class AdminConfig {
             testBuzzerConnectivityBtn: document.getElementById('test-buzzer-connectivity-btn'),
             refreshSystemStatusBtn: document.getElementById('refresh-system-status-btn'),
             backupDbBtn: document.getElementById('backup-db-btn'),
+            uploadBackupInput: document.getElementById('upload-backup-input'),
+            refreshBackupsBtn: document.getElementById('refresh-backups-btn'),
+            backupSchedule: document.getElementById('backup-schedule'),
+            backupsList: document.getElementById('backups-list'),
             
             // Buzzer test modal elements
             buzzerTestModal: document.getElementById('buzzer-test-modal'),
@@ -307,7 +354,29 @@ class AdminConfig {
             // CSV import/export elements
             downloadCsvTemplateBtn: document.getElementById('download-csv-template-btn'),
             exportQuestionsCsvBtn: document.getElementById('export-questions-csv-btn'),
-            importQuestionsCsv: document.getElementById('import-questions-csv'),
+            importQuestionsFile: document.getElementById('import-questions-file'),
+            questionImportReport: document.getElementById('question-import-report'),
+
+            // Question bank elements
+            addFromBankBtn: document.getElementById('add-from-bank-btn'),
+            saveToBankBtn: document.getElementById('save-to-bank-btn'),
+            saveToBankTags: document.getElementById('save-to-bank-tags'),
+            questionBankModal: document.getElementById('question-bank-modal'),
+            closeQuestionBankBtn: document.getElementById('close-question-bank-btn'),
+            cancelQuestionBankBtn: document.getElementById('cancel-question-bank-btn'),
+            bankSearch: document.getElementById('bank-search'),
+            bankTagFilter: document.getElementById('bank-tag-filter'),
+            bankQuestionList: document.getElementById('bank-question-list'),
+            addSelectedBankBtn: document.getElementById('add-selected-bank-btn'),
+
+            // Media library elements
+            openMediaLibraryBtn: document.getElementById('open-media-library-btn'),
+            mediaLibraryModal: document.getElementById('media-library-modal'),
+            closeMediaLibraryBtn: document.getElementById('close-media-library-btn'),
+            mediaFolderFilter: document.getElementById('media-folder-filter'),
+            mediaUploadInput: document.getElementById('media-upload-input'),
+            deleteUnusedMediaBtn: document.getElementById('delete-unused-media-btn'),
+            mediaLibraryGrid: document.getElementById('media-library-grid'),
             
             // Buzzer sidebar elements
             buzzerSidebar: document.getElementById('buzzer-sidebar'),
@@ -382,6 +451,13 @@ class AdminConfig {
             });
         }
 
+        if (this.elements.exportGameBtn) {
+            this.elements.exportGameBtn.addEventListener('click', () => {
+                if (!this.currentGame) return;
+                window.location.href = `/api/games/${this.currentGame.id}/export`;
+            });
+        }
+
         if (this.elements.saveAllBtn) {
             this.elements.saveAllBtn.addEventListener('click', () => {
                 this.saveAllGameData();
@@ -407,6 +483,18 @@ class AdminConfig {
             });
         }
         
+        if (this.elements.scoringCurve) {
+            this.elements.scoringCurve.addEventListener('change', () => {
+                this.renderScoringCurveOptions(this.elements.scoringCurve.value, {});
+            });
+        }
+
+        if (this.elements.penaltyMode) {
+            this.elements.penaltyMode.addEventListener('change', () => {
+                this.updatePenaltyValueField(this.elements.penaltyMode, this.elements.penaltyValue, this.elements.penaltyValueSuffix);
+            });
+        }
+
         if (this.elements.saveScoringSettingsBtn) {
             this.elements.saveScoringSettingsBtn.addEventListener('click', () => {
                 this.saveScoringSettingsWithToast();
@@ -452,6 +540,18 @@ class AdminConfig {
                 this.copyVirtualBuzzerUrl();
             });
         }
+
+        if (this.elements.teamJoinCodes) {
+            this.elements.teamJoinCodes.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-join-action]');
+                if (!button) return;
+                if (button.dataset.joinAction === 'copy') {
+                    this.copyTeamJoinLink(button.dataset.url);
+                } else if (button.dataset.joinAction === 'reset') {
+                    this.resetTeamJoinCode(button.dataset.groupId);
+                }
+            });
+        }
         
         if (this.elements.saveVirtualBuzzerSettingsBtn) {
             this.elements.saveVirtualBuzzerSettingsBtn.addEventListener('click', () => {
@@ -484,6 +584,26 @@ class AdminConfig {
             });
         }
 
+        // Round management
+        // Stats
+        if (this.elements.statsSessionSelect) {
+            this.elements.statsSessionSelect.addEventListener('change', (e) => {
+                this.loadStats(e.target.value);
+            });
+        }
+
+        if (this.elements.refreshStatsBtn) {
+            this.elements.refreshStatsBtn.addEventListener('click', () => {
+                this.loadStatsSessions();
+            });
+        }
+
+        if (this.elements.addRoundBtn) {
+            this.elements.addRoundBtn.addEventListener('click', () => {
+                this.addRound();
+            });
+        }
+
         // Question management
         if (this.elements.addQuestionBtn) {
             this.elements.addQuestionBtn.addEventListener('click', () => {
@@ -503,6 +623,12 @@ class AdminConfig {
             });
         }
 
+        if (this.elements.questionType) {
+            this.elements.questionType.addEventListener('change', () => {
+                this.toggleChoiceFields('');
+            });
+        }
+
         if (this.elements.cancelQuestionBtn) {
             this.elements.cancelQuestionBtn.addEventListener('click', () => {
                 this.hideQuestionEditor();
@@ -540,6 +666,18 @@ class AdminConfig {
             });
         }
 
+        if (this.elements.refreshBackupsBtn) {
+            this.elements.refreshBackupsBtn.addEventListener('click', () => {
+                this.loadBackups();
+            });
+        }
+
+        if (this.elements.uploadBackupInput) {
+            this.elements.uploadBackupInput.addEventListener('change', (e) => {
+                this.uploadBackup(e);
+            });
+        }
+
         // Console monitor
         if (this.elements.consoleClearBtn) {
             this.elements.consoleClearBtn.addEventListener('click', () => this.clearConsole());
@@ -607,9 +745,70 @@ class AdminConfig {
             });
         }
         
-        if (this.elements.importQuestionsCsv) {
-            this.elements.importQuestionsCsv.addEventListener('change', (e) => {
-                this.importQuestionsFromCSV(e);
+        if (this.elements.importQuestionsFile) {
+            this.elements.importQuestionsFile.addEventListener('change', (e) => {
+                this.checkQuestionImport(e);
+            });
+        }
+
+        // Question bank
+        if (this.elements.addFromBankBtn) {
+            this.elements.addFromBankBtn.addEventListener('click', () => {
+                this.showQuestionBankModal();
+            });
+        }
+
+        if (this.elements.saveToBankBtn) {
+            this.elements.saveToBankBtn.addEventListener('click', () => {
+                this.saveGameQuestionsToBank();
+            });
+        }
+
+        [this.elements.closeQuestionBankBtn, this.elements.cancelQuestionBankBtn].forEach(btn => {
+            if (btn) btn.addEventListener('click', () => this.hideQuestionBankModal());
+        });
+
+        // Media library
+        if (this.elements.openMediaLibraryBtn) {
+            this.elements.openMediaLibraryBtn.addEventListener('click', () => {
+                this.showMediaLibrary('media-url');
+            });
+        }
+
+        if (this.elements.closeMediaLibraryBtn) {
+            this.elements.closeMediaLibraryBtn.addEventListener('click', () => this.hideMediaLibrary());
+        }
+
+        if (this.elements.mediaFolderFilter) {
+            this.elements.mediaFolderFilter.addEventListener('change', () => this.loadMediaLibrary());
+        }
+
+        if (this.elements.mediaUploadInput) {
+            this.elements.mediaUploadInput.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                e.target.value = '';
+                if (file) this.uploadMedia(file);
+            });
+        }
+
+        if (this.elements.deleteUnusedMediaBtn) {
+            this.elements.deleteUnusedMediaBtn.addEventListener('click', () => this.deleteUnusedMedia());
+        }
+
+        if (this.elements.bankSearch) {
+            this.elements.bankSearch.addEventListener('input', () => {
+                clearTimeout(this.bankSearchTimeout);
+                this.bankSearchTimeout = setTimeout(() => this.loadBankQuestions(), 300);
+            });
+        }
+
+        if (this.elements.bankTagFilter) {
+            this.elements.bankTagFilter.addEventListener('change', () => this.loadBankQuestions());
+        }
+
+        if (this.elements.addSelectedBankBtn) {
+            this.elements.addSelectedBankBtn.addEventListener('click', () => {
+                this.addSelectedBankQuestions();
             });
         }
         
@@ -763,6 +962,9 @@ class AdminConfig {
 
             // Join control-panel room to receive virtual buzzer events
             this.socket.emit('join-control');
+            if (this.currentGame) {
+                this.socket.emit('join-game', this.currentGame.id);
+            }
             console.log('Admin interface joined control-panel room for virtual buzzer tracking');
         });
         
@@ -800,6 +1002,123 @@ class AdminConfig {
         this.elements.configPanels.forEach(panel => {
             panel.classList.toggle('active', panel.id === `${tabName}-config`);
         });
+
+        // Stats are read fresh each time so they include the latest play
+        if (tabName === 'stats') {
+            this.loadStatsSessions();
+        }
+        if (tabName === 'system') {
+            this.loadBackups();
+        }
+    }
+
+    // Post-game stats
+    async loadStatsSessions() {
+        if (!this.currentGame || !this.elements.statsSessionSelect) return;
+
+        try {
+            const response = await fetch(`/api/games/${this.currentGame.id}/sessions`);
+            const sessions = await response.json();
+            if (!response.ok) throw new Error(sessions.error);
+
+            const selectedId = this.elements.statsSessionSelect.value;
+            this.elements.statsSessionSelect.innerHTML = sessions.map(session => `
+                <option value="${session.id}">
+                    Session ${session.session_number} · ${session.current ? 'current' : session.status} · ${new Date(session.started_at.replace(' ', 'T') + 'Z').toLocaleString()}
+                </option>
+            `).join('');
+            if (sessions.some(session => session.id === selectedId)) {
+                this.elements.statsSessionSelect.value = selectedId;
+            }
+
+            await this.loadStats(this.elements.statsSessionSelect.value);
+        } catch (error) {
+            console.error('Failed to load sessions:', error);
+            this.showToast('Failed to load sessions', 'error');
+        }
+    }
+
+    async loadStats(sessionId) {
+        if (!this.currentGame) return;
+
+        try {
+            const query = sessionId ? `?sessionId=${encodeURIComponent(sessionId)}` : '';
+            const response = await fetch(`/api/games/${this.currentGame.id}/analytics${query}`);
+            const analytics = await response.json();
+            if (!response.ok) throw new Error(analytics.error);
+            this.renderStats(analytics);
+        } catch (error) {
+            console.error('Failed to load stats:', error);
+            this.showToast('Failed to load stats', 'error');
+        }
+    }
+
+    renderStats(analytics) {
+        const { summary, teams, questions } = analytics;
+        const fastest = summary.fastestBuzz;
+
+        this.elements.statsSummary.innerHTML = `
+            <div class="stats-card"><span class="stats-value">${summary.questionsWithBuzzes}</span><span class="stats-label">Questions buzzed</span></div>
+            <div class="stats-card"><span class="stats-value">${summary.totalBuzzes}</span><span class="stats-label">Buzzes</span></div>
+            <div class="stats-card"><span class="stats-value">${summary.falseStarts}</span><span class="stats-label">False starts</span></div>
+            <div class="stats-card"><span class="stats-value">${this.formatReaction(summary.averageReactionMs)}</span><span class="stats-label">Average reaction</span></div>
+            <div class="stats-card"><span class="stats-value">${this.formatReaction(fastest?.reactionMs)}</span><span class="stats-label">Fastest${fastest ? ` (${fastest.teamName}, Q${fastest.questionIndex + 1})` : ''}</span></div>
+        `;
+
+        if (summary.totalBuzzes === 0 && summary.falseStarts === 0) {
+            this.elements.statsTeams.innerHTML = `
+                <div class="empty-state">
+                    <p>No buzzes in this session yet.</p>
+                </div>
+            `;
+            this.elements.statsQuestions.innerHTML = '';
+            return;
+        }
+
+        this.elements.statsTeams.innerHTML = `
+            <table class="stats-table">
+                <thead>
+                    <tr>
+                        <th>Team</th><th>Buzzes</th><th>First in</th><th>Avg reaction</th><th>Fastest</th>
+                        <th>Correct</th><th>Wrong</th><th>Correct rate</th><th>False starts</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${teams.map(team => `
+                        <tr>
+                            <td><span class="stats-team-color" style="background: ${team.color}"></span>${team.name}</td>
+                            <td>${team.buzzes}</td>
+                            <td>${team.firstBuzzes}</td>
+                            <td>${this.formatReaction(team.averageReactionMs)}</td>
+                            <td>${this.formatReaction(team.fastestReactionMs)}</td>
+                            <td>${team.correct}</td>
+                            <td>${team.wrong}</td>
+                            <td>${team.correctRate === null ? '—' : `${Math.round(team.correctRate * 100)}%`}</td>
+                            <td>${team.falseStarts}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+
+        const outcome = (buzz) => (buzz.isCorrect === true ? '✅' : buzz.isCorrect === false ? '❌' : '');
+        this.elements.statsQuestions.innerHTML = questions.map(question => `
+            <div class="stats-question">
+                <div class="stats-question-title">Q${question.questionIndex + 1}. ${question.text}</div>
+                <ol class="stats-buzz-order">
+                    ${question.buzzes.map(buzz => `
+                        <li>${buzz.teamName || 'Unknown team'} · ${this.formatReaction(buzz.reactionMs)} ${outcome(buzz)}</li>
+                    `).join('')}
+                </ol>
+                ${question.falseStarts.length ? `
+                    <div class="stats-false-starts">False starts: ${question.falseStarts.map(f => `${f.teamName} (${this.formatReaction(f.earlyByMs)} early)`).join(', ')}</div>
+                ` : ''}
+            </div>
+        `).join('');
+    }
+
+    formatReaction(ms) {
+        return ms === null || ms === undefined ? '—' : `${(ms / 1000).toFixed(2)}s`;
     }
 
     // Team Management
@@ -974,6 +1293,151 @@ class AdminConfig {
         }
     }
 
+    // Round Management
+    async loadRounds(gameId) {
+        if (!gameId) return;
+
+        try {
+            const response = await fetch(`/api/rounds/game/${gameId}`);
+            this.rounds = await response.json();
+            this.renderRounds();
+        } catch (error) {
+            console.error('Failed to load rounds:', error);
+            this.showToast('Failed to load rounds', 'error');
+        }
+    }
+
+    renderRounds() {
+        if (!this.elements.roundsContainer) return;
+
+        const rounds = this.rounds || [];
+        if (rounds.length === 0) {
+            this.elements.roundsContainer.innerHTML = `
+                <div class="empty-state">
+                    <p>No rounds yet. Questions play as one list until you add a round.</p>
+                </div>
+            `;
+        } else {
+            const scoringModes = [
+                ['game', 'Game setting'],
+                ['flat', 'Flat points'],
+                ['time_based', 'Time-based']
+            ];
+
+            this.elements.roundsContainer.innerHTML = rounds.map((round, index) => `
+                <div class="round-row" data-round-id="${round.id}">
+                    <div class="form-group">
+                        <label>Round ${index + 1} name</label>
+                        <input type="text" class="round-name" value="${round.name}">
+                    </div>
+                    <div class="form-group">
+                        <label>Title slide subtitle</label>
+                        <input type="text" class="round-description" value="${round.description || ''}">
+                    </div>
+                    <div class="form-group">
+                        <label>Default time (s)</label>
+                        <input type="number" class="round-time" value="${round.default_time_limit}" min="5" max="300">
+                    </div>
+                    <div class="form-group">
+                        <label>Multiplier</label>
+                        <input type="number" class="round-multiplier" value="${round.point_multiplier}" min="0.5" max="10" step="0.5">
+                    </div>
+                    <div class="form-group">
+                        <label>Scoring</label>
+                        <select class="round-scoring">
+                            ${scoringModes.map(([value, label]) => `
+                                <option value="${value}" ${round.scoring_mode === value ? 'selected' : ''}>${label}</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                    <div class="round-actions">
+                        <button class="btn btn-small btn-success" onclick="admin.saveRound('${round.id}')">Save</button>
+                        <button class="btn btn-small btn-danger" onclick="admin.deleteRound('${round.id}')">Delete</button>
+                    </div>
+                </div>
+            `).join('');
+        }
+
+        this.updateRoundSelect(this.elements.questionRound, this.editingQuestion?.round_id);
+    }
+
+    updateRoundSelect(select, selectedRoundId) {
+        if (!select) return;
+
+        select.innerHTML = '<option value="">No round</option>' + (this.rounds || []).map(round => `
+            <option value="${round.id}" ${round.id === selectedRoundId ? 'selected' : ''}>${round.name}</option>
+        `).join('');
+    }
+
+    async addRound() {
+        if (!this.currentGame) return;
+
+        const roundNumber = (this.rounds || []).length + 1;
+        try {
+            const response = await fetch(`/api/rounds/game/${this.currentGame.id}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    name: `Round ${roundNumber}`,
+                    default_time_limit: this.currentGame?.default_question_time || 30
+                })
+            });
+            if (!response.ok) {
+                const error = await response.json();
+                throw new Error(error.error);
+            }
+            this.showToast('Round added', 'success');
+            await this.loadRounds(this.currentGame.id);
+        } catch (error) {
+            console.error('Failed to add round:', error);
+            this.showToast('Failed to add round', 'error');
+        }
+    }
+
+    async saveRound(roundId) {
+        const row = this.elements.roundsContainer?.querySelector(`[data-round-id="${roundId}"]`);
+        if (!row) return;
+
+        const roundData = {
+            name: row.querySelector('.round-name').value,
+            description: row.querySelector('.round-description').value,
+            default_time_limit: parseInt(row.querySelector('.round-time').value),
+            point_multiplier: parseFloat(row.querySelector('.round-multiplier').value),
+            scoring_mode: row.querySelector('.round-scoring').value
+        };
+
+        try {
+            const response = await fetch(`/api/rounds/${roundId}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(roundData)
+            });
+            if (!response.ok) {
+                const error = await response.json();
+                throw new Error(error.error);
+            }
+            this.showToast('Round saved', 'success');
+            await this.loadRounds(this.currentGame.id);
+        } catch (error) {
+            console.error('Failed to save round:', error);
+            this.showToast('Failed to save round', 'error');
+        }
+    }
+
+    async deleteRound(roundId) {
+        if (!confirm('Delete this round? Its questions are kept but no longer belong to a round.')) return;
+
+        try {
+            await fetch(`/api/rounds/${roundId}`, { method: 'DELETE' });
+            this.showToast('Round deleted', 'success');
+            await this.loadRounds(this.currentGame.id);
+            this.loadQuestions(this.currentGame.id);
+        } catch (error) {
+            console.error('Failed to delete round:', error);
+            this.showToast('Failed to delete round', 'error');
+        }
+    }
+
     // Question Management
     async loadQuestions(gameId) {
         if (!gameId) return;
@@ -981,6 +1445,7 @@ class AdminConfig {
         try {
             const response = await fetch(`/api/questions/game/${gameId}`);
             const questions = await response.json();
+            this.questions = questions;
             this.renderQuestionTabs(questions);
         } catch (error) {
             console.error('Failed to load questions:', error);
@@ -1013,7 +1478,7 @@ class AdminConfig {
                  ondragover="admin.handleQuestionDragOver(event)"
                  ondrop="admin.handleQuestionDrop(event)"
                  ondragend="admin.handleQuestionDragEnd(event)">
-                <span>Q${question.question_order || index + 1}</span>
+                <span>${question.is_tiebreaker ? '⚖️ ' : ''}Q${question.question_order || index + 1}</span>
                 <button class="question-tab-close" onclick="admin.deleteQuestion('${question.id}')">&times;</button>
             </div>
         `).join('') + addButtonHtml;
@@ -1062,21 +1527,64 @@ class AdminConfig {
                 correct_answer: question.correct_answer,
                 time_limit: question.time_limit,
                 points: question.points,
-                media_url: question.media_url || ''
+                media_url: question.media_url || '',
+                round_id: question.round_id || '',
+                question_type: question.question_type || 'buzzer',
+                options: (question.options || []).join('\n'),
+                correct_option: (question.correct_option ?? 0) + 1,
+                penalty_mode: question.penalty_mode || '',
+                penalty_value: question.penalty_mode ? question.penalty_value : 50,
+                difficulty: question.difficulty || '',
+                category: question.category || '',
+                tags: (question.tags || []).join(', '),
+                explanation: question.explanation || '',
+                source: question.source || '',
+                is_tiebreaker: Boolean(question.is_tiebreaker)
             };
+            const isMultipleChoice = question.question_type === 'multiple_choice';
             this.hasUnsavedChanges = false;
             
             if (this.elements.questionEditor) {
                 this.elements.questionEditor.innerHTML = `
                     <div class="question-form">
+                        ${question.bank_question_id ? `
+                            <div class="bank-linked-note">🏦 Shared bank question - changes to the question, answer, media and details apply to every game that uses it. Time limit and points only change for this game.</div>
+                        ` : ''}
                         <div class="form-group">
                             <label for="edit-question-text">Question:</label>
                             <textarea id="edit-question-text" rows="3">${question.text}</textarea>
                         </div>
                         <div class="form-group">
+                            <label for="edit-question-round">Round:</label>
+                            <select id="edit-question-round">
+                                <option value="">No round</option>
+                                ${(this.rounds || []).map(round => `
+                                    <option value="${round.id}" ${round.id === question.round_id ? 'selected' : ''}>${round.name}</option>
+                                `).join('')}
+                            </select>
+                        </div>
+                        <div class="form-group">
+                            <label for="edit-question-type">Question Type:</label>
+                            <select id="edit-question-type" onchange="admin.toggleChoiceFields('edit-')">
+                                <option value="buzzer" ${question.question_type === 'buzzer' || !question.question_type ? 'selected' : ''}>Buzzer (host judges answer)</option>
+                                <option value="multiple_choice" ${isMultipleChoice ? 'selected' : ''}>Multiple choice</option>
+                                <option value="wager" ${question.question_type === 'wager' ? 'selected' : ''}>Final wager (teams bet before the reveal)</option>
+                            </select>
+                        </div>
+                        <div class="form-group ${isMultipleChoice ? 'hidden' : ''}" id="edit-correct-answer-group">
                             <label for="edit-correct-answer">Correct Answer:</label>
                             <input type="text" id="edit-correct-answer" value="${question.correct_answer}">
                         </div>
+                        <div id="edit-choice-fields" class="${isMultipleChoice ? '' : 'hidden'}">
+                            <div class="form-group">
+                                <label for="edit-question-options">Options (one per line, 2-6):</label>
+                                <textarea id="edit-question-options" rows="4">${(question.options || []).join('\n')}</textarea>
+                            </div>
+                            <div class="form-group">
+                                <label for="edit-correct-option">Correct Option (number):</label>
+                                <input type="number" id="edit-correct-option" value="${(question.correct_option ?? 0) + 1}" min="1" max="6">
+                            </div>
+                        </div>
                         <div class="question-settings">
                             <div class="form-group">
                                 <label for="edit-time-limit">Time Limit (seconds):</label>
@@ -1087,9 +1595,62 @@ class AdminConfig {
                                 <input type="number" id="edit-question-points" value="${question.points}" min="10" max="1000">
                             </div>
                         </div>
+                        <div class="question-settings">
+                            <div class="form-group">
+                                <label for="edit-penalty-mode">Wrong-Answer Penalty:</label>
+                                <select id="edit-penalty-mode" onchange="admin.updatePenaltyValueField(this, document.getElementById('edit-penalty-value'))">
+                                    <option value="" ${!question.penalty_mode ? 'selected' : ''}>Game default</option>
+                                    <option value="none" ${question.penalty_mode === 'none' ? 'selected' : ''}>No penalty</option>
+                                    <option value="fixed" ${question.penalty_mode === 'fixed' ? 'selected' : ''}>Fixed amount (points)</option>
+                                    <option value="percentage" ${question.penalty_mode === 'percentage' ? 'selected' : ''}>Percentage</option>
+                                    <option value="after_first" ${question.penalty_mode === 'after_first' ? 'selected' : ''}>Percentage after first miss</option>
+                                    <option value="escalating" ${question.penalty_mode === 'escalating' ? 'selected' : ''}>Grows with each miss (%)</option>
+                                </select>
+                            </div>
+                            <div class="form-group">
+                                <label for="edit-penalty-value">Penalty Value:</label>
+                                <input type="number" id="edit-penalty-value" value="${question.penalty_mode ? question.penalty_value : 50}" min="0" ${['', 'none'].includes(question.penalty_mode || '') ? 'disabled' : ''}>
+                            </div>
+                        </div>
                         <div class="form-group">
                             <label for="edit-media-url">Media URL (optional):</label>
-                            <input type="url" id="edit-media-url" value="${question.media_url || ''}">
+                            <div class="media-url-row">
+                                <input type="text" id="edit-media-url" value="${question.media_url || ''}">
+                                <button type="button" class="btn btn-secondary" onclick="admin.showMediaLibrary('edit-media-url')">📁 Library</button>
+                            </div>
+                        </div>
+                        <div class="question-settings">
+                            <div class="form-group">
+                                <label for="edit-question-difficulty">Difficulty:</label>
+                                <select id="edit-question-difficulty">
+                                    <option value="" ${!question.difficulty ? 'selected' : ''}>Not set</option>
+                                    <option value="easy" ${question.difficulty === 'easy' ? 'selected' : ''}>Easy</option>
+                                    <option value="medium" ${question.difficulty === 'medium' ? 'selected' : ''}>Medium</option>
+                                    <option value="hard" ${question.difficulty === 'hard' ? 'selected' : ''}>Hard</option>
+                                </select>
+                            </div>
+                            <div class="form-group">
+                                <label for="edit-question-category">Category:</label>
+                                <input type="text" id="edit-question-category" value="${question.category || ''}">
+                            </div>
+                        </div>
+                        <div class="form-group">
+                            <label for="edit-question-tags">Tags (comma-separated):</label>
+                            <input type="text" id="edit-question-tags" value="${(question.tags || []).join(', ')}">
+                        </div>
+                        <div class="form-group">
+                            <label for="edit-question-explanation">Explanation (shown with the answer):</label>
+                            <textarea id="edit-question-explanation" rows="2">${question.explanation || ''}</textarea>
+                        </div>
+                        <div class="form-group">
+                            <label for="edit-question-source">Source:</label>
+                            <input type="text" id="edit-question-source" value="${question.source || ''}">
+                        </div>
+                        <div class="form-group checkbox-group">
+                            <label for="edit-question-tiebreaker">
+                                <input type="checkbox" id="edit-question-tiebreaker" ${question.is_tiebreaker ? 'checked' : ''}>
+                                ⚖️ Tie-breaker question (held back for sudden death, buzzer questions only)
+                            </label>
                         </div>
                         <div class="form-actions">
                             <button type="button" class="btn btn-primary" onclick="admin.saveCurrentQuestion()">Save Changes</button>
@@ -1117,15 +1678,40 @@ class AdminConfig {
             correct_answer: document.getElementById('edit-correct-answer').value,
             time_limit: parseInt(document.getElementById('edit-time-limit').value),
             points: parseInt(document.getElementById('edit-question-points').value),
-            media_url: document.getElementById('edit-media-url').value
+            media_url: document.getElementById('edit-media-url').value,
+            round_id: document.getElementById('edit-question-round').value || null,
+            is_tiebreaker: document.getElementById('edit-question-tiebreaker')?.checked || false,
+            ...this.getChoiceFields('edit-'),
+            ...this.getPenaltyFields('edit-penalty-mode', 'edit-penalty-value'),
+            ...this.getMetadataFields('edit-')
         };
 
         try {
-            await fetch(`/api/questions/${this.currentQuestion.id}`, {
+            // Linked questions keep their content in the bank
+            if (this.currentQuestion.bank_question_id) {
+                const { time_limit, points, round_id, penalty_mode, penalty_value, is_tiebreaker, ...content } = questionData;
+                const bankResponse = await fetch(`/api/question-bank/${this.currentQuestion.bank_question_id}`, {
+                    method: 'PUT',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(content)
+                });
+                if (!bankResponse.ok) {
+                    const error = await bankResponse.json();
+                    this.showToast(error.error || 'Failed to save bank question', 'error');
+                    return;
+                }
+            }
+
+            const response = await fetch(`/api/questions/${this.currentQuestion.id}`, {
                 method: 'PUT',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify(questionData)
             });
+            if (!response.ok) {
+                const error = await response.json();
+                this.showToast(error.error || 'Failed to save question', 'error');
+                return;
+            }
             
             this.showToast('Question saved successfully', 'success');
             this.hasUnsavedChanges = false;
@@ -1152,6 +1738,20 @@ class AdminConfig {
         if (this.elements.timeLimit) this.elements.timeLimit.value = question ? question.time_limit : defaultTime;
         if (this.elements.questionPoints) this.elements.questionPoints.value = question ? question.points : 100;
         if (this.elements.mediaUrl) this.elements.mediaUrl.value = question ? question.media_url || '' : '';
+        this.updateRoundSelect(this.elements.questionRound, question?.round_id);
+        if (this.elements.questionType) this.elements.questionType.value = question?.question_type || 'buzzer';
+        if (this.elements.questionOptions) this.elements.questionOptions.value = (question?.options || []).join('\n');
+        if (this.elements.correctOption) this.elements.correctOption.value = (question?.correct_option ?? 0) + 1;
+        this.toggleChoiceFields('');
+        if (this.elements.penaltyModeOverride) this.elements.penaltyModeOverride.value = question?.penalty_mode || '';
+        if (this.elements.penaltyValueOverride) this.elements.penaltyValueOverride.value = question?.penalty_mode ? question.penalty_value : 50;
+        this.updatePenaltyValueField(this.elements.penaltyModeOverride, this.elements.penaltyValueOverride);
+        if (this.elements.questionDifficulty) this.elements.questionDifficulty.value = question?.difficulty || '';
+        if (this.elements.questionCategory) this.elements.questionCategory.value = question?.category || '';
+        if (this.elements.questionTags) this.elements.questionTags.value = (question?.tags || []).join(', ');
+        if (this.elements.questionExplanation) this.elements.questionExplanation.value = question?.explanation || '';
+        if (this.elements.questionSource) this.elements.questionSource.value = question?.source || '';
+        if (this.elements.questionTiebreaker) this.elements.questionTiebreaker.checked = Boolean(question?.is_tiebreaker);
         
         if (this.elements.questionEditorModal) {
             this.elements.questionEditorModal.classList.remove('hidden');
@@ -1176,25 +1776,33 @@ class AdminConfig {
             correct_answer: this.elements.correctAnswer.value,
             time_limit: parseInt(this.elements.timeLimit.value),
             points: parseInt(this.elements.questionPoints.value),
-            media_url: this.elements.mediaUrl.value
+            media_url: this.elements.mediaUrl.value,
+            round_id: this.elements.questionRound?.value || null,
+            is_tiebreaker: this.elements.questionTiebreaker?.checked || false,
+            ...this.getChoiceFields(''),
+            ...this.getPenaltyFields('penalty-mode-override', 'penalty-value-override'),
+            ...this.getMetadataFields('')
         };
 
         try {
-            if (this.editingQuestion) {
-                await fetch(`/api/questions/${this.editingQuestion.id}`, {
+            const response = this.editingQuestion
+                ? await fetch(`/api/questions/${this.editingQuestion.id}`, {
                     method: 'PUT',
                     headers: { 'Content-Type': 'application/json' },
                     body: JSON.stringify(questionData)
-                });
-                this.showToast('Question updated successfully', 'success');
-            } else {
-                await fetch(`/api/questions/game/${this.currentGame.id}`, {
+                })
+                : await fetch(`/api/questions/game/${this.currentGame.id}`, {
                     method: 'POST',
                     headers: { 'Content-Type': 'application/json' },
                     body: JSON.stringify(questionData)
                 });
-                this.showToast('Question added successfully', 'success');
+
+            if (!response.ok) {
+                const error = await response.json();
+                this.showToast(error.error || 'Failed to save question', 'error');
+                return;
             }
+            this.showToast(this.editingQuestion ? 'Question updated successfully' : 'Question added successfully', 'success');
             
             this.hideQuestionEditor();
             this.loadQuestions(this.currentGame.id);
@@ -1204,6 +1812,61 @@ class AdminConfig {
         }
     }
 
+    // Show the options editor for multiple-choice questions; prefix is 'edit-' for the inline editor
+    toggleChoiceFields(prefix) {
+        const isMultipleChoice = document.getElementById(`${prefix}question-type`)?.value === 'multiple_choice';
+        document.getElementById(`${prefix}choice-fields`)?.classList.toggle('hidden', !isMultipleChoice);
+        document.getElementById(`${prefix}correct-answer-group`)?.classList.toggle('hidden', isMultipleChoice);
+
+        const correctAnswerInput = document.getElementById(`${prefix}correct-answer`);
+        if (correctAnswerInput && prefix === '') {
+            correctAnswerInput.required = !isMultipleChoice;
+        }
+    }
+
+    getChoiceFields(prefix) {
+        const questionType = document.getElementById(`${prefix}question-type`)?.value || 'buzzer';
+        if (questionType !== 'multiple_choice') {
+            return { question_type: questionType };
+        }
+
+        const options = (document.getElementById(`${prefix}question-options`)?.value || '')
+            .split('\n')
+            .map(option => option.trim())
+            .filter(option => option.length > 0);
+
+        return {
+            question_type: 'multiple_choice',
+            options,
+            correct_option: parseInt(document.getElementById(`${prefix}correct-option`)?.value || '1') - 1
+        };
+    }
+
+    // An empty mode clears the override so the question follows the game's penalty policy
+    getPenaltyFields(modeId, valueId) {
+        const penaltyMode = document.getElementById(modeId)?.value || '';
+        if (!penaltyMode) {
+            return { penalty_mode: null, penalty_value: null };
+        }
+
+        return {
+            penalty_mode: penaltyMode,
+            penalty_value: parseFloat(document.getElementById(valueId)?.value || '0')
+        };
+    }
+
+    getMetadataFields(prefix) {
+        const value = (field) => (document.getElementById(`${prefix}question-${field}`)?.value || '').trim();
+
+        return {
+            difficulty: value('difficulty') || null,
+            category: value('category') || null,
+            tags: value('tags').split(',').map(tag => tag.trim()).filter(tag => tag.length > 0),
+            explanation: value('explanation') || null,
+            source: value('source') || null
+        };
+    }
+
     async deleteQuestion(questionId) {
         if (!confirm('Are you sure you want to delete this question?')) return;
 
@@ -1323,11 +1986,13 @@ class AdminConfig {
     async backupDatabase() {
         try {
             const response = await fetch('/api/system/backup', { method: 'POST' });
-            
+            const result = await response.json();
+
             if (response.ok) {
-                this.showToast('Database backup initiated', 'success');
+                this.showToast(`Backup saved: ${result.filename}`, 'success');
+                await this.loadBackups();
             } else {
-                this.showToast('Database backup failed', 'error');
+                this.showToast(`Database backup failed: ${result.error}`, 'error');
             }
         } catch (error) {
             console.error('Failed to backup database:', error);
@@ -1335,6 +2000,109 @@ class AdminConfig {
         }
     }
 
+    // Backups
+    async loadBackups() {
+        if (!this.elements.backupsList) return;
+
+        try {
+            const response = await fetch('/api/system/backups');
+            const { backups, schedule } = await response.json();
+
+            if (this.elements.backupSchedule) {
+                this.elements.backupSchedule.textContent = schedule.enabled
+                    ? `Automatic backups every ${schedule.intervalHours}h; the newest ${schedule.retention} are kept. Restoring saves the current state as a backup first.`
+                    : 'Automatic backups are off (BACKUP_INTERVAL_HOURS=0). Restoring saves the current state as a backup first.';
+            }
+
+            if (backups.length === 0) {
+                this.elements.backupsList.innerHTML = `
+                    <div class="empty-state">
+                        <p>No backups yet.</p>
+                    </div>
+                `;
+                return;
+            }
+
+            const reasons = { manual: 'Manual', scheduled: 'Scheduled', 'pre-restore': 'Before restore', uploaded: 'Uploaded' };
+            this.elements.backupsList.innerHTML = `
+                <table class="stats-table">
+                    <thead>
+                        <tr><th>Taken</th><th>Type</th><th>Size</th><th></th></tr>
+                    </thead>
+                    <tbody>
+                        ${backups.map(backup => `
+                            <tr>
+                                <td>${new Date(backup.created_at).toLocaleString()}</td>
+                                <td>${reasons[backup.reason] || backup.reason}</td>
+                                <td>${(backup.size / (1024 * 1024)).toFixed(1)} MB</td>
+                                <td class="backup-actions">
+                                    <a class="btn btn-small btn-secondary" href="/api/system/backups/${backup.filename}/download" download>Download</a>
+                                    <button class="btn btn-small btn-warning" onclick="admin.restoreBackup('${backup.filename}')">Restore</button>
+                                    <button class="btn btn-small btn-danger" onclick="admin.deleteBackup('${backup.filename}')">Delete</button>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+        } catch (error) {
+            console.error('Failed to load backups:', error);
+            this.showToast('Failed to load backups', 'error');
+        }
+    }
+
+    async restoreBackup(filename) {
+        if (!confirm('Restore this backup? Every game, question and media file is replaced by the backup\'s, and running games stop. The current state is backed up first.')) return;
+
+        try {
+            const response = await fetch(`/api/system/backups/${filename}/restore`, { method: 'POST' });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.error);
+            }
+            this.showToast(`Backup restored. The previous state is saved as ${result.safetyBackup.filename}`, 'success');
+        } catch (error) {
+            console.error('Failed to restore backup:', error);
+            this.showToast(`Restore failed: ${error.message}`, 'error');
+        }
+    }
+
+    async deleteBackup(filename) {
+        if (!confirm(`Delete ${filename}?`)) return;
+
+        try {
+            const response = await fetch(`/api/system/backups/${filename}`, { method: 'DELETE' });
+            if (!response.ok) {
+                throw new Error((await response.json()).error);
+            }
+            await this.loadBackups();
+        } catch (error) {
+            console.error('Failed to delete backup:', error);
+            this.showToast(`Failed to delete backup: ${error.message}`, 'error');
+        }
+    }
+
+    async uploadBackup(event) {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (!file) return;
+
+        try {
+            const formData = new FormData();
+            formData.append('backup', file);
+            const response = await fetch('/api/system/backups/upload', { method: 'POST', body: formData });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.error);
+            }
+            this.showToast('Backup uploaded - restore it from the list', 'success');
+            await this.loadBackups();
+        } catch (error) {
+            console.error('Failed to upload backup:', error);
+            this.showToast(`Failed to upload backup: ${error.message}`, 'error');
+        }
+    }
+
     // Buzzer Overlay Methods
     toggleBuzzerSidebar() {
         if (!this.elements.buzzerSidebar) return;
@@ -1730,10 +2498,10 @@ class AdminConfig {
     // CSV Import/Export Methods
     downloadCsvTemplate() {
         const template = [
-            ['Question Text', 'Correct Answer', 'Time Limit (seconds)', 'Points', 'Media URL (optional)'],
-            ['What is the capital of France?', 'Paris', '30', '100', ''],
-            ['Which planet is closest to the Sun?', 'Mercury', '25', '100', ''],
-            ['What is 2 + 2?', '4', '15', '50', '']
+            ['Question Text', 'Correct Answer', 'Time Limit (seconds)', 'Points', 'Media URL (optional)', 'Difficulty', 'Category', 'Tags', 'Explanation', 'Source'],
+            ['What is the capital of France?', 'Paris', '30', '100', '', 'easy', 'Geography', 'europe, capitals', 'Paris has been the capital since 508 AD.', ''],
+            ['Which planet is closest to the Sun?', 'Mercury', '25', '100', '', 'medium', 'Science', 'space', '', 'NASA'],
+            ['What is 2 + 2?', '4', '15', '50', '', 'easy', 'Math', '', '', '']
         ];
         
         const csvContent = template.map(row => 
@@ -1771,13 +2539,18 @@ class AdminConfig {
             }
             
             const csvData = [
-                ['Question Text', 'Correct Answer', 'Time Limit (seconds)', 'Points', 'Media URL (optional)'],
+                ['Question Text', 'Correct Answer', 'Time Limit (seconds)', 'Points', 'Media URL (optional)', 'Difficulty', 'Category', 'Tags', 'Explanation', 'Source'],
                 ...questions.map(q => [
                     q.text || '',
                     q.correct_answer || '',
                     q.time_limit || '30',
                     q.points || '100',
-                    q.media_url || ''
+                    q.media_url || '',
+                    q.difficulty || '',
+                    q.category || '',
+                    (q.tags || []).join(', '),
+                    q.explanation || '',
+                    q.source || ''
                 ])
             ];
             
@@ -1805,149 +2578,358 @@ class AdminConfig {
         }
     }
     
-    async importQuestionsFromCSV(event) {
+    // Send the file for a dry run first; the report lists bad rows and duplicates and,
+    // when every row is valid, offers to import
+    async checkQuestionImport(event) {
         if (!this.currentGame) {
             this.showToast('Please select a game first', 'error');
             return;
         }
-        
+
         const file = event.target.files[0];
+        event.target.value = '';
         if (!file) return;
-        
-        if (file.type !== 'text/csv' && !file.name.toLowerCase().endsWith('.csv')) {
-            this.showToast('Please select a valid CSV file', 'error');
-            return;
+
+        try {
+            const report = await this.sendQuestionImport(file, true);
+            this.pendingQuestionImport = file;
+            this.renderQuestionImportReport(file.name, report);
+        } catch (error) {
+            console.error('Failed to check import file:', error);
+            this.showToast(`Failed to read ${file.name}: ${error.message}`, 'error');
         }
-        
+    }
+
+    async sendQuestionImport(file, dryRun) {
+        const formData = new FormData();
+        formData.append('file', file);
+
+        const response = await fetch(`/api/questions/game/${this.currentGame.id}/import?dryRun=${dryRun}`, {
+            method: 'POST',
+            body: formData
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || 'Import failed');
+        }
+        return result;
+    }
+
+    renderQuestionImportReport(filename, report) {
+        const container = this.elements.questionImportReport;
+        if (!container) return;
+
+        const escape = (value) => String(value ?? '').replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
+        const rowList = (rows, describe) => `
+            <ul class="question-import-rows">
+                ${rows.map(row => `<li><strong>Row ${row.row}</strong> ${escape(row.text || '')} — ${escape(describe(row))}</li>`).join('')}
+            </ul>
+        `;
+        const canImport = report.errors.length === 0 && report.toImport > 0;
+
+        container.innerHTML = `
+            <h4>📋 ${escape(filename)} <span class="question-import-format">${report.format.toUpperCase()}</span></h4>
+            <p>${report.total} question(s) found: ${report.toImport} ready to import, ${report.errors.length} with errors, ${report.duplicates.length} duplicate(s) skipped.</p>
+            ${report.errors.length > 0 ? `
+                <h5>❌ Fix these rows and choose the file again</h5>
+                ${rowList(report.errors, row => row.error)}
+            ` : ''}
+            ${report.duplicates.length > 0 ? `
+                <h5>♻️ Already in this game</h5>
+                ${rowList(report.duplicates, row => (row.duplicateOf === 'existing' ? 'already a question in this game' : `repeats row ${row.duplicateOf}`))}
+            ` : ''}
+            <div class="question-import-actions">
+                ${canImport ? `<button class="btn btn-success" onclick="admin.confirmQuestionImport()">📥 Import ${report.toImport} Question(s)</button>` : ''}
+                <button class="btn btn-secondary" onclick="admin.closeQuestionImportReport()">Close</button>
+            </div>
+        `;
+        container.classList.remove('hidden');
+    }
+
+    async confirmQuestionImport() {
+        if (!this.pendingQuestionImport || !this.currentGame) return;
+
         try {
-            const text = await file.text();
-            const lines = text.split('\n').filter(line => line.trim());
-            
-            if (lines.length < 2) {
-                this.showToast('CSV file appears to be empty or invalid', 'error');
-                return;
-            }
-            
-            // Skip header row
-            const questionRows = lines.slice(1);
-            const questions = [];
-            let errorCount = 0;
-            
-            for (let i = 0; i < questionRows.length; i++) {
-                try {
-                    const row = this.parseCSVRow(questionRows[i]);
-                    
-                    if (row.length < 2) {
-                        errorCount++;
-                        continue;
-                    }
-                    
-                    const question = {
-                        text: row[0]?.trim() || '',
-                        correct_answer: row[1]?.trim() || '',
-                        time_limit: parseInt(row[2]) || 30,
-                        points: parseInt(row[3]) || 100,
-                        media_url: row[4]?.trim() || null
-                    };
-                    
-                    if (question.text && question.correct_answer) {
-                        questions.push(question);
-                    } else {
-                        errorCount++;
-                    }
-                } catch (rowError) {
-                    console.error(`Error parsing row ${i + 2}:`, rowError);
-                    errorCount++;
-                }
-            }
-            
-            if (questions.length === 0) {
-                this.showToast('No valid questions found in CSV file', 'error');
-                return;
-            }
-            
-            console.log('About to import questions:', questions);
-            
-            // Import questions to the current game
-            let importedCount = 0;
-            for (const question of questions) {
-                try {
-                    await this.addQuestionToGame(question);
-                    importedCount++;
-                } catch (error) {
-                    console.error('Failed to import question:', question, error);
-                    errorCount++;
-                }
-            }
-            
-            // Reset file input
-            event.target.value = '';
-            
-            // Reload questions to show imported ones
-            if (importedCount > 0) {
-                await this.loadQuestions(this.currentGame.id);
-            }
-            
-            let message = `📥 Successfully imported ${importedCount} questions!`;
-            if (errorCount > 0) {
-                message += ` (${errorCount} rows had errors and were skipped)`;
+            const report = await this.sendQuestionImport(this.pendingQuestionImport, false);
+            this.closeQuestionImportReport();
+            await this.loadQuestions(this.currentGame.id);
+
+            let message = `📥 Imported ${report.imported} question(s)!`;
+            if (report.duplicates.length > 0) {
+                message += ` (${report.duplicates.length} duplicate(s) skipped)`;
             }
-            
             this.showToast(message, 'success');
-            
         } catch (error) {
-            console.error('Failed to import CSV:', error);
-            this.showToast(`Failed to import CSV file: ${error.message}`, 'error');
+            console.error('Failed to import questions:', error);
+            this.showToast(`Import failed: ${error.message}`, 'error');
         }
     }
-    
-    parseCSVRow(row) {
-        const result = [];
-        let current = '';
-        let inQuotes = false;
-        let i = 0;
-        
-        while (i < row.length) {
-            const char = row[i];
-            const nextChar = row[i + 1];
-            
-            if (char === '"') {
-                if (inQuotes && nextChar === '"') {
-                    current += '"';
-                    i += 2;
-                    continue;
-                }
-                inQuotes = !inQuotes;
-            } else if (char === ',' && !inQuotes) {
-                result.push(current.trim());
-                current = '';
-                i++;
-                continue;
-            } else {
-                current += char;
+
+    closeQuestionImportReport() {
+        this.pendingQuestionImport = null;
+        this.elements.questionImportReport?.classList.add('hidden');
+    }
+
+    // Media Library Methods
+    // targetInputId is the media URL field the picked file goes into
+    async showMediaLibrary(targetInputId) {
+        this.mediaTargetInputId = targetInputId;
+        if (this.elements.mediaFolderFilter && !this.currentGame) {
+            this.elements.mediaFolderFilter.value = '';
+        }
+        this.elements.mediaLibraryModal?.classList.remove('hidden');
+        await this.loadMediaLibrary();
+    }
+
+    hideMediaLibrary() {
+        this.elements.mediaLibraryModal?.classList.add('hidden');
+    }
+
+    // The filter's folder: this game's, the bank's, or every folder
+    getMediaFolder() {
+        const filter = this.elements.mediaFolderFilter?.value;
+        if (filter === 'game') return this.currentGame?.id || '';
+        return filter || '';
+    }
+
+    async loadMediaLibrary() {
+        const folder = this.getMediaFolder();
+        try {
+            const response = await fetch(`/api/media${folder ? `?gameId=${encodeURIComponent(folder)}` : ''}`);
+            const media = await response.json();
+            if (!response.ok) throw new Error(media.error);
+            this.renderMediaLibrary(media);
+        } catch (error) {
+            console.error('Failed to load media library:', error);
+            this.showToast('Failed to load media library', 'error');
+        }
+    }
+
+    renderMediaLibrary(media) {
+        if (!this.elements.mediaLibraryGrid) return;
+
+        if (media.length === 0) {
+            this.elements.mediaLibraryGrid.innerHTML = '<p class="no-question-selected">No media here yet. Upload an image, audio or video file.</p>';
+            return;
+        }
+
+        const preview = (item) => {
+            if (item.type === 'image') return `<img src="${item.url}" alt="${item.filename}" loading="lazy">`;
+            if (item.type === 'video') return `<video src="${item.url}" preload="metadata" muted></video>`;
+            return '<div class="media-library-icon">🎵</div>';
+        };
+
+        this.elements.mediaLibraryGrid.innerHTML = media.map(item => `
+            <div class="media-library-item">
+                <div class="media-library-preview">${preview(item)}</div>
+                <div class="media-library-name" title="${item.filename}">${item.filename}</div>
+                <div class="bank-question-meta">
+                    ${item.type} · ${(item.size / (1024 * 1024)).toFixed(1)} MB · ${item.usage_count ? `used ${item.usage_count}×` : 'unused'}
+                </div>
+                <div class="media-library-actions">
+                    <button type="button" class="btn btn-small btn-primary" onclick="admin.selectMedia('${item.url}')">Use</button>
+                    ${item.usage_count ? '' : `<button type="button" class="btn btn-small btn-danger" onclick="admin.deleteMedia('${item.folder}', '${item.filename}')">Delete</button>`}
+                </div>
+            </div>
+        `).join('');
+    }
+
+    // Put the picked file in the target field; the input event runs the preview and change tracking
+    selectMedia(url) {
+        const input = document.getElementById(this.mediaTargetInputId);
+        if (input) {
+            input.value = url;
+            input.dispatchEvent(new Event('input', { bubbles: true }));
+        }
+        this.hideMediaLibrary();
+    }
+
+    // Uploads go to the current game's folder unless the bank folder is showing
+    async uploadMedia(file) {
+        const gameId = this.elements.mediaFolderFilter?.value === 'bank' ? null : this.currentGame?.id;
+        const formData = new FormData();
+        formData.append('file', file);
+
+        try {
+            const query = gameId ? `?gameId=${encodeURIComponent(gameId)}` : '';
+            const response = await fetch(`/api/media/upload${query}`, {
+                method: 'POST',
+                body: formData
+            });
+            const media = await response.json();
+            if (!response.ok) throw new Error(media.error);
+
+            this.showToast(`⬆️ Uploaded ${file.name}`, 'success');
+            await this.loadMediaLibrary();
+        } catch (error) {
+            console.error('Failed to upload media:', error);
+            this.showToast(`Failed to upload media: ${error.message}`, 'error');
+        }
+    }
+
+    async deleteMedia(folder, filename) {
+        if (!confirm(`Delete ${filename}?`)) return;
+
+        try {
+            const response = await fetch(`/api/media/${encodeURIComponent(folder)}/${encodeURIComponent(filename)}`, { method: 'DELETE' });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.error);
+            await this.loadMediaLibrary();
+        } catch (error) {
+            console.error('Failed to delete media:', error);
+            this.showToast(`Failed to delete media: ${error.message}`, 'error');
+        }
+    }
+
+    async deleteUnusedMedia() {
+        const folder = this.getMediaFolder();
+        if (!confirm(`Delete every unused file in ${folder ? 'this folder' : 'the whole library'}?`)) return;
+
+        try {
+            const response = await fetch(`/api/media/unused${folder ? `?gameId=${encodeURIComponent(folder)}` : ''}`, { method: 'DELETE' });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.error);
+
+            this.showToast(`🧹 Deleted ${result.deleted.length} unused file(s)`, 'success');
+            await this.loadMediaLibrary();
+        } catch (error) {
+            console.error('Failed to delete unused media:', error);
+            this.showToast('Failed to delete unused media', 'error');
+        }
+    }
+
+    // Question Bank Methods
+    async showQuestionBankModal() {
+        if (!this.currentGame) {
+            this.showToast('Please select a game first', 'error');
+            return;
+        }
+
+        if (this.elements.bankSearch) this.elements.bankSearch.value = '';
+        this.elements.questionBankModal?.classList.remove('hidden');
+        await this.loadBankTags();
+        await this.loadBankQuestions();
+    }
+
+    hideQuestionBankModal() {
+        this.elements.questionBankModal?.classList.add('hidden');
+    }
+
+    async loadBankTags() {
+        if (!this.elements.bankTagFilter) return;
+
+        try {
+            const response = await fetch('/api/question-bank/tags');
+            const tags = await response.json();
+            const selected = this.elements.bankTagFilter.value;
+            this.elements.bankTagFilter.innerHTML = '<option value="">All tags</option>' + tags.map(t =>
+                `<option value="${t.tag}" ${t.tag === selected ? 'selected' : ''}>${t.tag} (${t.count})</option>`
+            ).join('');
+        } catch (error) {
+            console.error('Failed to load bank tags:', error);
+        }
+    }
+
+    async loadBankQuestions() {
+        const params = new URLSearchParams();
+        if (this.elements.bankSearch?.value) params.set('search', this.elements.bankSearch.value);
+        if (this.elements.bankTagFilter?.value) params.set('tags', this.elements.bankTagFilter.value);
+
+        try {
+            const response = await fetch(`/api/question-bank?${params}`);
+            const bankQuestions = await response.json();
+            this.renderBankQuestions(bankQuestions);
+        } catch (error) {
+            console.error('Failed to load question bank:', error);
+            this.showToast('Failed to load question bank', 'error');
+        }
+    }
+
+    renderBankQuestions(bankQuestions) {
+        if (!this.elements.bankQuestionList) return;
+
+        if (bankQuestions.length === 0) {
+            this.elements.bankQuestionList.innerHTML = '<p class="no-question-selected">No bank questions match.</p>';
+            return;
+        }
+
+        // Questions this game already links to can't be added twice
+        const linked = new Set((this.questions || []).map(q => q.bank_question_id).filter(Boolean));
+
+        this.elements.bankQuestionList.innerHTML = bankQuestions.map(q => `
+            <label class="bank-question-item ${linked.has(q.id) ? 'in-game' : ''}">
+                <input type="checkbox" value="${q.id}" ${linked.has(q.id) ? 'disabled' : ''}>
+                <div>
+                    <div>${q.text}</div>
+                    <div class="bank-question-meta">
+                        ${q.correct_answer || ''} · ${q.points} pts · ${q.time_limit}s · used in ${q.usage_count} game(s)
+                        ${q.difficulty ? ` · ${q.difficulty}` : ''}${q.category ? ` · ${q.category}` : ''}
+                        ${linked.has(q.id) ? ' · already in this game' : ''}
+                    </div>
+                    <div class="bank-question-meta">${(q.tags || []).map(tag => `<span class="bank-tag">${tag}</span>`).join('')}</div>
+                </div>
+            </label>
+        `).join('');
+    }
+
+    async addSelectedBankQuestions() {
+        const selected = Array.from(this.elements.bankQuestionList?.querySelectorAll('input[type="checkbox"]:checked') || [])
+            .map(input => input.value);
+        if (selected.length === 0) {
+            this.showToast('Select at least one question', 'warning');
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/questions/game/${this.currentGame.id}/from-bank`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ bankQuestionIds: selected })
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.error);
             }
-            i++;
+
+            this.hideQuestionBankModal();
+            await this.loadQuestions(this.currentGame.id);
+            this.showToast(`🏦 Added ${result.added.length} questions from the bank`, 'success');
+        } catch (error) {
+            console.error('Failed to add bank questions:', error);
+            this.showToast(`Failed to add questions: ${error.message}`, 'error');
         }
-        
-        result.push(current.trim());
-        return result;
     }
-    
-    async addQuestionToGame(questionData) {
-        const response = await fetch(`/api/questions/game/${this.currentGame.id}`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify(questionData)
-        });
-        
-        if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`Failed to add question: ${errorText}`);
+
+    // Move every question this game owns into the bank; linked questions are already there
+    async saveGameQuestionsToBank() {
+        if (!this.currentGame) {
+            this.showToast('Please select a game first', 'error');
+            return;
         }
-        
-        return response.json();
+
+        const ownQuestions = (this.questions || []).filter(q => !q.bank_question_id);
+        if (ownQuestions.length === 0) {
+            this.showToast('All questions in this game are already in the bank', 'info');
+            return;
+        }
+
+        const tags = this.elements.saveToBankTags?.value || '';
+        let savedCount = 0;
+        for (const question of ownQuestions) {
+            try {
+                const response = await fetch(`/api/questions/${question.id}/save-to-bank`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ tags })
+                });
+                if (response.ok) savedCount++;
+            } catch (error) {
+                console.error('Failed to save question to bank:', question, error);
+            }
+        }
+
+        await this.loadQuestions(this.currentGame.id);
+        this.showToast(`💾 Saved ${savedCount} of ${ownQuestions.length} questions to the bank`, savedCount === ownQuestions.length ? 'success' : 'warning');
     }
     
     // Buzzer Test Modal Methods
@@ -2544,7 +3526,19 @@ class AdminConfig {
             correct_answer: document.getElementById('edit-correct-answer')?.value || '',
             time_limit: parseInt(document.getElementById('edit-time-limit')?.value || '30'),
             points: parseInt(document.getElementById('edit-question-points')?.value || '100'),
-            media_url: document.getElementById('edit-media-url')?.value || ''
+            media_url: document.getElementById('edit-media-url')?.value || '',
+            round_id: document.getElementById('edit-question-round')?.value || '',
+            question_type: document.getElementById('edit-question-type')?.value || 'buzzer',
+            options: document.getElementById('edit-question-options')?.value || '',
+            correct_option: parseInt(document.getElementById('edit-correct-option')?.value || '1'),
+            penalty_mode: document.getElementById('edit-penalty-mode')?.value || '',
+            penalty_value: parseFloat(document.getElementById('edit-penalty-value')?.value || '50'),
+            difficulty: document.getElementById('edit-question-difficulty')?.value || '',
+            category: document.getElementById('edit-question-category')?.value || '',
+            tags: document.getElementById('edit-question-tags')?.value || '',
+            explanation: document.getElementById('edit-question-explanation')?.value || '',
+            source: document.getElementById('edit-question-source')?.value || '',
+            is_tiebreaker: document.getElementById('edit-question-tiebreaker')?.checked || false
         };
     }
     
@@ -2553,11 +3547,26 @@ class AdminConfig {
                original.correct_answer === current.correct_answer &&
                original.time_limit === current.time_limit &&
                original.points === current.points &&
-               (original.media_url || '') === (current.media_url || '');
+               (original.media_url || '') === (current.media_url || '') &&
+               original.round_id === current.round_id &&
+               original.question_type === current.question_type &&
+               original.penalty_mode === current.penalty_mode &&
+               (!current.penalty_mode || original.penalty_value === current.penalty_value) &&
+               original.difficulty === current.difficulty &&
+               original.category === current.category &&
+               original.tags === current.tags &&
+               original.explanation === current.explanation &&
+               original.source === current.source &&
+               original.is_tiebreaker === current.is_tiebreaker &&
+               (original.question_type !== 'multiple_choice' ||
+                   (original.options === current.options && original.correct_option === current.correct_option));
     }
     
     trackQuestionChanges() {
-        const formElements = ['edit-question-text', 'edit-correct-answer', 'edit-time-limit', 'edit-question-points', 'edit-media-url'];
+        const formElements = ['edit-question-text', 'edit-correct-answer', 'edit-time-limit', 'edit-question-points', 'edit-media-url',
+            'edit-question-round', 'edit-question-type', 'edit-question-options', 'edit-correct-option',
+            'edit-penalty-mode', 'edit-penalty-value', 'edit-question-difficulty', 'edit-question-category',
+            'edit-question-tags', 'edit-question-explanation', 'edit-question-source', 'edit-question-tiebreaker'];
         
         formElements.forEach(id => {
             const element = document.getElementById(id);
@@ -2800,6 +3809,25 @@ class AdminConfig {
                 if (this.elements.allowNegativeScores) {
                     this.elements.allowNegativeScores.checked = settings.allowNegativeScores;
                 }
+                if (this.elements.scoringCurve) {
+                    this.elements.scoringCurve.value = settings.scoringCurve;
+                    this.renderScoringCurveOptions(settings.scoringCurve, settings.scoringCurveOptions);
+                }
+                if (this.elements.penaltyMode && this.elements.penaltyValue) {
+                    this.elements.penaltyMode.value = settings.penaltyMode;
+                    this.elements.penaltyValue.value = settings.penaltyValue;
+                    this.updatePenaltyValueField(this.elements.penaltyMode, this.elements.penaltyValue, this.elements.penaltyValueSuffix);
+                }
+                if (this.elements.readingTime && this.elements.falseStartLockout) {
+                    this.elements.readingTime.value = settings.readingTime;
+                    this.elements.falseStartLockout.value = settings.falseStartLockout;
+                }
+                if (this.elements.tieBreakPositions) {
+                    this.elements.tieBreakPositions.value = settings.tieBreakPositions;
+                }
+            }
+            if (this.elements.boardMode) {
+                this.elements.boardMode.checked = this.currentGame.game_mode === 'board';
             }
         } catch (error) {
             console.error('Failed to load scoring settings:', error);
@@ -2813,6 +3841,21 @@ class AdminConfig {
             timeBasedScoring: this.elements.timeBasedScoring ? this.elements.timeBasedScoring.checked : false,
             allowNegativeScores: this.elements.allowNegativeScores ? this.elements.allowNegativeScores.checked : false
         };
+        if (this.elements.penaltyMode && this.elements.penaltyValue) {
+            settings.penaltyMode = this.elements.penaltyMode.value;
+            settings.penaltyValue = this.elements.penaltyValue.value;
+        }
+        if (this.elements.readingTime && this.elements.falseStartLockout) {
+            settings.readingTime = Number(this.elements.readingTime.value);
+            settings.falseStartLockout = Number(this.elements.falseStartLockout.value);
+        }
+        if (this.elements.tieBreakPositions) {
+            settings.tieBreakPositions = Number(this.elements.tieBreakPositions.value);
+        }
+        if (this.elements.scoringCurve) {
+            settings.scoringCurve = this.elements.scoringCurve.value;
+            settings.scoringCurveOptions = this.getScoringCurveOptions(settings.scoringCurve);
+        }
 
         try {
             const response = await fetch(`/api/games/${this.currentGame.id}/scoring-settings`, {
@@ -2824,7 +3867,23 @@ class AdminConfig {
             });
 
             if (!response.ok) {
-                throw new Error('Failed to save scoring settings');
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.error || 'Failed to save scoring settings');
+            }
+
+            const gameMode = this.elements.boardMode?.checked ? 'board' : 'classic';
+            if (this.elements.boardMode && gameMode !== (this.currentGame.game_mode || 'classic')) {
+                const modeResponse = await fetch(`/api/games/${this.currentGame.id}/game-mode`, {
+                    method: 'PUT',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify({ gameMode })
+                });
+                if (!modeResponse.ok) {
+                    throw new Error('Failed to save game mode');
+                }
+                this.currentGame.game_mode = gameMode;
             }
 
             return await response.json();
@@ -2845,22 +3904,196 @@ class AdminConfig {
             this.showToast('Scoring settings saved successfully', 'success');
         } catch (error) {
             console.error('Failed to save scoring settings:', error);
-            this.showToast('Failed to save scoring settings', 'error');
+            this.showToast(error.message || 'Failed to save scoring settings', 'error');
+        }
+    }
+
+    // Option inputs for the selected scoring curve. Empty options fall back to the
+    // server's defaults, so only values the host has set are filled in here.
+    renderScoringCurveOptions(curve, options = {}) {
+        const container = this.elements.scoringCurveOptions;
+        if (!container) return;
+
+        const descriptions = {
+            linear: 'Points drop evenly from full value to the floor at timeout.',
+            exponential: 'Points halve every half-life, so early answers are worth much more.',
+            steps: 'Full tiers by buzz time, e.g. "5:100, 15:50" = 100% within 5s, 50% within 15s, then the "after" percent.',
+            buzz_order: 'Percent of full points by buzz order, e.g. "100, 75, 50" for 1st, 2nd and 3rd, then the "after" percent.'
+        };
+        if (this.elements.scoringCurveDescription) {
+            this.elements.scoringCurveDescription.textContent = descriptions[curve] || '';
+        }
+
+        const valueOf = (value) => value === undefined || value === null ? '' : value;
+        const afterInput = `
+            <input type="number" id="curve-after-percent" min="0" max="100" class="threshold-input" placeholder="25" value="${valueOf(options.afterPercent)}">
+            <span class="input-suffix">% after</span>`;
+
+        switch (curve) {
+            case 'linear':
+                container.innerHTML = `
+                    <input type="number" id="curve-floor-percent" min="0" max="100" class="threshold-input" placeholder="0" value="${valueOf(options.floorPercent)}">
+                    <span class="input-suffix">% floor</span>`;
+                break;
+            case 'exponential':
+                container.innerHTML = `
+                    <input type="number" id="curve-half-life" min="1" class="threshold-input" placeholder="10" value="${valueOf(options.halfLifeSeconds)}">
+                    <span class="input-suffix">s half-life</span>`;
+                break;
+            case 'steps':
+                container.innerHTML = `
+                    <input type="text" id="curve-step-tiers" class="threshold-input curve-list-input" placeholder="5:100, 15:50"
+                        value="${(options.tiers || []).map(t => `${t.seconds}:${t.percent}`).join(', ')}">
+                    ${afterInput}`;
+                break;
+            case 'buzz_order':
+                container.innerHTML = `
+                    <input type="text" id="curve-buzz-percents" class="threshold-input curve-list-input" placeholder="100, 75, 50"
+                        value="${(options.percents || []).join(', ')}">
+                    ${afterInput}`;
+                break;
+            default:
+                container.innerHTML = '';
+        }
+    }
+
+    getScoringCurveOptions(curve) {
+        const valueOf = (id) => document.getElementById(id)?.value.trim() || '';
+        const list = (id) => valueOf(id).split(',').map(item => item.trim()).filter(item => item.length > 0);
+        const options = {};
+
+        switch (curve) {
+            case 'linear':
+                if (valueOf('curve-floor-percent')) options.floorPercent = parseFloat(valueOf('curve-floor-percent'));
+                break;
+            case 'exponential':
+                if (valueOf('curve-half-life')) options.halfLifeSeconds = parseFloat(valueOf('curve-half-life'));
+                break;
+            case 'steps':
+                if (valueOf('curve-step-tiers')) {
+                    options.tiers = list('curve-step-tiers').map(tier => {
+                        const [seconds, percent] = tier.split(':');
+                        return { seconds: parseFloat(seconds), percent: parseFloat(percent) };
+                    });
+                }
+                break;
+            case 'buzz_order':
+                if (valueOf('curve-buzz-percents')) options.percents = list('curve-buzz-percents').map(parseFloat);
+                break;
+        }
+
+        if (valueOf('curve-after-percent')) options.afterPercent = parseFloat(valueOf('curve-after-percent'));
+        return options;
+    }
+
+    // The value field is unused for "no penalty" and is in points (not %) for a fixed penalty
+    updatePenaltyValueField(modeSelect, valueInput, suffix = null) {
+        if (!modeSelect || !valueInput) return;
+
+        const mode = modeSelect.value;
+        valueInput.disabled = !mode || mode === 'none';
+        if (suffix) {
+            suffix.textContent = mode === 'fixed' ? 'points' : '%';
         }
     }
 
     // Virtual Buzzer Settings Methods
     toggleVirtualBuzzerDetails() {
         if (this.elements.virtualBuzzersEnabled && this.elements.virtualBuzzerDetails && this.elements.virtualBuzzerQr) {
+            const details = [
+                this.elements.virtualBuzzerDetails,
+                this.elements.virtualBuzzersPerTeamItem,
+                this.elements.virtualBuzzerQr,
+                this.elements.teamJoinCodesSection
+            ].filter(Boolean);
+
             if (this.elements.virtualBuzzersEnabled.checked) {
-                this.elements.virtualBuzzerDetails.style.display = 'flex';
-                this.elements.virtualBuzzerQr.style.display = 'flex';
+                details.forEach(element => element.style.display = 'flex');
                 this.generateQrCode();
                 this.updateVirtualBuzzerUrl();
+                this.loadTeamJoinCodes();
             } else {
-                this.elements.virtualBuzzerDetails.style.display = 'none';
-                this.elements.virtualBuzzerQr.style.display = 'none';
+                details.forEach(element => element.style.display = 'none');
+            }
+        }
+    }
+
+    // Team join codes: what a phone needs to buzz for a team
+    async loadTeamJoinCodes() {
+        if (!this.currentGame || !this.elements.teamJoinCodes) return;
+
+        try {
+            const response = await fetch(`/api/games/${this.currentGame.id}/join-codes`);
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to load team codes');
+            }
+            await this.renderTeamJoinCodes(data);
+        } catch (error) {
+            console.error('Failed to load team join codes:', error);
+            this.elements.teamJoinCodes.innerHTML = `<p class="setting-description">${error.message}</p>`;
+        }
+    }
+
+    async renderTeamJoinCodes({ devicesPerTeam, teams }) {
+        if (teams.length === 0) {
+            this.elements.teamJoinCodes.innerHTML = '<p class="setting-description">Add teams to get their codes</p>';
+            return;
+        }
+
+        const cards = await Promise.all(teams.map(async team => {
+            const url = this.getTeamJoinUrl(team);
+            let qr = '';
+            if (typeof QRCode !== 'undefined') {
+                const dataUrl = await QRCode.toDataURL(url, { width: 120, margin: 1 }).catch(() => null);
+                if (dataUrl) qr = `<img class="team-join-code-qr" src="${dataUrl}" alt="Join ${team.name}">`;
+            }
+
+            return `
+                <div class="team-join-code" style="--team-color: ${team.color || '#4A9EBF'}">
+                    <div class="team-join-code-name">${team.name}</div>
+                    <div class="team-join-code-value">${team.code}</div>
+                    ${qr}
+                    <div class="team-join-code-devices">${team.devices}/${devicesPerTeam} phone${devicesPerTeam === 1 ? '' : 's'} connected</div>
+                    <div class="team-join-code-actions">
+                        <button class="btn btn-small btn-secondary" data-join-action="copy" data-url="${url}">📋 Link</button>
+                        <button class="btn btn-small btn-secondary" data-join-action="reset" data-group-id="${team.groupId}">🔄 New Code</button>
+                    </div>
+                </div>
+            `;
+        }));
+        this.elements.teamJoinCodes.innerHTML = cards.join('');
+    }
+
+    getTeamJoinUrl(team) {
+        const params = new URLSearchParams({ game: this.currentGame.id, team: team.groupId, code: team.code });
+        return `${this.updateVirtualBuzzerUrl()}?${params}`;
+    }
+
+    async copyTeamJoinLink(url) {
+        try {
+            await navigator.clipboard.writeText(url);
+            this.showToast('Team link copied to clipboard', 'success');
+        } catch (error) {
+            this.fallbackCopyToClipboard(url);
+            this.showToast('Team link copied', 'success');
+        }
+    }
+
+    async resetTeamJoinCode(groupId) {
+        if (!confirm('Issue a new code for this team? Phones on the team will have to join again.')) return;
+
+        try {
+            const response = await fetch(`/api/games/${this.currentGame.id}/join-codes/${groupId}/reset`, { method: 'POST' });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to reset code');
             }
+            this.showToast(`New code for ${data.name}: ${data.code}`, 'success');
+            this.loadTeamJoinCodes();
+        } catch (error) {
+            console.error('Failed to reset team join code:', error);
+            this.showToast(`Failed to reset code: ${error.message}`, 'error');
         }
     }
 
@@ -2974,6 +4207,9 @@ class AdminConfig {
                         this.disableHardwareFailureDetection();
                     }
                 }
+                if (this.elements.virtualBuzzersPerTeam) {
+                    this.elements.virtualBuzzersPerTeam.value = settings.devicesPerTeam || 1;
+                }
                 if (this.elements.buzzerOfflineThreshold) {
                     this.elements.buzzerOfflineThreshold.value = settings.buzzerOfflineThreshold || 120;
                     this.hardwareFailureDetection.offlineThreshold = settings.buzzerOfflineThreshold || 120;
@@ -2989,7 +4225,8 @@ class AdminConfig {
 
         const settings = {
             virtualBuzzersEnabled: this.elements.virtualBuzzersEnabled ? this.elements.virtualBuzzersEnabled.checked : false,
-            buzzerOfflineThreshold: this.elements.buzzerOfflineThreshold ? parseInt(this.elements.buzzerOfflineThreshold.value) : 120
+            buzzerOfflineThreshold: this.elements.buzzerOfflineThreshold ? parseInt(this.elements.buzzerOfflineThreshold.value) : 120,
+            devicesPerTeam: this.elements.virtualBuzzersPerTeam ? parseInt(this.elements.virtualBuzzersPerTeam.value) : 1
         };
 
         try {
@@ -3001,11 +4238,12 @@ class AdminConfig {
                 body: JSON.stringify(settings)
             });
 
+            const result = await response.json();
             if (!response.ok) {
-                throw new Error('Failed to save virtual buzzer settings');
+                throw new Error(result.error || 'Failed to save virtual buzzer settings');
             }
 
-            return await response.json();
+            return result;
         } catch (error) {
             console.error('Failed to save virtual buzzer settings:', error);
             throw error;
@@ -3021,9 +4259,10 @@ class AdminConfig {
         try {
             await this.saveVirtualBuzzerSettings();
             this.showToast('Virtual buzzer settings saved successfully', 'success');
+            this.loadTeamJoinCodes();
         } catch (error) {
             console.error('Failed to save virtual buzzer settings:', error);
-            this.showToast('Failed to save virtual buzzer settings', 'error');
+            this.showToast(`Failed to save virtual buzzer settings: ${error.message}`, 'error');
         }
     }
 
@@ -3071,7 +4310,7 @@ class AdminConfig {
             const isYouTube = youtubeMatch !== null;
             
             // Determine if it's a video file based on file extension
-            const isVideo = /\.(mp4|webm|ogg|mov|avi|mkv)(\?.*)?$/i.test(finalUrl);
+            const isVideo = /\.(mp4|webm|ogg|mov|avi|mkv|mp3|wav|m4a|aac|flac)(\?.*)?$/i.test(finalUrl);
             
             if (isYouTube) {
                 // Handle YouTube video via iframe
@@ -3787,6 +5026,8 @@ class AdminConfig {
 console.log('=== SETTING UP DOM LISTENER ===');
 document.addEventListener('DOMContentLoaded', () => {
     console.log('=== DOM LOADED - CREATING ADMIN CONFIG ===');
-    window.admin = new AdminConfig();
-    console.log('=== ADMIN CONFIG CREATED ===', window.admin);
+    triviaAuth.require('admin').then(() => {
+        window.admin = new AdminConfig();
+        console.log('=== ADMIN CONFIG CREATED ===', window.admin);
+    });
 });
\ No newline at end of file
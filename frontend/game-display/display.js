@@ -6,6 +6,7 @@ class GameDisplay {
         this.questionTimer = null;
         this.timeRemaining = 0;
         this.totalTime = 30;
+        this.timerSync = new TimerSync(); // Lines the countdown up with the server's ticks
         this.buzzerQueue = [];
         this.gameSelector = null;
         this.currentState = 'idle'; // idle, question, buzzer, answer
@@ -39,8 +40,9 @@ class GameDisplay {
         this.gameSelector = new GlobalGameSelector({
             socket: this.socket,
             containerSelector: '#game-selector-container',
+            storageKey: 'trivia-game:display',
             showIfNoGame: true,
-            allowGameChange: false, // Display should not allow game changes
+            allowGameChange: false, // Display picks its game once (or via ?game=) and keeps it
             showCurrentGameIndicator: false
         });
 
@@ -108,6 +110,7 @@ class GameDisplay {
             questionText: document.getElementById('question-text'),
             questionMedia: document.getElementById('question-media'),
             questionPoints: document.getElementById('question-points'),
+            questionOptions: document.getElementById('question-options'),
             
             // Timer elements
             timerProgress: document.getElementById('timer-progress'),
@@ -122,6 +125,23 @@ class GameDisplay {
             // Correct answer elements
             correctAnswerOverlay: document.getElementById('correct-answer-overlay'),
             correctAnswerText: document.getElementById('correct-answer-text'),
+            correctAnswerExplanation: document.getElementById('correct-answer-explanation'),
+            correctAnswerSource: document.getElementById('correct-answer-source'),
+            
+            // Round overlay elements
+            roundOverlay: document.getElementById('round-overlay'),
+            roundOverlayLabel: document.getElementById('round-overlay-label'),
+            roundOverlayTitle: document.getElementById('round-overlay-title'),
+            roundOverlaySubtitle: document.getElementById('round-overlay-subtitle'),
+            roundStandings: document.getElementById('round-standings'),
+            wagerOverlay: document.getElementById('wager-overlay'),
+            wagerOverlayLabel: document.getElementById('wager-overlay-label'),
+            wagerOverlayTitle: document.getElementById('wager-overlay-title'),
+            wagerOverlaySubtitle: document.getElementById('wager-overlay-subtitle'),
+            wagerTeams: document.getElementById('wager-teams'),
+            boardOverlay: document.getElementById('board-overlay'),
+            boardPicker: document.getElementById('board-picker'),
+            boardGrid: document.getElementById('board-grid'),
             
             // Overlay elements
             messageOverlay: document.getElementById('message-overlay'),
@@ -144,6 +164,12 @@ class GameDisplay {
         this.socket.on('connect', () => {
             console.log('Connected to server');
             this.updateGameStatus('Connected');
+
+            // Rooms don't survive a server restart - rejoin to get the live state back
+            if (this.currentGame) {
+                this.socket.emit('join-game', this.currentGame.id);
+                this.socket.emit('join-display');
+            }
         });
 
         this.socket.on('disconnect', () => {
@@ -165,9 +191,19 @@ class GameDisplay {
             this.handleQuestionEnded(data);
         });
 
+        // Reading phase: the clock starts when buzzers arm
+        this.socket.on('reading-ended', (data) => {
+            this.handleReadingEnded(data);
+        });
+
+        this.socket.on('false-start', (data) => {
+            const team = this.currentGame?.groups?.find(g => g.id === data.groupId);
+            this.updateGameStatus(`False start - ${team ? team.name : 'a team'} is locked out`);
+        });
+
         // Timer events
         this.socket.on('timer-update', (data) => {
-            this.updateTimer(data.timeRemaining, data.totalTime);
+            this.syncTimer(data);
         });
 
         this.socket.on('timer-paused', (data) => {
@@ -178,6 +214,11 @@ class GameDisplay {
             this.resumeTimer(data);
         });
 
+        // The server resolves the scoring curve and sends the current point value
+        this.socket.on('question-points', (data) => {
+            this.updateQuestionPoints(data.points);
+        });
+
         // Buzzer events
         this.socket.on('buzzer-pressed', (data) => {
             this.handleBuzzerPressed(data);
@@ -187,6 +228,60 @@ class GameDisplay {
             this.handleAnswerResult(data);
         });
 
+        // Round events
+        this.socket.on('round-started', (data) => {
+            this.showRoundTitle(data.round);
+        });
+
+        this.socket.on('round-completed', (data) => {
+            this.showRoundComplete(data);
+        });
+
+        // Tie-breaker events
+        this.socket.on('tie-detected', (data) => {
+            this.showTieDetected(data.ties);
+        });
+
+        this.socket.on('tiebreak-won', (data) => {
+            const teamName = this.teamNames.get(data.groupId) || 'A team';
+            this.updateGameStatus(`${teamName} wins the tie for ${this.formatPosition(data.position)}!`);
+        });
+
+        // Final wager events
+        this.socket.on('wagers-open', (data) => {
+            this.showWagersOpen(data.submittedGroups);
+        });
+
+        this.socket.on('wager-submitted', (data) => {
+            this.markWagerSubmitted(data.groupId);
+        });
+
+        this.socket.on('wager-revealed', (data) => {
+            this.showWagerReveal(data);
+        });
+
+        // Board mode events
+        this.socket.on('board-updated', (data) => {
+            this.showBoard(data.board);
+        });
+
+        this.socket.on('game-mode-changed', (data) => {
+            if (data.board) {
+                this.showBoard(data.board);
+            } else {
+                this.hideBoard();
+            }
+        });
+
+        // Multiple-choice events
+        this.socket.on('choice-locked', (data) => {
+            this.handleChoiceLocked(data);
+        });
+
+        this.socket.on('choices-graded', (data) => {
+            this.handleChoicesGraded(data);
+        });
+
         // Team/score updates
         this.socket.on('teams-updated', (teams) => {
             this.handleTeamsUpdated(teams);
@@ -196,6 +291,14 @@ class GameDisplay {
             this.handleScoreUpdate(data);
         });
 
+        this.socket.on('scores-corrected', (data) => {
+            data.groups.forEach(group => this.handleScoreUpdate({ groupId: group.id, newScore: group.score }));
+        });
+
+        this.socket.on('buzzer-queue-restored', (data) => {
+            this.handleBuzzerQueueRestored(data);
+        });
+
         // Game control events
         this.socket.on('game-reset', () => {
             this.handleGameReset();
@@ -366,6 +469,8 @@ class GameDisplay {
             questionContent.classList.remove('has-media', 'media-right');
         }
         
+        this.renderQuestionOptions(question);
+
         // Apply dynamic text sizing after content is set
         this.adjustQuestionTextSize();
         
@@ -375,18 +480,60 @@ class GameDisplay {
 
     // Game Event Handlers
     handleGameState(state) {
-        if (state.currentQuestion) {
-            this.currentQuestion = state.currentQuestion;
-            this.showQuestionState(state.currentQuestion);
-            
-            if (state.timeRemaining > 0) {
-                this.updateTimer(state.timeRemaining, state.currentQuestion.time_limit);
-            }
+        const activeQuestion = state.status === 'question_active' && state.activeQuestion;
+        const question = activeQuestion && (state.questions || []).find(q => q.id === activeQuestion.questionId);
+        if (question) {
+            this.restoreActiveQuestion(question, activeQuestion);
         } else {
             this.showIdleState();
         }
         
         this.updateQuestionCounter(state.questionIndex, state.totalQuestions);
+
+        // Reloaded while a round title slide was up
+        if (state.status === 'round_intro' && state.currentRound) {
+            this.showRoundTitle(state.currentRound);
+        }
+
+        if (state.wagers?.open) {
+            this.showWagersOpen(state.wagers.submittedGroups);
+        }
+
+        if (state.status === 'tie_detected' && state.ties?.length) {
+            this.showTieDetected(state.ties);
+        }
+
+        // Board mode keeps the grid up between questions
+        if (state.board && !state.activeQuestion && state.status !== 'game_over') {
+            this.showBoard(state.board);
+        }
+    }
+
+    // Joined (or rejoined after a server restart) while a question is live
+    restoreActiveQuestion(question, activeQuestion) {
+        this.currentQuestion = question;
+        this.hideRoundOverlay();
+        this.hideBoard();
+        this.hideWagerOverlay();
+        this.showQuestionState(question);
+
+        if (question.question_type === 'wager') {
+            this.basePoints = null;
+            this.elements.questionPoints.textContent = 'Final Wager';
+        }
+
+        this.totalTime = question.time_limit || 30;
+        if (activeQuestion.phase === 'reading') {
+            this.clearTimer();
+            this.updateTimer(this.totalTime, this.totalTime);
+            this.updateGameStatus('Reading the question...');
+        } else if (activeQuestion.isPaused) {
+            this.pauseTimer({ timeElapsed: activeQuestion.timeLimit - activeQuestion.timeRemaining });
+        } else {
+            this.resumeTimer({ timeRemaining: activeQuestion.timeRemaining });
+        }
+        this.updateQuestionPoints(activeQuestion.points);
+        this.showSuddenDeath(activeQuestion.tiebreak);
     }
 
     handleQuestionStarted(data) {
@@ -398,20 +545,47 @@ class GameDisplay {
         // Reset answer shown flag for new question
         this.answerWasShown = false;
         
+        this.hideRoundOverlay();
+        this.hideBoard();
+        this.hideWagerOverlay();
         this.showQuestionState(data.question);
+
+        // Points already include the round multiplier; wager questions play for each team's wager
+        if (data.question.question_type === 'wager') {
+            this.basePoints = null;
+            this.elements.questionPoints.textContent = 'Final Wager';
+        } else if (data.points !== undefined) {
+            this.basePoints = data.points;
+            this.elements.questionPoints.textContent = `${this.basePoints} Points`;
+        }
+
         this.totalTime = data.question.time_limit || 30;
         this.timeRemaining = this.totalTime;
         
         // Clear any previous timer state
         this.clearTimer();
         
-        // Update display and start fresh timer
+        // Update display and start fresh timer - after the reading phase if there is one
         this.updateTimer(this.timeRemaining, this.totalTime);
-        this.startTimer();
+        if (data.readingTime > 0) {
+            this.updateGameStatus('Reading the question...');
+        } else {
+            this.startTimer();
+        }
+        this.showSuddenDeath(data.tiebreak);
         
         console.log('Question started on display, timer:', this.totalTime);
     }
 
+    handleReadingEnded(data) {
+        if (!this.currentQuestion || this.currentQuestion.id !== data.questionId) return;
+
+        this.timeRemaining = this.totalTime;
+        this.updateTimer(this.timeRemaining, this.totalTime);
+        this.startTimer();
+        this.updateGameStatus('Buzzers open!');
+    }
+
     handleQuestionEnded(data) {
         this.clearTimer();
         // Keep question visible instead of returning to idle state
@@ -457,6 +631,220 @@ class GameDisplay {
         }
     }
 
+    // Round Overlay Methods
+    showRoundTitle(round) {
+        if (!round || !this.elements.roundOverlay) return;
+
+        this.elements.roundOverlayLabel.textContent = `Round ${round.roundIndex + 1} of ${round.totalRounds}`;
+        this.elements.roundOverlayTitle.textContent = round.name;
+
+        const details = [];
+        if (round.description) details.push(round.description);
+        if (round.pointMultiplier && round.pointMultiplier !== 1) details.push(`${round.pointMultiplier}× points`);
+        this.elements.roundOverlaySubtitle.textContent = details.join(' · ');
+
+        this.elements.roundStandings.classList.add('hidden');
+        this.elements.roundOverlay.classList.remove('hidden');
+    }
+
+    showRoundComplete(data) {
+        if (!data.round || !this.elements.roundOverlay) return;
+
+        this.elements.roundOverlayLabel.textContent = 'Round Complete';
+        this.elements.roundOverlayTitle.textContent = data.round.name;
+        this.elements.roundOverlaySubtitle.textContent = data.nextRound ? `Up next: ${data.nextRound.name}` : '';
+
+        this.elements.roundStandings.innerHTML = (data.standings || []).map((team, index) => `
+            <div class="round-standing">
+                <span class="round-standing-rank">${index + 1}</span>
+                <span class="round-standing-name">${team.name}</span>
+                <span class="round-standing-score">${team.score}</span>
+            </div>
+        `).join('');
+        this.elements.roundStandings.classList.remove('hidden');
+        this.elements.roundOverlay.classList.remove('hidden');
+    }
+
+    // Teams level at the top when regular play ends - the host decides on sudden death
+    showTieDetected(ties) {
+        if (!ties?.length || !this.elements.roundOverlay) return;
+
+        this.elements.roundOverlayLabel.textContent = 'Tie!';
+        this.elements.roundOverlayTitle.textContent = `Tied for ${this.formatPosition(ties[0].position)}`;
+        this.elements.roundOverlaySubtitle.textContent = ties[0].groups.map(group => group.name).join(' vs ');
+
+        this.elements.roundStandings.innerHTML = ties.map(tie => tie.groups.map(group => `
+            <div class="round-standing">
+                <span class="round-standing-rank">${tie.position}</span>
+                <span class="round-standing-name">${group.name}</span>
+                <span class="round-standing-score">${group.score}</span>
+            </div>
+        `).join('')).join('');
+        this.elements.roundStandings.classList.remove('hidden');
+        this.elements.roundOverlay.classList.remove('hidden');
+    }
+
+    // A sudden-death question is for the tied teams only and plays for the place, not points
+    showSuddenDeath(tiebreak) {
+        if (!tiebreak) return;
+
+        this.basePoints = null;
+        this.elements.questionPoints.textContent = 'Sudden Death';
+        const names = tiebreak.groupIds.map(id => this.teamNames.get(id) || 'Team').join(' vs ');
+        this.updateGameStatus(`Sudden death for ${this.formatPosition(tiebreak.position)}: ${names}`);
+    }
+
+    formatPosition(position) {
+        const suffix = { 1: 'st', 2: 'nd', 3: 'rd' }[position] || 'th';
+        return `${position}${suffix} place`;
+    }
+
+    hideRoundOverlay() {
+        this.elements.roundOverlay?.classList.add('hidden');
+    }
+
+    // Final round: teams light up as their (secret) wagers come in
+    showWagersOpen(submittedGroups = []) {
+        if (!this.elements.wagerOverlay) return;
+
+        this.elements.wagerOverlayLabel.textContent = 'Final Round';
+        this.elements.wagerOverlayTitle.textContent = 'Place Your Wagers';
+        this.elements.wagerOverlaySubtitle.textContent = 'Wager any part of your score on the final question';
+
+        this.elements.wagerTeams.innerHTML = (this.currentGame?.groups || []).map(team => `
+            <div class="round-standing ${submittedGroups.includes(team.id) ? '' : 'wager-pending'}" data-group-id="${team.id}">
+                <span class="round-standing-name">${team.name}</span>
+                <span class="round-standing-score">${submittedGroups.includes(team.id) ? '✓' : '…'}</span>
+            </div>
+        `).join('');
+        this.elements.wagerTeams.classList.remove('hidden');
+        this.elements.wagerOverlay.classList.remove('hidden');
+    }
+
+    markWagerSubmitted(groupId) {
+        const row = this.elements.wagerTeams?.querySelector(`[data-group-id="${groupId}"]`);
+        if (!row) return;
+
+        row.classList.remove('wager-pending');
+        row.querySelector('.round-standing-score').textContent = '✓';
+    }
+
+    // Reveal walks from the lowest score to the highest, one team per host click
+    showWagerReveal(data) {
+        if (!this.elements.wagerOverlay) return;
+
+        const sign = data.pointsAwarded >= 0 ? '+' : '';
+        this.elements.wagerOverlayLabel.textContent = `Wagered ${data.amount}`;
+        this.elements.wagerOverlayTitle.innerHTML = `<span style="color: ${data.teamColor || '#ffffff'}">${data.teamName}</span>`;
+        this.elements.wagerOverlaySubtitle.innerHTML = `
+            <span class="wager-result ${data.isCorrect ? 'correct' : 'wrong'}">${data.isCorrect ? 'Correct' : 'Wrong'} ${sign}${data.pointsAwarded}</span>
+            · ${data.previousScore} → ${data.newScore}
+        `;
+
+        if (data.standings) {
+            this.elements.wagerTeams.innerHTML = data.standings.map((team, index) => `
+                <div class="round-standing">
+                    <span class="round-standing-rank">${index + 1}</span>
+                    <span class="round-standing-name">${team.name}</span>
+                    <span class="round-standing-score">${team.score}</span>
+                </div>
+            `).join('');
+            this.elements.wagerTeams.classList.remove('hidden');
+        } else {
+            this.elements.wagerTeams.classList.add('hidden');
+        }
+
+        this.elements.wagerOverlay.classList.remove('hidden');
+    }
+
+    hideWagerOverlay() {
+        this.elements.wagerOverlay?.classList.add('hidden');
+    }
+
+    // Board mode: categories as columns, values as rows, played cells greyed out
+    showBoard(board) {
+        if (!board || !this.elements.boardOverlay) return;
+
+        const picker = this.currentGame?.groups?.find(g => g.id === board.pickerGroupId);
+        this.elements.boardPicker.innerHTML = picker
+            ? `<span class="board-picker-team" style="background: ${picker.color || 'var(--primary)'}">${picker.name}</span> picks next`
+            : 'Host picks next';
+
+        this.elements.boardGrid.innerHTML = board.categories.map(category => `
+            <div class="board-category">
+                <div class="board-category-name">${category.name}</div>
+                ${category.cells.map(cell => `
+                    <div class="board-cell ${cell.played ? 'played' : ''}" data-question-id="${cell.questionId}">${cell.value}</div>
+                `).join('')}
+            </div>
+        `).join('');
+
+        this.elements.boardOverlay.classList.remove('hidden');
+    }
+
+    hideBoard() {
+        this.elements.boardOverlay?.classList.add('hidden');
+    }
+
+    renderQuestionOptions(question) {
+        const container = this.elements.questionOptions;
+        if (!container) return;
+
+        if (question.question_type !== 'multiple_choice' || !Array.isArray(question.options)) {
+            container.innerHTML = '';
+            container.classList.add('hidden');
+            return;
+        }
+
+        container.innerHTML = question.options.map((option, index) => `
+            <div class="question-option" data-option-index="${index}">
+                <div class="question-option-label">
+                    <span class="question-option-letter">${String.fromCharCode(65 + index)}</span>
+                    <span class="question-option-text">${option}</span>
+                </div>
+                <div class="question-option-picks"></div>
+            </div>
+        `).join('');
+        container.classList.remove('hidden');
+    }
+
+    handleChoiceLocked(data) {
+        // Show who has locked in without revealing the pick
+        this.handleBuzzerPressed({
+            groupId: data.groupId,
+            buzzerId: data.groupId,
+            deltaMs: data.deltaMs
+        });
+    }
+
+    handleChoicesGraded(data) {
+        const container = this.elements.questionOptions;
+        if (!container) return;
+
+        container.querySelectorAll('.question-option').forEach(optionEl => {
+            const index = parseInt(optionEl.dataset.optionIndex);
+            optionEl.classList.toggle('correct', index === data.correctOption);
+            optionEl.classList.toggle('dimmed', index !== data.correctOption);
+
+            const picks = (data.results || []).filter(result => result.optionIndex === index);
+            optionEl.querySelector('.question-option-picks').innerHTML = picks.map(result => {
+                const team = this.currentGame?.groups?.find(g => g.id === result.groupId);
+                const teamName = team?.name || this.teamNames.get(result.groupId) || 'Team';
+                return `<span class="question-option-pick" style="background: ${team?.color || 'var(--primary)'}">${teamName}</span>`;
+            }).join('');
+        });
+
+        // Mark each locked-in team in the sidebar
+        (data.results || []).forEach(result => {
+            const item = this.buzzerQueue.find(b => b.groupId === result.groupId);
+            if (item) {
+                item.evaluated = true;
+                item.isCorrect = result.isCorrect;
+            }
+        });
+        this.updateBuzzerQueue();
+    }
+
     handleBuzzerResult(data) {
         // This handles when the host selects which team to answer
         this.highlightSelectedTeam(data.buzzerId);
@@ -485,7 +873,7 @@ class GameDisplay {
         this.updateBuzzerQueueWithResult(displayData);
         
         // Clear after delay
-        setTimeout(() => {
+        this.answerResultTimeout = setTimeout(() => {
             if (data.isCorrect) {
                 this.showIdleState();
                 this.currentQuestion = null;
@@ -528,6 +916,9 @@ class GameDisplay {
     handleGameReset() {
         this.clearTimer();
         this.clearBuzzerQueue();
+        this.hideRoundOverlay();
+        this.hideBoard();
+        this.hideWagerOverlay();
 
         // Auto-hide correct answer overlay on game reset
         this.hideCorrectAnswer();
@@ -614,6 +1005,28 @@ class GameDisplay {
         }, updateInterval);
     }
 
+    // Authoritative clock from the server: count down from its remaining time, less
+    // however much later than usual the tick arrived
+    syncTimer(data) {
+        if (!this.currentQuestion || data.questionId !== this.currentQuestion.id || data.phase === 'reading') return;
+
+        const remaining = Math.max(0, data.timeRemaining - this.timerSync.getTickDelay(data.serverTime)) / 1000;
+        this.totalTime = data.timeLimit / 1000;
+
+        if (data.isPaused) {
+            // Missed the pause, e.g. across a reconnect
+            if (this.questionTimer) {
+                this.pauseTimer({ timeElapsed: data.timeLimit - data.timeRemaining });
+            }
+            return;
+        }
+
+        this.timeRemaining = remaining;
+        if (!this.questionTimer && remaining > 0) {
+            this.startTimer();
+        }
+    }
+
     clearTimer() {
         if (this.questionTimer) {
             clearInterval(this.questionTimer);
@@ -638,19 +1051,6 @@ class GameDisplay {
         const percentage = this.totalTime > 0 ? Math.max(0, (this.timeRemaining / this.totalTime) * 100) : 0;
         this.elements.timerProgress.style.width = `${percentage}%`;
         
-        // Update points display if time-based scoring
-        if (this.currentGame && this.currentGame.time_based_scoring && this.currentQuestion) {
-            const points = this.calculateTimeBasedPoints(
-                this.currentQuestion.points,
-                this.timeRemaining,
-                this.totalTime
-            );
-            if (this.lastDisplayedPoints !== points) {
-                this.elements.questionPoints.textContent = `${points} points`;
-                this.lastDisplayedPoints = points;
-            }
-        }
-        
         console.log('Timer paused on display, remaining:', this.timeRemaining);
         
         // Pause any playing media
@@ -718,15 +1118,6 @@ class GameDisplay {
                 this.elements.timerText.textContent = `${seconds}s`;
                 this.lastDisplayedSeconds = seconds;
             }
-
-            // Update points display for time-based scoring (only when points change)
-            if (this.currentGame && this.currentGame.time_based_scoring && this.basePoints && this.currentState === 'question') {
-                const currentPoints = this.calculateTimeBasedPoints(this.basePoints, timeRemaining, totalTime);
-                if (this.lastDisplayedPoints !== currentPoints) {
-                    this.elements.questionPoints.textContent = `${currentPoints} Points`;
-                    this.lastDisplayedPoints = currentPoints;
-                }
-            }
         } else {
             this.elements.timerText.textContent = 'Time up!';
             // Force timer to 0% when showing "Time up!"
@@ -827,6 +1218,14 @@ class GameDisplay {
         this.updateBuzzerQueue();
     }
 
+    // The host undid an evaluation - show the queue as it was before it
+    handleBuzzerQueueRestored(data) {
+        clearTimeout(this.answerResultTimeout);
+        this.buzzerQueue = [];
+        data.buzzerOrder.forEach(buzzer => this.handleBuzzerPressed(buzzer));
+        this.updateBuzzerQueue();
+    }
+
     removeFromBuzzerQueue(buzzerId) {
         this.buzzerQueue = this.buzzerQueue.filter(item => item.buzzerId !== buzzerId);
         // Reorder the remaining items
@@ -903,14 +1302,13 @@ class GameDisplay {
         this.elements.messageOverlay.classList.add('hidden');
     }
 
-    // Time-based scoring calculation (matches backend logic)
-    calculateTimeBasedPoints(originalPoints, timeRemaining, totalTime) {
-        if (timeRemaining <= 0) return 0;
-        if (timeRemaining >= totalTime) return originalPoints;
-        
-        // Linear decrease from original points to 0
-        const ratio = timeRemaining / totalTime;
-        return Math.ceil(originalPoints * ratio);
+    // Only touch the DOM when the value actually changes
+    updateQuestionPoints(points) {
+        if (this.currentState !== 'question' || this.basePoints === null || points === null || points === undefined) return;
+        if (this.lastDisplayedPoints !== points) {
+            this.elements.questionPoints.textContent = `${points} Points`;
+            this.lastDisplayedPoints = points;
+        }
     }
 
     // Dynamic Text Sizing
@@ -1401,6 +1799,16 @@ class GameDisplay {
         
         // Update the correct answer text
         this.elements.correctAnswerText.textContent = data.correctAnswer;
+
+        // Explanation and source sit under the answer when the question has them
+        if (this.elements.correctAnswerExplanation) {
+            this.elements.correctAnswerExplanation.textContent = data.explanation || '';
+            this.elements.correctAnswerExplanation.classList.toggle('hidden', !data.explanation);
+        }
+        if (this.elements.correctAnswerSource) {
+            this.elements.correctAnswerSource.textContent = data.source ? `Source: ${data.source}` : '';
+            this.elements.correctAnswerSource.classList.toggle('hidden', !data.source);
+        }
         
         // Show the overlay and mark that answer was shown
         this.elements.correctAnswerOverlay.classList.remove('hidden');
@@ -1487,8 +1895,8 @@ class GameDisplay {
         const youtubeMatch = finalUrl.match(/(?:youtube\.com\/watch\?.*v=([a-zA-Z0-9_-]+)|youtu\.be\/([a-zA-Z0-9_-]+))/);
         const isYouTube = youtubeMatch !== null;
         
-        // Determine if it's a video file based on file extension
-        const isVideo = /\.(mp4|webm|ogg|mov|avi|mkv)(\?.*)?$/i.test(finalUrl);
+        // Video and audio files both play in the video element
+        const isVideo = /\.(mp4|webm|ogg|mov|avi|mkv|mp3|wav|m4a|aac|flac)(\?.*)?$/i.test(finalUrl);
         
         if (isYouTube) {
             // Handle YouTube video via iframe
@@ -1815,7 +2223,9 @@ class GameDisplay {
 
 // Initialize the display when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
-    window.gameDisplay = new GameDisplay();
+    triviaAuth.require('display').then(() => {
+        window.gameDisplay = new GameDisplay();
+    });
 });
 
 // Cleanup on page unload
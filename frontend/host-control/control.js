@@ -8,8 +8,18 @@ class HostControl {
         this.buzzerOrder = [];
         this.isQuestionActive = false;
         this.activeQuestionIndex = -1; // Track which question is actually on-air/running
+        this.currentQuestionId = null; // ID of the live question
+        this.timerSync = new TimerSync();
+        this.choicePicks = new Map(); // groupId -> option index for the live multiple-choice question
+        this.choiceQuestionId = null;
+        this.choicesGraded = false;
+        this.board = null; // Category x value grid when the game is in board mode
+        this.wagers = []; // Wagers for the current wager question, amounts included
+        this.wagerQuestionId = null;
+        this.wagersOpen = false;
+        this.ties = []; // Ties waiting for sudden death, highest position first
         this.isBuzzersArmed = false;
-        this.playedQuestions = new Set(); // Track which questions have been played
+        this.playedQuestions = new Set(); // IDs of the questions that have been played
         this.buzzerDevices = new Map();
         this.virtualBuzzers = new Map(); // Track active virtual buzzers
         this.virtualBuzzersEnabled = false; // Track if virtual buzzers are enabled
@@ -42,6 +52,7 @@ class HostControl {
         this.evaluationHistory = [];
         this.questionTimer = null;
         this.questionStartTime = null;
+        this.readingPhase = false; // Question shown, buzzers not armed yet
         this.questionTimeLimit = 30;
 
         // Game actions state
@@ -66,6 +77,7 @@ class HostControl {
         this.gameSelector = new GlobalGameSelector({
             socket: this.socket,
             containerSelector: '#game-selector-container',
+            storageKey: 'trivia-game:host-control',
             showIfNoGame: true,
             allowGameChange: true
         });
@@ -147,8 +159,8 @@ class HostControl {
 
         // Sync local played questions with server data
         this.playedQuestions.clear();
-        game.played_questions.forEach(index => {
-            this.playedQuestions.add(index);
+        game.played_questions.forEach(questionId => {
+            this.playedQuestions.add(questionId);
         });
         
         // Reset local state first
@@ -195,16 +207,15 @@ class HostControl {
 
             console.log('Checking for current game...');
 
-            // Fetch current game from API
-            const response = await fetch('/api/games/global/current');
-            const status = await response.json();
+            // The selector binds this screen to its saved (or ?game=) game
+            const game = this.gameSelector.getCurrentGame();
 
-            if (status.gameId && status.game) {
-                console.log('Found current game, loading:', status.game.name);
-                this.onGameChanged(status.game);
+            if (game) {
+                console.log('Found current game, loading:', game.name);
+                this.onGameChanged(game);
             } else {
                 console.log('No current game found');
-                this.showToast('No active game. Please select a game to continue.', 'info');
+                this.showToast('No game selected for this screen. Please select a game to continue.', 'info');
             }
         } catch (error) {
             console.error('Failed to check current game:', error);
@@ -224,6 +235,24 @@ class HostControl {
             // Main question elements
             questionText: document.getElementById('question-text'),
             questionMeta: document.getElementById('question-meta'),
+            questionChoices: document.getElementById('question-choices'),
+            wagerPanel: document.getElementById('wager-panel'),
+            wagerList: document.getElementById('wager-list'),
+            openWagersBtn: document.getElementById('open-wagers-btn'),
+            revealWagerBtn: document.getElementById('reveal-wager-btn'),
+            tiebreakPanel: document.getElementById('tiebreak-panel'),
+            tiebreakList: document.getElementById('tiebreak-list'),
+            startSuddenDeathBtn: document.getElementById('start-sudden-death-btn'),
+            declineTiebreakBtn: document.getElementById('decline-tiebreak-btn'),
+            roundNavigator: document.getElementById('round-navigator'),
+            roundNavigatorLabel: document.getElementById('round-navigator-label'),
+            roundNavigatorMeta: document.getElementById('round-navigator-meta'),
+            prevRoundBtn: document.getElementById('prev-round-btn'),
+            nextRoundBtn: document.getElementById('next-round-btn'),
+            startRoundBtn: document.getElementById('start-round-btn'),
+            boardPanel: document.getElementById('board-panel'),
+            boardPickerLabel: document.getElementById('board-picker-label'),
+            boardGrid: document.getElementById('board-grid'),
             questionMedia: document.getElementById('question-media'),
             
             // Timer elements (circular timer removed - only progress bar remains)
@@ -311,6 +340,7 @@ class HostControl {
             resumeGameBtn: document.getElementById('resume-game-btn'),
             exportGameDataBtn: document.getElementById('export-game-data-btn'),
             clearGameHistoryBtn: document.getElementById('clear-game-history-btn'),
+            undoScoreBtn: document.getElementById('undo-score-btn'),
             gameActionStatus: document.getElementById('game-action-status'),
             statusMessage: document.getElementById('status-message'),
             gameActionConfirmation: document.getElementById('game-action-confirmation'),
@@ -350,6 +380,7 @@ class HostControl {
             onlineBuzzers: document.getElementById('online-buzzers'),
             virtualBuzzersSection: document.getElementById('virtual-buzzers-section'),
             virtualBuzzers: document.getElementById('virtual-buzzers'),
+            teamJoinCodes: document.getElementById('team-join-codes'),
             offlineBuzzers: document.getElementById('offline-buzzers'),
 
             // Buzzer control elements
@@ -379,6 +410,11 @@ class HostControl {
         this.socket.on('connect', () => {
             this.updateConnectionStatus('Connected', true);
             this.socket.emit('join-control');
+
+            // Rooms don't survive a server restart - rejoin to get the live state back
+            if (this.currentGame) {
+                this.socket.emit('join-game', this.currentGame.id);
+            }
         });
 
         this.socket.on('disconnect', () => {
@@ -435,6 +471,11 @@ class HostControl {
             }
         });
 
+        // Authoritative clock ticks: keep the countdown on the server's remaining time
+        this.socket.on('timer-update', (data) => {
+            this.syncTimer(data);
+        });
+
         this.socket.on('timer-resumed', (data) => {
             console.log('Timer resumed by backend:', data);
             // Update remaining time from backend
@@ -461,10 +502,28 @@ class HostControl {
             this.activeQuestionIndex = data.questionIndex;
             this.questionStartTime = data.startTime;
             this.questionTimeLimit = data.question.time_limit || 30;
-            this.startTimer();
+            this.readingPhase = data.readingTime > 0;
+            if (this.readingPhase) {
+                this.showReadingPhase();
+            } else {
+                this.startTimer();
+            }
             this.updateQuestionControls();
             this.resetAnswerEvaluation(); // Clear previous evaluation state
             this.hideCurrentAnswererHighlight();
+            this.choicePicks = new Map();
+            this.currentQuestionId = data.question.id;
+            this.choiceQuestionId = data.question.id;
+            this.choicesGraded = false;
+            this.renderQuestionChoices();
+            this.renderBoard();
+            this.wagersOpen = false;
+            if (data.question.question_type === 'wager') this.loadWagers();
+            this.ties = [];
+            this.renderTiebreakPanel();
+            if (data.tiebreak) {
+                this.showToast(`⚖️ Sudden death: ${this.getTeamNames(data.tiebreak.groupIds)}`, 'info');
+            }
             
             // Refresh game state to get updated played_questions and update tabs
             if (this.currentGame) {
@@ -490,6 +549,7 @@ class HostControl {
 
         this.socket.on('question-end', async (data) => {
             this.isQuestionActive = false;
+            this.readingPhase = false;
             this.activeQuestionIndex = -1; // Clear on-air status
             this.buzzerOrder = data.buzzerOrder || [];
             this.stopTimer();
@@ -507,6 +567,8 @@ class HostControl {
             this.updateBuzzerResults();
             this.hideCurrentAnswererHighlight();
             this.updateQuestionTabsState();
+            this.renderBoard();
+            this.renderWagerPanel();
 
             // Host manually advanced to next question
         });
@@ -526,6 +588,34 @@ class HostControl {
             this.showToast('Points awarded successfully', 'success');
         });
 
+        this.socket.on('scores-corrected', (data) => {
+            this.handleScoresCorrected(data);
+        });
+
+        // Reading phase and false starts
+        this.socket.on('reading-ended', (data) => {
+            this.readingPhase = false;
+            this.questionStartTime = data.startTime;
+            this.startTimer();
+        });
+
+        this.socket.on('false-start', (data) => {
+            const team = this.teams.find(t => t.id === data.groupId);
+            const lockout = data.lockedUntil
+                ? `for ${Math.round((data.lockedUntil - Date.now()) / 1000)}s`
+                : 'for this question';
+            this.showToast(`False start: ${team ? team.name : 'team'} locked out ${lockout}`, 'warning');
+        });
+
+        this.socket.on('lockout-ended', (data) => {
+            const team = this.teams.find(t => t.id === data.groupId);
+            this.showToast(`${team ? team.name : 'Team'} lockout ended`, 'info');
+        });
+
+        this.socket.on('buzzer-queue-restored', (data) => {
+            this.handleBuzzerQueueRestored(data);
+        });
+
         this.socket.on('game-reset', () => {
             this.resetControlPanel();
             this.showToast('Game has been reset', 'info');
@@ -553,10 +643,73 @@ class HostControl {
             this.handleQuestionPrepared(data);
         });
 
+        // Round listeners
+        this.socket.on('round-completed', (data) => {
+            const next = data.nextRound ? ` - next up: ${data.nextRound.name}` : '';
+            this.showToast(`Round "${data.round.name}" complete${next}`, 'info');
+        });
+
+        // Final wager listeners
+        this.socket.on('wagers-open', () => {
+            this.wagersOpen = true;
+            this.loadWagers();
+        });
+
+        this.socket.on('wager-submitted', (data) => {
+            // The game room copy has no amount; the control-panel copy does
+            if (data.amount !== undefined) this.loadWagers();
+        });
+
+        this.socket.on('wager-marked', () => {
+            this.loadWagers();
+        });
+
+        this.socket.on('wager-revealed', (data) => {
+            if (data.remaining === 0) {
+                this.showToast('All wagers revealed', 'success');
+            }
+            this.loadWagers();
+        });
+
+        // Board mode listeners
+        this.socket.on('board-updated', (data) => {
+            this.board = data.board;
+            this.renderBoard();
+        });
+
+        this.socket.on('board-cell-picked', (data) => {
+            this.handleBoardCellPicked(data);
+        });
+
+        this.socket.on('game-mode-changed', (data) => {
+            this.board = data.board;
+            this.renderBoard();
+        });
+
+        // Multiple-choice listeners
+        this.socket.on('choice-locked', (data) => {
+            this.handleChoiceLocked(data);
+        });
+
+        this.socket.on('choices-graded', (data) => {
+            this.handleChoicesGraded(data);
+        });
+
         this.socket.on('game-completed', (data) => {
             this.handleGameCompleted(data);
         });
 
+        // Tie-breaker listeners
+        this.socket.on('tie-detected', (data) => {
+            this.ties = data.ties;
+            this.renderTiebreakPanel();
+            this.showToast('⚖️ Tie detected - start sudden death or finish the game', 'warning', 6000);
+        });
+
+        this.socket.on('tiebreak-won', (data) => {
+            this.showToast(`🏆 ${this.getTeamNames([data.groupId])} wins the tie for ${this.formatPosition(data.position)}`, 'success', 5000);
+        });
+
         // WiFi channel change listeners
         this.socket.on('wifi-channel-changed', (data) => {
             console.log('WiFi channel changed to:', data.channel);
@@ -578,6 +731,17 @@ class HostControl {
         if (this.elements.increaseFontBtn) this.elements.increaseFontBtn.addEventListener('click', () => this.increaseDisplayFontSize());
         if (this.elements.nextQuestionBtn) this.elements.nextQuestionBtn.addEventListener('click', () => this.nextQuestion());
         if (this.elements.prevQuestionBtn) this.elements.prevQuestionBtn.addEventListener('click', () => this.prevQuestion());
+        if (this.elements.prevRoundBtn) this.elements.prevRoundBtn.addEventListener('click', () => this.goToAdjacentRound(-1));
+        if (this.elements.nextRoundBtn) this.elements.nextRoundBtn.addEventListener('click', () => this.goToAdjacentRound(1));
+        if (this.elements.startRoundBtn) this.elements.startRoundBtn.addEventListener('click', () => {
+            const round = this.getCurrentRound();
+            if (round) this.startRound(round.id);
+        });
+        if (this.elements.openWagersBtn) this.elements.openWagersBtn.addEventListener('click', () => this.openWagers());
+        if (this.elements.revealWagerBtn) this.elements.revealWagerBtn.addEventListener('click', () => this.revealNextWager());
+        if (this.elements.wagerList) this.elements.wagerList.addEventListener('click', (e) => this.handleWagerListClick(e));
+        if (this.elements.startSuddenDeathBtn) this.elements.startSuddenDeathBtn.addEventListener('click', () => this.startSuddenDeath());
+        if (this.elements.declineTiebreakBtn) this.elements.declineTiebreakBtn.addEventListener('click', () => this.declineTieBreak());
         if (this.elements.questionSelect) this.elements.questionSelect.addEventListener('change', (e) => this.jumpToQuestion(e.target.value));
         if (this.elements.showQuestionSelectBtn) this.elements.showQuestionSelectBtn.addEventListener('click', () => this.showQuestionSelectModal());
         if (this.elements.showLeaderboardBtn) this.elements.showLeaderboardBtn.addEventListener('click', () => this.toggleLeaderboard());
@@ -833,7 +997,7 @@ class HostControl {
         }
     }
 
-    // Game loading is now handled by the global game selector
+    // Game loading is now handled by the game selector
 
     handleGameState(state) {
         if (!state) return;
@@ -842,10 +1006,58 @@ class HostControl {
         this.questions = state.questions || [];
         this.teams = state.groups || [];
         this.currentQuestionIndex = state.current_question_index || 0;
+        this.board = state.board || null;
+        this.ties = state.ties || [];
         
         this.updateGameDisplay();
         this.updateTeamDisplay();
         this.updateQuestionDisplay();
+        this.renderBoard();
+        this.renderTiebreakPanel();
+
+        if (state.status === 'question_active' && state.activeQuestion) {
+            this.restoreActiveQuestion(state);
+        }
+    }
+
+    // Joined (or rejoined after a server restart) while a question is live
+    restoreActiveQuestion(state) {
+        const activeQuestion = state.activeQuestion;
+        this.synchronizeGameState(state);
+
+        this.buzzerOrder = activeQuestion.buzzerOrder || [];
+        this.questionTimeLimit = activeQuestion.timeLimit / 1000;
+        this.questionStartTime = Date.now() - (activeQuestion.timeLimit - activeQuestion.timeRemaining);
+        this.readingPhase = activeQuestion.phase === 'reading';
+        if (this.readingPhase) {
+            this.showReadingPhase();
+        } else if (activeQuestion.isPaused) {
+            this.stopTimer();
+            if (this.elements.progressTimeText) {
+                this.elements.progressTimeText.textContent = `${Math.ceil(activeQuestion.timeRemaining / 1000)}s remaining`;
+            }
+        } else {
+            this.startTimer();
+        }
+
+        this.currentQuestionId = activeQuestion.questionId;
+        this.choiceQuestionId = activeQuestion.questionId;
+        this.choicePicks = new Map();
+        this.choicesGraded = false;
+        if (activeQuestion.choiceResults) {
+            this.handleChoicesGraded(activeQuestion.choiceResults);
+        } else {
+            this.renderQuestionChoices();
+        }
+
+        this.updateQuestionControls();
+        this.updateBuzzerResults();
+        this.updateAnswerEvaluation();
+        this.updateQuestionTabsState();
+        if (this.buzzerOrder.length > 0) {
+            this.showCurrentAnswererHighlight(this.buzzerOrder[0]);
+            this.showAnswerEvaluationModal();
+        }
     }
 
     updateGameDisplay() {
@@ -1102,10 +1314,16 @@ class HostControl {
             }
             
             // Update meta info
+            const round = this.getCurrentRound();
+            const multiplier = round && round.point_multiplier && round.point_multiplier !== 1 ? ` ×${round.point_multiplier}` : '';
             this.elements.questionMeta.innerHTML = `
-                <span class="points">${question.points || 100} pts</span>
+                <span class="points">${question.points || 100} pts${multiplier}</span>
                 <span class="time">${question.time_limit || 30}s</span>
             `;
+
+            this.renderQuestionChoices();
+            this.renderWagerPanel();
+            this.updateRoundNavigator();
         } else {
             this.elements.questionText.textContent = 'Select a game and start your first question...';
             this.elements.questionMeta.innerHTML = '';
@@ -1118,6 +1336,367 @@ class HostControl {
         this.updateQuestionProgress();
     }
     
+    getRounds() {
+        return this.currentGame?.rounds || [];
+    }
+
+    getCurrentRound() {
+        const question = this.questions[this.currentQuestionIndex];
+        if (!question || !question.round_id) return null;
+        return this.getRounds().find(round => round.id === question.round_id) || null;
+    }
+
+    updateRoundNavigator() {
+        const rounds = this.getRounds();
+        if (!this.elements.roundNavigator) return;
+
+        if (rounds.length === 0) {
+            this.elements.roundNavigator.classList.add('hidden');
+            return;
+        }
+        this.elements.roundNavigator.classList.remove('hidden');
+
+        const round = this.getCurrentRound();
+        const roundIndex = round ? rounds.indexOf(round) : -1;
+
+        if (round) {
+            const multiplier = round.point_multiplier && round.point_multiplier !== 1 ? ` · ${round.point_multiplier}× points` : '';
+            this.elements.roundNavigatorLabel.textContent = round.name;
+            this.elements.roundNavigatorMeta.textContent = `Round ${roundIndex + 1} of ${rounds.length}${multiplier}`;
+        } else {
+            this.elements.roundNavigatorLabel.textContent = 'No round';
+            this.elements.roundNavigatorMeta.textContent = `${rounds.length} rounds`;
+        }
+
+        const busy = this.isQuestionActive;
+        this.elements.prevRoundBtn.disabled = busy || roundIndex <= 0;
+        this.elements.nextRoundBtn.disabled = busy || roundIndex >= rounds.length - 1;
+        this.elements.startRoundBtn.disabled = busy || !round;
+    }
+
+    async goToAdjacentRound(direction) {
+        const rounds = this.getRounds();
+        const current = this.getCurrentRound();
+        const targetIndex = (current ? rounds.indexOf(current) : -1) + direction;
+        if (targetIndex < 0 || targetIndex >= rounds.length) return;
+
+        await this.startRound(rounds[targetIndex].id);
+    }
+
+    // Move to a round's first unplayed question and put its title slide on the display
+    async startRound(roundId) {
+        if (!this.currentGame || this.isQuestionActive) return;
+
+        try {
+            if (this.isBuzzersArmed) {
+                await this.disarmBuzzers(true, 'navigation');
+            }
+            this.activeQuestionIndex = -1;
+            this.resetTogglesForIdleState();
+
+            const response = await fetch(`/api/games/${this.currentGame.id}/start-round/${roundId}`, {
+                method: 'POST'
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.error || 'Failed to start round');
+            }
+
+            this.currentQuestionIndex = result.firstQuestionIndex;
+            this.currentGame.current_question_index = result.firstQuestionIndex;
+            this.updateQuestionDisplay();
+            this.updateQuestionControls();
+            this.updateQuestionTabsState();
+            this.showToast(`Round "${result.round.name}" on display`, 'info');
+        } catch (error) {
+            console.error('Failed to start round:', error);
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    // Final wagers: host opens wagering, can enter wagers for teams, marks each team
+    // after the question, then reveals results one team at a time
+    async loadWagers() {
+        const question = this.questions[this.currentQuestionIndex];
+        if (!this.currentGame || question?.question_type !== 'wager') return;
+
+        try {
+            const response = await fetch(`/api/games/${this.currentGame.id}/wagers`);
+            if (!response.ok) return;
+            this.wagers = await response.json();
+            this.wagerQuestionId = question.id;
+            this.renderWagerPanel();
+        } catch (error) {
+            console.error('Failed to load wagers:', error);
+        }
+    }
+
+    renderWagerPanel() {
+        if (!this.elements.wagerPanel) return;
+
+        const question = this.questions[this.currentQuestionIndex];
+        if (question?.question_type !== 'wager') {
+            this.elements.wagerPanel.classList.add('hidden');
+            return;
+        }
+        this.elements.wagerPanel.classList.remove('hidden');
+
+        if (this.wagerQuestionId !== question.id) {
+            this.wagers = [];
+            this.wagerQuestionId = question.id;
+            if (this.currentGame?.status === 'wagering') this.wagersOpen = true;
+            this.loadWagers();
+        }
+
+        const locked = this.wagers.some(wager => wager.locked);
+        const unrevealed = this.wagers.filter(wager => wager.locked && !wager.revealed);
+        this.elements.openWagersBtn.disabled = locked || this.wagersOpen;
+        this.elements.revealWagerBtn.disabled = !locked || this.isQuestionActive || unrevealed.length === 0;
+
+        this.elements.wagerList.innerHTML = this.teams.map(team => {
+            const wager = this.wagers.find(w => w.group_id === team.id);
+            let controls = '';
+
+            if (wager?.revealed) {
+                controls = `<span class="wager-amount">${wager.points_awarded >= 0 ? '+' : ''}${wager.points_awarded}</span>`;
+            } else if (wager?.locked) {
+                controls = `
+                    <span class="wager-amount">${wager.amount}</span>
+                    <button class="btn btn-small btn-success wager-mark ${wager.is_correct === 1 ? 'active' : ''}" data-group-id="${team.id}" data-correct="1">✓</button>
+                    <button class="btn btn-small btn-danger wager-mark ${wager.is_correct === 0 ? 'active' : ''}" data-group-id="${team.id}" data-correct="0">✗</button>
+                `;
+            } else if (this.wagersOpen) {
+                controls = `
+                    <span class="wager-amount">${wager ? wager.amount : '—'}</span>
+                    <input type="number" class="wager-input" min="0" max="${Math.max(0, team.score)}" placeholder="0-${Math.max(0, team.score)}" data-group-id="${team.id}">
+                    <button class="btn btn-small btn-secondary wager-set" data-group-id="${team.id}">Set</button>
+                `;
+            }
+
+            return `
+                <div class="wager-row" style="--team-color: ${team.color || 'var(--waze-primary)'}">
+                    <span class="wager-team">${team.name} (${team.score})</span>
+                    ${controls}
+                </div>
+            `;
+        }).join('');
+    }
+
+    handleWagerListClick(e) {
+        const markBtn = e.target.closest('.wager-mark');
+        if (markBtn) {
+            this.markWager(markBtn.dataset.groupId, markBtn.dataset.correct === '1');
+            return;
+        }
+
+        const setBtn = e.target.closest('.wager-set');
+        if (setBtn) {
+            const input = this.elements.wagerList.querySelector(`.wager-input[data-group-id="${setBtn.dataset.groupId}"]`);
+            this.submitWager(setBtn.dataset.groupId, input?.value);
+        }
+    }
+
+    async openWagers() {
+        await this.postGameAction('wagers/open', null, 'Failed to open wagers');
+    }
+
+    async submitWager(groupId, amount) {
+        await this.postGameAction('wagers', { groupId, amount }, 'Failed to set wager');
+    }
+
+    async markWager(groupId, isCorrect) {
+        await this.postGameAction(`wagers/${groupId}/mark`, { isCorrect }, 'Failed to mark wager');
+    }
+
+    async revealNextWager() {
+        await this.postGameAction('wagers/reveal-next', null, 'Failed to reveal wager');
+    }
+
+    // Tie-breakers: when regular play ends level at the top, the host picks sudden death or ends the game tied
+    renderTiebreakPanel() {
+        if (!this.elements.tiebreakPanel) return;
+
+        const ties = this.ties || [];
+        this.elements.tiebreakPanel.classList.toggle('hidden', ties.length === 0);
+        if (ties.length === 0) return;
+
+        this.elements.tiebreakList.innerHTML = ties.map(tie => `
+            <div class="tiebreak-row">
+                <span class="tiebreak-position">${this.formatPosition(tie.position)}</span>
+                <span class="tiebreak-teams">${tie.groups.map(group => `${group.name} (${group.score})`).join(' · ')}</span>
+            </div>
+        `).join('');
+        this.elements.startSuddenDeathBtn.textContent = `⚖️ Sudden Death: ${this.formatPosition(ties[0].position)}`;
+    }
+
+    formatPosition(position) {
+        const suffix = { 1: 'st', 2: 'nd', 3: 'rd' }[position] || 'th';
+        return `${position}${suffix} place`;
+    }
+
+    getTeamNames(groupIds) {
+        return groupIds.map(id => this.teams.find(team => team.id === id)?.name || 'Team').join(' vs ');
+    }
+
+    async startSuddenDeath() {
+        await this.postGameAction('tiebreaker/start', null, 'Failed to start sudden death');
+    }
+
+    async declineTieBreak() {
+        if (!confirm('Finish the game with the tie standing?')) return;
+        await this.postGameAction('tiebreaker/decline', null, 'Failed to finish the game');
+    }
+
+    async postGameAction(path, body, errorMessage) {
+        if (!this.currentGame) return;
+
+        try {
+            const response = await fetch(`/api/games/${this.currentGame.id}/${path}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: body ? JSON.stringify(body) : undefined
+            });
+            if (!response.ok) {
+                const result = await response.json();
+                throw new Error(result.error || errorMessage);
+            }
+        } catch (error) {
+            console.error(errorMessage, error);
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    // Board mode grid - clicking an open cell starts that question
+    renderBoard() {
+        if (!this.elements.boardPanel) return;
+
+        if (!this.board) {
+            this.elements.boardPanel.classList.add('hidden');
+            return;
+        }
+        this.elements.boardPanel.classList.remove('hidden');
+
+        const picker = this.teams.find(team => team.id === this.board.pickerGroupId);
+        this.elements.boardPickerLabel.textContent = picker ? `${picker.name} picks next` : 'Host picks next';
+
+        this.elements.boardGrid.innerHTML = this.board.categories.map(category => `
+            <div class="board-column">
+                <div class="board-category">${category.name}</div>
+                ${category.cells.map(cell => `
+                    <button class="board-cell" data-question-id="${cell.questionId}" ${cell.played || this.isQuestionActive ? 'disabled' : ''}>
+                        ${cell.value}
+                    </button>
+                `).join('')}
+            </div>
+        `).join('');
+
+        this.elements.boardGrid.querySelectorAll('.board-cell').forEach(cellBtn => {
+            cellBtn.addEventListener('click', () => this.pickBoardCell(cellBtn.dataset.questionId));
+        });
+    }
+
+    async pickBoardCell(questionId) {
+        if (!this.currentGame || this.isQuestionActive) return;
+
+        try {
+            const response = await fetch(`/api/games/${this.currentGame.id}/board/pick`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ questionId })
+            });
+            if (!response.ok) {
+                const result = await response.json();
+                throw new Error(result.error || 'Failed to pick cell');
+            }
+        } catch (error) {
+            console.error('Failed to pick board cell:', error);
+            this.showToast(error.message, 'error');
+        }
+    }
+
+    async showBoard() {
+        if (!this.currentGame) return;
+
+        try {
+            await fetch(`/api/games/${this.currentGame.id}/board/show`, { method: 'POST' });
+        } catch (error) {
+            console.error('Failed to show board:', error);
+        }
+    }
+
+    handleBoardCellPicked(data) {
+        this.currentQuestionIndex = data.questionIndex;
+        if (this.currentGame) {
+            this.currentGame.current_question_index = data.questionIndex;
+        }
+
+        const cell = this.board?.categories
+            .flatMap(category => category.cells)
+            .find(c => c.questionId === data.questionId);
+        if (cell) cell.played = true;
+
+        const picker = this.teams.find(team => team.id === data.pickedBy);
+        this.showToast(`${picker ? picker.name : 'Host'} picked ${data.category} for ${data.value}`, 'info');
+
+        this.updateQuestionDisplay();
+        this.renderBoard();
+    }
+
+    // Show the options of a multiple-choice question with each team's pick under it
+    renderQuestionChoices() {
+        const container = this.elements.questionChoices;
+        if (!container) return;
+
+        const question = this.questions[this.currentQuestionIndex];
+        if (!question || question.question_type !== 'multiple_choice' || !Array.isArray(question.options)) {
+            container.innerHTML = '';
+            container.classList.add('hidden');
+            return;
+        }
+
+        // Picks only belong to the question they were made for
+        const picks = question.id === this.choiceQuestionId ? this.choicePicks : new Map();
+
+        container.innerHTML = question.options.map((option, index) => {
+            const teamsForOption = this.teams.filter(team => picks.get(team.id) === index);
+            return `
+                <div class="question-choice ${index === question.correct_option ? 'correct' : ''}">
+                    <div class="question-choice-label">${String.fromCharCode(65 + index)}. ${option}</div>
+                    <div class="question-choice-picks">
+                        ${teamsForOption.map(team => `
+                            <span class="question-choice-pick ${this.choicesGraded ? '' : 'pending'}" style="background: ${team.color || '#666'}">${team.name}</span>
+                        `).join('')}
+                    </div>
+                </div>
+            `;
+        }).join('');
+        container.classList.remove('hidden');
+    }
+
+    handleChoiceLocked(data) {
+        // The game room copy of this event carries no pick; the control-panel copy does
+        if (data.optionIndex === undefined) return;
+
+        this.choicePicks.set(data.groupId, data.optionIndex);
+        this.renderQuestionChoices();
+    }
+
+    handleChoicesGraded(data) {
+        if (this.choicesGraded) return;
+
+        this.choicePicks = new Map();
+        data.results.forEach(result => {
+            if (result.optionIndex !== null) {
+                this.choicePicks.set(result.groupId, result.optionIndex);
+            }
+        });
+        this.choicesGraded = true;
+        this.renderQuestionChoices();
+
+        const correctCount = data.results.filter(result => result.isCorrect).length;
+        this.showToast(`Answers graded: ${correctCount} team${correctCount === 1 ? '' : 's'} correct`, 'success');
+    }
+
     updateQuestionProgress() {
         const totalQuestions = this.questions.length;
         const currentNum = this.currentQuestionIndex + 1; // 1-based for display
@@ -1193,6 +1772,7 @@ class HostControl {
         // Update toggle button states
         this.updateShowAnswerButton();
         this.updateLeaderboardButton();
+        this.updateRoundNavigator();
     }
 
     updateBuzzerStatus() {
@@ -1324,12 +1904,13 @@ class HostControl {
             this.updateBuzzerResults();
 
             // Mark question as played locally
-            this.playedQuestions.add(this.currentQuestionIndex);
+            const questionId = this.questions[this.currentQuestionIndex]?.id;
+            this.playedQuestions.add(questionId);
             if (this.currentGame && !this.currentGame.played_questions) {
                 this.currentGame.played_questions = [];
             }
-            if (this.currentGame && !this.currentGame.played_questions.includes(this.currentQuestionIndex)) {
-                this.currentGame.played_questions.push(this.currentQuestionIndex);
+            if (this.currentGame && !this.currentGame.played_questions.includes(questionId)) {
+                this.currentGame.played_questions.push(questionId);
             }
 
             // Update tab state for active question
@@ -1364,6 +1945,11 @@ class HostControl {
             this.isQuestionActive = false;
             this.stopTabProgressUpdates();
             this.updateQuestionTabsState();
+
+            // Board mode has no next question - put the board back up
+            if (this.board) {
+                await this.showBoard();
+            }
             
             this.showToast('Question ended', 'info');
         } catch (error) {
@@ -1372,7 +1958,14 @@ class HostControl {
     }
 
     async nextQuestion() {
-        if (!this.currentGame || this.currentQuestionIndex >= this.questions.length - 1) {
+        if (this.board) {
+            await this.endQuestion();
+            return;
+        }
+
+        // Tie-breaker questions at the end are only played through sudden death
+        const regularQuestionCount = this.questions.filter(question => !question.is_tiebreaker).length;
+        if (!this.currentGame || this.currentQuestionIndex >= regularQuestionCount - 1) {
             return;
         }
 
@@ -1570,6 +2163,23 @@ class HostControl {
     async armBuzzers() {
         if (!this.currentGame) return;
 
+        // Arming during the reading phase ends it early, keeping false-start lockouts in place
+        if (this.readingPhase) {
+            try {
+                const response = await fetch(`/api/games/${this.currentGame.id}/end-reading`, {
+                    method: 'POST'
+                });
+                if (!response.ok) {
+                    const error = await response.json();
+                    throw new Error(error.error);
+                }
+                this.showToast('Buzzers armed', 'success');
+            } catch (error) {
+                this.showToast(`Failed to arm buzzers: ${error.message}`, 'error');
+            }
+            return;
+        }
+
         try {
             await fetch(`/api/buzzers/arm/${this.currentGame.id}`, {
                 method: 'POST'
@@ -1583,7 +2193,9 @@ class HostControl {
     async disarmBuzzers(showToast = true, source = 'manual') {
         try {
             await fetch('/api/buzzers/disarm', {
-                method: 'POST'
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ gameId: this.currentGame?.id })
             });
             
             if (showToast) {
@@ -1770,7 +2382,9 @@ class HostControl {
             this.setBuzzerControlButtonsDisabled(true);
 
             const response = await fetch('/api/buzzers/disarm', {
-                method: 'POST'
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ gameId: this.currentGame?.id })
             });
 
             if (response.ok) {
@@ -2287,7 +2901,12 @@ class HostControl {
     }
 
     handleGameCompleted(data) {
-        this.showToast('🎉 Game completed! Final scores calculated.', 'success', 5000);
+        this.ties = [];
+        this.renderTiebreakPanel();
+        const message = data.unresolvedTies?.length
+            ? '🎉 Game completed with a tie in the final standings.'
+            : '🎉 Game completed! Final scores calculated.';
+        this.showToast(message, 'success', 5000);
         this.resetAnswerEvaluation();
         this.resetControlPanel();
     }
@@ -2493,6 +3112,16 @@ class HostControl {
     }
 
     // Timer Methods
+    showReadingPhase() {
+        this.stopTimer();
+        if (this.elements.questionProgressBar) {
+            this.elements.questionProgressBar.classList.remove('hidden');
+        }
+        if (this.elements.progressTimeText) {
+            this.elements.progressTimeText.textContent = 'Reading - buzzers not armed';
+        }
+    }
+
     startTimer() {
         if (!this.questionStartTime) return;
 
@@ -2574,6 +3203,28 @@ class HostControl {
     }
 
 
+    // Move the local countdown onto the server's clock. The timer reads its remaining
+    // time from questionStartTime, so moving that is enough while it runs.
+    syncTimer(data) {
+        if (!this.isQuestionActive || data.questionId !== this.currentQuestionId || data.phase === 'reading') return;
+
+        const remainingMs = Math.max(0, data.timeRemaining - this.timerSync.getTickDelay(data.serverTime));
+        this.questionTimeLimit = data.timeLimit / 1000;
+        this.questionStartTime = Date.now() - (data.timeLimit - remainingMs);
+
+        if (data.isPaused) {
+            // Missed the pause, e.g. across a reconnect
+            if (this.questionTimer) {
+                this.stopTimer();
+                if (this.elements.progressTimeText) {
+                    this.elements.progressTimeText.textContent = `⏸️ ${Math.ceil(remainingMs / 1000)}s (paused)`;
+                }
+            }
+        } else if (!this.questionTimer && remainingMs > 0) {
+            this.startTimer();
+        }
+    }
+
     stopTimer() {
         // Clear the interval first
         if (this.questionTimer) {
@@ -2594,47 +3245,15 @@ class HostControl {
         }
     }
 
-    // Calculate time-based points (same logic as backend)
-    calculateTimeBasedPoints(originalPoints, timeRemaining, totalTime) {
-        if (timeRemaining <= 0) return 0;
-        if (timeRemaining >= totalTime) return originalPoints;
-
-        // Linear decrease from original points to 0
-        const ratio = timeRemaining / totalTime;
-        return Math.ceil(originalPoints * ratio);
-    }
-
-    // Get actual points for current buzzer (considering time-based scoring)
+    // Points this buzz is worth; the server resolves the scoring curve when the team buzzes
     getActualPointsForBuzzer(buzzer) {
-        if (!this.currentGame || !buzzer) {
-            console.log(`[FRONTEND DEBUG] Missing game or buzzer data`);
-            return 0;
+        if (!buzzer) return 0;
+        if (buzzer.points !== undefined && buzzer.points !== null) {
+            return buzzer.points;
         }
 
-        // Use this.questions array which is populated from game state
         const currentQuestion = this.questions[this.currentQuestionIndex];
-        if (!currentQuestion) {
-            console.log(`[FRONTEND DEBUG] No current question found at index ${this.currentQuestionIndex}`);
-            return 0;
-        }
-
-        // If time-based scoring is enabled, calculate based on timing
-        if (this.currentGame.time_based_scoring) {
-            // Use JavaScript timing calculation (same as backend now uses)
-            // Calculate elapsed time from when question started
-            const questionStartTime = this.questionStartTime || Date.now(); // Fallback if not set
-            const timeElapsed = buzzer.timestamp - questionStartTime;
-            const totalTime = (currentQuestion.time_limit || 30) * 1000; // Convert to ms
-            const timeRemaining = Math.max(0, totalTime - timeElapsed);
-
-            console.log(`[FRONTEND DEBUG] Time calculation - Question: "${currentQuestion.question}", Points: ${currentQuestion.points}, Elapsed: ${timeElapsed}ms, Total: ${totalTime}ms, Remaining: ${timeRemaining}ms, Time-based scoring: ${this.currentGame.time_based_scoring}`);
-
-            return this.calculateTimeBasedPoints(currentQuestion.points, timeRemaining, totalTime);
-        }
-
-        // Otherwise return full points
-        console.log(`[FRONTEND DEBUG] Time-based scoring disabled, returning full points: ${currentQuestion.points}`);
-        return currentQuestion.points;
+        return currentQuestion ? currentQuestion.points : 0;
     }
 
     // Current Answerer Highlight Methods
@@ -3310,6 +3929,7 @@ class HostControl {
         }
 
         this.elements.virtualBuzzersSection.classList.remove('hidden');
+        this.loadTeamJoinCodes();
 
         // Update virtual buzzers list
         if (this.virtualBuzzers.size === 0) {
@@ -3344,6 +3964,30 @@ class HostControl {
         });
     }
 
+    // Codes the host reads out so each team's phone can join it
+    async loadTeamJoinCodes() {
+        if (!this.currentGame || !this.elements.teamJoinCodes) return;
+
+        try {
+            const response = await fetch(`/api/games/${this.currentGame.id}/join-codes`);
+            if (!response.ok) return;
+            const { devicesPerTeam, teams } = await response.json();
+
+            this.elements.teamJoinCodes.innerHTML = teams.map(team => `
+                <div class="buzzer-item virtual">
+                    <div class="buzzer-status">
+                        <div class="buzzer-details">
+                            <div class="buzzer-name">${team.name}: ${team.code}</div>
+                            <div class="buzzer-meta">${team.devices}/${devicesPerTeam} phone${devicesPerTeam === 1 ? '' : 's'} connected</div>
+                        </div>
+                    </div>
+                </div>
+            `).join('') || '<div class="no-buzzers">No teams yet</div>';
+        } catch (error) {
+            console.error('Failed to load team join codes:', error);
+        }
+    }
+
     // Question Tabs Functionality
     initializeQuestionTabs() {
         if (!this.questions || this.questions.length === 0) {
@@ -3401,6 +4045,10 @@ class HostControl {
             }
         }
 
+        if (question.is_tiebreaker && tabState === 'pending') {
+            statusIcon = '⚖️';
+        }
+
         tab.classList.add(tabState);
         if (index === this.currentQuestionIndex) {
             tab.classList.add('current');
@@ -3440,9 +4088,10 @@ class HostControl {
 
     isQuestionPlayed(questionIndex) {
         // A question is played if it was actually started/fired, not just navigated to
-        // Check if this question index exists in the game's played questions list
-        if (this.currentGame && this.currentGame.played_questions) {
-            return this.currentGame.played_questions.includes(questionIndex);
+        // The game's played questions list holds question IDs
+        const question = this.questions[questionIndex];
+        if (question && this.currentGame && this.currentGame.played_questions) {
+            return this.currentGame.played_questions.includes(question.id);
         }
         
         // Fallback to old logic if no played_questions data available
@@ -4224,6 +4873,7 @@ class HostControl {
                     });
                 }
                 if (this.elements.clearGameHistoryBtn) this.elements.clearGameHistoryBtn.addEventListener('click', () => this.confirmAction('clear-history'));
+                if (this.elements.undoScoreBtn) this.elements.undoScoreBtn.addEventListener('click', () => this.undoLastScoreChange());
                 if (this.elements.confirmActionBtn) {
                     console.log('📌 Attaching confirm-action button listener');
                     this.elements.confirmActionBtn.addEventListener('click', () => {
@@ -4257,7 +4907,7 @@ class HostControl {
         switch (actionType) {
             case 'reset-scores':
                 title = 'Reset All Scores';
-                message = 'This will reset all team scores to zero. This action cannot be undone.';
+                message = 'This will reset all team scores to zero. The reset is recorded in the score ledger and can be undone.';
                 icon = 'restart_alt';
                 // Note: resetAllScores is called in executeConfirmedAction
                 break;
@@ -4268,7 +4918,7 @@ class HostControl {
                 break;
             case 'reset-game':
                 title = 'Reset Game';
-                message = 'This will reset the entire game, clearing all scores and progress. This action cannot be undone.';
+                message = 'This will start a new session of the game with all scores and progress cleared. The current session\'s results are kept in the game\'s history.';
                 icon = 'delete_forever';
                 // Note: scores will be reset in executeConfirmedAction along with questions
                 break;
@@ -4510,34 +5160,72 @@ class HostControl {
     }
 
 
+    // Download the server's bundle of the game: settings, branding, teams, questions and media
     async exportGameData() {
-        try {
-            const gameData = {
-                gameId: this.currentGame?.id,
-                teams: this.teams,
-                questions: this.questions,
-                playedQuestions: Array.from(this.playedQuestions),
-                buzzerOrder: this.buzzerOrder,
-                timestamp: new Date().toISOString()
-            };
-
-            const dataStr = JSON.stringify(gameData, null, 2);
-            const dataBlob = new Blob([dataStr], { type: 'application/json' });
+        if (!this.currentGame) {
+            this.showToast('No active game', 'warning');
+            return;
+        }
 
+        try {
             const link = document.createElement('a');
-            link.href = URL.createObjectURL(dataBlob);
-            link.download = `trivia-game-${this.currentGame?.id || 'export'}-${new Date().toISOString().split('T')[0]}.json`;
+            link.href = `/api/games/${this.currentGame.id}/export`;
             document.body.appendChild(link);
             link.click();
             document.body.removeChild(link);
 
-            this.showToast('Game data exported successfully', 'success');
+            this.showToast('Game export started', 'success');
         } catch (error) {
             console.error('Export failed:', error);
             this.showToast('Failed to export game data', 'error');
         }
     }
 
+    async undoLastScoreChange() {
+        if (!this.currentGame) {
+            this.showToast('No active game', 'warning');
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/games/${this.currentGame.id}/score-ledger/undo`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ count: 1 })
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.error || 'Undo failed');
+            }
+            // Scores and the buzzer queue arrive through scores-corrected / buzzer-queue-restored
+            this.hideGameActionsModal();
+        } catch (error) {
+            this.showToast(`Undo failed: ${error.message}`, 'error');
+        }
+    }
+
+    handleScoresCorrected(data) {
+        data.groups.forEach(group => {
+            const team = this.teams.find(t => t.id === group.id);
+            if (team) {
+                team.score = group.score;
+            }
+        });
+        this.updateTeamDisplay();
+        this.showToast(`Undid ${data.undoneEntries.length} score change${data.undoneEntries.length === 1 ? '' : 's'}`, 'info');
+    }
+
+    // An undone evaluation puts its team back at the front of the queue
+    handleBuzzerQueueRestored(data) {
+        this.buzzerOrder = data.buzzerOrder;
+        this.updateBuzzerResults();
+        this.updateAnswerEvaluation();
+        if (this.buzzerOrder.length > 0) {
+            this.showCurrentAnswererHighlight(this.buzzerOrder[0]);
+            this.showAnswerEvaluationModal();
+        }
+    }
+
     async clearGameHistory() {
         // Clear evaluation history and logs
         this.evaluationHistory.length = 0;
@@ -4553,5 +5241,7 @@ class HostControl {
 }
 
 document.addEventListener('DOMContentLoaded', () => {
-    window.hostControl = new HostControl();
+    triviaAuth.require('host').then(() => {
+        window.hostControl = new HostControl();
+    });
 });
\ No newline at end of file
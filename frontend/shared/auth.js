@@ -0,0 +1,214 @@
+/**
+ * Login for role-based access
+ * Each screen waits for triviaAuth.require(role) before it starts. When the server has
+ * authentication turned on and this browser isn't logged in with a high enough role,
+ * a login screen comes first. The session is an HttpOnly cookie, so fetch() calls and
+ * the Socket.IO connection carry it without any extra code.
+ */
+
+const AUTH_ROLE_RANK = { player: 1, display: 2, host: 3, admin: 4 };
+const AUTH_ROLE_LABELS = { player: 'Player', display: 'Display', host: 'Host', admin: 'Admin' };
+
+class AuthClient {
+    constructor() {
+        this.status = null;
+        this.requiredRole = null;
+        this.overlay = null;
+        this.wrapFetch();
+    }
+
+    hasRole(role, requiredRole) {
+        return (AUTH_ROLE_RANK[role] || 0) >= AUTH_ROLE_RANK[requiredRole];
+    }
+
+    // Resolves with the role this browser ends up with, once it is enough for the screen
+    async require(role) {
+        this.requiredRole = role;
+        this.status = await this.fetchStatus();
+
+        if (!this.status.enabled) {
+            return 'admin';
+        }
+
+        if (!this.hasRole(this.status.role, role)) {
+            if (role === 'player' && !this.status.playerPinRequired) {
+                await this.login('player', '');
+            } else {
+                await this.showLogin();
+            }
+        }
+
+        if (role === 'admin' || role === 'host') {
+            this.showBadge();
+        }
+        return this.status.role;
+    }
+
+    async fetchStatus() {
+        try {
+            const response = await this.fetch('/api/auth/status');
+            if (response.ok) {
+                return await response.json();
+            }
+        } catch (error) {
+            console.error('Failed to check login status:', error);
+        }
+        // Server unreachable - let the screen start and show its own connection errors
+        return { enabled: false };
+    }
+
+    async login(role, secret) {
+        const response = await this.fetch('/api/auth/login', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ role, secret })
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.error || 'Login failed');
+        }
+
+        this.status.role = data.role;
+        return data;
+    }
+
+    async logout() {
+        try {
+            await this.fetch('/api/auth/logout', { method: 'POST' });
+        } finally {
+            window.location.reload();
+        }
+    }
+
+    // Any API call answered with 401 means the session ended (logout elsewhere, expiry
+    // or a server reset), so log in again and start the screen over
+    wrapFetch() {
+        const originalFetch = window.fetch.bind(window);
+        this.fetch = originalFetch;
+
+        window.fetch = async (...args) => {
+            const response = await originalFetch(...args);
+            const url = typeof args[0] === 'string' ? args[0] : args[0]?.url || '';
+            if (response.status === 401 && url.includes('/api/') && !url.includes('/api/auth/')) {
+                this.handleSessionLost();
+            }
+            return response;
+        };
+    }
+
+    watchSocket(socket) {
+        if (!socket) return;
+
+        socket.on('connect_error', (error) => {
+            if (error.message === 'Authentication required') {
+                this.handleSessionLost();
+            }
+        });
+        socket.on('auth-expired', () => this.handleSessionLost());
+        socket.on('auth-error', (data) => console.warn('[AUTH]', data.error));
+    }
+
+    handleSessionLost() {
+        if (this.overlay || !this.requiredRole) return;
+
+        this.status = this.status || { roles: {} };
+        this.showLogin('Your session has ended - please log in again')
+            .then(() => window.location.reload());
+    }
+
+    // Roles that can open this screen and can be logged into on this server
+    getLoginRoles() {
+        const roles = this.status.roles || {};
+        return Object.keys(AUTH_ROLE_RANK)
+            .filter(role => this.hasRole(role, this.requiredRole) && roles[role]);
+    }
+
+    needsSecret(role) {
+        return role !== 'player' || this.status.playerPinRequired;
+    }
+
+    // Resolves after a successful login
+    showLogin(message = '') {
+        return new Promise((resolve) => {
+            const roles = this.getLoginRoles();
+            let selectedRole = roles[0] || 'admin';
+
+            this.overlay = document.createElement('div');
+            this.overlay.className = 'auth-overlay';
+            this.overlay.innerHTML = `
+                <form class="auth-dialog">
+                    <h2>Log in</h2>
+                    <p class="auth-message"></p>
+                    <div class="auth-roles">
+                        ${roles.map(role => `
+                            <button type="button" class="auth-role" data-role="${role}">${AUTH_ROLE_LABELS[role]}</button>
+                        `).join('')}
+                    </div>
+                    <input type="password" class="auth-secret" autocomplete="current-password">
+                    <div class="auth-error"></div>
+                    <button type="submit" class="auth-submit">Log in</button>
+                </form>
+            `;
+            document.body.appendChild(this.overlay);
+
+            const form = this.overlay.querySelector('.auth-dialog');
+            const secretInput = this.overlay.querySelector('.auth-secret');
+            const errorBox = this.overlay.querySelector('.auth-error');
+            const submitButton = this.overlay.querySelector('.auth-submit');
+            this.overlay.querySelector('.auth-message').textContent = message
+                || `This screen needs ${AUTH_ROLE_LABELS[this.requiredRole].toLowerCase()} access`;
+            this.overlay.querySelector('.auth-roles').classList.toggle('hidden', roles.length < 2);
+
+            const selectRole = (role) => {
+                selectedRole = role;
+                this.overlay.querySelectorAll('.auth-role').forEach(button => {
+                    button.classList.toggle('active', button.dataset.role === role);
+                });
+                secretInput.classList.toggle('hidden', !this.needsSecret(role));
+                secretInput.placeholder = role === 'admin' ? 'Password' : 'PIN';
+                secretInput.inputMode = role === 'admin' ? 'text' : 'numeric';
+                secretInput.value = '';
+                errorBox.textContent = '';
+                secretInput.focus();
+            };
+
+            this.overlay.querySelectorAll('.auth-role').forEach(button => {
+                button.addEventListener('click', () => selectRole(button.dataset.role));
+            });
+
+            form.addEventListener('submit', async (event) => {
+                event.preventDefault();
+                submitButton.disabled = true;
+                errorBox.textContent = '';
+
+                try {
+                    await this.login(selectedRole, secretInput.value);
+                    this.overlay.remove();
+                    this.overlay = null;
+                    resolve();
+                } catch (error) {
+                    errorBox.textContent = error.message;
+                    secretInput.select();
+                } finally {
+                    submitButton.disabled = false;
+                }
+            });
+
+            selectRole(selectedRole);
+        });
+    }
+
+    // Who is logged in, with a way out - for shared laptops at the venue
+    showBadge() {
+        const badge = document.createElement('div');
+        badge.className = 'auth-badge';
+        badge.innerHTML = `
+            <span>${AUTH_ROLE_LABELS[this.status.role] || this.status.role}</span>
+            <button type="button" class="auth-logout">Log out</button>
+        `;
+        badge.querySelector('.auth-logout').addEventListener('click', () => this.logout());
+        document.body.appendChild(badge);
+    }
+}
+
+window.triviaAuth = new AuthClient();
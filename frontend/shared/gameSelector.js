@@ -1,6 +1,8 @@
 /**
- * Global Game Selection Manager
- * Handles game selection state across all frontend applications
+ * Game Selection Manager
+ * Binds one frontend screen to one game. Several games can run on the server at
+ * once, so each screen keeps its own choice (the ?game= URL parameter wins over
+ * the choice saved for that screen).
  */
 
 class GlobalGameSelector {
@@ -8,6 +10,8 @@ class GlobalGameSelector {
         this.socket = options.socket || (typeof io !== 'undefined' ? io() : null);
         this.currentGame = null;
         this.games = [];
+        this.runningGames = [];
+        this.storageKey = options.storageKey || 'trivia-game';
         this.callbacks = {
             gameChanged: [],
             gamesLoaded: []
@@ -34,12 +38,34 @@ class GlobalGameSelector {
     setupSocketListeners() {
         if (!this.socket) return;
 
-        this.socket.on('global-game-status', (status) => {
-            this.handleGlobalGameUpdate(status);
+        window.triviaAuth?.watchSocket(this.socket);
+
+        this.socket.on('running-games-changed', (data) => {
+            this.runningGames = data.games || [];
+            this.updateGameSelectorUI();
+        });
+
+        this.socket.on('game-deleted', (data) => {
+            if (this.currentGame?.id === data.gameId) {
+                this.clearCurrentGame();
+                this.showGameSelector();
+            }
+            this.loadAvailableGames();
         });
 
-        this.socket.on('global-game-changed', (data) => {
-            this.handleGlobalGameUpdate(data);
+        // A backup replaced every game on the server, so start over from its data
+        this.socket.on('database-restored', () => {
+            this.showToast('A backup was restored - reloading', 'info');
+            setTimeout(() => window.location.reload(), 1500);
+        });
+
+        // Running games live in server memory - reopen ours after a reconnect
+        this.socket.on('connect', () => {
+            if (this.currentGame) {
+                this.openGame(this.currentGame.id).catch(error => {
+                    console.error('Failed to reopen game:', error);
+                });
+            }
         });
     }
 
@@ -55,18 +81,41 @@ class GlobalGameSelector {
     }
 
     async checkCurrentGame() {
+        const urlGameId = new URLSearchParams(window.location.search).get('game');
+        const gameId = urlGameId || localStorage.getItem(this.storageKey);
+        if (!gameId) return;
+
         try {
-            const response = await fetch('/api/games/global/current');
-            const status = await response.json();
-            this.handleGlobalGameUpdate(status);
+            const game = await this.openGame(gameId);
+            this.saveGameChoice(game.id);
+            this.applyCurrentGame(game);
         } catch (error) {
-            console.error('Failed to check current game:', error);
+            console.error('Failed to load saved game:', error);
+            localStorage.removeItem(this.storageKey);
         }
     }
 
-    handleGlobalGameUpdate(status) {
+    // Opening is idempotent; it fails when another running game uses one of this game's buzzers
+    async openGame(gameId) {
+        const response = await fetch(`/api/games/${gameId}/open`, { method: 'POST' });
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            throw new Error(result.error || 'Failed to open game');
+        }
+        return result.game;
+    }
+
+    saveGameChoice(gameId) {
+        if (gameId) {
+            localStorage.setItem(this.storageKey, gameId);
+        } else {
+            localStorage.removeItem(this.storageKey);
+        }
+    }
+
+    applyCurrentGame(game) {
         const previousGame = this.currentGame;
-        this.currentGame = status.gameId ? status.game : null;
+        this.currentGame = game;
         
         if (previousGame?.id !== this.currentGame?.id) {
             this.triggerCallback('gameChanged', this.currentGame);
@@ -74,52 +123,47 @@ class GlobalGameSelector {
         }
     }
 
+    // Bind this screen to a game. A screen that doesn't allow game changes can still
+    // pick its first game.
     async setCurrentGame(gameId) {
-        if (!this.allowGameChange) return false;
+        if (!this.allowGameChange && this.currentGame) return false;
         
         try {
-            const response = await fetch(`/api/games/global/set/${gameId}`, {
-                method: 'POST'
-            });
-            const result = await response.json();
-            
-            if (result.success) {
-                this.showToast('Game selected successfully', 'success');
-                return true;
-            } else {
-                this.showToast('Failed to select game', 'error');
-                return false;
-            }
+            const game = await this.openGame(gameId);
+            this.saveGameChoice(game.id);
+            this.applyCurrentGame(game);
+            this.showToast('Game selected successfully', 'success');
+            return true;
         } catch (error) {
             console.error('Failed to set current game:', error);
-            this.showToast('Failed to select game', 'error');
+            this.showToast(error.message || 'Failed to select game', 'error');
             return false;
         }
     }
 
+    // Unbind this screen; the game keeps running for other screens
     async clearCurrentGame() {
-        if (!this.allowGameChange) return false;
-        
+        this.saveGameChoice(null);
+        this.applyCurrentGame(null);
+        return true;
+    }
+
+    // Stop a running game everywhere and release its buzzers
+    async closeRunningGame(gameId) {
         try {
-            const response = await fetch('/api/games/global/clear', {
-                method: 'POST'
-            });
-            const result = await response.json();
-            
-            if (result.success) {
-                this.showToast('Game cleared successfully', 'success');
-                return true;
-            } else {
-                this.showToast('Failed to clear game', 'error');
-                return false;
-            }
+            const response = await fetch(`/api/games/${gameId}/close`, { method: 'POST' });
+            if (!response.ok) throw new Error('Failed to close game');
+            this.showToast('Game closed', 'success');
         } catch (error) {
-            console.error('Failed to clear current game:', error);
-            this.showToast('Failed to clear game', 'error');
-            return false;
+            console.error('Failed to close game:', error);
+            this.showToast('Failed to close game', 'error');
         }
     }
 
+    isGameRunning(gameId) {
+        return this.runningGames.some(game => game.id === gameId);
+    }
+
     createGameSelectorUI() {
         const container = document.querySelector(this.containerSelector);
         if (!container) {
@@ -131,8 +175,8 @@ class GlobalGameSelector {
             <div id="game-selector-modal" class="game-selector-modal ${this.currentGame ? 'hidden' : ''}">
                 <div class="game-selector-content">
                     <div class="game-selector-header">
-                        <h2>🎮 Select Current Game</h2>
-                        <p>Choose which game to load across all trivia interfaces</p>
+                        <h2>🎮 Select Game</h2>
+                        <p>Choose which game this screen follows. Running games are listed first.</p>
                         <button id="close-game-selector-x" class="game-selector-close" title="Close (Esc)">×</button>
                     </div>
                     <div class="game-selector-body">
@@ -232,11 +276,17 @@ class GlobalGameSelector {
                         <span class="create-icon">➕</span>
                         <span class="create-text">Create New Game</span>
                     </button>
+                    <label class="btn btn-secondary game-selector-create-btn game-selector-import-btn" title="Import a game bundle exported from another server">
+                        <span class="create-icon">📦</span>
+                        <span class="create-text">Import Game</span>
+                        <input type="file" id="import-game-input" accept=".gz,.tgz,application/gzip" hidden>
+                    </label>
                 </div>
             `;
             
             if (this.games.length > 0) {
-                list.innerHTML = createGameHTML + '<div class="games-divider"><span>Or select existing game:</span></div>' + this.games.map(game => `
+                const sortedGames = [...this.games].sort((a, b) => this.isGameRunning(b.id) - this.isGameRunning(a.id));
+                list.innerHTML = createGameHTML + '<div class="games-divider"><span>Or select existing game:</span></div>' + sortedGames.map(game => `
                 <div class="game-selector-item ${this.currentGame?.id === game.id ? 'selected' : ''}"
                      data-game-id="${game.id}">
                     <div class="game-selector-item-content">
@@ -244,6 +294,9 @@ class GlobalGameSelector {
                         <div class="game-meta">
                             <span class="team-count">Teams: ${game.groups?.length || 0}</span>
                             <span class="question-count">Questions: ${game.questions?.length || 0}</span>
+                            ${this.isGameRunning(game.id) ? `
+                                <span class="buzzer-count">Buzzers: ${this.runningGames.find(g => g.id === game.id).buzzerIds.join(', ') || 'virtual only'}</span>
+                            ` : ''}
                         </div>
                     </div>
                     <div class="game-selector-item-actions">
@@ -252,6 +305,11 @@ class GlobalGameSelector {
                                 '<span class="current-badge">Current</span>' :
                                 ''
                             }
+                            ${this.isGameRunning(game.id) ? '<span class="running-badge">Running</span>' : ''}
+                            ${this.isGameRunning(game.id) && this.allowGameChange ?
+                                '<button class="btn btn-secondary btn-small close-game-btn" title="Close Game (releases its buzzers)">⏹️</button>' :
+                                ''
+                            }
                             <button class="btn btn-secondary btn-small edit-game-btn" title="Edit Game Name">✏️</button>
                             <button class="btn btn-danger btn-small delete-game-btn" title="Delete Game">🗑️</button>
                         </div>
@@ -270,11 +328,20 @@ class GlobalGameSelector {
                 });
             }
 
+            const importInput = document.getElementById('import-game-input');
+            if (importInput) {
+                importInput.addEventListener('change', (e) => {
+                    const file = e.target.files[0];
+                    e.target.value = '';
+                    if (file) this.importGameBundle(file);
+                });
+            }
+
             // Add click handlers for game items (entire item is clickable)
             list.querySelectorAll('.game-selector-item').forEach(item => {
                 item.addEventListener('click', (e) => {
-                    // Don't trigger if clicking on delete button
-                    if (e.target.closest('.delete-game-btn')) {
+                    // Don't trigger if clicking on an action button
+                    if (e.target.closest('.delete-game-btn, .close-game-btn')) {
                         return;
                     }
                     
@@ -313,6 +380,19 @@ class GlobalGameSelector {
                 });
             });
 
+            // Add click handlers for close buttons
+            list.querySelectorAll('.close-game-btn').forEach(btn => {
+                btn.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    const gameId = btn.closest('.game-selector-item').dataset.gameId;
+                    const gameName = this.games.find(g => g.id === gameId)?.name || 'this game';
+
+                    if (confirm(`Close "${gameName}"?\n\nIts buzzers are released and screens following it stop receiving buzzer presses until it is opened again.`)) {
+                        this.closeRunningGame(gameId);
+                    }
+                });
+            });
+
             // Add click handlers for delete buttons
             list.querySelectorAll('.delete-game-btn').forEach(btn => {
                 btn.addEventListener('click', (e) => {
@@ -332,7 +412,7 @@ class GlobalGameSelector {
         const currentGameName = this.currentGame?.name || 'current game';
         const newGameName = newGame?.name || 'selected game';
         
-        if (confirm(`⚠️ Switch from "${currentGameName}" to "${newGameName}"?\n\nThis will change the current game for all interfaces (Admin, Host Control, and Game Display).\n\nAny unsaved changes will be lost.`)) {
+        if (confirm(`⚠️ Switch from "${currentGameName}" to "${newGameName}"?\n\nThis only changes the game on this screen; other screens keep following their own game.\n\nAny unsaved changes will be lost.`)) {
             this.setCurrentGame(newGameId);
         }
     }
@@ -580,6 +660,32 @@ class GlobalGameSelector {
         }
     }
 
+    // Recreate a game from a bundle file exported with GET /api/games/:id/export
+    async importGameBundle(file) {
+        const formData = new FormData();
+        formData.append('bundle', file);
+
+        try {
+            this.showToast(`Importing ${file.name}...`, 'info');
+            const response = await fetch('/api/games/import', {
+                method: 'POST',
+                body: formData
+            });
+            const game = await response.json();
+            if (!response.ok) {
+                throw new Error(game.error || 'Failed to import game');
+            }
+
+            await this.loadAvailableGames();
+            await this.setCurrentGame(game.id);
+
+            this.showToast(`Game "${game.name}" imported successfully!`, 'success');
+        } catch (error) {
+            console.error('Failed to import game:', error);
+            this.showToast(error.message || 'Failed to import game', 'error');
+        }
+    }
+
     showEditGameModal(game) {
         // Create modal HTML
         const modalHTML = `
@@ -0,0 +1,27 @@
+/**
+ * Server timer ticks
+ * Each tick carries the server's time. The smallest gap between a tick's arrival and
+ * its serverTime seen so far stands for the clock offset plus the network delay, so
+ * anything above it is how much later than usual this tick arrived.
+ */
+
+class TimerSync {
+    constructor() {
+        this.minTickGap = undefined;
+    }
+
+    getTickDelay(serverTime) {
+        const gap = Date.now() - serverTime;
+        if (this.minTickGap === undefined || gap < this.minTickGap) {
+            this.minTickGap = gap;
+        }
+        return gap - this.minTickGap;
+    }
+}
+
+// Export for use in different environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TimerSync;
+} else if (typeof window !== 'undefined') {
+    window.TimerSync = TimerSync;
+}
@@ -2,11 +2,20 @@ class VirtualBuzzer {
     constructor() {
         this.socket = null;
         this.currentGame = null;
+        this.runningGames = [];
         this.selectedTeam = null;
-        this.currentState = 'idle'; // idle, armed, pressed
+        this.currentState = 'idle'; // idle, reading, armed, pressed, locked
+        this.lockedOut = false; // False start: ignore arming until the lockout ends
         this.teams = [];
         this.buzzerId = null;
-        this.password = 'michal'; // Simple password storage
+        this.choiceQuestion = null; // Active multiple-choice question, if any
+        this.lockedOption = null;
+        this.board = null; // Category x value grid when the game is in board mode
+        this.maxWager = null; // Set while final-round wagers are open
+        this.tiebreakGroupIds = null; // Tied teams while a sudden-death question runs
+        this.pendingClaim = null; // Team and code waiting for the server to confirm the claim
+        this.codeModalTeam = null;
+        this.claimStorageKey = 'trivia-virtual-buzzer';
         
         this.initializeElements();
         this.requestFullscreen();
@@ -22,17 +31,32 @@ class VirtualBuzzer {
             errorScreen: document.getElementById('error-screen'),
             
             // Team selection elements
+            selectionTitle: document.getElementById('selection-title'),
             teamsGrid: document.getElementById('teams-grid'),
             
             // Buzzer screen elements
             buzzerButton: document.getElementById('buzzer-button'),
             changeTeamBtn: document.getElementById('change-team-btn'),
+            choicePanel: document.getElementById('choice-panel'),
+            choiceOptions: document.getElementById('choice-options'),
+            choiceStatus: document.getElementById('choice-status'),
+            wagerPanel: document.getElementById('wager-panel'),
+            wagerInput: document.getElementById('wager-input'),
+            wagerSubmit: document.getElementById('wager-submit'),
+            wagerStatus: document.getElementById('wager-status'),
+            boardPanel: document.getElementById('board-panel'),
+            boardCells: document.getElementById('board-cells'),
+            boardStatus: document.getElementById('board-status'),
             
-            // Password modal elements
-            passwordModal: document.getElementById('password-modal'),
-            passwordInput: document.getElementById('password-input'),
-            passwordSubmit: document.getElementById('password-submit'),
-            passwordCancel: document.getElementById('password-cancel'),
+            selectionNotice: document.getElementById('selection-notice'),
+
+            // Team code modal elements
+            codeModal: document.getElementById('code-modal'),
+            codeTeamName: document.getElementById('code-team-name'),
+            codeInput: document.getElementById('code-input'),
+            codeError: document.getElementById('code-error'),
+            codeSubmit: document.getElementById('code-submit'),
+            codeCancel: document.getElementById('code-cancel'),
             
             // Connection indicator
             connectionIndicator: document.getElementById('connection-indicator'),
@@ -82,6 +106,7 @@ class VirtualBuzzer {
         try {
             this.updateConnectionStatus('connecting');
             this.socket = io();
+            window.triviaAuth?.watchSocket(this.socket);
             
             this.socket.on('connect', () => {
                 console.log('Connected to server');
@@ -115,14 +140,20 @@ class VirtualBuzzer {
     }
 
     setupSocketListeners() {
-        // Global game events
-        this.socket.on('global-game-changed', (data) => {
-            this.currentGame = data.game;
-            // Join the new game room if we have a current game and selected team
-            if (this.currentGame && this.selectedTeam) {
-                this.socket.emit('join-game', this.currentGame.id);
+        // Clock sync: answer the server's ping with this phone's clock so it can work
+        // out our latency and correct press times
+        this.socket.on('clock-sync', (data, reply) => {
+            if (typeof reply === 'function') {
+                reply({ clientTime: Date.now() });
+            }
+        });
+
+        // Games running on the server; this buzzer binds to one of them
+        this.socket.on('running-games-changed', (data) => {
+            this.runningGames = data.games || [];
+            if (!this.currentGame) {
+                this.chooseGame();
             }
-            this.updateTeamSelection();
         });
 
         // Teams update
@@ -144,6 +175,85 @@ class VirtualBuzzer {
             this.handleQuestionEnd(data);
         });
 
+        // Multiple-choice events
+        this.socket.on('question-start', (data) => {
+            this.handleQuestionStart(data);
+        });
+
+        this.socket.on('choice-submit-result', (data) => {
+            this.handleChoiceSubmitResult(data);
+        });
+
+        this.socket.on('choices-graded', (data) => {
+            this.handleChoicesGraded(data);
+        });
+
+        // Board mode events
+        this.socket.on('game-state', (state) => {
+            this.board = state.activeQuestion ? null : (state.board || null);
+            this.updateBoardPanel();
+
+            const team = this.selectedTeam && (state.groups || []).find(g => g.id === this.selectedTeam.id);
+            this.maxWager = state.wagers?.open && team ? Math.max(0, team.score) : null;
+            this.updateWagerPanel();
+
+            if (state.status === 'question_active' && state.activeQuestion) {
+                this.restoreActiveQuestion(state);
+            }
+        });
+
+        // Final wager events
+        this.socket.on('wagers-open', (data) => {
+            const limit = this.selectedTeam && data.limits.find(l => l.groupId === this.selectedTeam.id);
+            this.maxWager = limit ? limit.maxWager : null;
+            this.updateWagerPanel();
+        });
+
+        this.socket.on('wager-submit-result', (data) => {
+            this.setWagerStatus(data.success
+                ? `Wager locked in: ${data.amount}. You can change it until the question starts.`
+                : (data.error || 'Could not place wager'));
+        });
+
+        this.socket.on('board-updated', (data) => {
+            this.board = data.board;
+            this.updateBoardPanel();
+        });
+
+        this.socket.on('game-mode-changed', (data) => {
+            this.board = data.board;
+            this.updateBoardPanel();
+        });
+
+        this.socket.on('board-pick-result', (data) => {
+            if (!data.success) {
+                this.setBoardCellsDisabled(false);
+                if (this.elements.boardStatus) {
+                    this.elements.boardStatus.textContent = data.error || 'Could not pick that cell';
+                }
+            }
+        });
+
+        // Reading phase and false-start lockout
+        this.socket.on('reading-ended', (data) => {
+            if (this.currentState === 'reading') {
+                this.currentState = 'idle';
+                this.updateBuzzerState();
+            }
+        });
+
+        this.socket.on('false-start', (data) => {
+            if (this.selectedTeam && data.groupId === this.selectedTeam.id) {
+                this.handleFalseStart(data);
+            }
+        });
+
+        this.socket.on('lockout-ended', (data) => {
+            if (this.selectedTeam && data.groupId === this.selectedTeam.id) {
+                this.handleLockoutEnded(data);
+            }
+        });
+
         this.socket.on('buzzer-acknowledged', (data) => {
             if (data.buzzerId === this.buzzerId) {
                 this.handleBuzzerAcknowledged(data);
@@ -154,6 +264,23 @@ class VirtualBuzzer {
         this.socket.on('buzzer-state-response', (data) => {
             this.handleBuzzerStateResponse(data);
         });
+
+        // Team claims: the server binds this phone to one team
+        this.socket.on('virtual-buzzer-registered', (data) => {
+            this.handleClaimResult(data);
+        });
+
+        this.socket.on('virtual-buzzer-released', (data) => {
+            this.clearSavedClaim();
+            this.resetTeamState();
+            this.showTeamSelection(data.reason);
+        });
+
+        this.socket.on('buzzer-press-rejected', (data) => {
+            console.warn('Buzzer press rejected:', data.error);
+            this.currentState = 'idle';
+            this.updateBuzzerState();
+        });
     }
 
     setupEventListeners() {
@@ -170,30 +297,38 @@ class VirtualBuzzer {
             });
         }
 
+        // Wager button
+        if (this.elements.wagerSubmit) {
+            this.elements.wagerSubmit.addEventListener('click', () => {
+                this.submitWager();
+            });
+        }
+
         // Change team button
         if (this.elements.changeTeamBtn) {
             this.elements.changeTeamBtn.addEventListener('click', () => {
-                this.showPasswordModal();
+                this.leaveTeam();
             });
         }
 
-        // Password modal events
-        if (this.elements.passwordSubmit) {
-            this.elements.passwordSubmit.addEventListener('click', () => {
-                this.verifyPassword();
+        // Team code modal events
+        if (this.elements.codeSubmit) {
+            this.elements.codeSubmit.addEventListener('click', () => {
+                this.submitTeamCode();
             });
         }
 
-        if (this.elements.passwordCancel) {
-            this.elements.passwordCancel.addEventListener('click', () => {
-                this.hidePasswordModal();
+        if (this.elements.codeCancel) {
+            this.elements.codeCancel.addEventListener('click', () => {
+                this.pendingClaim = null;
+                this.hideCodeModal();
             });
         }
 
-        if (this.elements.passwordInput) {
-            this.elements.passwordInput.addEventListener('keypress', (e) => {
+        if (this.elements.codeInput) {
+            this.elements.codeInput.addEventListener('keypress', (e) => {
                 if (e.key === 'Enter') {
-                    this.verifyPassword();
+                    this.submitTeamCode();
                 }
             });
         }
@@ -214,9 +349,82 @@ class VirtualBuzzer {
     }
 
     requestGameData() {
-        // Request current global game and teams
-        this.socket.emit('request-global-game');
-        this.socket.emit('request-teams');
+        // The server sends the running games on connect; rejoin ours if we had one
+        if (this.currentGame) {
+            this.socket.emit('join-game', this.currentGame.id);
+            this.socket.emit('request-teams', this.currentGame.id);
+        }
+
+        // Take our team back after a reconnect
+        const saved = this.getSavedClaim();
+        if (this.selectedTeam && saved && saved.groupId === this.selectedTeam.id) {
+            this.claimTeam(this.selectedTeam, saved.code);
+        }
+    }
+
+    // Use the ?game= URL parameter, or the only running game; otherwise let the player pick
+    chooseGame() {
+        const urlGameId = new URLSearchParams(window.location.search).get('game');
+        if (urlGameId) {
+            this.loadGame(urlGameId);
+        } else if (this.runningGames.length === 1) {
+            this.loadGame(this.runningGames[0].id);
+        } else {
+            this.renderGameSelection();
+        }
+    }
+
+    renderGameSelection() {
+        if (this.elements.selectionTitle) {
+            this.elements.selectionTitle.textContent = 'Choose Your Game';
+        }
+
+        if (this.runningGames.length === 0) {
+            this.elements.teamsGrid.innerHTML = `
+                <div class="team-loading">
+                    <div class="loading-spinner"></div>
+                    <p>Waiting for a game to start...</p>
+                </div>
+            `;
+            return;
+        }
+
+        this.elements.teamsGrid.innerHTML = this.runningGames.map(game => `
+            <div class="team-card available" data-game-id="${game.id}">
+                <div class="team-avatar">${game.name.charAt(0)}</div>
+                <div class="team-name">${game.name}</div>
+                <div class="team-status">Running</div>
+            </div>
+        `).join('');
+
+        this.elements.teamsGrid.querySelectorAll('.team-card[data-game-id]').forEach(card => {
+            card.addEventListener('click', () => {
+                this.loadGame(card.dataset.gameId);
+            });
+        });
+    }
+
+    async loadGame(gameId) {
+        try {
+            this.hideSelectionNotice();
+            const response = await fetch(`/api/games/${gameId}`);
+            const game = response.ok ? await response.json() : null;
+            if (!game) {
+                throw new Error('Game not found');
+            }
+
+            this.currentGame = game;
+            this.teams = game.groups || [];
+            this.socket.emit('join-game', game.id);
+            if (this.elements.selectionTitle) {
+                this.elements.selectionTitle.textContent = 'Choose Your Team';
+            }
+            this.updateTeamSelection();
+            this.resumeTeam();
+        } catch (error) {
+            console.error('Failed to load game:', error);
+            this.renderGameSelection();
+        }
     }
 
     async updateTeamSelection() {
@@ -293,40 +501,107 @@ class VirtualBuzzer {
         return [];
     }
 
+    // Joining a team needs the code the host gave it. A QR link (?team=&code=) or an
+    // earlier claim on this phone fills the code in.
     selectTeam(team) {
-        this.selectedTeam = team;
-        this.buzzerId = `virtual_${team.id}_${Date.now()}`;
-        
-        // Show buzzer screen
-        this.showBuzzerScreen();
-        
-        // Join the current game room to receive buzzer events
-        if (this.currentGame) {
-            console.log('Virtual buzzer joining game room:', this.currentGame.id);
-            this.socket.emit('join-game', this.currentGame.id);
+        const saved = this.getSavedClaim();
+        const params = new URLSearchParams(window.location.search);
+        const code = params.get('team') === team.id ? params.get('code')
+            : (saved && saved.groupId === team.id ? saved.code : null);
+
+        if (code) {
+            this.claimTeam(team, code);
+        } else {
+            this.showCodeModal(team);
         }
-        
-        // Register with server as virtual buzzer for this team
+    }
+
+    // Pick up the team from a QR link or from before a page reload
+    resumeTeam() {
+        if (this.selectedTeam) return;
+
+        const params = new URLSearchParams(window.location.search);
+        const saved = this.getSavedClaim();
+        const teamId = params.get('team') || (saved?.gameId === this.currentGame?.id ? saved.groupId : null);
+        const team = teamId && this.teams.find(t => t.id === teamId);
+        if (team) {
+            this.selectTeam(team);
+        }
+    }
+
+    claimTeam(team, code) {
+        if (!this.currentGame) return;
+
+        const saved = this.getSavedClaim();
+        this.pendingClaim = { team, code };
         this.socket.emit('virtual-buzzer-register', {
-            buzzerId: this.buzzerId,
+            gameId: this.currentGame.id,
             groupId: team.id,
-            teamName: team.name
+            code,
+            claimToken: saved && saved.groupId === team.id ? saved.claimToken : undefined
         });
+    }
+
+    handleClaimResult(data) {
+        const claim = this.pendingClaim;
+        this.pendingClaim = null;
+        if (!claim) return;
+
+        if (!data.success) {
+            // A reconnect that lost its team goes back to team selection
+            if (this.selectedTeam) {
+                this.clearSavedClaim();
+                this.resetTeamState();
+                this.showTeamSelection();
+            }
+            this.showCodeModal(claim.team, data.error);
+            return;
+        }
+
+        this.selectedTeam = claim.team;
+        this.buzzerId = data.buzzerId;
+        this.saveClaim({ gameId: data.gameId, groupId: data.groupId, code: claim.code, claimToken: data.claimToken });
+        this.hideCodeModal();
+        this.showBuzzerScreen();
 
         // Request current buzzer state to sync with system
         this.socket.emit('request-buzzer-state');
 
-        console.log(`Selected team: ${team.name}`);
+        console.log(`Selected team: ${claim.team.name}`);
     }
 
-    showTeamSelection() {
+    getSavedClaim() {
+        try {
+            return JSON.parse(localStorage.getItem(this.claimStorageKey));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    saveClaim(claim) {
+        localStorage.setItem(this.claimStorageKey, JSON.stringify(claim));
+    }
+
+    clearSavedClaim() {
+        localStorage.removeItem(this.claimStorageKey);
+    }
+
+    showTeamSelection(notice = null) {
         this.hideAllScreens();
         this.elements.teamSelection.classList.add('active');
         // Enable scrolling for team selection on mobile
         document.body.classList.add('allow-scroll');
+        if (notice) {
+            this.elements.selectionNotice.textContent = notice;
+            this.elements.selectionNotice.classList.remove('hidden');
+        }
         this.updateTeamSelection();
     }
 
+    hideSelectionNotice() {
+        this.elements.selectionNotice?.classList.add('hidden');
+    }
+
     showBuzzerScreen() {
         this.hideAllScreens();
         this.elements.buzzerScreen.classList.add('active');
@@ -357,7 +632,7 @@ class VirtualBuzzer {
         const button = this.elements.buzzerButton;
         
         // Remove all state classes
-        button.classList.remove('idle', 'armed', 'pressed');
+        button.classList.remove('idle', 'reading', 'armed', 'pressed', 'locked');
         
         // Add current state class
         button.classList.add(this.currentState);
@@ -365,9 +640,11 @@ class VirtualBuzzer {
         // Update button state
         switch (this.currentState) {
             case 'armed':
+            case 'reading': // Pressable so an early buzz counts as a false start
                 button.disabled = false;
                 break;
             case 'pressed':
+            case 'locked':
                 button.disabled = true;
                 break;
             case 'idle':
@@ -377,9 +654,11 @@ class VirtualBuzzer {
     }
 
     pressBuzzer() {
-        if (this.currentState !== 'armed' || !this.selectedTeam || !this.currentGame) return;
+        const pressedAt = Date.now();
+        if (!['armed', 'reading'].includes(this.currentState) || !this.selectedTeam || !this.currentGame) return;
 
-        this.currentState = 'pressed';
+        // During reading the server answers with false-start; until then just block repeat presses
+        this.currentState = this.currentState === 'reading' ? 'locked' : 'pressed';
         this.updateBuzzerState();
 
         // Send buzzer press to server
@@ -387,7 +666,7 @@ class VirtualBuzzer {
             gameId: this.currentGame.id,
             buzzerId: this.buzzerId,
             groupId: this.selectedTeam.id,
-            timestamp: Date.now()
+            clientTimestamp: pressedAt
         });
 
         // Haptic feedback
@@ -398,7 +677,10 @@ class VirtualBuzzer {
 
     handleBuzzersArmed(data) {
         console.log('Virtual buzzer received buzzers-armed event:', data);
-        if (this.selectedTeam && this.currentState !== 'pressed') {
+        if (this.selectedTeam && this.tiebreakGroupIds && !this.tiebreakGroupIds.includes(this.selectedTeam.id)) {
+            return;
+        }
+        if (this.selectedTeam && this.currentState !== 'pressed' && !this.lockedOut) {
             this.currentState = 'armed';
             this.updateBuzzerState();
             
@@ -412,15 +694,276 @@ class VirtualBuzzer {
     handleBuzzersDisarmed(data) {
         console.log('Virtual buzzer received buzzers-disarmed event:', data);
         // Always reset to idle when buzzers are disarmed, regardless of current state
-        this.currentState = 'idle';
+        this.currentState = this.lockedOut ? 'locked' : 'idle';
         this.updateBuzzerState();
     }
 
     handleQuestionEnd(data) {
         console.log('Virtual buzzer received question-end event:', data);
         // Ensure buzzer resets to idle when question ends
+        this.lockedOut = false;
+        this.tiebreakGroupIds = null;
         this.currentState = 'idle';
         this.updateBuzzerState();
+
+        this.choiceQuestion = null;
+        this.lockedOption = null;
+        this.updateChoiceMode();
+    }
+
+    handleQuestionStart(data) {
+        // The board comes back with the next board-updated event
+        this.board = null;
+        this.updateBoardPanel();
+        this.maxWager = null;
+        this.updateWagerPanel();
+
+        // In sudden death only the tied teams play; everyone else sits the question out
+        this.tiebreakGroupIds = data.tiebreak ? data.tiebreak.groupIds : null;
+
+        // Buzzers stay unarmed while the question is read; pressing early is a false start
+        this.lockedOut = false;
+        this.currentState = data.readingTime > 0 ? 'reading' : 'idle';
+        this.updateBuzzerState();
+
+        const question = data.question;
+        if (question && question.question_type === 'multiple_choice' && Array.isArray(question.options)) {
+            this.choiceQuestion = question;
+            this.lockedOption = null;
+            this.renderChoiceOptions();
+            this.setChoiceStatus('Pick your answer');
+        } else {
+            this.choiceQuestion = null;
+            this.lockedOption = null;
+        }
+        this.updateChoiceMode();
+    }
+
+    // Joined (or rejoined after a server restart) while a question is live
+    restoreActiveQuestion(state) {
+        const activeQuestion = state.activeQuestion;
+        const question = (state.questions || []).find(q => q.id === activeQuestion.questionId);
+        if (!question || !this.selectedTeam) return;
+
+        this.handleQuestionStart({
+            question,
+            readingTime: activeQuestion.phase === 'reading' ? activeQuestion.readingRemaining : 0,
+            tiebreak: activeQuestion.tiebreak
+        });
+        if ((activeQuestion.lockedOutGroups || []).includes(this.selectedTeam.id)) {
+            this.handleFalseStart({ groupId: this.selectedTeam.id });
+        }
+
+        if (this.choiceQuestion) {
+            if (activeQuestion.choiceResults) {
+                this.handleChoicesGraded(activeQuestion.choiceResults);
+            } else if (activeQuestion.lockedGroups.includes(this.selectedTeam.id)) {
+                this.setChoiceButtonsDisabled(true);
+                this.setChoiceStatus('Answer locked in');
+            }
+            return;
+        }
+
+        const alreadyBuzzed = activeQuestion.answeredGroups.includes(this.selectedTeam.id) ||
+            activeQuestion.buzzerOrder.some(entry => entry.groupId === this.selectedTeam.id);
+        if (question.question_type !== 'wager' && activeQuestion.phase !== 'reading' && !activeQuestion.isPaused && !alreadyBuzzed) {
+            this.handleBuzzersArmed({ gameId: state.id });
+        }
+    }
+
+    // Swap the round buzzer for option buttons while a multiple-choice question is live
+    updateChoiceMode() {
+        const choiceMode = Boolean(this.choiceQuestion);
+        this.elements.choicePanel?.classList.toggle('hidden', !choiceMode);
+        this.updateBuzzerButtonVisibility();
+    }
+
+    // The round buzzer steps aside for whichever answer panel is up
+    updateBuzzerButtonVisibility() {
+        const panelOpen = Boolean(this.choiceQuestion) || this.isOurBoardPick() || this.isWagering();
+        this.elements.buzzerButton?.classList.toggle('hidden', panelOpen);
+    }
+
+    renderChoiceOptions() {
+        if (!this.elements.choiceOptions || !this.choiceQuestion) return;
+
+        this.elements.choiceOptions.innerHTML = this.choiceQuestion.options.map((option, index) => `
+            <button class="choice-option" data-option-index="${index}">
+                <span class="choice-letter">${String.fromCharCode(65 + index)}</span>
+                <span class="choice-text">${option}</span>
+            </button>
+        `).join('');
+
+        this.elements.choiceOptions.querySelectorAll('.choice-option').forEach(button => {
+            button.addEventListener('click', () => {
+                this.submitChoice(parseInt(button.dataset.optionIndex));
+            });
+        });
+    }
+
+    // Final round: teams wager part of their score before the question is revealed
+    updateWagerPanel() {
+        const wagering = this.isWagering();
+        this.elements.wagerPanel?.classList.toggle('hidden', !wagering);
+        this.updateBuzzerButtonVisibility();
+        if (!wagering || !this.elements.wagerInput) return;
+
+        this.elements.wagerInput.max = this.maxWager;
+        this.elements.wagerInput.placeholder = `0 - ${this.maxWager}`;
+        this.setWagerStatus(`You can wager up to ${this.maxWager} points`);
+    }
+
+    isWagering() {
+        return this.maxWager !== null && Boolean(this.selectedTeam);
+    }
+
+    submitWager() {
+        if (this.maxWager === null || !this.selectedTeam || !this.currentGame) return;
+
+        this.socket.emit('submit-wager', {
+            gameId: this.currentGame.id,
+            groupId: this.selectedTeam.id,
+            amount: this.elements.wagerInput.value
+        });
+    }
+
+    setWagerStatus(message) {
+        if (this.elements.wagerStatus) {
+            this.elements.wagerStatus.textContent = message;
+        }
+    }
+
+    // Board mode: the team that last answered correctly picks the next cell
+    updateBoardPanel() {
+        const isOurPick = this.isOurBoardPick();
+        this.elements.boardPanel?.classList.toggle('hidden', !isOurPick);
+        this.updateBuzzerButtonVisibility();
+        if (!isOurPick || !this.elements.boardCells) return;
+
+        this.elements.boardCells.innerHTML = this.board.categories.flatMap(category =>
+            category.cells.filter(cell => !cell.played).map(cell => `
+                <button class="board-cell" data-question-id="${cell.questionId}">
+                    <span>${category.name}</span>
+                    <span>${cell.value}</span>
+                </button>
+            `)
+        ).join('');
+        if (this.elements.boardStatus) {
+            this.elements.boardStatus.textContent = '';
+        }
+
+        this.elements.boardCells.querySelectorAll('.board-cell').forEach(button => {
+            button.addEventListener('click', () => {
+                this.pickBoardCell(button.dataset.questionId);
+            });
+        });
+    }
+
+    isOurBoardPick() {
+        return Boolean(this.board && this.selectedTeam && this.board.pickerGroupId === this.selectedTeam.id);
+    }
+
+    pickBoardCell(questionId) {
+        if (!this.board || !this.selectedTeam || !this.currentGame) return;
+
+        this.setBoardCellsDisabled(true);
+        this.socket.emit('pick-board-cell', {
+            gameId: this.currentGame.id,
+            groupId: this.selectedTeam.id,
+            questionId
+        });
+    }
+
+    setBoardCellsDisabled(disabled) {
+        this.elements.boardCells?.querySelectorAll('.board-cell').forEach(button => {
+            button.disabled = disabled;
+        });
+    }
+
+    submitChoice(optionIndex) {
+        if (!this.choiceQuestion || this.lockedOption !== null || !this.selectedTeam || !this.currentGame) return;
+
+        this.lockedOption = optionIndex;
+        this.setChoiceButtonsDisabled(true);
+        this.elements.choiceOptions
+            ?.querySelector(`[data-option-index="${optionIndex}"]`)
+            ?.classList.add('selected');
+
+        this.socket.emit('submit-choice', {
+            gameId: this.currentGame.id,
+            buzzerId: this.buzzerId,
+            groupId: this.selectedTeam.id,
+            optionIndex
+        });
+
+        if (navigator.vibrate) {
+            navigator.vibrate([100, 50, 100]);
+        }
+    }
+
+    handleChoiceSubmitResult(data) {
+        if (data.success) {
+            this.setChoiceStatus(`Locked in: ${String.fromCharCode(65 + data.optionIndex)}`);
+            return;
+        }
+
+        // Rejected - let the team pick again unless answers are already closed
+        this.elements.choiceOptions?.querySelectorAll('.choice-option.selected')
+            .forEach(button => button.classList.remove('selected'));
+        this.lockedOption = null;
+        this.setChoiceButtonsDisabled(false);
+        this.setChoiceStatus(data.error || 'Could not lock in answer');
+    }
+
+    handleChoicesGraded(data) {
+        if (!this.choiceQuestion || !this.selectedTeam) return;
+
+        this.setChoiceButtonsDisabled(true);
+        this.elements.choiceOptions?.querySelectorAll('.choice-option').forEach(button => {
+            const index = parseInt(button.dataset.optionIndex);
+            if (index === data.correctOption) {
+                button.classList.add('correct');
+            } else if (index === this.lockedOption) {
+                button.classList.add('wrong');
+            }
+        });
+
+        const result = (data.results || []).find(r => r.groupId === this.selectedTeam.id);
+        if (!result || result.optionIndex === null) {
+            this.setChoiceStatus('No answer locked in');
+        } else if (result.isCorrect) {
+            this.setChoiceStatus(`Correct! +${result.pointsAwarded}`);
+        } else {
+            this.setChoiceStatus('Wrong answer');
+        }
+    }
+
+    setChoiceButtonsDisabled(disabled) {
+        this.elements.choiceOptions?.querySelectorAll('.choice-option').forEach(button => {
+            button.disabled = disabled;
+        });
+    }
+
+    setChoiceStatus(message) {
+        if (this.elements.choiceStatus) {
+            this.elements.choiceStatus.textContent = message;
+        }
+    }
+
+    handleFalseStart(data) {
+        this.lockedOut = true;
+        this.currentState = 'locked';
+        this.updateBuzzerState();
+
+        if (navigator.vibrate) {
+            navigator.vibrate([300, 100, 300]);
+        }
+    }
+
+    handleLockoutEnded(data) {
+        this.lockedOut = false;
+        this.currentState = data.armed ? 'armed' : 'idle';
+        this.updateBuzzerState();
     }
 
     handleBuzzerAcknowledged(data) {
@@ -431,10 +974,12 @@ class VirtualBuzzer {
         console.log('Virtual buzzer received state sync:', data);
 
         // Sync virtual buzzer state with system state
-        if (data.armed && this.currentState !== 'pressed') {
+        if (this.lockedOut) {
+            this.currentState = 'locked';
+        } else if (data.armed && this.currentState !== 'pressed') {
             this.currentState = 'armed';
             console.log('Virtual buzzer synced to ARMED state');
-        } else if (!data.armed) {
+        } else if (!data.armed && this.currentState !== 'reading') {
             this.currentState = 'idle';
             console.log('Virtual buzzer synced to IDLE state');
         }
@@ -447,46 +992,51 @@ class VirtualBuzzer {
         }
     }
 
-    // Password Modal Methods
-    showPasswordModal() {
-        this.elements.passwordModal.classList.remove('hidden');
-        this.elements.passwordInput.value = '';
-        this.elements.passwordInput.focus();
+    // Team Code Modal Methods
+    showCodeModal(team, error = '') {
+        this.codeModalTeam = team;
+        this.elements.codeTeamName.textContent = `Code for ${team.name}`;
+        this.elements.codeError.textContent = error;
+        this.elements.codeModal.classList.remove('hidden');
+        this.elements.codeInput.value = '';
+        this.elements.codeInput.focus();
     }
 
-    hidePasswordModal() {
-        this.elements.passwordModal.classList.add('hidden');
-        this.elements.passwordInput.value = '';
+    hideCodeModal() {
+        this.elements.codeModal.classList.add('hidden');
+        this.elements.codeInput.value = '';
+        this.elements.codeError.textContent = '';
     }
 
-    verifyPassword() {
-        const enteredPassword = this.elements.passwordInput.value;
-        
-        if (enteredPassword === this.password) {
-            this.hidePasswordModal();
-            this.changeTeam();
-        } else {
-            // Simple error indication
-            this.elements.passwordInput.style.borderColor = '#dc3545';
-            this.elements.passwordInput.value = '';
-            this.elements.passwordInput.placeholder = 'Wrong password';
-            
-            // Reset after 2 seconds
-            setTimeout(() => {
-                this.elements.passwordInput.style.borderColor = '';
-                this.elements.passwordInput.placeholder = 'Password';
-            }, 2000);
-        }
+    submitTeamCode() {
+        const code = this.elements.codeInput.value.trim();
+        if (!code || !this.codeModalTeam) return;
+
+        this.elements.codeError.textContent = '';
+        this.claimTeam(this.codeModalTeam, code);
     }
 
-    changeTeam() {
+    // Give the team back so another phone can take it; rejoining needs the code again
+    leaveTeam() {
+        if (!this.selectedTeam || !confirm(`Leave ${this.selectedTeam.name}?`)) return;
+
+        this.socket.emit('virtual-buzzer-release');
+        this.clearSavedClaim();
+        this.resetTeamState();
+        this.showTeamSelection();
+    }
+
+    resetTeamState() {
         // Reset current team selection
         this.selectedTeam = null;
         this.buzzerId = null;
         this.currentState = 'idle';
-        
-        // Go back to team selection
-        this.showTeamSelection();
+        this.choiceQuestion = null;
+        this.lockedOption = null;
+        this.maxWager = null;
+        this.updateChoiceMode();
+        this.updateBoardPanel();
+        this.updateWagerPanel();
     }
 
     // Connection Status Methods
@@ -515,5 +1065,7 @@ class VirtualBuzzer {
 
 // Initialize the virtual buzzer when the page loads
 document.addEventListener('DOMContentLoaded', () => {
-    new VirtualBuzzer();
+    triviaAuth.require('player').then(() => {
+        new VirtualBuzzer();
+    });
 });
\ No newline at end of file